@@ -5,8 +5,20 @@
 
 class DeviceDriverApp {
     constructor() {
+        // Abort controllers for reads/writes that may be sleeping in the driver
+        this.pendingOperations = new Set();
+        
+        // The UI acts as one user process holding its own descriptors
+        this.pid = null;
+        this.activeFd = null;
+        this.mapping = null;  // VmArea from mmapDevice()
+        this.selectedDevice = window.kernelSimulator && window.kernelSimulator.devices.length > 0 ?
+            window.kernelSimulator.devices[0].path : null;
+        
         this.initializeEventHandlers();
         this.updateModuleStatus();
+        this.refreshDeviceSelector();
+        this.openDevice(OPEN_FLAGS.O_RDWR);
     }
     
     initializeEventHandlers() {
@@ -71,15 +83,16 @@ class DeviceDriverApp {
             writeButton.innerHTML = '<i class="bi bi-hourglass-split"></i> Writing...';
             writeButton.disabled = true;
             
-            // Perform write operation
-            const result = await window.kernelSimulator.deviceWrite(data);
+            // Perform write operation (sleeps while the buffer is full)
+            const result = await this.runInterruptible(signal =>
+                window.kernelSimulator.deviceWrite(this.activeFd, data, { signal }));
             
             // Clear input on success
             writeDataInput.value = '';
             this.showToast(result.message, 'success');
             
         } catch (error) {
-            this.showToast('Write failed: ' + error.message, 'error');
+            this.showToast('Write failed: ' + this.describeError(error), 'error');
         } finally {
             // Restore button state
             const writeButton = document.querySelector('button[onclick="writeToDevice()"]');
@@ -107,8 +120,9 @@ class DeviceDriverApp {
             readButton.innerHTML = '<i class="bi bi-hourglass-split"></i> Reading...';
             readButton.disabled = true;
             
-            // Perform read operation
-            const result = await window.kernelSimulator.deviceRead(size);
+            // Perform read operation (sleeps until data is available)
+            const result = await this.runInterruptible(signal =>
+                window.kernelSimulator.deviceRead(this.activeFd, size, { signal }));
             
             // Display read data
             if (result.bytesRead > 0) {
@@ -121,7 +135,7 @@ class DeviceDriverApp {
             
         } catch (error) {
             readOutput.value = '';
-            this.showToast('Read failed: ' + error.message, 'error');
+            this.showToast('Read failed: ' + this.describeError(error), 'error');
         } finally {
             // Restore button state
             const readButton = document.querySelector('button[onclick="readFromDevice()"]');
@@ -150,32 +164,429 @@ class DeviceDriverApp {
                     this.showToast('Invalid buffer size', 'error');
                     return;
                 }
+            } else if (command === 'SET_MODE') {
+                arg = STORAGE_MODES.indexOf(document.getElementById('storageMode').value);
+            } else if (command === 'SET_LOG_LEVEL') {
+                arg = parseInt(document.getElementById('logLevel').value);
+            } else if (command === 'SET_NONBLOCK') {
+                const file = this.getOwnFiles().find(f => f.fd === this.activeFd);
+                arg = file && file.flags.includes('O_NONBLOCK') ? 0 : 1;
             }
             
             // Execute IOCTL command
-            const result = await window.kernelSimulator.deviceIoctl(command, arg);
+            const result = await window.kernelSimulator.deviceIoctl(this.activeFd, IOCTL_COMMANDS[command].cmd, arg);
+            this.refreshFdSelector();
             this.showToast(result.message, 'success');
             
         } catch (error) {
-            this.showToast('IOCTL failed: ' + error.message, 'error');
+            this.showToast('IOCTL failed: ' + this.describeError(error), 'error');
+        } finally {
+            // Keep the mode selector in step with the driver if SET_MODE failed
+            this.syncDeviceControls();
         }
     }
     
-    toggleModule() {
+    toggleLogging() {
+        const enabled = window.kernelSimulator && window.kernelSimulator.config.loggingEnabled;
+        return this.ioctlCommand(enabled ? 'DISABLE_LOGGING' : 'ENABLE_LOGGING');
+    }
+    
+    seekDevice() {
+        if (!window.kernelSimulator) {
+            this.showToast('Kernel simulator not initialized', 'error');
+            return;
+        }
+        
+        const offset = parseInt(document.getElementById('seekOffset').value) || 0;
+        const whence = parseInt(document.getElementById('seekWhence').value);
+        
+        try {
+            const result = window.kernelSimulator.deviceLlseek(this.activeFd, offset, whence);
+            this.showToast(result.message, 'success');
+        } catch (error) {
+            this.showToast('Seek failed: ' + this.describeError(error), 'error');
+        }
+    }
+    
+    /**
+     * mmap() the whole buffer behind the active descriptor; loads and stores
+     * then use the seek offset as the offset into the mapping
+     */
+    mmapDevice() {
+        if (!window.kernelSimulator) {
+            this.showToast('Kernel simulator not initialized', 'error');
+            return;
+        }
+        if (this.mapping) {
+            this.munmapDevice();
+        }
+        
+        try {
+            const file = this.getOwnFiles().find(f => f.fd === this.activeFd);
+            // The whole buffer of one of our minors; a page of any other driver's node
+            const device = window.kernelSimulator.findDevice(file ? file.path : this.selectedDevice);
+            const prot = file && file.flags.startsWith('O_RDWR') ?
+                PROT.PROT_READ | PROT.PROT_WRITE : PROT.PROT_READ;
+            this.mapping = window.kernelSimulator.deviceMmap(this.activeFd, device ? device.bufferSize : PAGE_SIZE, 0, prot);
+            this.showToast(`Mapped ${this.mapping.pageCount} page(s) at 0x${this.mapping.start.toString(16)}`, 'success');
+        } catch (error) {
+            const device = window.kernelSimulator.findDevice(this.selectedDevice);
+            this.showToast('mmap failed: ' + this.describeError(error) + (device && device.storageMode === 'fifo' ?
+                ': set Storage Mode to Random access first' : ''), 'error');
+        }
+        this.updateMappingInfo();
+    }
+    
+    storeToMapping() {
+        if (!this.mapping) {
+            this.showToast('Map the device first', 'warning');
+            return;
+        }
+        
+        const data = document.getElementById('writeData').value.trim();
+        const offset = parseInt(document.getElementById('seekOffset').value) || 0;
+        try {
+            const written = this.mapping.write(offset, data);
+            this.showToast(`Stored ${written} bytes at +${offset} through the mapping`, 'success');
+        } catch (error) {
+            this.showToast('Store failed: ' + this.describeError(error), 'error');
+        }
+        this.updateMappingInfo();
+    }
+    
+    loadFromMapping() {
+        if (!this.mapping) {
+            this.showToast('Map the device first', 'warning');
+            return;
+        }
+        
+        const offset = parseInt(document.getElementById('seekOffset').value) || 0;
+        const size = parseInt(document.getElementById('readSize').value) || 1024;
+        try {
+            const mapped = this.mapping.pages ? this.mapping.length : this.mapping.device.bufferSize;
+            const bytes = this.mapping.read(offset, Math.max(0, Math.min(size, mapped - offset)));
+            // Trailing zero bytes are unwritten buffer, not data
+            document.getElementById('readOutput').value = new TextDecoder().decode(bytes).replace(/\0+$/, '');
+            this.showToast(`Loaded ${bytes.length} bytes from +${offset} through the mapping`, 'success');
+        } catch (error) {
+            this.showToast('Load failed: ' + this.describeError(error), 'error');
+        }
+        this.updateMappingInfo();
+    }
+    
+    munmapDevice() {
+        if (!this.mapping) return;
+        
+        try {
+            window.kernelSimulator.deviceMunmap(this.mapping);
+            this.showToast('Mapping removed', 'info');
+        } catch (error) {
+            this.showToast('munmap failed: ' + this.describeError(error), 'error');
+        }
+        this.mapping = null;
+        this.updateMappingInfo();
+    }
+    
+    updateMappingInfo() {
+        const device = window.kernelSimulator && window.kernelSimulator.findDevice(this.selectedDevice);
+        this.updateElement('mapping-info', this.mapping ?
+            `${this.mapping.describe()} (${this.mapping.present.size}/${this.mapping.pageCount} pages present, ${this.mapping.faults} faults)` :
+            device && device.storageMode === 'fifo' ? 'not mapped: FIFO storage cannot be mapped, set Storage Mode to Random access' : 'not mapped');
+    }
+    
+    openDevice(flags = this.readOpenFlags()) {
+        if (!window.kernelSimulator) {
+            this.showToast('Kernel simulator not initialized', 'error');
+            return;
+        }
+        
+        try {
+            // The page's own descriptors belong to one long-lived shell
+            if (this.pid === null) {
+                this.pid = window.kernelSimulator.spawnProcess('bash').pid;
+            }
+            const result = window.kernelSimulator.deviceOpen(this.selectedDevice, flags, { pid: this.pid });
+            this.activeFd = result.fd;
+            this.refreshFdSelector();
+            this.showToast(result.message, 'success');
+        } catch (error) {
+            this.showToast('Open failed: ' + this.describeError(error), 'error');
+        }
+    }
+    
+    closeDeviceFile(fd = this.activeFd) {
         if (!window.kernelSimulator) {
             this.showToast('Kernel simulator not initialized', 'error');
             return;
         }
         
-        if (window.kernelSimulator.moduleLoaded) {
-            window.kernelSimulator.unloadModule();
-            this.showToast('Module unloaded', 'warning');
+        try {
+            const result = window.kernelSimulator.deviceClose(fd);
+            if (fd === this.activeFd) {
+                const remaining = this.getOwnFiles();
+                this.activeFd = remaining.length > 0 ? remaining[0].fd : null;
+            }
+            this.refreshFdSelector();
+            this.showToast(result.message, 'info');
+        } catch (error) {
+            this.showToast('Close failed: ' + this.describeError(error), 'error');
+        }
+    }
+    
+    selectFd(fd) {
+        this.activeFd = fd === '' ? null : parseInt(fd);
+    }
+    
+    selectDevice(path) {
+        this.selectedDevice = path;
+        
+        // Switch to a descriptor already open on this minor, or open one
+        const files = this.getOwnFiles();
+        if (files.length > 0) {
+            this.activeFd = files[0].fd;
+            this.refreshFdSelector();
         } else {
-            window.kernelSimulator.loadModule();
-            this.showToast('Module loaded', 'success');
+            this.activeFd = null;
+            this.openDevice(OPEN_FLAGS.O_RDWR);
+        }
+        this.syncDeviceControls();
+    }
+    
+    refreshDeviceSelector() {
+        const selector = document.getElementById('deviceNode');
+        if (!selector || !window.kernelSimulator) return;
+        
+        const devices = window.kernelSimulator.listDevices();
+        const driverDevices = window.kernelSimulator.listDriverDevices();
+        if (![...devices, ...driverDevices].some(device => device.path === this.selectedDevice)) {
+            this.selectedDevice = devices.length > 0 ? devices[0].path : null;
+        }
+        const option = device => `<option value="${device.path}" ${device.path === this.selectedDevice ? 'selected' : ''}>${device.path} (${device.devt})</option>`;
+        selector.innerHTML = (devices.length === 0 ?
+            '<option value="">(no devices registered)</option>' :
+            devices.map(option).join('')) +
+            // Nodes served by registered file_operations drivers
+            `<optgroup label="fops drivers">${driverDevices.map(option).join('')}</optgroup>`;
+        this.syncDeviceControls();
+    }
+    
+    syncDeviceControls() {
+        const device = window.kernelSimulator.listDevices().find(d => d.path === this.selectedDevice);
+        if (!device) return;
+        
+        const modeSelect = document.getElementById('storageMode');
+        if (modeSelect) modeSelect.value = device.storageMode;
+        const policySelect = document.getElementById('overflowPolicy');
+        if (policySelect) policySelect.value = device.overflowPolicy;
+        const levelSelect = document.getElementById('logLevel');
+        if (levelSelect) levelSelect.value = window.kernelSimulator.config.consoleLoglevel;
+        const bufferSelect = document.getElementById('logBufferSize');
+        if (bufferSelect) bufferSelect.value = window.kernelSimulator.config.logBufferSize;
+        this.updateMappingInfo();
+    }
+    
+    readOpenFlags() {
+        const mode = document.getElementById('openMode');
+        const nonBlock = document.getElementById('openNonblock');
+        const append = document.getElementById('openAppend');
+        
+        let flags = mode ? parseInt(mode.value) : OPEN_FLAGS.O_RDWR;
+        if (nonBlock && nonBlock.checked) flags |= OPEN_FLAGS.O_NONBLOCK;
+        if (append && append.checked) flags |= OPEN_FLAGS.O_APPEND;
+        return flags;
+    }
+    
+    getOwnFiles() {
+        return window.kernelSimulator.getOpenFiles()
+            .filter(file => file.pid === this.pid && file.path === this.selectedDevice);
+    }
+    
+    refreshFdSelector() {
+        const selector = document.getElementById('activeFd');
+        if (!selector) return;
+        
+        const files = this.getOwnFiles();
+        selector.innerHTML = files.length === 0 ?
+            '<option value="">(no open descriptors)</option>' :
+            files.map(file => `<option value="${file.fd}" ${file.fd === this.activeFd ? 'selected' : ''}>fd ${file.fd} - ${file.flags}</option>`).join('');
+    }
+    
+    async runInterruptible(operation) {
+        const controller = new AbortController();
+        this.pendingOperations.add(controller);
+        try {
+            return await operation(controller.signal);
+        } finally {
+            this.pendingOperations.delete(controller);
+        }
+    }
+    
+    interruptBlockedOperations() {
+        if (this.pendingOperations.size === 0) {
+            this.showToast('No blocked operations to interrupt', 'info');
+            return;
+        }
+        
+        // Deliver a "signal" to every sleeping UI operation
+        this.pendingOperations.forEach(controller => controller.abort());
+        this.pendingOperations.clear();
+    }
+    
+    setLogBufferSize(records) {
+        if (!window.kernelSimulator) {
+            this.showToast('Kernel simulator not initialized', 'error');
+            return;
+        }
+        
+        try {
+            window.kernelSimulator.setLogBufferSize(parseInt(records));
+            this.showToast(`Kernel log buffer holds ${records} records`, 'info');
+        } catch (error) {
+            this.showToast('Log buffer resize failed: ' + this.describeError(error), 'error');
+            this.syncDeviceControls();
+        }
+    }
+    
+    setOverflowPolicy(policy) {
+        if (!window.kernelSimulator) {
+            this.showToast('Kernel simulator not initialized', 'error');
+            return;
+        }
+        
+        try {
+            window.kernelSimulator.setOverflowPolicy(this.selectedDevice, policy);
+            this.showToast(policy === 'overwrite' ?
+                'Full buffer now overwrites the oldest data' :
+                'Full buffer now rejects new writes', 'info');
+        } catch (error) {
+            this.showToast('Policy change failed: ' + this.describeError(error), 'error');
+            this.syncDeviceControls();
+        }
+    }
+    
+    /**
+     * Replace the running simulator. A seed selects deterministic mode:
+     * seeded PRNG plus a virtual clock, so the run can be replayed exactly.
+     */
+    restartSimulator() {
+        const seedInput = document.getElementById('simSeed').value.trim();
+        const clockMode = document.getElementById('clockMode').value;
+        const seed = seedInput === '' ? null :
+            (/^\d+$/.test(seedInput) ? Number(seedInput) : seedInput);
+        
+        this.interruptBlockedOperations();
+        if (monitoringDashboard) {
+            monitoringDashboard.stopAsyncRead();
+            monitoringDashboard.stopSigioRead();
+            monitoringDashboard.stopRealTimeMonitoring();
+        }
+        window.kernelSimulator.stopStressTest();
+        window.kernelSimulator.stopPeriodicUpdates();
+        
+        const kernelSimulator = new KernelSimulator(seed === null ? {} : { seed, clockMode });
+        kernelSimulator.startPeriodicUpdates();
+        kernelSimulator.on('stats', () => this.updateClockDisplay());
+        window.kernelSimulator = kernelSimulator;
+        if (monitoringDashboard) {
+            monitoringDashboard.startRealTimeMonitoring();
         }
         
+        this.pid = null;
+        this.activeFd = null;
+        this.selectedDevice = null;
+        this.mapping = null;
+        this.updateMappingInfo();
         this.updateModuleStatus();
+        this.refreshDeviceSelector();
+        this.openDevice(OPEN_FLAGS.O_RDWR);
+        this.updateClockDisplay();
+        
+        this.showToast(seed === null ?
+            'Simulator restarted in real time' :
+            `Simulator restarted with seed ${seed} (${clockMode} clock)`, 'success');
+    }
+    
+    setClockMode(mode) {
+        const clock = window.kernelSimulator.clock;
+        if (clock.virtual) {
+            clock.setMode(mode);
+        }
+    }
+    
+    stepClock() {
+        const clock = window.kernelSimulator.clock;
+        if (!clock.virtual) {
+            this.showToast('Stepping needs deterministic mode (restart with a seed)', 'warning');
+            return;
+        }
+        if (!clock.step()) {
+            this.showToast('No pending timers', 'info');
+        }
+        this.updateClockDisplay();
+    }
+    
+    async advanceClock(ms) {
+        const clock = window.kernelSimulator.clock;
+        if (!clock.virtual) {
+            this.showToast('Advancing needs deterministic mode (restart with a seed)', 'warning');
+            return;
+        }
+        await clock.runFor(ms);
+        this.updateClockDisplay();
+    }
+    
+    updateClockDisplay() {
+        const clock = window.kernelSimulator.clock;
+        this.updateElement('virtual-time', clock.virtual ?
+            `t=${(clock.now() / 1000).toFixed(3)}s, ${clock.pending} timers` : 'real time');
+    }
+    
+    updateElement(id, text) {
+        const element = document.getElementById(id);
+        if (element) {
+            element.textContent = text;
+        }
+    }
+    
+    toggleModule() {
+        if (!window.kernelSimulator) {
+            this.showToast('Kernel simulator not initialized', 'error');
+            return;
+        }
+        
+        const simulator = window.kernelSimulator;
+        try {
+            if (simulator.moduleLoaded) {
+                this.unloadModule(simulator);
+            } else {
+                const params = document.getElementById('moduleParams');
+                simulator.loadModule(params ? params.value.trim() : '');
+                this.showToast('Module loaded', 'success');
+            }
+        } catch (error) {
+            this.showToast('Module: ' + this.describeError(error), 'error');
+        }
+        
+        this.updateModuleStatus();
+        this.refreshDeviceSelector();
+    }
+    
+    // rmmod, offering rmmod -f while open files still use the module
+    unloadModule(simulator) {
+        try {
+            simulator.unloadModule();
+        } catch (error) {
+            if (error.code !== 'EBUSY' || !confirm(`${error.detail}. Force the unload (rmmod -f)?`)) {
+                throw error;
+            }
+            simulator.unloadModule(true);
+        }
+        this.showToast('Module unloaded', 'warning');
+    }
+    
+    describeError(error) {
+        // Kernel errors read like perror(3): "No such device (ENODEV)"
+        return error instanceof KernelError ? error.toString() : error.message;
     }
     
     showToast(message, type = 'info') {
@@ -193,9 +604,11 @@ class DeviceDriverApp {
     
     // Performance monitoring helpers
     measureLatency(operation) {
-        const startTime = performance.now();
+        // Measured on the simulator clock so deterministic runs report virtual time
+        const clock = window.kernelSimulator.clock;
+        const startTime = clock.now();
         return operation().then(result => {
-            const endTime = performance.now();
+            const endTime = clock.now();
             const latency = endTime - startTime;
             console.log(`Operation latency: ${latency.toFixed(2)}ms`);
             return { ...result, latency };
@@ -207,7 +620,7 @@ class DeviceDriverApp {
         const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
         let result = '';
         for (let i = 0; i < size; i++) {
-            result += chars.charAt(Math.floor(Math.random() * chars.length));
+            result += chars.charAt(Math.floor(window.kernelSimulator.random() * chars.length));
         }
         return result;
     }
@@ -221,32 +634,36 @@ class DeviceDriverApp {
         const results = {
             writeLatencies: [],
             readLatencies: [],
+            failures: [],
             totalTime: 0
         };
         
-        const startTime = performance.now();
+        const clock = window.kernelSimulator.clock;
+        const { fd } = window.kernelSimulator.deviceOpen(this.selectedDevice, OPEN_FLAGS.O_RDWR, { comm: 'benchmark' });
+        const startTime = clock.now();
         
         for (let i = 0; i < iterations; i++) {
             try {
                 // Write benchmark
                 const writeData = this.generateRandomData(50);
-                const writeStart = performance.now();
-                await window.kernelSimulator.deviceWrite(writeData);
-                const writeEnd = performance.now();
+                const writeStart = clock.now();
+                await window.kernelSimulator.deviceWrite(fd, writeData);
+                const writeEnd = clock.now();
                 results.writeLatencies.push(writeEnd - writeStart);
                 
                 // Read benchmark
-                const readStart = performance.now();
-                await window.kernelSimulator.deviceRead(50);
-                const readEnd = performance.now();
+                const readStart = clock.now();
+                await window.kernelSimulator.deviceRead(fd, 50);
+                const readEnd = clock.now();
                 results.readLatencies.push(readEnd - readStart);
                 
             } catch (error) {
-                console.warn(`Benchmark iteration ${i} failed:`, error.message);
+                results.failures.push(`iteration ${i}: ${this.describeError(error)}`);
             }
         }
         
-        results.totalTime = performance.now() - startTime;
+        results.totalTime = clock.now() - startTime;
+        window.kernelSimulator.deviceClose(fd);
         
         // Calculate statistics
         const avgWriteLatency = results.writeLatencies.reduce((a, b) => a + b, 0) / results.writeLatencies.length;
@@ -260,7 +677,11 @@ class DeviceDriverApp {
             throughput: (iterations * 2 / (results.totalTime / 1000)).toFixed(2) + ' ops/sec'
         });
         
-        this.showToast(`Benchmark completed: ${iterations} iterations`, 'success');
+        if (results.failures.length > 0) {
+            this.showToast(`Benchmark completed: ${results.failures.length} of ${iterations} iterations failed (${results.failures[0]})`, 'error');
+        } else {
+            this.showToast(`Benchmark completed: ${iterations} iterations`, 'success');
+        }
         
         return results;
     }
@@ -285,6 +706,108 @@ function ioctlCommand(command) {
     }
 }
 
+function openDevice() {
+    if (window.deviceDriverApp) {
+        window.deviceDriverApp.openDevice();
+    }
+}
+
+function closeDeviceFile(fd) {
+    if (window.deviceDriverApp) {
+        window.deviceDriverApp.closeDeviceFile(fd);
+    }
+}
+
+function selectFd(fd) {
+    if (window.deviceDriverApp) {
+        window.deviceDriverApp.selectFd(fd);
+    }
+}
+
+function selectDevice(path) {
+    if (window.deviceDriverApp) {
+        window.deviceDriverApp.selectDevice(path);
+    }
+}
+
+function interruptBlockedOperations() {
+    if (window.deviceDriverApp) {
+        window.deviceDriverApp.interruptBlockedOperations();
+    }
+}
+
+function setLogBufferSize(records) {
+    if (window.deviceDriverApp) {
+        window.deviceDriverApp.setLogBufferSize(records);
+    }
+}
+
+function setOverflowPolicy(policy) {
+    if (window.deviceDriverApp) {
+        window.deviceDriverApp.setOverflowPolicy(policy);
+    }
+}
+
+function seekDevice() {
+    if (window.deviceDriverApp) {
+        window.deviceDriverApp.seekDevice();
+    }
+}
+
+function mmapDevice() {
+    if (window.deviceDriverApp) {
+        window.deviceDriverApp.mmapDevice();
+    }
+}
+
+function storeToMapping() {
+    if (window.deviceDriverApp) {
+        window.deviceDriverApp.storeToMapping();
+    }
+}
+
+function loadFromMapping() {
+    if (window.deviceDriverApp) {
+        window.deviceDriverApp.loadFromMapping();
+    }
+}
+
+function munmapDevice() {
+    if (window.deviceDriverApp) {
+        window.deviceDriverApp.munmapDevice();
+    }
+}
+
+function toggleLogging() {
+    if (window.deviceDriverApp) {
+        window.deviceDriverApp.toggleLogging();
+    }
+}
+
+function restartSimulator() {
+    if (window.deviceDriverApp) {
+        window.deviceDriverApp.restartSimulator();
+    }
+}
+
+function setClockMode(mode) {
+    if (window.deviceDriverApp) {
+        window.deviceDriverApp.setClockMode(mode);
+    }
+}
+
+function stepClock() {
+    if (window.deviceDriverApp) {
+        window.deviceDriverApp.stepClock();
+    }
+}
+
+function advanceClock(ms) {
+    if (window.deviceDriverApp) {
+        window.deviceDriverApp.advanceClock(ms);
+    }
+}
+
 function toggleModule() {
     if (window.deviceDriverApp) {
         window.deviceDriverApp.toggleModule();
@@ -318,7 +841,9 @@ window.generateTestData = function(size) {
 
 // Debug helpers
 window.getKernelStats = function() {
-    return window.kernelSimulator ? window.kernelSimulator.getStats() : null;
+    if (!window.kernelSimulator) return null;
+    const path = window.deviceDriverApp ? window.deviceDriverApp.selectedDevice : undefined;
+    return window.kernelSimulator.getStats(path);
 };
 
 window.getKernelLogs = function(count = 10) {
@@ -472,7 +997,10 @@ window.showAdvancedMetrics = function() {
                 <h6>Interrupt Statistics</h6>
                 <ul class="list-unstyled small">
                     <li>Total Interrupts: ${metrics.interrupts.count}</li>
+                    <li>Lost: ${metrics.interrupts.lost}</li>
                     <li>Last IRQ: ${new Date(metrics.interrupts.lastTime).toLocaleTimeString()}</li>
+                    ${window.kernelSimulator.irq.activeLines().filter(desc => desc.actions.length > 0).map(desc =>
+                        `<li>IRQ ${desc.irq}: ${desc.actions.map(action => action.name).join(', ')} (${desc.counts.join('/')} per CPU)</li>`).join('')}
                 </ul>
                 
                 <h6>DMA Statistics</h6>
@@ -506,8 +1034,8 @@ window.showAdvancedMetrics = function() {
                   metrics.processes.map(p => `
                     <div class="process-entry">
                         <span class="process-pid">${p.pid}</span>
-                        <span class="process-name">${p.name}</span>
-                        <span class="process-status">${p.status}</span>
+                        <span class="process-name">${p.comm}</span>
+                        <span class="process-status">${p.stateCode} ${p.blockedOn || ''}</span>
                     </div>
                   `).join('')}
             </div>
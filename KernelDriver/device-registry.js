@@ -0,0 +1,307 @@
+/**
+ * Character Device Registry
+ * Simulates alloc_chrdev_region(), cdev_add() and device_create():
+ * dynamic major/minor allocation with one independent device per minor
+ */
+
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
+    }
+}(function (require) {
+    const { KernelError } = require('./kernel-errno.js');
+    const { REAL_CLOCK } = require('./sim-clock.js');
+    const { RingBuffer } = require('./ring-buffer.js');
+    const { MemoryRegion } = require('./memory-region.js');
+    const { WaitQueue } = require('./wait-queue.js');
+    const { LockDep, KMutex } = require('./kernel-sync.js');
+
+    // Majors already claimed by the rest of the (simulated) system
+    const STATIC_CHRDEV_MAJORS = [
+        [4, 'tty'],
+        [5, '/dev/tty'],
+        [5, '/dev/console'],
+        [7, 'vcs'],
+        [10, 'misc'],
+        [13, 'input'],
+        [29, 'fb'],
+        [128, 'ptm'],
+        [136, 'pts'],
+        [180, 'usb'],
+        [226, 'drm'],
+        [254, 'gpiochip']
+    ];
+
+    // Dynamic majors are handed out from the top of the range downwards
+    const CHRDEV_MAJOR_DYN_END = 234;
+    const CHRDEV_MAJOR_MAX = 254;
+
+    /**
+     * One minor of the mychardev driver: its own storage, locking and counters
+     */
+    class CharDevice {
+        constructor(name, major, minor, bufferSize, clock = REAL_CLOCK, lockdep = new LockDep()) {
+            this.name = name;
+            this.major = major;
+            this.minor = minor;
+            this.path = `/dev/${name}`;
+            this.removed = false;
+
+            // Storage: circular buffer with head/tail pointers (FIFO mode)
+            // or a flat seekable region (random-access mode)
+            this.ringBuffer = new RingBuffer(bufferSize);
+            this.memoryRegion = new MemoryRegion(bufferSize);
+            this.storageMode = 'fifo';
+
+            // Concurrent access tracking
+            this.activeReaders = 0;
+            this.activeWriters = 0;
+            this.mutex = new KMutex(`${name}.mutex`, clock, lockdep);
+            this.mutexQueue = this.mutex.queue;
+            this.readQueue = new WaitQueue(`${name}.inq`, clock);
+            this.writeQueue = new WaitQueue(`${name}.outq`, clock);
+            this.pollQueue = new WaitQueue(`${name}.poll`, clock);
+            this.asyncQueue = [];  // files with O_ASYNC set (fasync_struct list)
+            this.mapCount = 0;     // live mmap()s of the random-access buffer
+            this.pageFaults = 0;
+            this.powerControl = 'auto';  // power/control: 'auto' lets runtime PM suspend it while unused
+
+            this.stats = {
+                bytesRead: 0,
+                bytesWritten: 0,
+                openCount: 0,
+                ioctlCount: 0,
+                bytesOverwritten: 0
+            };
+        }
+
+        get devt() {
+            return `${this.major}:${this.minor}`;
+        }
+
+        get bufferSize() {
+            return this.ringBuffer.size;
+        }
+
+        get bufferUsed() {
+            return this.isRandomAccess() ? this.memoryRegion.dataSize : this.ringBuffer.used;
+        }
+
+        isRandomAccess() {
+            return this.storageMode === 'random';
+        }
+
+        readWouldBlock() {
+            // Only FIFO reads sleep; random-access reads return EOF instead
+            return !this.isRandomAccess() && this.ringBuffer.isEmpty();
+        }
+
+        writeWouldBlock() {
+            return !this.isRandomAccess() && this.ringBuffer.isFull() && this.ringBuffer.policy === 'reject';
+        }
+
+        /**
+         * Each call takes the mutex as its own lockdep context (`owner`, its
+         * trace span), the way concurrent callers are separate kernel threads.
+         * Resolves with whoever handed the lock over, or null if it was free.
+         */
+        acquireMutex(owner, wait = {}) {
+            return this.mutex.lock(owner, wait);
+        }
+
+        tryLockMutex(operation, owner) {
+            // mutex_trylock(): ioctls never sleep, they fail with EBUSY instead
+            if (!this.mutex.trylock(owner)) {
+                throw new KernelError('EBUSY', `${operation}: ${this.name} mutex held by an in-flight operation`);
+            }
+        }
+
+        releaseMutex(owner) {
+            this.mutex.unlock(owner, owner);
+        }
+
+        getSleeperCount() {
+            return this.mutexQueue.length + this.readQueue.length + this.writeQueue.length + this.pollQueue.length;
+        }
+
+        interruptWaiters(error) {
+            return this.mutexQueue.interruptAll(error) +
+                this.readQueue.interruptAll(error) +
+                this.writeQueue.interruptAll(error) +
+                this.pollQueue.interruptAll(error);
+        }
+
+        // Data arrived: wake blocked readers and anyone polling for POLLIN
+        wakeReaders(waker = null) {
+            this.readQueue.wakeUp(waker);
+            this.pollQueue.wakeUp(waker);
+        }
+
+        // Space was freed: wake blocked writers and anyone polling for POLLOUT
+        wakeWriters(waker = null) {
+            this.writeQueue.wakeUp(waker);
+            this.pollQueue.wakeUp(waker);
+        }
+
+        // Mapped pages alias the buffer, so it cannot move or change layout
+        checkNotMapped(operation) {
+            if (this.mapCount > 0) {
+                throw new KernelError('EBUSY', `${operation}: ${this.name} buffer is mapped ${this.mapCount} time(s)`);
+            }
+        }
+
+        resize(newSize) {
+            this.checkNotMapped('resize');
+            if (newSize < this.bufferUsed) {
+                throw new KernelError('ENOSPC', `${this.bufferUsed} bytes pending, cannot shrink to ${newSize}`);
+            }
+
+            // Pending data is re-laid out from offset 0 in read order
+            this.ringBuffer.resize(newSize);
+            this.memoryRegion.resize(newSize);
+
+            // Growing the ring may unblock sleeping writers
+            this.wakeWriters();
+        }
+
+        clear() {
+            this.ringBuffer.clear();
+            this.memoryRegion.clear();
+            this.wakeWriters();
+        }
+
+        /**
+         * Switch between FIFO and scull-style random-access storage; pending
+         * data carries over in order
+         */
+        setStorageMode(mode) {
+            this.checkNotMapped('set mode');
+            if (mode === 'random') {
+                this.memoryRegion.load(this.ringBuffer.read(this.ringBuffer.used));
+            } else {
+                this.ringBuffer.clear();
+                this.ringBuffer.write(this.memoryRegion.contents());
+                this.memoryRegion.clear();
+            }
+            this.storageMode = mode;
+
+            // Sleepers re-check their condition under the new mode
+            this.wakeReaders();
+            this.wakeWriters();
+        }
+    }
+
+    class DeviceRegistry {
+        constructor() {
+            this.regions = [];          // alloc_chrdev_region() results
+            this.cdevs = new Map();     // "major:minor" -> CharDevice or FopsDevice
+            this.nodes = new Map();     // /dev path -> CharDevice or FopsDevice
+        }
+
+        isMajorInUse(major) {
+            return STATIC_CHRDEV_MAJORS.some(([used]) => used === major) ||
+                this.regions.some(region => region.major === major);
+        }
+
+        /**
+         * alloc_chrdev_region(): reserve `count` minors under a free dynamic major
+         */
+        allocChrdevRegion(baseMinor, count, name) {
+            for (let major = CHRDEV_MAJOR_MAX; major >= CHRDEV_MAJOR_DYN_END; major--) {
+                if (!this.isMajorInUse(major)) {
+                    const region = { major, baseMinor, count, name };
+                    this.regions.push(region);
+                    return region;
+                }
+            }
+            throw new KernelError('EBUSY', 'no free dynamic major numbers');
+        }
+
+        /**
+         * register_chrdev_region(): claim fixed numbers, as /dev/null's 1:3 is.
+         * Several regions may share a major as long as their minors do not overlap.
+         */
+        registerChrdevRegion(major, baseMinor, count, name) {
+            const overlaps = this.regions.some(region => region.major === major &&
+                baseMinor < region.baseMinor + region.count && region.baseMinor < baseMinor + count);
+            if (overlaps || STATIC_CHRDEV_MAJORS.some(([used]) => used === major)) {
+                throw new KernelError('EBUSY', `${major}:${baseMinor}-${baseMinor + count - 1} is already registered`);
+            }
+            const region = { major, baseMinor, count, name };
+            this.regions.push(region);
+            return region;
+        }
+
+        unregisterChrdevRegion(region) {
+            this.regions = this.regions.filter(r => r !== region);
+        }
+
+        /**
+         * cdev_add(): make a minor live so that opens reach the driver
+         */
+        cdevAdd(device) {
+            const region = this.regions.find(r => r.major === device.major &&
+                device.minor >= r.baseMinor && device.minor < r.baseMinor + r.count);
+            if (!region) {
+                throw new KernelError('EINVAL', `${device.devt} is outside any allocated region`);
+            }
+            if (this.cdevs.has(device.devt)) {
+                throw new KernelError('EBUSY', `${device.devt} already has a cdev`);
+            }
+            this.cdevs.set(device.devt, device);
+        }
+
+        cdevDel(device) {
+            this.cdevs.delete(device.devt);
+            device.removed = true;
+        }
+
+        /**
+         * device_create(): publish the /dev node (what udev would do)
+         */
+        deviceCreate(device) {
+            this.nodes.set(device.path, device);
+        }
+
+        deviceDestroy(device) {
+            this.nodes.delete(device.path);
+        }
+
+        lookup(path) {
+            const device = this.nodes.get(path);
+            if (!device) {
+                throw new KernelError('ENOENT', `${path} does not exist`);
+            }
+            if (!this.cdevs.has(device.devt)) {
+                throw new KernelError('ENODEV', `no cdev registered for ${device.devt}`);
+            }
+            return device;
+        }
+
+        listDevices() {
+            return Array.from(this.nodes.values());
+        }
+
+        /**
+         * Every registered character major as [major, name], sorted by number
+         * (the lines of /proc/devices)
+         */
+        chrdevMajors() {
+            // A major split into several regions is listed once
+            return [
+                ...STATIC_CHRDEV_MAJORS,
+                ...this.regions.map(region => [region.major, region.name])
+            ].filter(([major, name], i, all) => all.findIndex(([m, n]) => m === major && n === name) === i)
+                .sort((a, b) => a[0] - b[0]);
+        }
+
+        getProcDevices() {
+            return 'Character devices:\n' +
+                this.chrdevMajors().map(([major, name]) => `${String(major).padStart(3)} ${name}`).join('\n');
+        }
+    }
+
+    return { STATIC_CHRDEV_MAJORS, CharDevice, DeviceRegistry };
+}));
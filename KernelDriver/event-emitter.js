@@ -0,0 +1,69 @@
+/**
+ * Event Emitter for the Simulator Core
+ * The core publishes log, stats, interrupt and dma-progress events;
+ * the dashboard (or a Node script) subscribes instead of the core touching the DOM
+ */
+
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
+    }
+}(function () {
+    class EventEmitter {
+        constructor() {
+            this.listeners = new Map();
+        }
+
+        /**
+         * Subscribe to an event; returns a function that removes the listener
+         */
+        on(event, listener) {
+            if (!this.listeners.has(event)) {
+                this.listeners.set(event, []);
+            }
+            this.listeners.get(event).push(listener);
+            return () => this.off(event, listener);
+        }
+
+        once(event, listener) {
+            const off = this.on(event, payload => {
+                off();
+                listener(payload);
+            });
+            return off;
+        }
+
+        off(event, listener) {
+            const listeners = this.listeners.get(event);
+            if (!listeners) return;
+
+            const index = listeners.indexOf(listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        }
+
+        emit(event, payload) {
+            const listeners = this.listeners.get(event);
+            if (!listeners) return;
+
+            // A failing subscriber must not break the operation that emitted
+            listeners.slice().forEach(listener => {
+                try {
+                    listener(payload);
+                } catch (error) {
+                    console.error(`Listener for "${event}" failed:`, error);
+                }
+            });
+        }
+
+        listenerCount(event) {
+            const listeners = this.listeners.get(event);
+            return listeners ? listeners.length : 0;
+        }
+    }
+
+    return { EventEmitter };
+}));
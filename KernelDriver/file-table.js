@@ -0,0 +1,139 @@
+/**
+ * Simulated struct file Layer
+ * Open file descriptions with per-open flags, f_pos and private data,
+ * indexed by file descriptor number
+ */
+
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
+    }
+}(function (require) {
+    const { KernelError } = require('./kernel-errno.js');
+    const { REAL_CLOCK } = require('./sim-clock.js');
+    const { AtomicT } = require('./kernel-sync.js');
+
+    const OPEN_FLAGS = {
+        O_RDONLY: 0o0,
+        O_WRONLY: 0o1,
+        O_RDWR: 0o2,
+        O_ACCMODE: 0o3,
+        O_APPEND: 0o2000,
+        O_NONBLOCK: 0o4000,
+        O_ASYNC: 0o20000
+    };
+
+    // Status flags fcntl(F_SETFL) may change after open()
+    const SETFL_MASK = OPEN_FLAGS.O_APPEND | OPEN_FLAGS.O_NONBLOCK | OPEN_FLAGS.O_ASYNC;
+
+    const FCNTL_COMMANDS = {
+        F_GETFL: 3,
+        F_SETFL: 4,
+        F_SETOWN: 8,
+        F_GETOWN: 9
+    };
+
+    const SEEK_WHENCE = {
+        SEEK_SET: 0,
+        SEEK_CUR: 1,
+        SEEK_END: 2
+    };
+
+    class OpenFile {
+        constructor(fd, flags, owner, path, openedAt = Date.now()) {
+            this.fd = fd;
+            this.flags = flags;
+            this.path = path;
+            this.pid = owner.pid;
+            this.comm = owner.comm;
+            this.fPos = 0;
+            this.fOwner = 0;  // PID that receives SIGIO (F_SETOWN)
+            this.privateData = null;
+            this.openedAt = openedAt;
+            this.device = null;  // CharDevice this file was opened on
+            this.refCount = new AtomicT(1);  // f_count, held by the descriptor table entry
+        }
+
+        get accessMode() {
+            return this.flags & OPEN_FLAGS.O_ACCMODE;
+        }
+
+        canRead() {
+            return this.accessMode === OPEN_FLAGS.O_RDONLY || this.accessMode === OPEN_FLAGS.O_RDWR;
+        }
+
+        canWrite() {
+            return this.accessMode === OPEN_FLAGS.O_WRONLY || this.accessMode === OPEN_FLAGS.O_RDWR;
+        }
+
+        isNonBlocking() {
+            return (this.flags & OPEN_FLAGS.O_NONBLOCK) !== 0;
+        }
+
+        isAppend() {
+            return (this.flags & OPEN_FLAGS.O_APPEND) !== 0;
+        }
+
+        isAsync() {
+            return (this.flags & OPEN_FLAGS.O_ASYNC) !== 0;
+        }
+
+        describeFlags() {
+            const mode = ['O_RDONLY', 'O_WRONLY', 'O_RDWR'][this.accessMode] || 'O_ACCMODE';
+            const extra = ['O_APPEND', 'O_NONBLOCK', 'O_ASYNC'].filter(name => this.flags & OPEN_FLAGS[name]);
+            return [mode, ...extra].join('|');
+        }
+    }
+
+    class FileTable {
+        constructor(firstFd = 3, clock = REAL_CLOCK) {
+            // 0-2 are reserved for stdin/stdout/stderr
+            this.firstFd = firstFd;
+            this.clock = clock;
+            this.files = new Map();
+        }
+
+        get size() {
+            return this.files.size;
+        }
+
+        /**
+         * Install a new open file at the lowest free descriptor, as open(2) does
+         */
+        install(flags, owner, path) {
+            let fd = this.firstFd;
+            while (this.files.has(fd)) {
+                fd++;
+            }
+
+            const file = new OpenFile(fd, flags, owner, path, this.clock.now());
+            this.files.set(fd, file);
+            return file;
+        }
+
+        /**
+         * Look up a descriptor (fdget); unknown descriptors fail with EBADF
+         */
+        get(fd) {
+            const file = this.files.get(fd);
+            if (!file) {
+                throw new KernelError('EBADF', `fd ${fd} is not open`);
+            }
+            return file;
+        }
+
+        remove(fd) {
+            const file = this.get(fd);
+            this.files.delete(fd);
+            return file;
+        }
+
+        list() {
+            return Array.from(this.files.values());
+        }
+    }
+
+    return { OPEN_FLAGS, SETFL_MASK, FCNTL_COMMANDS, SEEK_WHENCE, OpenFile, FileTable };
+}));
@@ -0,0 +1,85 @@
+/**
+ * Linux errno Error Model
+ * Structured error codes returned by simulated device operations,
+ * rendered the same way strerror(3) / perror(3) would
+ */
+
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
+    }
+}(function () {
+    const ERRNO = {
+        EPERM: { code: 1, message: 'Operation not permitted' },
+        ENOENT: { code: 2, message: 'No such file or directory' },
+        ESRCH: { code: 3, message: 'No such process' },
+        EINTR: { code: 4, message: 'Interrupted system call' },
+        EIO: { code: 5, message: 'Input/output error' },
+        EBADF: { code: 9, message: 'Bad file descriptor' },
+        EAGAIN: { code: 11, message: 'Resource temporarily unavailable' },
+        ENOMEM: { code: 12, message: 'Cannot allocate memory' },
+        EACCES: { code: 13, message: 'Permission denied' },
+        EFAULT: { code: 14, message: 'Bad address' },
+        EBUSY: { code: 16, message: 'Device or resource busy' },
+        EEXIST: { code: 17, message: 'File exists' },
+        ENODEV: { code: 19, message: 'No such device' },
+        ENOTDIR: { code: 20, message: 'Not a directory' },
+        EISDIR: { code: 21, message: 'Is a directory' },
+        EINVAL: { code: 22, message: 'Invalid argument' },
+        ENOTTY: { code: 25, message: 'Inappropriate ioctl for device' },
+        ENOSPC: { code: 28, message: 'No space left on device' },
+        ESPIPE: { code: 29, message: 'Illegal seek' },
+        EDEADLK: { code: 35, message: 'Resource deadlock avoided' }
+    };
+
+    /**
+     * strerror(3): accepts a symbolic name ('ENODEV') or a number (19)
+     */
+    function strerror(errno) {
+        const name = typeof errno === 'number' ? errnoName(errno) : errno;
+        return ERRNO[name] ? ERRNO[name].message : `Unknown error ${errno}`;
+    }
+
+    function errnoName(code) {
+        return Object.keys(ERRNO).find(name => ERRNO[name].code === code) || null;
+    }
+
+    class KernelError extends Error {
+        constructor(name, detail = '') {
+            if (!ERRNO[name]) {
+                throw new TypeError(`Unknown errno: ${name}`);
+            }
+            super(ERRNO[name].message);
+            this.name = 'KernelError';
+            this.code = name;
+            this.errno = ERRNO[name].code;
+            this.detail = detail;
+        }
+
+        /**
+         * Wrap any thrown value; anything that is not already an errno becomes EIO
+         */
+        static from(error) {
+            if (error instanceof KernelError) return error;
+            return new KernelError('EIO', error && error.message ? error.message : String(error));
+        }
+
+        // Value a kernel function would return, e.g. -19 for ENODEV
+        get returnValue() {
+            return -this.errno;
+        }
+
+        toString() {
+            return `${this.message} (${this.code})`;
+        }
+
+        toLogString() {
+            const detail = this.detail ? `: ${this.detail}` : '';
+            return `${this.returnValue} ${this.code} (${this.message})${detail}`;
+        }
+    }
+
+    return { ERRNO, strerror, errnoName, KernelError };
+}));
@@ -0,0 +1,124 @@
+/**
+ * Fault Injection
+ * Modelled on the kernel's fail_* facilities (failslab, fail_usercopy, ...):
+ * each fault point has a probability, an interval between failures, a cap
+ * on how many times it may fire and a PID filter
+ */
+
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
+    }
+}(function (require) {
+    const { KernelError } = require('./kernel-errno.js');
+
+    const FAULT_TYPES = {
+        fail_usercopy: 'copy_from_user() / copy_to_user() fail with EFAULT',
+        failslab: 'kmalloc() for a buffer resize fails with ENOMEM',
+        fail_dma: 'DMA transfers abort part-way with a bus error',
+        fail_irq: 'interrupts are lost before their handler runs',
+        fail_latency: 'device operations stall for a latency spike'
+    };
+
+    // struct fault_attr
+    class FaultAttr {
+        constructor(name) {
+            this.name = name;
+            this.probability = 0;       // percent of eligible calls that fail; 0 disables
+            this.interval = 1;          // only every Nth eligible call may fail
+            this.times = -1;            // failures left, -1 for no limit
+            this.pid = null;            // only calls made by this PID fail (0: interrupt/DMA context)
+            this.delay = 500;           // ms added by a latency spike
+            this.verbose = true;        // log each injected failure
+            this.calls = 0;             // calls that passed the PID filter
+            this.injected = 0;
+        }
+
+        get enabled() {
+            return this.probability > 0 && this.times !== 0;
+        }
+
+        /**
+         * Update any of probability, interval, times, pid, delay and verbose;
+         * nothing changes if one of them is out of range
+         */
+        configure(options) {
+            const checks = {
+                probability: value => Number.isInteger(value) && value >= 0 && value <= 100,
+                interval: value => Number.isInteger(value) && value >= 1,
+                times: value => Number.isInteger(value) && value >= -1,
+                pid: value => value === null || (Number.isInteger(value) && value >= 0),
+                delay: value => Number.isInteger(value) && value >= 0,
+                verbose: value => typeof value === 'boolean'
+            };
+
+            Object.entries(options).forEach(([key, value]) => {
+                if (!checks[key]) {
+                    throw new KernelError('EINVAL', `${this.name}: unknown attribute ${key}`);
+                }
+                if (!checks[key](value)) {
+                    throw new KernelError('EINVAL', `${this.name}: invalid ${key} ${value}`);
+                }
+            });
+            Object.assign(this, options);
+            this.calls = 0;
+        }
+
+        describe() {
+            return {
+                name: this.name,
+                description: FAULT_TYPES[this.name],
+                enabled: this.enabled,
+                probability: this.probability,
+                interval: this.interval,
+                times: this.times,
+                pid: this.pid,
+                delay: this.delay,
+                verbose: this.verbose,
+                calls: this.calls,
+                injected: this.injected
+            };
+        }
+    }
+
+    class FaultInjector {
+        constructor(random = Math.random) {
+            this.random = random;
+            this.attrs = new Map(Object.keys(FAULT_TYPES).map(name => [name, new FaultAttr(name)]));
+        }
+
+        get(name) {
+            const attr = this.attrs.get(name);
+            if (!attr) {
+                throw new KernelError('EINVAL', `unknown fault type ${name}`);
+            }
+            return attr;
+        }
+
+        /**
+         * should_fail(): the same checks in the same order as the kernel,
+         * so interval and times count only calls the filter lets through
+         */
+        shouldFail(name, pid = 0) {
+            const attr = this.get(name);
+            if (!attr.enabled) return false;
+            if (attr.pid !== null && attr.pid !== pid) return false;
+
+            attr.calls++;
+            if (attr.interval > 1 && attr.calls % attr.interval !== 0) return false;
+            if (attr.probability <= this.random() * 100) return false;
+
+            if (attr.times > 0) attr.times--;
+            attr.injected++;
+            return true;
+        }
+
+        list() {
+            return Array.from(this.attrs.values()).map(attr => attr.describe());
+        }
+    }
+
+    return { FAULT_TYPES, FaultAttr, FaultInjector };
+}));
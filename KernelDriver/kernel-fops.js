@@ -0,0 +1,249 @@
+/**
+ * Pluggable File Operations
+ * Character drivers written in JS as a file_operations table. The
+ * simulator's system calls dispatch to a registered driver's callbacks
+ * for every node it owns, so new drivers load without touching the core.
+ *
+ * Callbacks, each passed the driver API (`kernel`) as the last argument:
+ *   open(file)                        - may set file.privateData; throw to refuse
+ *   read(file, count, ppos)           - Uint8Array or string of at most count
+ *                                       bytes, empty at EOF; advance ppos.pos
+ *   write(file, bytes, ppos)          - number of bytes accepted
+ *   llseek(file, offset, whence)      - set file.fPos and return it
+ *   unlocked_ioctl(file, cmd, arg)    - value handed back to userspace
+ *   poll(file)                        - current POLL_EVENTS mask
+ *   mmap(file, vma)                   - memory backing the mapping, at least vma.length bytes
+ *   release(file)                     - last reference to the file dropped
+ * read, write and unlocked_ioctl may be async; the others run to completion
+ * in the caller, so an async one is refused at registration. Failures are
+ * thrown as KernelErrors or returned C-style as a negative errno.
+ */
+
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
+    }
+}(function (require) {
+    const { ERRNO, errnoName, KernelError } = require('./kernel-errno.js');
+    const { REAL_CLOCK } = require('./sim-clock.js');
+    const { RingBuffer } = require('./ring-buffer.js');
+    const { WaitQueue } = require('./wait-queue.js');
+    const { POLL_EVENTS } = require('./kernel-poll.js');
+
+    const FOPS_CALLBACKS = ['open', 'read', 'write', 'llseek', 'unlocked_ioctl', 'poll', 'mmap', 'release'];
+
+    // The only callbacks the VFS awaits; the rest must return synchronously
+    const FOPS_ASYNC = ['read', 'write', 'unlocked_ioctl'];
+
+    // What the VFS does for a callback the driver leaves out
+    const FOPS_DEFAULTS = {
+        open: () => 0,
+        release: () => 0,
+        read: () => {
+            throw new KernelError('EINVAL', 'driver has no read()');
+        },
+        write: () => {
+            throw new KernelError('EINVAL', 'driver has no write()');
+        },
+        llseek: () => {
+            throw new KernelError('ESPIPE', 'driver has no llseek()');
+        },
+        unlocked_ioctl: () => {
+            throw new KernelError('ENOTTY', 'driver has no unlocked_ioctl()');
+        },
+        poll: () => POLL_EVENTS.POLLIN | POLL_EVENTS.POLLOUT,
+        mmap: () => {
+            throw new KernelError('ENODEV', 'driver has no mmap()');
+        }
+    };
+
+    // A negative number is an errno, as a C file operation would return it
+    function fopResult(result) {
+        if (typeof result === 'number' && result < 0) {
+            const name = errnoName(-result);
+            throw name ? new KernelError(name) : new KernelError('EIO', `driver returned ${result}`);
+        }
+        return result;
+    }
+
+    function checkFops(name, fops) {
+        if (!fops || typeof fops !== 'object') {
+            throw new KernelError('EINVAL', `${name}: file_operations must be an object`);
+        }
+        Object.keys(fops).forEach(key => {
+            if (!FOPS_CALLBACKS.includes(key)) {
+                throw new KernelError('EINVAL', `${name}: unknown file operation ${key}`);
+            }
+            if (typeof fops[key] !== 'function') {
+                throw new KernelError('EINVAL', `${name}: ${key} is not a function`);
+            }
+            if (!FOPS_ASYNC.includes(key) && fops[key].constructor.name === 'AsyncFunction') {
+                throw new KernelError('EINVAL', `${name}: ${key} may not be async`);
+            }
+        });
+    }
+
+    /**
+     * What a sync-only callback handed back. A promise (from a plain function
+     * returning one) would be taken for success, so it fails with EINVAL and
+     * its rejection is dropped rather than left unhandled.
+     */
+    function syncFopResult(name, result) {
+        if (result && typeof result.then === 'function') {
+            Promise.resolve(result).catch(() => {});
+            throw new KernelError('EINVAL', `${name}() returned a promise; only ${FOPS_ASYNC.join(', ')} may be async`);
+        }
+        return fopResult(result);
+    }
+
+    /**
+     * One minor of a fops driver: the cdev, its node and whatever state the
+     * driver keeps in `data` (what container_of() on the cdev would reach)
+     */
+    class FopsDevice {
+        constructor(name, major, minor, driver, clock = REAL_CLOCK) {
+            this.name = name;
+            this.major = major;
+            this.minor = minor;
+            this.path = `/dev/${name}`;
+            this.driver = driver;
+            this.fops = driver.fops;
+            this.removed = false;
+            this.data = {};
+
+            this.waitQueue = new WaitQueue(`${name}.wait`, clock);
+            this.pollQueue = new WaitQueue(`${name}.poll`, clock);
+            this.asyncQueue = [];
+            this.mapCount = 0;
+            this.pageFaults = 0;
+            this.powerControl = 'auto';
+
+            this.stats = {
+                bytesRead: 0,
+                bytesWritten: 0,
+                openCount: 0,
+                ioctlCount: 0
+            };
+        }
+
+        get devt() {
+            return `${this.major}:${this.minor}`;
+        }
+
+        // pread()/pwrite() are allowed when the driver can seek
+        isRandomAccess() {
+            return typeof this.fops.llseek === 'function';
+        }
+
+        getSleeperCount() {
+            return this.waitQueue.length + this.pollQueue.length;
+        }
+
+        interruptWaiters(error) {
+            return this.waitQueue.interruptAll(error) + this.pollQueue.interruptAll(error);
+        }
+    }
+
+    // null_lseek(): /dev/null and /dev/zero stay at offset 0
+    function nullLlseek(file) {
+        file.fPos = 0;
+        return 0;
+    }
+
+    // noop_llseek(): succeed without moving
+    function noopLlseek(file) {
+        return file.fPos;
+    }
+
+    const NULL_FOPS = {
+        read: () => new Uint8Array(0),
+        write: (file, bytes) => bytes.length,
+        llseek: nullLlseek
+    };
+
+    const ZERO_FOPS = {
+        read: (file, count) => new Uint8Array(count),
+        write: (file, bytes) => bytes.length,
+        llseek: nullLlseek,
+        // A private mapping of zero-filled pages
+        mmap: (file, vma) => new Uint8Array(vma.length)
+    };
+
+    const URANDOM_FOPS = {
+        read: (file, count, ppos, kernel) => kernel.getRandomBytes(count),
+        // Writes mix into the pool without crediting entropy
+        write: (file, bytes) => bytes.length,
+        llseek: noopLlseek
+    };
+
+    const ECHO_BUFFER_SIZE = 4096;
+    const FIONREAD = 0x541B;
+
+    /**
+     * Loopback device: whatever is written comes back out of read(), in order.
+     * Shows a driver that sleeps, wakes and reports readiness.
+     */
+    const ECHO_FOPS = {
+        open(file) {
+            const data = file.device.data;
+            if (!data.pending) {
+                data.pending = new RingBuffer(ECHO_BUFFER_SIZE);
+            }
+        },
+
+        async read(file, count, ppos, kernel) {
+            const pending = file.device.data.pending;
+            if (pending.isEmpty()) {
+                if (file.isNonBlocking()) {
+                    throw new KernelError('EAGAIN', 'nothing to echo');
+                }
+                await kernel.waitEvent(() => !pending.isEmpty());
+            }
+            const bytes = pending.read(count);
+            kernel.wakeUp();
+            return bytes;
+        },
+
+        async write(file, bytes, ppos, kernel) {
+            const pending = file.device.data.pending;
+            if (pending.isFull()) {
+                if (file.isNonBlocking()) {
+                    throw new KernelError('EAGAIN', 'echo buffer full');
+                }
+                await kernel.waitEvent(() => !pending.isFull());
+            }
+            const { written } = pending.write(bytes);
+            kernel.wakeUp();
+            kernel.killFasync('POLL_IN');
+            return written;
+        },
+
+        unlocked_ioctl(file, cmd) {
+            // Bytes waiting to be read back
+            return cmd === FIONREAD ? file.device.data.pending.used : -ERRNO.ENOTTY.code;
+        },
+
+        poll(file) {
+            const pending = file.device.data.pending;
+            return (pending.isEmpty() ? 0 : POLL_EVENTS.POLLIN) | (pending.isFull() ? 0 : POLL_EVENTS.POLLOUT);
+        }
+    };
+
+    /**
+     * Reference drivers registered at boot. The memory devices keep their
+     * fixed numbers under major 1; the echo device takes a dynamic major.
+     */
+    const BUILTIN_DRIVERS = [
+        { name: 'null', fops: NULL_FOPS, options: { major: 1, baseMinor: 3, region: 'mem' } },
+        { name: 'zero', fops: ZERO_FOPS, options: { major: 1, baseMinor: 5, region: 'mem' } },
+        { name: 'urandom', fops: URANDOM_FOPS, options: { major: 1, baseMinor: 9, region: 'mem' } },
+        { name: 'echo', fops: ECHO_FOPS, options: {} }
+    ];
+
+    return {
+        FOPS_CALLBACKS, FOPS_ASYNC, FOPS_DEFAULTS, fopResult, checkFops, syncFopResult, FopsDevice,
+        nullLlseek, noopLlseek, FIONREAD, BUILTIN_DRIVERS
+    };
+}));
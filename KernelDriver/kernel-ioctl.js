@@ -0,0 +1,145 @@
+/**
+ * ioctl Command Encoding
+ * Mirrors <uapi/asm-generic/ioctl.h>: each command number packs a direction,
+ * argument size, magic (type) byte and sequence number into 32 bits
+ */
+
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
+    }
+}(function () {
+    const IOC_NRBITS = 8;
+    const IOC_TYPEBITS = 8;
+    const IOC_SIZEBITS = 14;
+
+    const IOC_NRSHIFT = 0;
+    const IOC_TYPESHIFT = IOC_NRSHIFT + IOC_NRBITS;
+    const IOC_SIZESHIFT = IOC_TYPESHIFT + IOC_TYPEBITS;
+    const IOC_DIRSHIFT = IOC_SIZESHIFT + IOC_SIZEBITS;
+
+    const IOC_NONE = 0;
+    const IOC_WRITE = 1;    // userspace writes, the driver reads the argument
+    const IOC_READ = 2;     // the driver fills in the argument for userspace
+
+    /**
+     * Argument types the driver understands, with their sizeof() and a check
+     * applied before the value is "copied from user"
+     */
+    const IOCTL_ARG_TYPES = {
+        int: { size: 4, valid: value => Number.isInteger(value) && value >= -0x80000000 && value <= 0x7FFFFFFF },
+        uint: { size: 4, valid: value => Number.isInteger(value) && value >= 0 && value <= 0xFFFFFFFF },
+        // struct mychardev_stats { __u64 bytes_read, bytes_written, open_count, ioctl_count, bytes_overwritten; }
+        mychardev_stats: { size: 40 },
+        // struct mychardev_status { __u32 loaded, mode, policy, used, size, open_files, logging, log_level; }
+        mychardev_status: { size: 32 }
+    };
+
+    function _IOC(dir, type, nr, size) {
+        return ((dir << IOC_DIRSHIFT) |
+            (size << IOC_SIZESHIFT) |
+            (type << IOC_TYPESHIFT) |
+            (nr << IOC_NRSHIFT)) >>> 0;
+    }
+
+    function sizeofArg(argType) {
+        if (!IOCTL_ARG_TYPES[argType]) {
+            throw new TypeError(`Unknown ioctl argument type: ${argType}`);
+        }
+        return IOCTL_ARG_TYPES[argType].size;
+    }
+
+    function _IO(type, nr) {
+        return _IOC(IOC_NONE, type, nr, 0);
+    }
+
+    function _IOR(type, nr, argType) {
+        return _IOC(IOC_READ, type, nr, sizeofArg(argType));
+    }
+
+    function _IOW(type, nr, argType) {
+        return _IOC(IOC_WRITE, type, nr, sizeofArg(argType));
+    }
+
+    function _IOWR(type, nr, argType) {
+        return _IOC(IOC_READ | IOC_WRITE, type, nr, sizeofArg(argType));
+    }
+
+    function _IOC_DIR(cmd) {
+        return (cmd >>> IOC_DIRSHIFT) & ((1 << 2) - 1);
+    }
+
+    function _IOC_TYPE(cmd) {
+        return (cmd >>> IOC_TYPESHIFT) & ((1 << IOC_TYPEBITS) - 1);
+    }
+
+    function _IOC_NR(cmd) {
+        return (cmd >>> IOC_NRSHIFT) & ((1 << IOC_NRBITS) - 1);
+    }
+
+    function _IOC_SIZE(cmd) {
+        return (cmd >>> IOC_SIZESHIFT) & ((1 << IOC_SIZEBITS) - 1);
+    }
+
+    // Magic number for this driver, 'k' (see Documentation/userspace-api/ioctl/ioctl-number.rst)
+    const MYCHARDEV_IOC_MAGIC = 'k'.charCodeAt(0);
+
+    // Storage modes as passed to SET_MODE
+    const STORAGE_MODES = ['fifo', 'random'];
+
+    /**
+     * The driver's command set, as a userspace header would publish it.
+     * argType is the type behind the pointer argument, if any.
+     */
+    const IOCTL_COMMANDS = {
+        CLEAR_BUFFER: { cmd: _IO(MYCHARDEV_IOC_MAGIC, 0) },
+        SET_BUFFER_SIZE: { cmd: _IOW(MYCHARDEV_IOC_MAGIC, 1, 'uint'), argType: 'uint' },
+        GET_BUFFER_SIZE: { cmd: _IOR(MYCHARDEV_IOC_MAGIC, 2, 'uint'), argType: 'uint' },
+        ENABLE_LOGGING: { cmd: _IO(MYCHARDEV_IOC_MAGIC, 3) },
+        DISABLE_LOGGING: { cmd: _IO(MYCHARDEV_IOC_MAGIC, 4) },
+        GET_STATS: { cmd: _IOR(MYCHARDEV_IOC_MAGIC, 5, 'mychardev_stats'), argType: 'mychardev_stats' },
+        RESET_STATS: { cmd: _IO(MYCHARDEV_IOC_MAGIC, 6) },
+        SET_LOG_LEVEL: { cmd: _IOW(MYCHARDEV_IOC_MAGIC, 7, 'int'), argType: 'int' },
+        GET_STATUS: { cmd: _IOR(MYCHARDEV_IOC_MAGIC, 8, 'mychardev_status'), argType: 'mychardev_status' },
+        SET_NONBLOCK: { cmd: _IOW(MYCHARDEV_IOC_MAGIC, 9, 'int'), argType: 'int' },
+        SET_MODE: { cmd: _IOW(MYCHARDEV_IOC_MAGIC, 10, 'int'), argType: 'int' }
+    };
+
+    const MYCHARDEV_IOC_MAXNR = 10;
+
+    /**
+     * Decode a command number back to its table entry, or null if this
+     * driver does not implement it
+     */
+    function ioctlLookup(cmd) {
+        if (!Number.isInteger(cmd) || _IOC_TYPE(cmd) !== MYCHARDEV_IOC_MAGIC || _IOC_NR(cmd) > MYCHARDEV_IOC_MAXNR) {
+            return null;
+        }
+        const name = Object.keys(IOCTL_COMMANDS).find(key => IOCTL_COMMANDS[key].cmd === cmd);
+        return name ? { name, ...IOCTL_COMMANDS[name] } : null;
+    }
+
+    /**
+     * Render a command the way strace does, e.g. _IOW('k', 1, 4) for 0x40046b01
+     */
+    function describeIoctl(cmd) {
+        if (!Number.isInteger(cmd)) {
+            return String(cmd);
+        }
+        const macro = ['_IO', '_IOW', '_IOR', '_IOWR'][_IOC_DIR(cmd)];
+        const type = `'${String.fromCharCode(_IOC_TYPE(cmd))}'`;
+        const args = _IOC_DIR(cmd) === IOC_NONE ?
+            `${type}, ${_IOC_NR(cmd)}` :
+            `${type}, ${_IOC_NR(cmd)}, ${_IOC_SIZE(cmd)}`;
+        return `${macro}(${args})`;
+    }
+
+    return {
+        IOC_NONE, IOC_WRITE, IOC_READ, IOCTL_ARG_TYPES,
+        _IOC, _IO, _IOR, _IOW, _IOWR, _IOC_DIR, _IOC_TYPE, _IOC_NR, _IOC_SIZE,
+        MYCHARDEV_IOC_MAGIC, MYCHARDEV_IOC_MAXNR, STORAGE_MODES, IOCTL_COMMANDS,
+        ioctlLookup, describeIoctl
+    };
+}));
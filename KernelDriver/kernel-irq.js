@@ -0,0 +1,322 @@
+/**
+ * Interrupt Subsystem
+ * request_irq()/free_irq() per line, shared lines (IRQF_SHARED) whose
+ * handlers each say whether their device raised the interrupt, and the
+ * bottom halves that finish the work later: softirqs, tasklets (run from
+ * the TASKLET softirq) and threaded handlers in process context.
+ */
+
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
+    }
+}(function (require) {
+    const { KernelError } = require('./kernel-errno.js');
+    const { REAL_CLOCK } = require('./sim-clock.js');
+    const { irqContext } = require('./kernel-sync.js');
+
+    // What a handler returns
+    const IRQ_NONE = 0;         // not my device
+    const IRQ_HANDLED = 1;
+    const IRQ_WAKE_THREAD = 2;  // run the threaded handler
+
+    const IRQF_SHARED = 0x80;
+    const IRQF_ONESHOT = 0x2000;    // keep the line masked until the thread is done
+
+    const NR_IRQS = 16;
+
+    // The softirq vectors in priority order, as /proc/softirqs lists them
+    const SOFTIRQ_NAMES = ['HI', 'TIMER', 'NET_TX', 'NET_RX', 'BLOCK', 'IRQ_POLL', 'TASKLET', 'SCHED', 'HRTIMER', 'RCU'];
+    const SOFTIRQ = Object.fromEntries(SOFTIRQ_NAMES.map((name, nr) => [name, nr]));
+
+    // __do_softirq() goes round at most this many times before leaving the rest to ksoftirqd
+    const MAX_SOFTIRQ_RESTART = 10;
+
+    // Softirqs and tasklets may not sleep either, but are not hardirq context
+    function softirqContext(cpu) {
+        return { pid: 0, comm: `ksoftirqd/${cpu}`, softirq: true };
+    }
+
+    /**
+     * tasklet_struct: deferred work run once per schedule on the CPU that
+     * scheduled it, never concurrently with itself
+     */
+    class Tasklet {
+        constructor(name, func, data = null) {
+            this.name = name;
+            this.func = func;       // func(data, context)
+            this.data = data;
+            this.scheduled = false;
+            this.runs = 0;
+        }
+    }
+
+    class IrqController {
+        /**
+         * `log(level, message, task)` reports what the kernel would print;
+         * `clock` runs threaded handlers and ksoftirqd after the current event
+         */
+        constructor(nrCpus, clock = REAL_CLOCK, log = () => {}) {
+            this.nrCpus = nrCpus;
+            this.clock = clock;
+            this.log = log;
+            this.descs = Array.from({ length: NR_IRQS }, (_, irq) => ({
+                irq,
+                actions: [],
+                counts: new Array(nrCpus).fill(0),  // kstat_irqs per CPU
+                unhandled: 0,
+                masked: false,      // IRQF_ONESHOT: until the threads finish
+                pending: false,     // raised while masked, on pendingCpu
+                pendingCpu: 0,
+                threadsRunning: 0
+            }));
+            this.softirqActions = new Array(SOFTIRQ_NAMES.length).fill(null);
+            this.softirqCounts = SOFTIRQ_NAMES.map(() => new Array(nrCpus).fill(0));
+            this.softirqPending = new Array(nrCpus).fill(0);    // bitmask per CPU
+            this.taskletLists = Array.from({ length: nrCpus }, () => []);
+            this.hardirqCpu = null;     // the CPU running a hard handler
+
+            this.openSoftirq(SOFTIRQ.TASKLET, cpu => this.runTasklets(cpu));
+        }
+
+        desc(irq) {
+            if (!Number.isInteger(irq) || irq < 0 || irq >= NR_IRQS) {
+                throw new KernelError('EINVAL', `no IRQ ${irq}, lines are 0-${NR_IRQS - 1}`);
+            }
+            return this.descs[irq];
+        }
+
+        /**
+         * request_threaded_irq(): `handler(irq, devId, context)` runs in hardirq
+         * context and returns IRQ_NONE, IRQ_HANDLED or IRQ_WAKE_THREAD;
+         * `threadFn(irq, devId, task)` may sleep. A shared line needs IRQF_SHARED
+         * and a devId from every handler, and the same IRQF_ONESHOT setting.
+         */
+        request(irq, handler, threadFn, flags, name, devId = null) {
+            const desc = this.desc(irq);
+            if (!handler && !threadFn) {
+                throw new KernelError('EINVAL', `${name}: IRQ ${irq} needs a handler`);
+            }
+            if (!handler && !(flags & IRQF_ONESHOT)) {
+                // The line would fire again before the thread ran
+                throw new KernelError('EINVAL', `${name}: threaded IRQ ${irq} with no primary handler needs IRQF_ONESHOT`);
+            }
+            if ((flags & IRQF_SHARED) && devId == null) {
+                throw new KernelError('EINVAL', `${name}: shared IRQ ${irq} needs a dev_id`);
+            }
+            if (desc.actions.length > 0) {
+                const first = desc.actions[0];
+                if (!(flags & IRQF_SHARED) || !(first.flags & IRQF_SHARED)) {
+                    throw new KernelError('EBUSY', `IRQ ${irq} is in use by ${desc.actions.map(action => action.name).join(', ')}`);
+                }
+                if ((flags & IRQF_ONESHOT) !== (first.flags & IRQF_ONESHOT)) {
+                    throw new KernelError('EBUSY', `IRQ ${irq}: ${name} and ${first.name} disagree on IRQF_ONESHOT`);
+                }
+            }
+
+            desc.actions.push({
+                // irq_default_primary_handler()
+                handler: handler || (() => IRQ_WAKE_THREAD),
+                threadFn,
+                flags,
+                name,
+                devId,
+                threadTask: threadFn ? { pid: 0, comm: `irq/${irq}-${name}` } : null,
+                threadWanted: false,
+                threadRunning: false
+            });
+            desc.unhandled = 0;
+        }
+
+        // free_irq(): remove the handler registered with devId; returns its name
+        free(irq, devId = null) {
+            const desc = this.desc(irq);
+            const index = desc.actions.findIndex(action => action.devId === devId);
+            if (index === -1) {
+                throw new KernelError('EINVAL', `Trying to free already-free IRQ ${irq}`);
+            }
+            const [action] = desc.actions.splice(index, 1);
+            if (desc.actions.length === 0) {
+                desc.masked = false;
+                desc.pending = false;
+            }
+            return action.name;
+        }
+
+        /**
+         * handle_irq() for a line raised on `cpu`: every handler on the line
+         * runs, then softirqs raised meanwhile. Returns IRQ_HANDLED if any
+         * handler claimed it, IRQ_NONE otherwise, or null while the line is
+         * masked: the controller latches it and delivers it on unmask.
+         */
+        raise(irq, cpu = 0) {
+            const desc = this.desc(irq);
+            if (desc.masked) {
+                desc.pending = true;
+                desc.pendingCpu = cpu;
+                return null;
+            }
+            desc.counts[cpu]++;
+
+            const context = { cpu, task: irqContext(irq) };
+            let result = IRQ_NONE;
+            this.hardirqCpu = cpu;
+            try {
+                desc.actions.slice().forEach(action => {
+                    let ret;
+                    try {
+                        ret = action.handler(irq, action.devId, context);
+                    } catch (error) {
+                        this.log('ERROR', `irq ${irq}: handler ${action.name} failed: ${KernelError.from(error).toLogString()}`, context.task);
+                        return;
+                    }
+                    if (ret !== IRQ_NONE && ret !== IRQ_HANDLED && ret !== IRQ_WAKE_THREAD) {
+                        this.log('ERROR', `irq ${irq}: ${action.name} returned bogus value ${ret}`, context.task);
+                        return;
+                    }
+                    if (ret === IRQ_WAKE_THREAD) {
+                        if (!action.threadFn) {
+                            this.log('WARNING', `irq ${irq}: ${action.name} woke a thread it does not have`, context.task);
+                            return;
+                        }
+                        this.wakeThread(desc, action);
+                    }
+                    result |= ret;
+                });
+            } finally {
+                this.hardirqCpu = null;
+            }
+
+            if (result === IRQ_NONE) {
+                // note_interrupt(): reported once until a handler is added
+                if (desc.unhandled++ === 0) {
+                    this.log('ERROR', `irq ${irq}: nobody cared${desc.actions.length > 0 ?
+                        ` (handlers: ${desc.actions.map(action => action.name).join(', ')})` : ''}`, context.task);
+                }
+            }
+            if (desc.threadsRunning > 0 && desc.actions.some(action => action.flags & IRQF_ONESHOT)) {
+                desc.masked = true;
+            }
+
+            // irq_exit()
+            this.doSoftirq(cpu);
+            return result === IRQ_NONE ? IRQ_NONE : IRQ_HANDLED;
+        }
+
+        /**
+         * The irq/N-name thread: runs after the hardirq returns, and once more
+         * if woken again while running
+         */
+        wakeThread(desc, action) {
+            action.threadWanted = true;
+            if (action.threadRunning) return;
+
+            action.threadRunning = true;
+            desc.threadsRunning++;
+            this.clock.setTimeout(async () => {
+                while (action.threadWanted) {
+                    action.threadWanted = false;
+                    try {
+                        await action.threadFn(desc.irq, action.devId, action.threadTask);
+                    } catch (error) {
+                        this.log('ERROR', `irq ${desc.irq}: thread ${action.name} failed: ${KernelError.from(error).toLogString()}`, action.threadTask);
+                    }
+                }
+                action.threadRunning = false;
+                if (--desc.threadsRunning === 0 && desc.masked) {
+                    desc.masked = false;
+                    if (desc.pending) {
+                        desc.pending = false;
+                        this.raise(desc.irq, desc.pendingCpu);
+                    }
+                }
+            }, 0);
+        }
+
+        // open_softirq(): `action(cpu)` runs whenever the vector is raised
+        openSoftirq(nr, action) {
+            this.softirqActions[nr] = action;
+        }
+
+        /**
+         * raise_softirq(): from an interrupt handler on the same CPU it runs
+         * on the way out; otherwise ksoftirqd picks it up
+         */
+        raiseSoftirq(nr, cpu = 0) {
+            const idle = this.softirqPending[cpu] === 0;
+            this.softirqPending[cpu] |= 1 << nr;
+            if (this.hardirqCpu !== cpu && idle) {
+                this.clock.setTimeout(() => this.doSoftirq(cpu), 0);
+            }
+        }
+
+        // __do_softirq(): pending vectors in priority order, restarting while more arrive
+        doSoftirq(cpu) {
+            for (let round = 0; round < MAX_SOFTIRQ_RESTART && this.softirqPending[cpu]; round++) {
+                const pending = this.softirqPending[cpu];
+                this.softirqPending[cpu] = 0;
+                SOFTIRQ_NAMES.forEach((name, nr) => {
+                    if (!(pending & (1 << nr)) || !this.softirqActions[nr]) return;
+                    this.softirqCounts[nr][cpu]++;
+                    try {
+                        this.softirqActions[nr](cpu);
+                    } catch (error) {
+                        this.log('ERROR', `softirq ${name} failed: ${KernelError.from(error).toLogString()}`, softirqContext(cpu));
+                    }
+                });
+            }
+            if (this.softirqPending[cpu]) {
+                this.clock.setTimeout(() => this.doSoftirq(cpu), 0);
+            }
+        }
+
+        /**
+         * tasklet_schedule(): queue on `cpu` unless already queued. Returns
+         * false if it was, since scheduling twice still runs it once.
+         */
+        taskletSchedule(tasklet, cpu = 0) {
+            if (tasklet.scheduled) return false;
+            tasklet.scheduled = true;
+            tasklet.cpu = cpu;
+            this.taskletLists[cpu].push(tasklet);
+            this.raiseSoftirq(SOFTIRQ.TASKLET, cpu);
+            return true;
+        }
+
+        // tasklet_kill(): drop it if queued
+        taskletKill(tasklet) {
+            if (!tasklet.scheduled) return;
+            this.taskletLists[tasklet.cpu] = this.taskletLists[tasklet.cpu].filter(queued => queued !== tasklet);
+            tasklet.scheduled = false;
+        }
+
+        // tasklet_action(): the TASKLET softirq
+        runTasklets(cpu) {
+            const list = this.taskletLists[cpu];
+            this.taskletLists[cpu] = [];
+            const context = { cpu, task: softirqContext(cpu) };
+            list.forEach(tasklet => {
+                // Cleared first, so the tasklet can schedule itself again
+                tasklet.scheduled = false;
+                tasklet.runs++;
+                try {
+                    tasklet.func(tasklet.data, context);
+                } catch (error) {
+                    this.log('ERROR', `tasklet ${tasklet.name} failed: ${KernelError.from(error).toLogString()}`, context.task);
+                }
+            });
+        }
+
+        // Lines with a handler or a count, for /proc/interrupts
+        activeLines() {
+            return this.descs.filter(desc => desc.actions.length > 0 || desc.counts.some(count => count > 0));
+        }
+    }
+
+    return {
+        IRQ_NONE, IRQ_HANDLED, IRQ_WAKE_THREAD, IRQF_SHARED, IRQF_ONESHOT, NR_IRQS,
+        SOFTIRQ_NAMES, SOFTIRQ, softirqContext, Tasklet, IrqController
+    };
+}));
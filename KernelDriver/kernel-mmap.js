@@ -0,0 +1,135 @@
+/**
+ * Memory Mapping
+ * A MAP_SHARED vm_area_struct over a device's random-access storage.
+ * Pages are faulted in on first touch; loads and stores go straight to
+ * the driver's buffer, so read() and write() see the same bytes. A fops
+ * driver's mmap() may instead hand over memory of its own (`pages`).
+ */
+
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
+    }
+}(function (require) {
+    const { KernelError } = require('./kernel-errno.js');
+
+    // Scaled down from 4 KB so a default 1 KB buffer spans several pages
+    const PAGE_SHIFT = 8;
+    const PAGE_SIZE = 1 << PAGE_SHIFT;
+
+    const PROT = {
+        PROT_NONE: 0x0,
+        PROT_READ: 0x1,
+        PROT_WRITE: 0x2
+    };
+
+    // Base of the simulated mmap area in each process's address space
+    const MMAP_BASE = 0x7f0000000000;
+
+    function pageAlign(length) {
+        return Math.ceil(length / PAGE_SIZE) * PAGE_SIZE;
+    }
+
+    function describeProt(prot) {
+        return (prot & PROT.PROT_READ ? 'r' : '-') + (prot & PROT.PROT_WRITE ? 'w' : '-') + 's';
+    }
+
+    class VmArea {
+        constructor(simulator, file, start, length, pgoff, prot) {
+            this.simulator = simulator;
+            this.file = file;
+            this.device = file.device;
+            this.start = start;         // vm_start
+            this.length = length;       // vm_end - vm_start, page aligned
+            this.pgoff = pgoff;         // first device page mapped
+            this.prot = prot;
+            this.pages = null;          // memory from a fops driver's mmap(), mapped from offset 0
+            this.present = new Set();   // page indexes with a page table entry
+            this.faults = 0;
+            this.unmapped = false;
+        }
+
+        get end() {
+            return this.start + this.length;
+        }
+
+        get pageCount() {
+            return this.length >> PAGE_SHIFT;
+        }
+
+        /**
+         * Load `count` bytes at `offset` into the mapping
+         */
+        read(offset, count) {
+            this.access(offset, count, PROT.PROT_READ);
+            if (this.pages) {
+                return this.pages.slice(offset, offset + count);
+            }
+            const base = (this.pgoff << PAGE_SHIFT) + offset;
+            return this.device.memoryRegion.view.slice(base, base + count);
+        }
+
+        /**
+         * Store bytes at `offset`. The data lands in the device buffer exactly
+         * as a write() at the same file offset would, counters included.
+         */
+        write(offset, data) {
+            const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+            this.access(offset, bytes.length, PROT.PROT_WRITE);
+            if (this.pages) {
+                this.pages.set(bytes, offset);
+                return bytes.length;
+            }
+
+            const written = this.device.memoryRegion.write((this.pgoff << PAGE_SHIFT) + offset, bytes);
+            this.simulator.accountMappedWrite(this, written);
+            return written;
+        }
+
+        /**
+         * Check bounds and protection, faulting in every page the access touches
+         */
+        access(offset, count, needed) {
+            if (this.unmapped) {
+                throw new KernelError('EFAULT', `mapping at 0x${this.start.toString(16)} was unmapped`);
+            }
+            if (this.device.removed) {
+                throw new KernelError('EFAULT', `${this.device.path} has been removed (SIGBUS)`);
+            }
+            if (!(this.prot & needed)) {
+                throw new KernelError('EFAULT', `${needed === PROT.PROT_WRITE ? 'write to' : 'read from'} a ${describeProt(this.prot)} mapping (SIGSEGV)`);
+            }
+            if (!Number.isInteger(offset) || offset < 0 || count < 0 || offset + count > this.length) {
+                throw new KernelError('EFAULT', `access at +${offset} (${count} bytes) outside the ${this.length}-byte mapping (SIGSEGV)`);
+            }
+            // The last page may extend past the end of the buffer
+            if (!this.pages && (this.pgoff << PAGE_SHIFT) + offset + count > this.device.bufferSize) {
+                throw new KernelError('EFAULT', `access at +${offset} runs past the end of ${this.device.path} (SIGBUS)`);
+            }
+
+            if (count === 0) return;
+            for (let page = offset >> PAGE_SHIFT; page <= (offset + count - 1) >> PAGE_SHIFT; page++) {
+                if (!this.present.has(page)) {
+                    this.fault(page, needed === PROT.PROT_WRITE);
+                }
+            }
+        }
+
+        // vm_ops->fault(): map the device page backing this virtual page
+        fault(page, write) {
+            this.present.add(page);
+            this.faults++;
+            this.device.pageFaults++;
+            this.simulator.logKernel('DEBUG', `${this.device.name}: page fault at 0x${(this.start + (page << PAGE_SHIFT)).toString(16)} (pgoff ${this.pgoff + page}, ${write ? 'write' : 'read'})`, this.file);
+        }
+
+        describe() {
+            return `${this.start.toString(16)}-${this.end.toString(16)} ${describeProt(this.prot)} ` +
+                `${(this.pgoff << PAGE_SHIFT).toString(16).padStart(8, '0')} ${this.device.devt} ${this.device.path}`;
+        }
+    }
+
+    return { PAGE_SHIFT, PAGE_SIZE, PROT, MMAP_BASE, pageAlign, describeProt, VmArea };
+}));
@@ -0,0 +1,131 @@
+/**
+ * Loadable Module Support
+ * module_param() declarations parsed from insmod arguments, and the
+ * loaded module's state and reference count (try_module_get/module_put)
+ */
+
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
+    }
+}(function (require) {
+    const { KernelError } = require('./kernel-errno.js');
+    const { REAL_CLOCK } = require('./sim-clock.js');
+    const { AtomicT } = require('./kernel-sync.js');
+
+    // As /proc/modules shows them
+    const MODULE_STATES = {
+        COMING: 'Loading',
+        LIVE: 'Live',
+        GOING: 'Unloading'
+    };
+
+    /**
+     * The driver's module_param()s: type, default value, allowed range and
+     * the permissions of its file under /sys/module/<name>/parameters
+     */
+    const MODULE_PARAMS = {
+        buffer_size: { type: 'uint', value: 1024, min: 1, max: 8192, perm: 0o444, description: 'size of each minor\'s buffer in bytes' },
+        nr_devs: { type: 'uint', value: 4, min: 1, max: 8, perm: 0o444, description: 'number of minors to create' },
+        log_level: { type: 'int', value: 8, min: 1, max: 8, perm: 0o644, description: 'console loglevel (1-8)' },
+        debug: { type: 'bool', value: true, perm: 0o644, description: 'log driver activity below WARNING' },
+        irq: { type: 'uint', value: 11, min: 1, max: 15, perm: 0o444, description: 'interrupt line of the device (shared)' },
+        watchdog_ms: { type: 'uint', value: 0, min: 0, max: 60000, perm: 0o644, description: 'check for lost interrupts every N ms (0 = off)' }
+    };
+
+    /**
+     * Parse insmod arguments ("buffer_size=4096 log_level=7", as a string or
+     * a list) into a value for every parameter, defaults filled in. Unknown
+     * names fail with ENOENT and bad values with EINVAL, as the kernel does.
+     */
+    function parseModuleParams(args = []) {
+        const words = typeof args === 'string' ? args.split(/\s+/).filter(Boolean) : args;
+        const values = Object.fromEntries(Object.entries(MODULE_PARAMS).map(([name, param]) => [name, param.value]));
+
+        words.forEach(word => {
+            const eq = word.indexOf('=');
+            const name = eq === -1 ? word : word.slice(0, eq);
+            const text = eq === -1 ? null : word.slice(eq + 1);
+            if (!MODULE_PARAMS[name]) {
+                throw new KernelError('ENOENT', `Unknown parameter \`${name}'`);
+            }
+            values[name] = parseParamValue(name, text);
+        });
+        return values;
+    }
+
+    function parseParamValue(name, text) {
+        const param = MODULE_PARAMS[name];
+        const invalid = () => new KernelError('EINVAL', `\`${text}' invalid for parameter \`${name}'`);
+
+        if (param.type === 'bool') {
+            // A bare boolean parameter means true
+            if (text === null || /^(1|y|Y|on)$/.test(text)) return true;
+            if (/^(0|n|N|off)$/.test(text)) return false;
+            throw invalid();
+        }
+
+        const pattern = param.type === 'uint' ? /^(0x[0-9a-f]+|\d+)$/i : /^-?(0x[0-9a-f]+|\d+)$/i;
+        if (text === null || !pattern.test(text)) {
+            throw invalid();
+        }
+        const value = text.startsWith('-') ? -Number(text.slice(1)) : Number(text);
+        if (value < param.min || value > param.max) {
+            throw invalid();
+        }
+        return value;
+    }
+
+    // How /sys/module/<name>/parameters/<param> reads
+    function formatModuleParam(name, value) {
+        return MODULE_PARAMS[name].type === 'bool' ? (value ? 'Y' : 'N') : String(value);
+    }
+
+    class KernelModule {
+        constructor(name, params, clock = REAL_CLOCK) {
+            this.name = name;
+            this.params = params;
+            this.state = MODULE_STATES.COMING;
+            this.refcount = new AtomicT(0);     // open files using the module's file_operations
+            this.loadedAt = clock.now();
+        }
+
+        get users() {
+            return this.refcount.read();
+        }
+
+        // try_module_get(): no new users once unloading has started
+        tryGet() {
+            if (this.state !== MODULE_STATES.LIVE) return false;
+            this.refcount.inc();
+            return true;
+        }
+
+        put() {
+            this.refcount.dec();
+        }
+
+        // A write to a writable parameter's sysfs file after load
+        setParam(name, text) {
+            if (!MODULE_PARAMS[name]) {
+                throw new KernelError('ENOENT', `Unknown parameter \`${name}'`);
+            }
+            this.params[name] = parseParamValue(name, text);
+            return this.params[name];
+        }
+
+        describe() {
+            return {
+                name: this.name,
+                state: this.state,
+                refcount: this.users,
+                params: { ...this.params },
+                loadedAt: this.loadedAt
+            };
+        }
+    }
+
+    return { MODULE_STATES, MODULE_PARAMS, parseModuleParams, formatModuleParam, KernelModule };
+}));
@@ -0,0 +1,125 @@
+/**
+ * poll/epoll Readiness Notification
+ * Event masks as in <uapi/asm-generic/poll.h> and a level-triggered
+ * epoll instance that waits on many descriptors at once
+ */
+
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
+    }
+}(function (require) {
+    const { KernelError } = require('./kernel-errno.js');
+
+    const POLL_EVENTS = {
+        POLLIN: 0x0001,
+        POLLPRI: 0x0002,
+        POLLOUT: 0x0004,
+        POLLERR: 0x0008,
+        POLLHUP: 0x0010,
+        POLLNVAL: 0x0020
+    };
+
+    // Reported whether or not the caller asked for them
+    const POLL_ALWAYS = POLL_EVENTS.POLLERR | POLL_EVENTS.POLLHUP | POLL_EVENTS.POLLNVAL;
+
+    const EPOLL_CTL = {
+        ADD: 1,
+        DEL: 2,
+        MOD: 3
+    };
+
+    function describePollEvents(mask) {
+        const names = Object.keys(POLL_EVENTS).filter(name => mask & POLL_EVENTS[name]);
+        return names.length > 0 ? names.join('|') : '0';
+    }
+
+    class EpollInstance {
+        constructor(simulator, id) {
+            this.simulator = simulator;
+            this.id = id;
+            this.interest = new Map();  // fd -> { events, data }
+            this.closed = false;
+        }
+
+        /**
+         * epoll_ctl(): add, modify or remove a descriptor from the interest list
+         */
+        ctl(op, fd, events = POLL_EVENTS.POLLIN, data = fd) {
+            try {
+                if (this.closed) {
+                    throw new KernelError('EBADF', `epoll instance ${this.id} is closed`);
+                }
+
+                switch (op) {
+                    case EPOLL_CTL.ADD:
+                        this.simulator.fileTable.get(fd);
+                        if (this.interest.has(fd)) {
+                            throw new KernelError('EEXIST', `fd ${fd} is already registered`);
+                        }
+                        this.interest.set(fd, { events, data });
+                        break;
+
+                    case EPOLL_CTL.MOD:
+                        if (!this.interest.has(fd)) {
+                            throw new KernelError('ENOENT', `fd ${fd} is not registered`);
+                        }
+                        this.interest.set(fd, { events, data });
+                        break;
+
+                    case EPOLL_CTL.DEL:
+                        if (!this.interest.delete(fd)) {
+                            throw new KernelError('ENOENT', `fd ${fd} is not registered`);
+                        }
+                        break;
+
+                    default:
+                        throw new KernelError('EINVAL', `unknown epoll_ctl op ${op}`);
+                }
+            } catch (error) {
+                throw this.simulator.recordError('epoll_ctl', error);
+            }
+        }
+
+        /**
+         * epoll_wait(): resolve with up to maxEvents ready descriptors, or an
+         * empty list once the timeout (ms, negative = forever) expires
+         */
+        async wait(maxEvents = 16, timeout = -1, options = {}) {
+            if (this.closed) {
+                throw this.simulator.recordError('epoll_wait', new KernelError('EBADF', `epoll instance ${this.id} is closed`));
+            }
+            if (!Number.isInteger(maxEvents) || maxEvents <= 0) {
+                throw this.simulator.recordError('epoll_wait', new KernelError('EINVAL', `invalid maxevents ${maxEvents}`));
+            }
+
+            // Closing a file removes it from every epoll set
+            Array.from(this.interest.keys()).forEach(fd => {
+                if (!this.simulator.fileTable.files.has(fd)) {
+                    this.interest.delete(fd);
+                }
+            });
+
+            const entries = Array.from(this.interest.entries()).map(([fd, { events }]) => ({ fd, events }));
+            const results = await this.simulator.devicePoll(entries, timeout, options);
+
+            return results
+                .filter(result => result.revents !== 0)
+                .slice(0, maxEvents)
+                .map(result => ({
+                    fd: result.fd,
+                    events: result.revents,
+                    data: this.interest.has(result.fd) ? this.interest.get(result.fd).data : result.fd
+                }));
+        }
+
+        close() {
+            this.closed = true;
+            this.interest.clear();
+        }
+    }
+
+    return { POLL_EVENTS, POLL_ALWAYS, EPOLL_CTL, describePollEvents, EpollInstance };
+}));
@@ -0,0 +1,134 @@
+/**
+ * printk and the Kernel Log Buffer
+ * The eight KERN_* levels and a fixed-size ring of log records, each with a
+ * sequence number, a monotonic timestamp and the PID of the calling task
+ */
+
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
+    }
+}(function (require) {
+    const { KernelError } = require('./kernel-errno.js');
+
+    // KERN_EMERG (0) .. KERN_DEBUG (7); lower is more severe
+    const LOG_LEVELS = {
+        EMERG: 0,
+        ALERT: 1,
+        CRIT: 2,
+        ERROR: 3,
+        WARNING: 4,
+        NOTICE: 5,
+        INFO: 6,
+        DEBUG: 7
+    };
+
+    const LOG_LEVEL_NAMES = Object.keys(LOG_LEVELS);
+
+    // Level names as dmesg --level spells them
+    const DMESG_LEVEL_NAMES = ['emerg', 'alert', 'crit', 'err', 'warn', 'notice', 'info', 'debug'];
+
+    // console_loglevel: records with a level below it reach the console
+    const CONSOLE_LOGLEVEL_MIN = 1;
+    const CONSOLE_LOGLEVEL_MAX = 8;
+
+    // Log lines from kernel context, e.g. timers and interrupts
+    const KERNEL_TASK = { pid: 0, comm: 'swapper/0' };
+
+    /**
+     * Resolve a level name ('WARNING') or number (4); anything else is a bug
+     * in the caller, not a runtime condition
+     */
+    function logLevelPriority(level) {
+        if (Number.isInteger(level) && level >= 0 && level < LOG_LEVEL_NAMES.length) {
+            return level;
+        }
+        if (Object.prototype.hasOwnProperty.call(LOG_LEVELS, level)) {
+            return LOG_LEVELS[level];
+        }
+        throw new TypeError(`Unknown log level: ${level}`);
+    }
+
+    /**
+     * Which part of the kernel a record came from: a pr_fmt-style "name: "
+     * prefix, else the device the calling task is working on, else "kernel"
+     */
+    function logSubsystem(message, task) {
+        const prefix = /^([a-z][\w/.-]*): /.exec(message);
+        if (prefix) return prefix[1];
+        if (task && task.device) return task.device.name;
+        return 'kernel';
+    }
+
+    // dmesg's "[    1.234567]" prefix for a time in milliseconds
+    function formatLogTime(ms) {
+        return `[${(ms / 1000).toFixed(6).padStart(12)}]`;
+    }
+
+    // One record as dmesg prints it; `decode` adds the level like dmesg -x
+    function formatLogLine(record, decode = false) {
+        return (decode ? `${DMESG_LEVEL_NAMES[record.priority].padEnd(6)}: ` : '') +
+            `${formatLogTime(record.time)} ${record.message}`;
+    }
+
+    class LogBuffer {
+        constructor(capacity = 256) {
+            this.records = [];
+            this.capacity = LogBuffer.checkCapacity(capacity);
+            this.nextSeq = 0;
+            this.dropped = 0;   // overwritten before anyone read them
+        }
+
+        static checkCapacity(capacity) {
+            if (!Number.isInteger(capacity) || capacity <= 0) {
+                throw new KernelError('EINVAL', `invalid log buffer size ${capacity}`);
+            }
+            return capacity;
+        }
+
+        get length() {
+            return this.records.length;
+        }
+
+        // Sequence number of the oldest record still held
+        get firstSeq() {
+            return this.records.length > 0 ? this.records[0].seq : this.nextSeq;
+        }
+
+        append(record) {
+            record.seq = this.nextSeq++;
+            this.records.push(record);
+            this.trim();
+            return record;
+        }
+
+        resize(capacity) {
+            this.capacity = LogBuffer.checkCapacity(capacity);
+            this.trim();
+        }
+
+        trim() {
+            while (this.records.length > this.capacity) {
+                this.records.shift();
+                this.dropped++;
+            }
+        }
+
+        // dmesg -C: sequence numbers keep counting
+        clear() {
+            this.records = [];
+        }
+
+        list() {
+            return this.records.slice();
+        }
+    }
+
+    return {
+        LOG_LEVELS, LOG_LEVEL_NAMES, DMESG_LEVEL_NAMES,
+        CONSOLE_LOGLEVEL_MIN, CONSOLE_LOGLEVEL_MAX, KERNEL_TASK,
+        logLevelPriority, logSubsystem, formatLogTime, formatLogLine, LogBuffer
+    };
+}));
@@ -0,0 +1,182 @@
+/**
+ * Simulated User Processes
+ * task_struct-like records with a stable PID, uid, run state and the
+ * descriptors the process holds, plus the scripts that drive their I/O
+ */
+
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
+    }
+}(function (require) {
+    const { KernelError } = require('./kernel-errno.js');
+    const { REAL_CLOCK } = require('./sim-clock.js');
+
+    const TASK_STATES = {
+        RUNNING: 'running',
+        SLEEPING: 'sleeping',
+        ZOMBIE: 'zombie'
+    };
+
+    // ps(1) STAT letters
+    const TASK_STATE_CODES = { running: 'R', sleeping: 'S', zombie: 'Z' };
+
+    // How long an exited process stays a zombie before init reaps it
+    const ZOMBIE_REAP_DELAY = 3000;
+
+    /**
+     * Scripted behaviour: open the device with `flags`, run `steps` `repeat`
+     * times, then close it and exit. Steps are { op: 'write', data },
+     * { op: 'read', count } and { op: 'sleep', ms }.
+     */
+    const PROCESS_SCRIPTS = {
+        producer: {
+            description: 'writes a line every 500 ms',
+            flags: 'O_WRONLY',
+            repeat: 20,
+            steps: [{ op: 'write', data: 'tick\n' }, { op: 'sleep', ms: 500 }]
+        },
+        consumer: {
+            description: 'blocking reads, sleeps while the buffer is empty',
+            flags: 'O_RDONLY',
+            repeat: 20,
+            steps: [{ op: 'read', count: 64 }]
+        },
+        flooder: {
+            description: 'writes until the buffer is full, then sleeps for space',
+            flags: 'O_WRONLY',
+            repeat: 40,
+            steps: [{ op: 'write', data: 'x'.repeat(128) }]
+        },
+        sampler: {
+            description: 'reads whatever is there once a second without blocking',
+            flags: 'O_RDONLY|O_NONBLOCK',
+            repeat: 15,
+            steps: [{ op: 'read', count: 256 }, { op: 'sleep', ms: 1000 }]
+        }
+    };
+
+    /**
+     * A wait channel in words: device wait queues are named "<dev>.inq",
+     * "<dev>.outq", "<dev>.mutex" and "<dev>.poll"
+     */
+    function describeWaitChannel(wchan) {
+        if (!wchan) return 'running';
+        if (wchan === 'hrtimer_nanosleep') return 'sleeping in nanosleep()';
+
+        const [device, queue] = wchan.split('.');
+        const waits = {
+            inq: `read: waiting for data on /dev/${device}`,
+            outq: `write: waiting for space on /dev/${device}`,
+            mutex: `waiting for the /dev/${device} mutex`,
+            poll: `poll: waiting on /dev/${device}`
+        };
+        return waits[queue] || wchan;
+    }
+
+    class Task {
+        constructor(pid, comm, options = {}) {
+            this.pid = pid;
+            this.comm = comm;
+            this.uid = options.uid || 0;
+            this.ppid = options.ppid || 1;
+            this.state = TASK_STATES.RUNNING;
+            this.wchan = null;          // what a sleeping task waits on
+            this.files = new Map();     // fd -> OpenFile held by this process
+            this.startTime = options.startTime || 0;
+            this.exitCode = null;
+            this.script = options.script || null;
+            // A process created implicitly by open() exits with its last close()
+            this.transient = Boolean(options.transient);
+            // Killing the process interrupts whatever it is sleeping in
+            this.controller = new AbortController();
+        }
+
+        get signal() {
+            return this.controller.signal;
+        }
+
+        get alive() {
+            return this.state !== TASK_STATES.ZOMBIE;
+        }
+
+        get stateCode() {
+            return TASK_STATE_CODES[this.state];
+        }
+
+        block(wchan) {
+            if (!this.alive) return;
+            this.state = TASK_STATES.SLEEPING;
+            this.wchan = wchan;
+        }
+
+        wake() {
+            if (!this.alive) return;
+            this.state = TASK_STATES.RUNNING;
+            this.wchan = null;
+        }
+
+        describe() {
+            return {
+                pid: this.pid,
+                ppid: this.ppid,
+                comm: this.comm,
+                uid: this.uid,
+                state: this.state,
+                stateCode: this.stateCode,
+                wchan: this.wchan,
+                blockedOn: this.state === TASK_STATES.SLEEPING ? describeWaitChannel(this.wchan) : null,
+                fds: Array.from(this.files.keys()),
+                script: this.script,
+                exitCode: this.exitCode,
+                startTime: this.startTime
+            };
+        }
+    }
+
+    class ProcessTable {
+        constructor(firstPid = 1000, clock = REAL_CLOCK) {
+            this.nextPid = firstPid;
+            this.clock = clock;
+            this.tasks = new Map();
+        }
+
+        get size() {
+            return this.tasks.size;
+        }
+
+        spawn(comm, options = {}) {
+            const task = new Task(this.nextPid++, comm, { ...options, startTime: this.clock.now() });
+            this.tasks.set(task.pid, task);
+            return task;
+        }
+
+        /**
+         * Look up a live or zombie process; unknown PIDs fail with ESRCH
+         */
+        get(pid) {
+            const task = this.tasks.get(pid);
+            if (!task) {
+                throw new KernelError('ESRCH', `no process with PID ${pid}`);
+            }
+            return task;
+        }
+
+        // release_task(): drop a zombie once its exit status has been collected
+        reap(pid) {
+            const task = this.tasks.get(pid);
+            if (!task || task.alive) return null;
+            this.tasks.delete(pid);
+            return task.exitCode;
+        }
+
+        list() {
+            return Array.from(this.tasks.values());
+        }
+    }
+
+    return { TASK_STATES, TASK_STATE_CODES, ZOMBIE_REAP_DELAY, PROCESS_SCRIPTS,
+        describeWaitChannel, Task, ProcessTable };
+}));
@@ -0,0 +1,215 @@
+/**
+ * procfs and seq_file
+ * /proc entries are generated on read by a seq_file iterator. Each read()
+ * picks the walk up at the record where the last one stopped and copies
+ * out whole records through a page-sized buffer, so a long file comes out
+ * over several reads and no entry ever builds all of its text at once.
+ *
+ * A seq_operations table, each callback passed the seq_file (`m`):
+ *   start(m, pos)    - the record at pos, or null past the end
+ *   next(m, v, pos)  - the record after v, which sat at pos, or null
+ *   show(m, v)       - print v with m.puts()
+ *   stop(m, v)       - optional, after every batch
+ * m.private holds the data the entry was created with.
+ */
+
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
+    }
+}(function (require) {
+    const { KernelError } = require('./kernel-errno.js');
+    const { fopResult } = require('./kernel-fops.js');
+
+    const SEQ_PAGE_SIZE = 4096;
+
+    // start() at position 0 hands this back for a file's header line
+    const SEQ_START_TOKEN = Symbol('SEQ_START_TOKEN');
+
+    const PROC_ROOT = '/proc';
+
+    function checkSeqOps(path, ops) {
+        if (!ops || typeof ops !== 'object') {
+            throw new KernelError('EINVAL', `${path}: seq_operations must be an object`);
+        }
+        ['start', 'next', 'show'].forEach(key => {
+            if (typeof ops[key] !== 'function') {
+                throw new KernelError('EINVAL', `${path}: seq_operations needs ${key}()`);
+            }
+        });
+        if (ops.stop !== undefined && typeof ops.stop !== 'function') {
+            throw new KernelError('EINVAL', `${path}: stop is not a function`);
+        }
+    }
+
+    // single_open(): the whole file from one show() call
+    function singleSeqOps(show) {
+        return {
+            start: (m, pos) => pos === 0 ? SEQ_START_TOKEN : null,
+            next: () => null,
+            show: m => m.puts(show(m))
+        };
+    }
+
+    /**
+     * seq_list_start()/seq_list_next() over the array `items(m)` returns, with
+     * an optional `header` (text, or a function returning it) shown first.
+     * The array is fetched again by every start(), so each read() sees the
+     * current state.
+     */
+    function listSeqOps(items, show, header = null) {
+        const offset = header === null ? 0 : 1;
+        return {
+            start(m, pos) {
+                m.list = items(m);
+                if (pos < offset) return SEQ_START_TOKEN;
+                return pos - offset < m.list.length ? m.list[pos - offset] : null;
+            },
+            next(m, v, pos) {
+                return pos + 1 - offset < m.list.length ? m.list[pos + 1 - offset] : null;
+            },
+            show(m, v) {
+                if (v !== SEQ_START_TOKEN) {
+                    m.puts(show(v, m));
+                } else {
+                    m.puts(typeof header === 'function' ? header(m) : header);
+                }
+            }
+        };
+    }
+
+    /**
+     * An open /proc file: the iterator position and the buffer of records
+     * shown but not yet copied to the reader
+     */
+    class SeqFile {
+        constructor(path, ops, data = null) {
+            this.path = path;
+            this.ops = ops;
+            this.private = data;
+            this.buf = '';
+            this.index = 0;             // next record to show
+            this.size = SEQ_PAGE_SIZE;  // doubled for a record that does not fit
+            this.pos = 0;               // bytes handed out so far (f_pos)
+            this.reads = 0;             // read() calls that ran the iterator
+            this.output = null;
+        }
+
+        // seq_puts()/seq_printf(): only valid inside show()
+        puts(text) {
+            this.output += String(text);
+        }
+
+        showRecord(v) {
+            this.output = '';
+            fopResult(this.ops.show(this, v));
+            const text = this.output;
+            this.output = null;
+            return text;
+        }
+
+        drain(count) {
+            const text = this.buf.slice(0, count);
+            this.buf = this.buf.slice(text.length);
+            this.pos += text.length;
+            return text;
+        }
+
+        /**
+         * seq_read(): up to `count` characters, '' at EOF. Leftovers from the
+         * last batch go out first; then records are shown into the buffer
+         * until it holds `count` or the next record would not fit the page.
+         */
+        read(count = SEQ_PAGE_SIZE) {
+            let text = this.drain(count);
+            if (text.length === count) return text;
+
+            this.reads++;
+            let v = this.ops.start(this, this.index);
+            while (v != null) {
+                const record = this.showRecord(v);
+                if (this.buf.length === 0) {
+                    // The first record of a batch always goes in
+                    while (record.length > this.size) this.size *= 2;
+                } else if (this.buf.length + record.length > this.size) {
+                    // Shown again at the start of the next read
+                    break;
+                }
+                this.buf += record;
+                this.index++;
+                if (text.length + this.buf.length >= count) break;
+                v = this.ops.next(this, v, this.index - 1);
+            }
+            if (this.ops.stop) this.ops.stop(this, v);
+
+            return text + this.drain(count - text.length);
+        }
+    }
+
+    class Procfs {
+        constructor() {
+            this.entries = new Map();   // path -> { ops, data, mode }
+        }
+
+        /**
+         * proc_create_seq_data(): `ops` is a seq_operations table, or a plain
+         * function for a single_open() file returning all of its text
+         */
+        create(path, ops, data = null, mode = 0o444) {
+            if (!path.startsWith(PROC_ROOT + '/')) {
+                throw new KernelError('EINVAL', `${path} is outside ${PROC_ROOT}`);
+            }
+            if (this.entries.has(path) || this.isDirectory(path)) {
+                throw new KernelError('EEXIST', `${path} already exists`);
+            }
+            const seqOps = typeof ops === 'function' ? singleSeqOps(ops) : ops;
+            checkSeqOps(path, seqOps);
+            this.entries.set(path, { ops: seqOps, data, mode });
+        }
+
+        // remove_proc_subtree(): an entry, or a directory and everything below it
+        remove(path) {
+            Array.from(this.entries.keys())
+                .filter(key => key === path || key.startsWith(path + '/'))
+                .forEach(key => this.entries.delete(key));
+        }
+
+        isDirectory(path) {
+            return path === PROC_ROOT || Array.from(this.entries.keys()).some(key => key.startsWith(path + '/'));
+        }
+
+        has(path) {
+            return this.entries.has(path);
+        }
+
+        paths() {
+            return Array.from(this.entries.keys()).sort();
+        }
+
+        open(path) {
+            const entry = this.entries.get(path);
+            if (!entry) {
+                throw this.isDirectory(path) ?
+                    new KernelError('EISDIR', `${path} is a directory`) :
+                    new KernelError('ENOENT', `${path} does not exist`);
+            }
+            return new SeqFile(path, entry.ops, entry.data);
+        }
+
+        // Everything, a page per read() as cat would fetch it
+        read(path) {
+            const seq = this.open(path);
+            let text = '';
+            for (let chunk = seq.read(); chunk; chunk = seq.read()) {
+                text += chunk;
+            }
+            return text;
+        }
+    }
+
+    return {
+        SEQ_PAGE_SIZE, SEQ_START_TOKEN, PROC_ROOT, checkSeqOps, singleSeqOps, listSeqOps, SeqFile, Procfs
+    };
+}));
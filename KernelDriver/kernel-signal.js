@@ -0,0 +1,107 @@
+/**
+ * Signals and fasync
+ * Per-process signal handlers plus fasync_helper(), which keeps the list
+ * of files that asked for SIGIO through O_ASYNC
+ */
+
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
+    }
+}(function (require) {
+    const { KernelError } = require('./kernel-errno.js');
+
+    const SIGNALS = {
+        SIGHUP: 1,
+        SIGINT: 2,
+        SIGKILL: 9,
+        SIGTERM: 15,
+        SIGIO: 29
+    };
+
+    // si_code values describing why SIGIO was raised
+    const SI_CODES = {
+        POLL_IN: 1,
+        POLL_OUT: 2,
+        POLL_MSG: 3,
+        POLL_ERR: 4,
+        POLL_PRI: 5,
+        POLL_HUP: 6
+    };
+
+    /**
+     * fasync_helper(): add the file to (or drop it from) a device's async
+     * queue. Returns true if the queue changed.
+     */
+    function fasyncHelper(file, on, queue) {
+        const index = queue.indexOf(file);
+        if (on && index === -1) {
+            queue.push(file);
+            return true;
+        }
+        if (!on && index !== -1) {
+            queue.splice(index, 1);
+            return true;
+        }
+        return false;
+    }
+
+    class SignalDispatcher {
+        constructor(report = null) {
+            this.report = report;       // (level, message) for handlers that throw
+            this.handlers = new Map();  // pid -> Map(signal name -> handler)
+            this.delivered = 0;
+        }
+
+        /**
+         * sigaction(): install a handler, or remove it by passing null
+         */
+        sigaction(pid, signal, handler) {
+            if (!SIGNALS[signal]) {
+                throw new KernelError('EINVAL', `unknown signal ${signal}`);
+            }
+            if (!this.handlers.has(pid)) {
+                this.handlers.set(pid, new Map());
+            }
+
+            const table = this.handlers.get(pid);
+            if (handler) {
+                table.set(signal, handler);
+            } else {
+                table.delete(signal);
+            }
+        }
+
+        hasHandler(pid, signal) {
+            return this.handlers.has(pid) && this.handlers.get(pid).has(signal);
+        }
+
+        /**
+         * Run the target's handler; returns false if it has none installed
+         */
+        deliver(pid, signal, info = {}) {
+            if (!this.hasHandler(pid, signal)) {
+                return false;
+            }
+
+            this.delivered++;
+            try {
+                this.handlers.get(pid).get(signal)({ signo: SIGNALS[signal], signal, pid, ...info });
+            } catch (error) {
+                if (this.report) {
+                    this.report('ERROR', `${signal} handler for PID ${pid} failed: ${error.message}`);
+                }
+            }
+            return true;
+        }
+
+        // Drop every handler of an exiting process
+        clear(pid) {
+            this.handlers.delete(pid);
+        }
+    }
+
+    return { SIGNALS, SI_CODES, fasyncHelper, SignalDispatcher };
+}));
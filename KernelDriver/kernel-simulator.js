@@ -1,646 +1,2768 @@
 /**
  * Linux Character Device Driver Kernel Simulator
- * Simulates kernel-space operations and device driver behavior
+ * Simulates kernel-space operations and device driver behavior.
+ * DOM-free: the UI subscribes to its events, so it also runs under Node.
  */
 
-class KernelSimulator {
-    constructor() {
-        this.moduleLoaded = true;
-        this.deviceBuffer = new ArrayBuffer(1024);
-        this.bufferView = new Uint8Array(this.deviceBuffer);
-        this.bufferSize = 1024;
-        this.bufferUsed = 0;
-        this.bufferPosition = 0;
-        
-        // Statistics
-        this.stats = {
-            bytesRead: 0,
-            bytesWritten: 0,
-            openCount: 0,
-            ioctlCount: 0,
-            errorCount: 0,
-            startTime: Date.now()
-        };
-        
-        // Concurrent access tracking
-        this.activeReaders = 0;
-        this.activeWriters = 0;
-        this.waitQueue = [];
-        this.mutex = false;
-        
-        // Configuration
-        this.config = {
-            loggingEnabled: true,
-            maxBufferSize: 8192,
-            asyncMode: false,
-            interruptEnabled: true,
-            dmaEnabled: true,
-            networkSimEnabled: false
-        };
-        
-        // Advanced features
-        this.interrupts = {
-            count: 0,
-            lastTime: 0,
-            handlers: new Map()
-        };
-        
-        this.dma = {
-            channels: 4,
-            activeTransfers: 0,
-            totalTransferred: 0,
-            errors: 0
-        };
-        
-        this.networkSim = {
-            packetsRx: 0,
-            packetsTx: 0,
-            errors: 0,
-            bandwidth: 1000000, // 1Mbps
-            active: false
-        };
-        
-        this.systemLoad = {
-            cpu: 0,
-            memory: 0,
-            io: 0
-        };
-        
-        this.processes = new Map();
-        this.memoryMap = {
-            kernel: 0x100000,    // 1MB
-            buffer: 0x10000,     // 64KB  
-            stack: 0x20000,      // 128KB
-            heap: 0x80000,       // 512KB
-            free: 0x200000       // 2MB
-        };
-        
-        // Initialize kernel logging
-        this.initKernelLogging();
-        
-        // Start periodic updates
-        this.startPeriodicUpdates();
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
     }
-    
-    initKernelLogging() {
-        this.kernelLogs = [];
-        this.logKernel('INFO', 'Character device driver module loaded');
-        this.logKernel('INFO', `Buffer allocated: ${this.bufferSize} bytes`);
-        this.logKernel('INFO', 'Device /dev/mychardev created successfully');
-    }
-    
-    logKernel(level, message) {
-        const timestamp = new Date().toISOString().slice(11, 23);
-        const logEntry = {
-            timestamp,
-            level,
-            message,
-            pid: Math.floor(Math.random() * 9999) + 1000
-        };
+}(function (require) {
+    const { ERRNO, KernelError } = require('./kernel-errno.js');
+    const { EventEmitter } = require('./event-emitter.js');
+    const {
+        LOG_LEVELS, LOG_LEVEL_NAMES, CONSOLE_LOGLEVEL_MIN, CONSOLE_LOGLEVEL_MAX, KERNEL_TASK,
+        logLevelPriority, logSubsystem, LogBuffer
+    } = require('./kernel-printk.js');
+    const { REAL_CLOCK, VirtualClock } = require('./sim-clock.js');
+    const { SeededRandom } = require('./seeded-random.js');
+    const { WaitQueue } = require('./wait-queue.js');
+    const {
+        LOCK_SCENARIOS, irqContext, LockDep, SpinLock, KMutex, RwSemaphore, Completion
+    } = require('./kernel-sync.js');
+    const { OPEN_FLAGS, SETFL_MASK, FCNTL_COMMANDS, SEEK_WHENCE, FileTable } = require('./file-table.js');
+    const {
+        IOC_WRITE, IOCTL_ARG_TYPES, _IOC_DIR, STORAGE_MODES, ioctlLookup, describeIoctl
+    } = require('./kernel-ioctl.js');
+    const { POLL_EVENTS, POLL_ALWAYS, EpollInstance } = require('./kernel-poll.js');
+    const { SIGNALS, fasyncHelper, SignalDispatcher } = require('./kernel-signal.js');
+    const {
+        PAGE_SHIFT, PAGE_SIZE, PROT, MMAP_BASE, pageAlign, describeProt, VmArea
+    } = require('./kernel-mmap.js');
+    const { TASK_STATES, ZOMBIE_REAP_DELAY, PROCESS_SCRIPTS, ProcessTable } = require('./kernel-process.js');
+    const { OpTracer } = require('./kernel-trace.js');
+    const { FaultInjector } = require('./kernel-fault.js');
+    const {
+        MODULE_STATES, MODULE_PARAMS, parseModuleParams, formatModuleParam, KernelModule
+    } = require('./kernel-module.js');
+    const {
+        FOPS_CALLBACKS, FOPS_ASYNC, FOPS_DEFAULTS, fopResult, checkFops, syncFopResult, FopsDevice,
+        BUILTIN_DRIVERS
+    } = require('./kernel-fops.js');
+    const {
+        SYSFS_MODES, SYSFS_ROOT, parseSysfsUint, parseSysfsChoice, SysfsTree
+    } = require('./kernel-sysfs.js');
+    const { checkSeqOps, listSeqOps, Procfs } = require('./kernel-procfs.js');
+    const {
+        IRQ_NONE, IRQ_HANDLED, IRQ_WAKE_THREAD, IRQF_SHARED, SOFTIRQ_NAMES, Tasklet, IrqController
+    } = require('./kernel-irq.js');
+    const { TIMER_DEFERRABLE, TimerList, TimerBase } = require('./kernel-timer.js');
+    const { CharDevice, DeviceRegistry } = require('./device-registry.js');
+
+    class KernelSimulator extends EventEmitter {
+        /**
+         * Options:
+         *   seed      - run deterministically: seeded PRNG plus a virtual clock
+         *   clockMode - 'step' (advance by hand) or 'fast' (timers fire back to back)
+         *   clock     - supply a clock explicitly instead
+         *   logBufferSize - records kept in the kernel log buffer
+         *   moduleParams  - insmod arguments for the initial load, e.g. 'buffer_size=4096'
+         *   hz            - timer frequency, one of HZ_VALUES (default 250)
+         */
+        constructor(options = {}) {
+            super();
+            
+            // Every latency, PID and IRQ number comes from this.random(), and all
+            // timing from this.clock, so a seed replays a run exactly
+            this.seed = options.seed != null ? options.seed : null;
+            this.rng = this.seed != null ? new SeededRandom(this.seed) : null;
+            this.clock = options.clock ||
+                (this.seed != null ? new VirtualClock(0, options.clockMode || 'step') : REAL_CLOCK);
+            
+            this.moduleLoaded = false;
+            this.moduleName = 'mychardev';
+            this.module = null;         // the loaded KernelModule
+            this.tainted = false;       // set by a forced rmmod
+            
+            // Character device registration: each minor owns its storage and stats
+            this.registry = new DeviceRegistry();
+            this.chrdevRegion = null;
+            this.devices = [];
+            this.drivers = new Map();   // fops drivers by name, see registerDriver()
+            this.sysfs = new SysfsTree();
+            this.procfs = new Procfs();
+            
+            // Open file descriptions (struct file) indexed by fd
+            this.fileTable = new FileTable(3, this.clock);
+            this.processes = new ProcessTable(1000, this.clock);
+            this.tracer = new OpTracer(this.clock, 2000, span => this.emit('trace', span));
+            this.lockdep = new LockDep((level, message, task) => this.logKernel(level, `lockdep: ${message}`, task));
+            this.faults = new FaultInjector(() => this.random());
+            this.stressFiles = [];
+            this.stressInterval = null;
+            this.stressTimeout = null;
+            this.epollInstances = new Set();
+            this.nextEpollId = 1;
+            this.signals = new SignalDispatcher((level, message) => this.logKernel(level, message));
+            this.vmAreas = [];
+            this.nextMmapAddress = MMAP_BASE;
+            
+            // Module-wide statistics; I/O counters live on each CharDevice
+            this.stats = {
+                errors: Object.fromEntries(Object.keys(ERRNO).map(name => [name, 0])),
+                startTime: this.clock.now()
+            };
+            
+            // Configuration
+            this.config = {
+                loggingEnabled: true,
+                consoleLoglevel: CONSOLE_LOGLEVEL_MAX,  // every level reaches the console
+                logBufferSize: options.logBufferSize || 256,
+                maxBufferSize: 8192,
+                defaultBufferSize: 1024,
+                minorCount: 4,
+                asyncMode: false,
+                interruptEnabled: true,
+                irqLine: MODULE_PARAMS.irq.value,
+                nrCpus: 2,
+                dmaEnabled: true,
+                networkSimEnabled: false
+            };
+            
+            // Advanced features
+            this.irq = new IrqController(this.config.nrCpus, this.clock,
+                (level, message, task) => this.logKernel(level, message, task));
+            this.timers = new TimerBase(this.irq, this.clock, options.hz || 250,
+                (level, message, task) => this.logKernel(level, message, task));
+            this.interrupts = {
+                count: 0,
+                lost: 0,
+                lastTime: 0,
+                samples: 0,
+                hwFifo: [],     // samples the device latched, until its handler reads them
+                staged: []      // read by the hard handler, for the IRQ thread to store
+            };
+            
+            // Finished transfers are reported through the DMA engine's interrupt
+            this.dma = {
+                channels: 4,
+                irq: 11,
+                lastTransferId: 0,
+                activeTransfers: 0,
+                totalTransferred: 0,
+                errors: 0,
+                completed: [],
+                tasklet: new Tasklet('dma_complete', () => this.dma.completed.splice(0).forEach(finish => finish()))
+            };
+            
+            this.networkSim = {
+                packetsRx: 0,
+                packetsTx: 0,
+                errors: 0,
+                bandwidth: 1000000, // 1Mbps
+                active: false
+            };
+            
+            this.systemLoad = {
+                cpu: 0,
+                memory: 0,
+                io: 0
+            };
+            
+            this.memoryMap = {
+                kernel: 0x100000,    // 1MB
+                buffer: 0x10000,     // 64KB  
+                stack: 0x20000,      // 128KB
+                heap: 0x80000,       // 512KB
+                free: 0x200000       // 2MB
+            };
+            
+            // Initialize kernel logging
+            this.initKernelLogging();
+            this.procfsInit();
+            
+            // The DMA engine is built in and shares its line with the driver's device
+            this.requestIrq(this.dma.irq, (irq, dma, context) => {
+                if (dma.completed.length === 0) return IRQ_NONE;
+                this.irq.taskletSchedule(dma.tasklet, context.cpu);
+                return IRQ_HANDLED;
+            }, IRQF_SHARED, 'dma', this.dma);
+            
+            // insmod at boot: register the driver and create its device nodes
+            this.loadModule(options.moduleParams);
+            BUILTIN_DRIVERS.forEach(driver => this.registerDriver(driver.name, driver.fops, { ...driver.options, builtin: true }));
+            
+            // Periodic stats events are started by whoever hosts the simulator
+            this.statsInterval = null;
+        }
         
-        this.kernelLogs.push(logEntry);
+        initKernelLogging() {
+            // Timestamps count from the first module load and never go back
+            this.logEpoch = this.clock.now();
+            this.logBuffer = new LogBuffer(this.config.logBufferSize);
+            this.logKernel('INFO', `${this.moduleName}: character device driver loaded`);
+        }
         
-        // Keep only last 100 log entries
-        if (this.kernelLogs.length > 100) {
-            this.kernelLogs.shift();
+        // Everything still held in the log buffer, oldest first (what dmesg reads)
+        get kernelLogs() {
+            return this.logBuffer.list();
         }
         
-        // Update UI
-        this.updateKernelLogsUI();
-    }
-    
-    updateKernelLogsUI() {
-        const logsContainer = document.getElementById('kernel-logs');
-        if (!logsContainer) return;
-        
-        const logsHtml = this.kernelLogs.slice(-20).map(log => {
-            return `<div class="kernel-log-entry">
-                <span class="log-timestamp">[${log.timestamp}]</span>
-                <span class="log-level-${log.level.toLowerCase()}">[${log.level}]</span>
-                <span>[PID:${log.pid}]</span>
-                ${log.message}
-            </div>`;
-        }).join('');
-        
-        logsContainer.innerHTML = logsHtml;
-        logsContainer.scrollTop = logsContainer.scrollHeight;
-    }
-    
-    // Device file operations simulation
-    deviceOpen() {
-        if (!this.moduleLoaded) {
-            throw new Error('No such device (module not loaded)');
+        /**
+         * alloc_chrdev_region() + cdev_add() + device_create() for every minor
+         */
+        registerDevices() {
+            const region = this.registry.allocChrdevRegion(0, this.config.minorCount, this.moduleName);
+            this.chrdevRegion = region;
+            this.logKernel('INFO', `${this.moduleName}: registered with major number ${region.major}, minors ${region.baseMinor}-${region.baseMinor + region.count - 1}`);
+            
+            for (let minor = region.baseMinor; minor < region.baseMinor + region.count; minor++) {
+                if (this.injectFault('failslab', `kmalloc(${this.config.defaultBufferSize})`)) {
+                    throw new KernelError('ENOMEM', `no memory for the ${this.moduleName}${minor} buffer`);
+                }
+                const device = new CharDevice(`${this.moduleName}${minor}`, region.major, minor, this.config.defaultBufferSize, this.clock, this.lockdep);
+                this.registry.cdevAdd(device);
+                this.registry.deviceCreate(device);
+                this.devices.push(device);
+                this.sysfsAddDevice(device);
+                this.logKernel('INFO', `${this.moduleName}: device ${device.path} (${device.devt}) created, buffer allocated: ${device.bufferSize} bytes`);
+            }
         }
         
-        this.stats.openCount++;
-        this.logKernel('DEBUG', `Device opened by process (PID: ${Math.floor(Math.random() * 9999) + 1000})`);
+        unregisterDevices() {
+            this.devices.forEach(device => {
+                device.interruptWaiters(new KernelError('ENODEV', `${device.path} removed`));
+                this.registry.deviceDestroy(device);
+                this.registry.cdevDel(device);
+                this.logKernel('INFO', `${this.moduleName}: device ${device.path} removed, buffer freed: ${device.bufferSize} bytes`);
+            });
+            
+            if (this.chrdevRegion) {
+                this.registry.unregisterChrdevRegion(this.chrdevRegion);
+                this.logKernel('INFO', `${this.moduleName}: released major number ${this.chrdevRegion.major}`);
+            }
+            
+            this.sysfs.removeDir(`/sys/class/${this.moduleName}`);
+            this.devices = [];
+            this.chrdevRegion = null;
+        }
         
-        return {
-            success: true,
-            message: 'Device opened successfully'
-        };
-    }
-    
-    deviceWrite(data) {
-        return new Promise((resolve, reject) => {
-            if (!this.moduleLoaded) {
-                reject(new Error('No such device'));
-                return;
+        // The driver's minor at `path`, or undefined
+        findDevice(path) {
+            return this.devices.find(device => device.path === path);
+        }
+        
+        listDevices() {
+            return this.devices.map(device => ({
+                path: device.path,
+                name: device.name,
+                major: device.major,
+                minor: device.minor,
+                devt: device.devt,
+                storageMode: device.storageMode,
+                overflowPolicy: device.ringBuffer.policy
+            }));
+        }
+        
+        getProcDevices() {
+            return this.registry.getProcDevices();
+        }
+        
+        random() {
+            return this.rng ? this.rng.next() : Math.random();
+        }
+        
+        isDeterministic() {
+            return this.rng !== null && this.clock.virtual;
+        }
+        
+        /**
+         * printk(): store a record in the log buffer on behalf of `task` (an
+         * open file or process; kernel context otherwise). Every stored record
+         * is visible to dmesg; only those below the console loglevel are marked
+         * for the console.
+         */
+        logKernel(level, message, task = KERNEL_TASK) {
+            const priority = logLevelPriority(level);
+            
+            // With driver logging disabled only warnings and worse are recorded
+            if (!this.config.loggingEnabled && priority > LOG_LEVELS.WARNING) {
+                return null;
             }
             
-            // Simulate async operation
-            setTimeout(() => {
+            const record = this.logBuffer.append({
+                time: this.clock.now() - this.logEpoch,
+                level: LOG_LEVEL_NAMES[priority],
+                priority,
+                message,
+                subsystem: logSubsystem(message, task),
+                pid: task.pid,
+                comm: task.comm,
+                console: priority < this.config.consoleLoglevel
+            });
+            
+            this.emit('log', record);
+            return record;
+        }
+        
+        getConsoleLogs() {
+            return this.logBuffer.list().filter(record => record.console);
+        }
+        
+        setConsoleLoglevel(level, task = KERNEL_TASK) {
+            if (!Number.isInteger(level) || level < CONSOLE_LOGLEVEL_MIN || level > CONSOLE_LOGLEVEL_MAX) {
+                throw new KernelError('EINVAL', `console loglevel must be ${CONSOLE_LOGLEVEL_MIN}-${CONSOLE_LOGLEVEL_MAX}, got ${level}`);
+            }
+            this.config.consoleLoglevel = level;
+            this.logKernel('WARNING', `printk: console loglevel set to ${level}`, task);
+        }
+        
+        setLogBufferSize(records) {
+            this.logBuffer.resize(records);
+            this.config.logBufferSize = records;
+            this.logKernel('INFO', `printk: log buffer resized to ${records} records`);
+        }
+        
+        // Device file operations simulation
+        deviceOpen(path, flags = OPEN_FLAGS.O_RDWR, owner = {}) {
+            // Without an owning process, open() runs in a short-lived one
+            let process;
+            if (owner.pid != null) {
                 try {
-                    this.acquireMutex();
-                    this.activeWriters++;
-                    
-                    const dataBytes = new TextEncoder().encode(data);
-                    const bytesToWrite = Math.min(dataBytes.length, this.bufferSize - this.bufferUsed);
-                    
-                    if (bytesToWrite === 0) {
-                        this.logKernel('WARNING', 'Buffer full, write operation blocked');
-                        reject(new Error('Buffer full'));
-                        return;
-                    }
-                    
-                    // Copy data to kernel buffer (simulates copy_from_user)
-                    for (let i = 0; i < bytesToWrite; i++) {
-                        this.bufferView[this.bufferPosition + i] = dataBytes[i];
+                    process = this.processes.get(owner.pid);
+                } catch (error) {
+                    throw this.recordError('Open', error);
+                }
+                if (!process.alive) {
+                    throw this.recordError('Open', new KernelError('ESRCH', `PID ${owner.pid} has exited`));
+                }
+            } else {
+                process = this.spawnProcess(owner.comm || 'user', { uid: owner.uid, transient: true });
+            }
+            
+            let device;
+            let fopsOwner;
+            try {
+                device = this.registry.lookup(path);
+                
+                // try_module_get() for the fops owner; dropped again by release().
+                // Built-in drivers have no module to pin.
+                fopsOwner = device.fops ? device.driver.owner : this.module;
+                if (fopsOwner && !fopsOwner.tryGet()) {
+                    throw new KernelError('ENODEV', `${fopsOwner.name} is unloading`);
+                }
+            } catch (error) {
+                // The mychardev nodes go away with the module
+                const unloaded = !device && !this.moduleLoaded &&
+                    typeof path === 'string' && path.startsWith(`/dev/${this.moduleName}`);
+                const kernelError = this.recordError('Open', unloaded ? new KernelError('ENODEV', 'module not loaded') : error, process);
+                if (process.transient) {
+                    this.exitProcess(process.pid, 1);
+                }
+                throw kernelError;
+            }
+            
+            const file = this.fileTable.install(flags, process, device.path);
+            file.device = device;
+            file.module = fopsOwner;
+            process.files.set(file.fd, file);
+            this.tracer.instant('open', file);
+            
+            if (device.fops) {
+                try {
+                    this.callFop(file, 'open', [], this.driverApi(file));
+                } catch (error) {
+                    // A refused open leaves no descriptor behind
+                    this.fileTable.remove(file.fd);
+                    process.files.delete(file.fd);
+                    if (fopsOwner) fopsOwner.put();
+                    if (process.transient && process.alive && process.files.size === 0) {
+                        this.exitProcess(process.pid, 1);
                     }
-                    
-                    this.bufferUsed += bytesToWrite;
-                    this.bufferPosition = (this.bufferPosition + bytesToWrite) % this.bufferSize;
-                    this.stats.bytesWritten += bytesToWrite;
-                    
-                    this.logKernel('DEBUG', `Wrote ${bytesToWrite} bytes to device buffer`);
-                    
-                    resolve({
-                        success: true,
-                        bytesWritten: bytesToWrite,
-                        message: `Successfully wrote ${bytesToWrite} bytes`
-                    });
-                    
+                    throw this.recordError('Open', error, file);
+                }
+            } else {
+                // Driver open(): attach per-open state to the file
+                file.privateData = {
+                    bytesRead: 0,
+                    bytesWritten: 0,
+                    ioctls: 0
+                };
+            }
+            
+            device.stats.openCount++;
+            this.logKernel('DEBUG', `${device.path} opened by ${process.comm} (PID: ${process.pid}) as fd ${file.fd} [${file.describeFlags()}]`, file);
+            
+            return {
+                success: true,
+                fd: file.fd,
+                pid: process.pid,
+                message: `${device.path} opened as fd ${file.fd}`
+            };
+        }
+        
+        deviceClose(fd) {
+            let file;
+            try {
+                file = this.fileTable.remove(fd);
+            } catch (error) {
+                throw this.recordError('Close', error);
+            }
+            
+            // Operations still in flight keep the file alive until they finish
+            this.putFile(file);
+            
+            const process = this.processes.tasks.get(file.pid);
+            if (process) {
+                process.files.delete(fd);
+                if (process.transient && process.alive && process.files.size === 0) {
+                    this.exitProcess(process.pid, 0);
+                }
+            }
+            
+            return {
+                success: true,
+                message: `fd ${fd} closed`
+            };
+        }
+        
+        deviceRelease(file) {
+            // Driver release(): called once the last reference to the file goes away
+            if (file.isAsync()) {
+                this.deviceFasync(file, false);
+            }
+            this.tracer.instant('release', file);
+            
+            if (file.device.fops) {
+                try {
+                    this.callFop(file, 'release', [], this.driverApi(file));
                 } catch (error) {
-                    this.stats.errorCount++;
-                    this.logKernel('ERROR', `Write operation failed: ${error.message}`);
-                    reject(error);
-                } finally {
-                    this.activeWriters--;
-                    this.releaseMutex();
+                    // Nobody is left to report a failed release() to
+                    this.logKernel('WARNING', `${file.device.driver.name}: release() failed: ${KernelError.from(error).toLogString()}`, file);
                 }
-            }, Math.random() * 100 + 50); // Simulate kernel latency
-        });
-    }
-    
-    deviceRead(count) {
-        return new Promise((resolve, reject) => {
-            if (!this.moduleLoaded) {
-                reject(new Error('No such device'));
-                return;
+                this.logKernel('DEBUG', `${file.path} released by ${file.comm} (PID: ${file.pid}) fd ${file.fd}`, file);
+            } else {
+                const { bytesRead, bytesWritten } = file.privateData;
+                this.logKernel('DEBUG', `${file.path} released by ${file.comm} (PID: ${file.pid}) fd ${file.fd}: ${bytesRead} bytes read, ${bytesWritten} bytes written`, file);
+            }
+            file.privateData = null;
+            if (file.module) file.module.put();
+        }
+        
+        /**
+         * fdget(): resolve a descriptor and take a reference on its file for the
+         * duration of the operation. Every successful call pairs with putFile().
+         */
+        getFile(operation, fd, access) {
+            const file = this.fileTable.files.get(fd);
+            
+            if (!file) {
+                throw this.recordError(operation, new KernelError('EBADF', `fd ${fd} is not open`));
+            }
+            if ((access === 'read' && !file.canRead()) || (access === 'write' && !file.canWrite())) {
+                throw this.recordError(operation, new KernelError('EBADF', `fd ${fd} not open for ${access === 'read' ? 'reading' : 'writing'}`), file);
             }
             
-            setTimeout(() => {
+            if (file.device.removed) {
+                throw this.recordError(operation, new KernelError('ENODEV', `${file.path} has been removed`), file);
+            }
+            
+            file.refCount.inc();
+            return file;
+        }
+        
+        putFile(file) {
+            // fput(): the last reference going away triggers release()
+            if (file.refCount.decAndTest()) {
+                this.deviceRelease(file);
+            }
+        }
+        
+        deviceWrite(fd, data, options = {}) {
+            return new Promise((resolve, reject) => {
+                let file;
                 try {
-                    this.acquireMutex();
-                    this.activeReaders++;
-                    
-                    const bytesToRead = Math.min(count, this.bufferUsed);
+                    file = this.getFile('Write', fd, 'write');
+                } catch (error) {
+                    reject(error);
+                    return;
+                }
+                const device = file.device;
+                
+                // The span covers the whole call, from entry to return
+                const span = this.tracer.begin('write', file);
+                resolve = this.tracer.settle(span, resolve);
+                reject = this.tracer.settle(span, reject);
+                
+                if (typeof data !== 'string' && !(data instanceof Uint8Array)) {
+                    // copy_from_user() on a pointer that does not reference user memory
+                    this.putFile(file);
+                    reject(this.recordError('Write', new KernelError('EFAULT', 'invalid user buffer'), file));
+                    return;
+                }
+                
+                try {
+                    this.checkOffset(device, options.offset);
+                } catch (error) {
+                    this.putFile(file);
+                    reject(this.recordError('Write', error, file));
+                    return;
+                }
+                
+                if (device.fops) {
+                    this.fopsWrite(file, data, options, span).then(resolve, reject);
+                    return;
+                }
+                
+                // Simulate async operation
+                this.clock.setTimeout(async () => {
+                    const wait = this.waitOptions(options, file);
+                    let locked = false;
                     
-                    if (bytesToRead === 0) {
+                    try {
+                        await this.lockDevice(device, wait, span);
+                        locked = true;
+                        
+                        const dataBytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+                        
+                        // Sleep on the write queue until a reader frees some space
+                        while (device.writeWouldBlock()) {
+                            device.releaseMutex(span);
+                            locked = false;
+                            
+                            if (file.isNonBlocking()) {
+                                reject(this.recordError('Write', new KernelError('EAGAIN', 'buffer full'), file));
+                                return;
+                            }
+                            
+                            this.logKernel('DEBUG', `${device.name}: buffer full, writer sleeping on wait queue (${device.writeQueue.length + 1} waiting)`, file);
+                            span.mark('sleep');
+                            this.tracer.wakeup(await device.writeQueue.waitEvent(() => !device.writeWouldBlock(), wait),
+                                span, device.writeQueue.name);
+                            await this.lockDevice(device, wait, span);
+                            locked = true;
+                        }
+                        
+                        if (this.injectFault('fail_usercopy', 'copy_from_user', file)) {
+                            throw new KernelError('EFAULT', 'copy_from_user: injected fault');
+                        }
+                        device.activeWriters++;
+                        
+                        // Copy data to kernel buffer (simulates copy_from_user)
+                        await this.delay(this.copyDuration(dataBytes.length));
+                        let bytesToWrite;
+                        let dropped = 0;
+                        
+                        if (device.isRandomAccess()) {
+                            // pwrite() uses its own offset; O_APPEND always writes at end of data
+                            const position = options.offset != null ? options.offset :
+                                file.isAppend() ? device.memoryRegion.dataSize : file.fPos;
+                            bytesToWrite = device.memoryRegion.write(position, dataBytes);
+                            if (options.offset == null) {
+                                file.fPos = position + bytesToWrite;
+                            }
+                            if (bytesToWrite === 0 && dataBytes.length > 0) {
+                                device.activeWriters--;
+                                throw new KernelError('ENOSPC', `offset ${position} is at or past the end of the ${device.memoryRegion.size}-byte region`);
+                            }
+                        } else {
+                            ({ written: bytesToWrite, dropped } = device.ringBuffer.write(dataBytes));
+                            file.fPos += bytesToWrite;
+                        }
+                        
+                        device.stats.bytesWritten += bytesToWrite;
+                        file.privateData.bytesWritten += bytesToWrite;
+                        device.activeWriters--;
+                        
+                        if (dropped > 0) {
+                            device.stats.bytesOverwritten += dropped;
+                            this.logKernel('WARNING', `${device.name}: buffer overrun, ${dropped} oldest bytes overwritten`, file);
+                        }
+                        
+                        this.logKernel('DEBUG', `Wrote ${bytesToWrite} bytes to ${device.path} (fd ${fd})`, file);
+                        
+                        // Data is available: wake any sleeping readers and
+                        // signal the processes that asked for SIGIO
+                        device.wakeReaders(span);
+                        this.killFasync(device, 'POLL_IN');
+                        
                         resolve({
                             success: true,
-                            data: '',
-                            bytesRead: 0,
-                            message: 'No data available'
+                            bytesWritten: bytesToWrite,
+                            message: `Successfully wrote ${bytesToWrite} bytes`
                         });
-                        return;
-                    }
-                    
-                    // Read data from kernel buffer (simulates copy_to_user)
-                    const readBuffer = new Uint8Array(bytesToRead);
-                    const startPos = Math.max(0, this.bufferPosition - this.bufferUsed);
-                    
-                    for (let i = 0; i < bytesToRead; i++) {
-                        readBuffer[i] = this.bufferView[(startPos + i) % this.bufferSize];
+                        
+                    } catch (error) {
+                        reject(this.recordError('Write', error, file));
+                    } finally {
+                        if (locked) {
+                            device.releaseMutex(span);
+                        }
+                        this.putFile(file);
                     }
-                    
-                    const data = new TextDecoder().decode(readBuffer);
-                    this.bufferUsed -= bytesToRead;
-                    this.stats.bytesRead += bytesToRead;
-                    
-                    this.logKernel('DEBUG', `Read ${bytesToRead} bytes from device buffer`);
-                    
-                    resolve({
-                        success: true,
-                        data: data,
-                        bytesRead: bytesToRead,
-                        message: `Successfully read ${bytesToRead} bytes`
-                    });
-                    
+                }, this.operationLatency(this.random() * 100 + 50, file)); // Simulate kernel latency
+            });
+        }
+        
+        deviceRead(fd, count, options = {}) {
+            return new Promise((resolve, reject) => {
+                let file;
+                try {
+                    file = this.getFile('Read', fd, 'read');
                 } catch (error) {
-                    this.stats.errorCount++;
-                    this.logKernel('ERROR', `Read operation failed: ${error.message}`);
                     reject(error);
-                } finally {
-                    this.activeReaders--;
-                    this.releaseMutex();
+                    return;
                 }
-            }, Math.random() * 100 + 50);
-        });
-    }
-    
-    deviceIoctl(cmd, arg) {
-        return new Promise((resolve, reject) => {
-            if (!this.moduleLoaded) {
-                reject(new Error('No such device'));
-                return;
-            }
-            
-            setTimeout(() => {
+                const device = file.device;
+                
+                // The span covers the whole call, from entry to return
+                const span = this.tracer.begin('read', file);
+                resolve = this.tracer.settle(span, resolve);
+                reject = this.tracer.settle(span, reject);
+                
+                if (!Number.isInteger(count) || count <= 0) {
+                    this.putFile(file);
+                    reject(this.recordError('Read', new KernelError('EINVAL', `invalid read size ${count}`), file));
+                    return;
+                }
+                
                 try {
-                    this.stats.ioctlCount++;
-                    let result = { success: true };
+                    this.checkOffset(device, options.offset);
+                } catch (error) {
+                    this.putFile(file);
+                    reject(this.recordError('Read', error, file));
+                    return;
+                }
+                
+                if (device.fops) {
+                    this.fopsRead(file, count, options, span).then(resolve, reject);
+                    return;
+                }
+                
+                this.clock.setTimeout(async () => {
+                    const wait = this.waitOptions(options, file);
+                    let locked = false;
                     
-                    switch (cmd) {
-                        case 'CLEAR_BUFFER':
-                            this.bufferView.fill(0);
-                            this.bufferUsed = 0;
-                            this.bufferPosition = 0;
-                            this.logKernel('INFO', 'Buffer cleared via IOCTL command');
-                            result.message = 'Buffer cleared successfully';
-                            break;
+                    try {
+                        await this.lockDevice(device, wait, span);
+                        locked = true;
+                        
+                        // Sleep on the read queue until a writer supplies data
+                        while (device.readWouldBlock()) {
+                            device.releaseMutex(span);
+                            locked = false;
                             
-                        case 'SET_BUFFER_SIZE':
-                            const newSize = arg || 2048;
-                            if (newSize > this.config.maxBufferSize) {
-                                throw new Error('Buffer size exceeds maximum allowed');
+                            if (file.isNonBlocking()) {
+                                reject(this.recordError('Read', new KernelError('EAGAIN', 'no data available'), file));
+                                return;
                             }
-                            this.resizeBuffer(newSize);
-                            this.logKernel('INFO', `Buffer size changed to ${newSize} bytes`);
-                            result.message = `Buffer size set to ${newSize} bytes`;
-                            break;
-                            
-                        case 'ENABLE_LOGGING':
-                            this.config.loggingEnabled = !this.config.loggingEnabled;
-                            this.logKernel('INFO', `Logging ${this.config.loggingEnabled ? 'enabled' : 'disabled'}`);
-                            result.message = `Logging ${this.config.loggingEnabled ? 'enabled' : 'disabled'}`;
-                            break;
                             
-                        default:
-                            throw new Error('Invalid IOCTL command');
+                            this.logKernel('DEBUG', `${device.name}: buffer empty, reader sleeping on wait queue (${device.readQueue.length + 1} waiting)`, file);
+                            span.mark('sleep');
+                            this.tracer.wakeup(await device.readQueue.waitEvent(() => !device.readWouldBlock(), wait),
+                                span, device.readQueue.name);
+                            await this.lockDevice(device, wait, span);
+                            locked = true;
+                        }
+                        
+                        // A failed copy leaves the data in the buffer
+                        if (this.injectFault('fail_usercopy', 'copy_to_user', file)) {
+                            throw new KernelError('EFAULT', 'copy_to_user: injected fault');
+                        }
+                        device.activeReaders++;
+                        
+                        // Read data from kernel buffer (simulates copy_to_user)
+                        const position = options.offset != null ? options.offset : file.fPos;
+                        const readBuffer = device.isRandomAccess() ?
+                            device.memoryRegion.read(position, count) :
+                            device.ringBuffer.read(count);
+                        const bytesToRead = readBuffer.length;
+                        await this.delay(this.copyDuration(bytesToRead));
+                        device.activeReaders--;
+                        
+                        const data = new TextDecoder().decode(readBuffer);
+                        device.stats.bytesRead += bytesToRead;
+                        if (options.offset == null) {
+                            file.fPos += bytesToRead;
+                        }
+                        file.privateData.bytesRead += bytesToRead;
+                        
+                        if (bytesToRead === 0) {
+                            // Random-access reads at or beyond the end of data hit EOF
+                            this.logKernel('DEBUG', `Read at offset ${position} hit end of ${device.path} (fd ${fd})`, file);
+                            resolve({
+                                success: true,
+                                data: '',
+                                bytesRead: 0,
+                                eof: true,
+                                message: 'End of file'
+                            });
+                            return;
+                        }
+                        
+                        this.logKernel('DEBUG', `Read ${bytesToRead} bytes from ${device.path} (fd ${fd})`, file);
+                        
+                        // Space was freed: wake any sleeping writers
+                        device.wakeWriters(span);
+                        
+                        resolve({
+                            success: true,
+                            data: data,
+                            bytes: readBuffer,
+                            bytesRead: bytesToRead,
+                            message: `Successfully read ${bytesToRead} bytes`
+                        });
+                        
+                    } catch (error) {
+                        reject(this.recordError('Read', error, file));
+                    } finally {
+                        if (locked) {
+                            device.releaseMutex(span);
+                        }
+                        this.putFile(file);
                     }
-                    
-                    resolve(result);
-                    
+                }, this.operationLatency(this.random() * 100 + 50, file));
+            });
+        }
+        
+        deviceIoctl(fd, cmd, arg) {
+            return new Promise((resolve, reject) => {
+                let file;
+                try {
+                    file = this.getFile('IOCTL', fd);
                 } catch (error) {
-                    this.stats.errorCount++;
-                    this.logKernel('ERROR', `IOCTL operation failed: ${error.message}`);
                     reject(error);
+                    return;
                 }
-            }, 50);
-        });
-    }
-    
-    resizeBuffer(newSize) {
-        const newBuffer = new ArrayBuffer(newSize);
-        const newView = new Uint8Array(newBuffer);
-        
-        // Copy existing data
-        const copySize = Math.min(this.bufferUsed, newSize);
-        for (let i = 0; i < copySize; i++) {
-            newView[i] = this.bufferView[i];
-        }
-        
-        this.deviceBuffer = newBuffer;
-        this.bufferView = newView;
-        this.bufferSize = newSize;
-        this.bufferUsed = Math.min(this.bufferUsed, newSize);
-        this.bufferPosition = Math.min(this.bufferPosition, newSize);
-    }
-    
-    acquireMutex() {
-        // Simplified mutex simulation
-        if (this.mutex) {
-            this.waitQueue.push(Date.now());
-            throw new Error('Resource busy');
-        }
-        this.mutex = true;
-    }
-    
-    releaseMutex() {
-        this.mutex = false;
-        if (this.waitQueue.length > 0) {
-            this.waitQueue.shift();
+                const device = file.device;
+                
+                // The span covers the whole call, from entry to return
+                const span = this.tracer.begin('ioctl', file);
+                resolve = this.tracer.settle(span, resolve);
+                reject = this.tracer.settle(span, reject);
+                
+                if (device.fops) {
+                    this.fopsIoctl(file, cmd, arg, span).then(resolve, reject);
+                    return;
+                }
+                
+                this.clock.setTimeout(() => {
+                    try {
+                        device.stats.ioctlCount++;
+                        file.privateData.ioctls++;
+                        const command = ioctlLookup(cmd);
+                        if (!command) {
+                            throw new KernelError('ENOTTY', `unknown command ${describeIoctl(cmd)}`);
+                        }
+                        const value = this.copyIoctlArg(command, arg, file);
+                        let result = { success: true, command: command.name };
+                        
+                        switch (command.name) {
+                            case 'CLEAR_BUFFER':
+                                device.tryLockMutex('CLEAR_BUFFER', span);
+                                device.clear();
+                                device.releaseMutex(span);
+                                this.logKernel('INFO', `${device.name}: buffer cleared via IOCTL command`, file);
+                                result.message = 'Buffer cleared successfully';
+                                break;
+                                
+                            case 'SET_BUFFER_SIZE':
+                                this.resizeBuffer('SET_BUFFER_SIZE', device, value, span, file);
+                                result.message = `Buffer size set to ${value} bytes`;
+                                break;
+                                
+                            case 'GET_BUFFER_SIZE':
+                                result.value = device.bufferSize;
+                                result.message = `Buffer size is ${device.bufferSize} bytes`;
+                                break;
+                                
+                            case 'SET_MODE':
+                                if (!STORAGE_MODES[value]) {
+                                    throw new KernelError('EINVAL', `unknown storage mode ${value}`);
+                                }
+                                device.tryLockMutex('SET_MODE', span);
+                                try {
+                                    this.setStorageMode(device, STORAGE_MODES[value]);
+                                } finally {
+                                    device.releaseMutex(span);
+                                }
+                                result.message = `Storage mode set to ${STORAGE_MODES[value] === 'random' ? 'random access' : 'FIFO'}`;
+                                break;
+                                
+                            case 'ENABLE_LOGGING':
+                            case 'DISABLE_LOGGING':
+                                this.config.loggingEnabled = command.name === 'ENABLE_LOGGING';
+                                // Logged at WARNING so the change shows up either way
+                                this.logKernel('WARNING', `${this.moduleName}: logging ${this.config.loggingEnabled ? 'enabled' : 'disabled'}`, file);
+                                result.message = `Logging ${this.config.loggingEnabled ? 'enabled' : 'disabled'}`;
+                                break;
+                                
+                            case 'SET_LOG_LEVEL':
+                                this.setConsoleLoglevel(value, file);
+                                result.message = `Console loglevel set to ${value}`;
+                                break;
+                                
+                            case 'GET_STATS':
+                                result.value = { ...device.stats };
+                                result.message = `${device.stats.bytesRead} bytes read, ${device.stats.bytesWritten} bytes written`;
+                                break;
+                                
+                            case 'RESET_STATS':
+                                Object.keys(device.stats).forEach(key => {
+                                    device.stats[key] = 0;
+                                });
+                                this.logKernel('INFO', `${device.name}: statistics reset`, file);
+                                result.message = 'Statistics reset';
+                                break;
+                                
+                            case 'GET_STATUS':
+                                result.value = {
+                                    loaded: this.moduleLoaded,
+                                    mode: device.storageMode,
+                                    policy: device.ringBuffer.policy,
+                                    used: device.bufferUsed,
+                                    size: device.bufferSize,
+                                    openFiles: this.fileTable.list().filter(f => f.device === device).length,
+                                    logging: this.config.loggingEnabled,
+                                    logLevel: this.config.consoleLoglevel
+                                };
+                                result.message = `${device.path}: ${device.storageMode}, ${device.bufferUsed}/${device.bufferSize} bytes used`;
+                                break;
+                                
+                            case 'SET_NONBLOCK':
+                                // Like FIONBIO: toggles O_NONBLOCK on this open file only
+                                if (value) {
+                                    file.flags |= OPEN_FLAGS.O_NONBLOCK;
+                                } else {
+                                    file.flags &= ~OPEN_FLAGS.O_NONBLOCK;
+                                }
+                                result.message = `fd ${fd} is now ${value ? 'non-blocking' : 'blocking'}`;
+                                break;
+                        }
+                        
+                        this.logKernel('DEBUG', `ioctl(${fd}, ${describeIoctl(cmd)}) = 0`, file);
+                        resolve(result);
+                        
+                    } catch (error) {
+                        reject(this.recordError('IOCTL', error, file));
+                    } finally {
+                        this.putFile(file);
+                    }
+                }, this.operationLatency(50, file));
+            });
         }
-    }
-    
-    // Module management
-    loadModule() {
-        this.moduleLoaded = true;
-        this.stats = { ...this.stats, startTime: Date.now() };
-        this.logKernel('INFO', 'Module loaded successfully');
-    }
-    
-    unloadModule() {
-        this.moduleLoaded = false;
-        this.activeReaders = 0;
-        this.activeWriters = 0;
-        this.waitQueue = [];
-        this.logKernel('INFO', 'Module unloaded successfully');
-    }
-    
-    // Statistics and monitoring
-    getStats() {
-        const uptime = (Date.now() - this.stats.startTime) / 1000;
-        return {
-            ...this.stats,
-            uptime,
-            bufferSize: this.bufferSize,
-            bufferUsed: this.bufferUsed,
-            bufferFree: this.bufferSize - this.bufferUsed,
-            activeReaders: this.activeReaders,
-            activeWriters: this.activeWriters,
-            queueLength: this.waitQueue.length,
-            readRate: this.stats.bytesRead / uptime,
-            writeRate: this.stats.bytesWritten / uptime
-        };
-    }
-    
-    getProcStats() {
-        const stats = this.getStats();
-        return `Device Statistics:
-bytes_read: ${stats.bytesRead}
-bytes_written: ${stats.bytesWritten}
-open_count: ${stats.openCount}
-ioctl_count: ${stats.ioctlCount}
-error_count: ${stats.errorCount}
-uptime_seconds: ${Math.floor(stats.uptime)}
-buffer_size: ${stats.bufferSize}
-buffer_used: ${stats.bufferUsed}
-buffer_free: ${stats.bufferFree}
-active_readers: ${stats.activeReaders}
-active_writers: ${stats.activeWriters}
-wait_queue_length: ${stats.queueLength}
-read_rate_bps: ${stats.readRate.toFixed(2)}
-write_rate_bps: ${stats.writeRate.toFixed(2)}
-module_loaded: ${this.moduleLoaded ? 'yes' : 'no'}
-logging_enabled: ${this.config.loggingEnabled ? 'yes' : 'no'}`;
-    }
-    
-    startPeriodicUpdates() {
-        setInterval(() => {
-            // Update UI components periodically
-            if (typeof updateMonitoringDashboard === 'function') {
-                updateMonitoringDashboard();
-            }
-        }, 1000);
-    }
-    
-    // Stress testing support
-    simulateStressTest() {
-        const operations = ['read', 'write'];
-        const operation = operations[Math.floor(Math.random() * operations.length)];
         
-        // Update system load
-        this.systemLoad.cpu = Math.min(95, this.systemLoad.cpu + Math.random() * 10);
-        this.systemLoad.io = Math.min(90, this.systemLoad.io + Math.random() * 15);
+        /**
+         * copy_from_user() for the ioctl argument. _IOW commands need a value of
+         * the declared type; a missing one is a bad pointer (EFAULT).
+         */
+        copyIoctlArg(command, arg, file) {
+            if (!(_IOC_DIR(command.cmd) & IOC_WRITE)) {
+                return null;
+            }
+            if (arg === undefined || arg === null) {
+                throw new KernelError('EFAULT', `${command.name} needs a ${command.argType} argument`);
+            }
+            if (this.injectFault('fail_usercopy', 'copy_from_user', file)) {
+                throw new KernelError('EFAULT', `${command.name}: copy_from_user: injected fault`);
+            }
+            if (!IOCTL_ARG_TYPES[command.argType].valid(arg)) {
+                throw new KernelError('EINVAL', `${command.name}: ${JSON.stringify(arg)} is not a valid ${command.argType}`);
+            }
+            return arg;
+        }
         
-        if (operation === 'read') {
-            this.deviceRead(Math.floor(Math.random() * 512) + 1).catch(() => {});
-        } else {
-            const data = 'stress_test_' + Math.random().toString(36).substring(7);
-            this.deviceWrite(data).catch(() => {});
+        /**
+         * Reallocate a minor's buffer, for SET_BUFFER_SIZE and the buffer_size
+         * attribute. Takes the mutex without sleeping: EBUSY if it is held.
+         */
+        resizeBuffer(operation, device, size, owner, task = KERNEL_TASK) {
+            if (size === 0 || size > this.config.maxBufferSize) {
+                throw new KernelError('EINVAL', `buffer size must be 1-${this.config.maxBufferSize} bytes, got ${size}`);
+            }
+            device.tryLockMutex(operation, owner);
+            try {
+                if (this.injectFault('failslab', `kmalloc(${size})`, task)) {
+                    throw new KernelError('ENOMEM', `kmalloc(${size}) for the ${device.name} buffer failed`);
+                }
+                device.resize(size);
+            } finally {
+                device.releaseMutex(owner);
+            }
+            this.logKernel('INFO', `${device.name}: buffer size changed to ${size} bytes`, task);
         }
         
-        // Simulate processes
-        this.simulateProcessActivity();
-    }
-    
-    // Advanced Features Implementation
-    simulateInterrupt() {
-        return new Promise((resolve) => {
-            if (!this.config.interruptEnabled) {
-                resolve({ success: false, message: 'Interrupts disabled' });
-                return;
+        checkOffset(device, offset) {
+            // pread()/pwrite() need a seekable device
+            if (offset == null) return;
+            if (!device.isRandomAccess()) {
+                throw new KernelError('ESPIPE', 'positional I/O requires random-access mode');
             }
-            
-            this.interrupts.count++;
-            this.interrupts.lastTime = Date.now();
-            
-            // Flash the UI
-            document.body.classList.add('interrupt-flash');
-            setTimeout(() => document.body.classList.remove('interrupt-flash'), 500);
-            
-            const irqNumber = Math.floor(Math.random() * 16) + 1;
-            this.logKernel('INFO', `Hardware interrupt IRQ ${irqNumber} triggered`);
-            this.logKernel('DEBUG', `Interrupt handler executed in ${Math.random() * 5 + 1}ms`);
-            
-            // Simulate interrupt processing time
-            setTimeout(() => {
-                resolve({ 
-                    success: true, 
-                    message: `IRQ ${irqNumber} processed successfully`,
-                    irq: irqNumber,
-                    processingTime: Math.random() * 5 + 1
-                });
-            }, 100);
-        });
-    }
-    
-    simulateDMA() {
-        return new Promise((resolve) => {
-            if (!this.config.dmaEnabled || this.dma.activeTransfers >= this.dma.channels) {
-                resolve({ success: false, message: 'DMA channels busy or disabled' });
-                return;
+            if (!Number.isInteger(offset) || offset < 0) {
+                throw new KernelError('EINVAL', `invalid offset ${offset}`);
             }
+        }
+        
+        /**
+         * Switch a device between FIFO and scull-style random-access storage.
+         * Pending data carries over in order and its open descriptors are rewound.
+         */
+        setStorageMode(device, mode) {
+            if (mode === device.storageMode) return;
             
-            this.dma.activeTransfers++;
-            const transferSize = Math.floor(Math.random() * 4096) + 1024; // 1-5KB
-            const transferTime = transferSize / 100; // Simulate transfer rate
-            
-            this.logKernel('INFO', `DMA transfer started: ${transferSize} bytes`);
+            device.setStorageMode(mode);
+            this.fileTable.list()
+                .filter(file => file.device === device)
+                .forEach(file => {
+                    file.fPos = 0;
+                });
             
-            // Visual DMA progress
-            this.showDMAProgress();
+            this.logKernel('INFO', `${device.name}: storage mode switched to ${mode === 'random' ? 'random access (seekable)' : 'FIFO'}`);
+        }
+        
+        deviceLlseek(fd, offset, whence = SEEK_WHENCE.SEEK_SET) {
+            const file = this.getFile('Llseek', fd);
+            const device = file.device;
             
-            setTimeout(() => {
-                this.dma.activeTransfers--;
-                this.dma.totalTransferred += transferSize;
+            try {
+                if (device.fops) {
+                    const newPos = this.callFop(file, 'llseek', [offset, whence], this.driverApi(file));
+                    this.logKernel('DEBUG', `llseek fd ${fd} to offset ${newPos}`, file);
+                    return {
+                        success: true,
+                        offset: newPos,
+                        message: `File position set to ${newPos}`
+                    };
+                }
+                
+                if (!device.isRandomAccess()) {
+                    throw new KernelError('ESPIPE', 'device is in FIFO mode');
+                }
                 
-                this.logKernel('DEBUG', `DMA transfer completed: ${transferSize} bytes in ${transferTime.toFixed(2)}ms`);
+                let base;
+                switch (whence) {
+                    case SEEK_WHENCE.SEEK_SET:
+                        base = 0;
+                        break;
+                    case SEEK_WHENCE.SEEK_CUR:
+                        base = file.fPos;
+                        break;
+                    case SEEK_WHENCE.SEEK_END:
+                        base = device.memoryRegion.dataSize;
+                        break;
+                    default:
+                        throw new KernelError('EINVAL', `invalid whence ${whence}`);
+                }
+                
+                const newPos = base + offset;
+                if (!Number.isInteger(newPos) || newPos < 0) {
+                    throw new KernelError('EINVAL', `resulting offset ${newPos} is invalid`);
+                }
+                
+                file.fPos = newPos;
+                this.logKernel('DEBUG', `llseek fd ${fd} to offset ${newPos}`, file);
                 
-                resolve({
+                // Readiness of a random-access file depends on f_pos
+                device.pollQueue.wakeUp();
+                
+                return {
                     success: true,
-                    message: `DMA transfer completed: ${transferSize} bytes`,
-                    size: transferSize,
-                    time: transferTime
-                });
-            }, transferTime * 10);
-        });
-    }
-    
-    showDMAProgress() {
-        // Create visual DMA progress indicator
-        const progressHTML = `
-            <div class="dma-transfer">
-                <div class="dma-progress" id="dma-progress"></div>
-            </div>
-        `;
-        
-        // Add to kernel logs temporarily
-        const logsContainer = document.getElementById('kernel-logs');
-        if (logsContainer) {
-            const tempDiv = document.createElement('div');
-            tempDiv.innerHTML = progressHTML;
-            logsContainer.appendChild(tempDiv);
-            
-            // Animate progress
-            const progressBar = document.getElementById('dma-progress');
-            if (progressBar) {
-                let width = 0;
-                const interval = setInterval(() => {
-                    width += 10;
-                    progressBar.style.width = width + '%';
-                    if (width >= 100) {
-                        clearInterval(interval);
-                        setTimeout(() => tempDiv.remove(), 1000);
-                    }
-                }, 50);
+                    offset: newPos,
+                    message: `File position set to ${newPos}`
+                };
+            } catch (error) {
+                throw this.recordError('Llseek', error, file);
+            } finally {
+                this.putFile(file);
             }
         }
-    }
-    
-    simulateProcessActivity() {
-        const processNames = ['kworker', 'ksoftirqd', 'migration', 'rcu_gp', 'watchdog'];
-        const processName = processNames[Math.floor(Math.random() * processNames.length)];
-        const pid = Math.floor(Math.random() * 9999) + 1000;
-        
-        this.processes.set(pid, {
-            name: processName,
-            status: 'running',
-            startTime: Date.now(),
-            cpuTime: Math.random() * 100
-        });
-        
-        // Remove process after some time
-        setTimeout(() => {
-            this.processes.delete(pid);
-        }, Math.random() * 5000 + 2000);
-    }
-    
-    startNetworkSimulation() {
-        if (this.networkSim.active) return;
         
-        this.networkSim.active = true;
-        this.config.networkSimEnabled = true;
-        this.logKernel('INFO', 'Network simulation started');
+        /**
+         * mmap(2), MAP_SHARED: map `length` bytes of the device buffer starting
+         * at a page-aligned offset. Only random-access storage can be mapped;
+         * a FIFO has no stable layout to alias.
+         */
+        deviceMmap(fd, length, offset = 0, prot = PROT.PROT_READ | PROT.PROT_WRITE) {
+            const file = this.getFile('Mmap', fd);
+            const device = file.device;
+            
+            try {
+                if (!Number.isInteger(length) || length <= 0) {
+                    throw new KernelError('EINVAL', `invalid length ${length}`);
+                }
+                if (!Number.isInteger(offset) || offset < 0 || offset % PAGE_SIZE !== 0) {
+                    throw new KernelError('EINVAL', `offset ${offset} is not a multiple of the ${PAGE_SIZE}-byte page size`);
+                }
+                // A shared mapping needs read access, and write access for PROT_WRITE
+                if (!file.canRead() || ((prot & PROT.PROT_WRITE) && !file.canWrite())) {
+                    throw new KernelError('EACCES', `fd ${fd} is ${file.describeFlags()}, cannot map ${describeProt(prot)}`);
+                }
+                // A ring's bytes move under a mapping, so only the flat region maps
+                if (!device.fops && !device.isRandomAccess()) {
+                    throw new KernelError('EINVAL', `${device.name} is in FIFO mode; switch it to random access (ioctl SET_MODE) to map it`);
+                }
+                if (!device.fops && offset + length > device.bufferSize) {
+                    throw new KernelError('EINVAL', `${offset + length} bytes requested, buffer is only ${device.bufferSize}`);
+                }
+                
+                const vma = new VmArea(this, file, this.nextMmapAddress, pageAlign(length), offset >> PAGE_SHIFT, prot);
+                if (device.fops) {
+                    // The driver's mmap() supplies the memory behind the area
+                    const pages = this.callFop(file, 'mmap', [vma], this.driverApi(file));
+                    if (!(pages instanceof Uint8Array) || pages.length < vma.length) {
+                        throw new KernelError('EINVAL', `${device.driver.name}: mmap() must return at least ${vma.length} bytes`);
+                    }
+                    vma.pages = pages;
+                }
+                // Leave an unmapped guard page between areas
+                this.nextMmapAddress += vma.length + PAGE_SIZE;
+                
+                // The mapping pins the file: close() no longer releases it
+                file.refCount.inc();
+                device.mapCount++;
+                this.vmAreas.push(vma);
+                
+                this.logKernel('INFO', `${device.name}: fd ${fd} mapped at 0x${vma.start.toString(16)}, ${vma.pageCount} page(s) from offset ${offset} [${describeProt(prot)}]`, file);
+                return vma;
+            } catch (error) {
+                throw this.recordError('Mmap', error, file);
+            } finally {
+                this.putFile(file);
+            }
+        }
         
-        const networkInterval = setInterval(() => {
-            if (!this.networkSim.active) {
-                clearInterval(networkInterval);
-                return;
+        deviceMunmap(vma) {
+            if (vma.unmapped) {
+                throw this.recordError('Munmap', new KernelError('EINVAL', `0x${vma.start.toString(16)} is not mapped`));
             }
             
-            // Simulate network packets
-            this.networkSim.packetsRx += Math.floor(Math.random() * 10);
-            this.networkSim.packetsTx += Math.floor(Math.random() * 8);
+            vma.unmapped = true;
+            vma.device.mapCount--;
+            this.vmAreas = this.vmAreas.filter(area => area !== vma);
+            this.logKernel('INFO', `${vma.device.name}: unmapped 0x${vma.start.toString(16)} after ${vma.faults} page fault(s)`, vma.file);
+            this.putFile(vma.file);
+        }
+        
+        /**
+         * Stores through a mapping bypass write(), so account for them here to
+         * keep the byte counters and readiness in step
+         */
+        accountMappedWrite(vma, written) {
+            if (written === 0) return;
             
-            if (Math.random() < 0.02) { // 2% error rate
-                this.networkSim.errors++;
-                this.logKernel('WARNING', 'Network packet dropped');
-            }
+            const device = vma.device;
+            device.stats.bytesWritten += written;
+            vma.file.privateData.bytesWritten += written;
+            this.logKernel('DEBUG', `Stored ${written} bytes to ${device.path} through mapping 0x${vma.start.toString(16)}`, vma.file);
             
-            this.systemLoad.io = Math.min(80, this.systemLoad.io + Math.random() * 5);
-        }, 1000);
-    }
-    
-    stopNetworkSimulation() {
-        this.networkSim.active = false;
-        this.config.networkSimEnabled = false;
-        this.logKernel('INFO', 'Network simulation stopped');
-    }
-    
-    getMemoryMap() {
-        const total = Object.values(this.memoryMap).reduce((a, b) => a + b, 0);
-        return {
-            segments: Object.entries(this.memoryMap).map(([name, size]) => ({
+            device.wakeReaders();
+            this.killFasync(device, 'POLL_IN');
+        }
+        
+        /**
+         * fcntl(2): the status-flag and owner commands. Toggling O_ASYNC calls
+         * the driver's fasync() to join or leave the device's async queue.
+         */
+        deviceFcntl(fd, cmd, arg = 0) {
+            const file = this.getFile('Fcntl', fd);
+            
+            try {
+                switch (cmd) {
+                    case FCNTL_COMMANDS.F_GETFL:
+                        return file.flags;
+                        
+                    case FCNTL_COMMANDS.F_SETFL: {
+                        if (!Number.isInteger(arg)) {
+                            throw new KernelError('EINVAL', `invalid flags ${arg}`);
+                        }
+                        const oldFlags = file.flags;
+                        file.flags = (oldFlags & ~SETFL_MASK) | (arg & SETFL_MASK);
+                        if ((oldFlags ^ file.flags) & OPEN_FLAGS.O_ASYNC) {
+                            this.deviceFasync(file, file.isAsync());
+                        }
+                        this.logKernel('DEBUG', `fcntl fd ${fd}: flags now ${file.describeFlags()}`, file);
+                        return 0;
+                    }
+                    
+                    case FCNTL_COMMANDS.F_GETOWN:
+                        return file.fOwner;
+                        
+                    case FCNTL_COMMANDS.F_SETOWN:
+                        if (!Number.isInteger(arg) || arg < 0) {
+                            throw new KernelError('EINVAL', `invalid owner ${arg}`);
+                        }
+                        file.fOwner = arg;
+                        this.logKernel('DEBUG', `fcntl fd ${fd}: SIGIO owner set to PID ${arg}`, file);
+                        return 0;
+                        
+                    default:
+                        throw new KernelError('EINVAL', `unknown fcntl command ${cmd}`);
+                }
+            } catch (error) {
+                throw this.recordError('Fcntl', error, file);
+            } finally {
+                this.putFile(file);
+            }
+        }
+        
+        // Driver fasync(): fasync_helper() on the device's async queue
+        deviceFasync(file, on) {
+            if (fasyncHelper(file, on, file.device.asyncQueue)) {
+                this.logKernel('DEBUG', `${file.device.name}: fasync ${on ? 'enabled' : 'disabled'} for fd ${file.fd}`, file);
+            }
+        }
+        
+        /**
+         * kill_fasync(): queue SIGIO for the owner of every file on the device's
+         * async queue. Handlers run on the next tick, as on return to user mode.
+         */
+        killFasync(device, band) {
+            device.asyncQueue
+                .filter(file => file.fOwner > 0)
+                .forEach(file => this.sendSignal(file.fOwner, 'SIGIO', { fd: file.fd, band, path: device.path }));
+        }
+        
+        sigaction(pid, signal, handler) {
+            this.signals.sigaction(pid, signal, handler);
+            this.logKernel('DEBUG', `signal: PID ${pid} ${handler ? 'installed' : 'removed'} a ${signal} handler`);
+        }
+        
+        sendSignal(pid, signal, info = {}) {
+            this.clock.setTimeout(() => {
+                const detail = info.fd != null ? ` (fd ${info.fd}, ${info.band})` : '';
+                const delivered = this.signals.deliver(pid, signal, info);
+                
+                if (delivered) {
+                    this.logKernel('INFO', `signal: ${signal} delivered to PID ${pid}${detail}`);
+                } else {
+                    this.logKernel('DEBUG', `signal: ${signal} to PID ${pid}${detail} discarded, no handler installed`);
+                }
+                this.emit('signal', { pid, signal, ...info, delivered });
+            }, 0);
+        }
+        
+        // Process management
+        spawnProcess(comm, options = {}) {
+            const task = this.processes.spawn(comm, options);
+            this.logKernel('DEBUG', `sched: ${comm}[${task.pid}] started (uid ${task.uid})`);
+            return task;
+        }
+        
+        /**
+         * Start a process that drives `path` with one of PROCESS_SCRIPTS.
+         * Returns the task; its exit status is collected by init.
+         */
+        runProcess(scriptName, path, options = {}) {
+            const script = PROCESS_SCRIPTS[scriptName];
+            if (!script) {
+                throw new KernelError('EINVAL', `unknown process script ${scriptName}`);
+            }
+            
+            const task = this.spawnProcess(options.comm || scriptName, { uid: options.uid, script: scriptName });
+            this.runScript(task, path, script);
+            return task;
+        }
+        
+        async runScript(task, path, script) {
+            const flags = script.flags.split('|').reduce((mask, name) => mask | OPEN_FLAGS[name], 0);
+            let status = 0;
+            
+            try {
+                const { fd } = this.deviceOpen(path, flags, task);
+                for (let i = 0; i < script.repeat && task.alive; i++) {
+                    for (const step of script.steps) {
+                        if (!task.alive) break;
+                        await this.runScriptStep(task, fd, step);
+                    }
+                }
+            } catch (error) {
+                status = 1;
+            }
+            
+            // A killed process has already exited with its signal's status
+            if (task.alive) {
+                this.exitProcess(task.pid, status);
+            }
+        }
+        
+        async runScriptStep(task, fd, step) {
+            const options = { signal: task.signal };
+            try {
+                if (step.op === 'write') {
+                    await this.deviceWrite(fd, step.data, options);
+                } else if (step.op === 'read') {
+                    await this.deviceRead(fd, step.count, options);
+                } else if (step.op === 'sleep') {
+                    await this.nanosleep(task, step.ms);
+                }
+            } catch (error) {
+                // Non-blocking reads on an empty buffer are expected
+                if (error.code !== 'EAGAIN') throw error;
+            }
+        }
+        
+        // nanosleep(2): the task sleeps in the timer code until the time is up
+        nanosleep(task, ms) {
+            return new Promise((resolve, reject) => {
+                const onAbort = () => {
+                    this.clock.clearTimeout(timer);
+                    task.wake();
+                    reject(new KernelError('EINTR'));
+                };
+                const timer = this.clock.setTimeout(() => {
+                    task.signal.removeEventListener('abort', onAbort);
+                    task.wake();
+                    resolve();
+                }, ms);
+                
+                task.block('hrtimer_nanosleep');
+                task.signal.addEventListener('abort', onAbort, { once: true });
+            });
+        }
+        
+        /**
+         * do_exit(): close every descriptor, drop signal handlers and leave a
+         * zombie for init to reap
+         */
+        exitProcess(pid, status = 0) {
+            const task = this.processes.get(pid);
+            if (!task.alive) return;
+            
+            task.state = TASK_STATES.ZOMBIE;
+            task.wchan = null;
+            task.exitCode = status;
+            task.controller.abort();
+            
+            Array.from(task.files.keys()).forEach(fd => {
+                try {
+                    this.deviceClose(fd);
+                } catch (error) {
+                    // Already closed from the open files panel
+                }
+            });
+            task.files.clear();
+            this.signals.clear(pid);
+            
+            this.logKernel('DEBUG', `sched: ${task.comm}[${pid}] exited with status ${status}`);
+            this.clock.setTimeout(() => this.processes.reap(pid), ZOMBIE_REAP_DELAY);
+        }
+        
+        /**
+         * kill(2): a handler installed with sigaction() catches the signal;
+         * otherwise the default action terminates the process
+         */
+        killProcess(pid, signal = 'SIGTERM') {
+            if (!SIGNALS[signal]) {
+                throw new KernelError('EINVAL', `unknown signal ${signal}`);
+            }
+            const task = this.processes.get(pid);
+            if (!task.alive) {
+                throw new KernelError('ESRCH', `PID ${pid} has exited`);
+            }
+            
+            if (signal !== 'SIGKILL' && this.signals.hasHandler(pid, signal)) {
+                this.sendSignal(pid, signal);
+                return;
+            }
+            this.logKernel('INFO', `signal: ${task.comm}[${pid}] killed by ${signal}`);
+            this.exitProcess(pid, 128 + SIGNALS[signal]);
+        }
+        
+        listProcesses() {
+            return this.processes.list().map(task => task.describe());
+        }
+        
+        /**
+         * Misuse one of the locking primitives on purpose (see LOCK_SCENARIOS)
+         * so lockdep reports it. Resolves with the number of new reports:
+         * like the kernel, each problem is only reported the first time.
+         */
+        async runLockScenario(name) {
+            if (!LOCK_SCENARIOS[name]) {
+                throw new KernelError('EINVAL', `unknown lock scenario ${name}`);
+            }
+            
+            const tag = `demo_${name.replace(/-/g, '_')}`;
+            const warnings = this.lockdep.warnings;
+            const thread = this.spawnProcess('lockdemo');
+            this.logKernel('INFO', `lockdep: running ${name}: ${LOCK_SCENARIOS[name]}`, thread);
+            
+            try {
+                switch (name) {
+                    case 'abba': {
+                        const a = new KMutex(`${tag}_a`, this.clock, this.lockdep);
+                        const b = new KMutex(`${tag}_b`, this.clock, this.lockdep);
+                        const other = this.spawnProcess('lockdemo');
+                        // Run one after the other nothing deadlocks, but interleaved
+                        // each would hold the lock the other is waiting for
+                        await a.lock(thread);
+                        await b.lock(thread);
+                        b.unlock(thread);
+                        a.unlock(thread);
+                        await b.lock(other);
+                        await a.lock(other);
+                        a.unlock(other);
+                        b.unlock(other);
+                        this.exitProcess(other.pid, 0);
+                        break;
+                    }
+                    
+                    case 'sleep-in-atomic': {
+                        const spinlock = new SpinLock(`${tag}_lock`, this.lockdep);
+                        const mutex = new KMutex(`${tag}_mutex`, this.clock, this.lockdep);
+                        spinlock.lock(thread);
+                        await mutex.lock(thread);
+                        mutex.unlock(thread);
+                        spinlock.unlock(thread);
+                        break;
+                    }
+                    
+                    case 'double-unlock': {
+                        const mutex = new KMutex(`${tag}_mutex`, this.clock, this.lockdep);
+                        await mutex.lock(thread);
+                        mutex.unlock(thread);
+                        mutex.unlock(thread);
+                        break;
+                    }
+                    
+                    case 'spin-recursion': {
+                        const spinlock = new SpinLock(`${tag}_lock`, this.lockdep);
+                        spinlock.lock(thread);
+                        try {
+                            spinlock.lock(thread);
+                        } finally {
+                            spinlock.unlock(thread);
+                        }
+                        break;
+                    }
+                    
+                    case 'irq-unsafe': {
+                        const spinlock = new SpinLock(`${tag}_lock`, this.lockdep);
+                        const irq = irqContext(Math.floor(this.random() * 16));
+                        spinlock.lock(irq);
+                        spinlock.unlock(irq);
+                        // Should have been spin_lock_irqsave()
+                        spinlock.lock(thread);
+                        spinlock.unlock(thread);
+                        break;
+                    }
+                    
+                    case 'wait-in-irq': {
+                        const done = new Completion(`${tag}_done`, this.clock, this.lockdep);
+                        const irq = irqContext(Math.floor(this.random() * 16));
+                        done.complete();
+                        await done.wait(irq);
+                        break;
+                    }
+                    
+                    case 'rwsem-upgrade': {
+                        const rwsem = new RwSemaphore(`${tag}_rwsem`, this.clock, this.lockdep);
+                        await rwsem.downRead(thread);
+                        try {
+                            // Waits for every reader to leave, itself included
+                            await rwsem.downWrite(thread, { task: thread, deadline: this.clock.now() + 100 });
+                            rwsem.upWrite(thread);
+                        } finally {
+                            rwsem.upRead(thread);
+                        }
+                        break;
+                    }
+                }
+            } catch (error) {
+                this.logKernel('ERROR', `lockdep: ${name}: ${KernelError.from(error).toLogString()}`, thread);
+            }
+            
+            this.exitProcess(thread.pid, 0);
+            return this.lockdep.warnings - warnings;
+        }
+        
+        /**
+         * poll(2): report readiness for each { fd, events } entry, sleeping until
+         * one is ready, the timeout (ms, negative = forever) expires or
+         * options.signal interrupts the wait. Resolves with revents filled in.
+         */
+        async devicePoll(entries, timeout = -1, options = {}) {
+            const wait = this.waitOptions({ signal: options.signal, timeout: timeout >= 0 ? timeout : null });
+            
+            for (;;) {
+                const results = entries.map(entry => ({ ...entry, revents: this.pollFile(entry.fd, entry.events) }));
+                if (timeout === 0 || results.some(result => result.revents !== 0)) {
+                    return results;
+                }
+                
+                try {
+                    await this.waitForPollEvent(results, wait);
+                } catch (error) {
+                    if (error.code === 'EAGAIN') {
+                        return results;  // timed out with nothing ready
+                    }
+                    if (error.code !== 'ENODEV') {
+                        throw this.recordError('Poll', error);
+                    }
+                    // Device went away: the next pass reports POLLERR|POLLHUP
+                }
+            }
+        }
+        
+        /**
+         * The driver's poll() file operation: current readiness of one file
+         */
+        pollFile(fd, events) {
+            const file = this.fileTable.files.get(fd);
+            if (!file) {
+                return POLL_EVENTS.POLLNVAL;
+            }
+            
+            const device = file.device;
+            if (device.removed || (!device.fops && !this.moduleLoaded)) {
+                return POLL_EVENTS.POLLERR | POLL_EVENTS.POLLHUP;
+            }
+            if (device.fops) {
+                try {
+                    return this.callFop(file, 'poll', [], this.driverApi(file)) & (events | POLL_ALWAYS);
+                } catch (error) {
+                    return POLL_EVENTS.POLLERR;
+                }
+            }
+            
+            // Random-access files are readable until f_pos reaches the end of data
+            const readable = device.isRandomAccess() ?
+                file.fPos < device.memoryRegion.dataSize :
+                !device.ringBuffer.isEmpty();
+            const writable = device.isRandomAccess() ?
+                (file.isAppend() ? device.memoryRegion.dataSize : file.fPos) < device.memoryRegion.size :
+                !device.writeWouldBlock();
+            
+            let mask = 0;
+            if (file.canRead() && readable) mask |= POLL_EVENTS.POLLIN;
+            if (file.canWrite() && writable) mask |= POLL_EVENTS.POLLOUT;
+            return mask & (events | POLL_ALWAYS);
+        }
+        
+        /**
+         * poll_wait() on every device involved: sleep until any of them wakes
+         * its poll queue
+         */
+        async waitForPollEvent(results, wait) {
+            const devices = new Set(results
+                .map(result => this.fileTable.files.get(result.fd))
+                .filter(file => file)
+                .map(file => file.device));
+            
+            // With nothing to wait on, only the timeout or a signal ends the sleep
+            const queues = devices.size > 0 ?
+                Array.from(devices).map(device => device.pollQueue) :
+                [new WaitQueue('poll', this.clock)];
+            
+            if (wait.signal && wait.signal.aborted) {
+                throw new KernelError('EINTR');
+            }
+            
+            const controller = new AbortController();
+            const forwardAbort = () => controller.abort();
+            if (wait.signal) {
+                wait.signal.addEventListener('abort', forwardAbort);
+            }
+            
+            const sleeps = queues.map(queue => queue.sleep({ deadline: wait.deadline, signal: controller.signal }));
+            sleeps.forEach(sleep => sleep.catch(() => {}));
+            
+            try {
+                await Promise.race(sleeps);
+            } finally {
+                if (wait.signal) {
+                    wait.signal.removeEventListener('abort', forwardAbort);
+                }
+                // Withdraw from the queues that did not fire
+                controller.abort();
+            }
+        }
+        
+        epollCreate() {
+            const epoll = new EpollInstance(this, this.nextEpollId++);
+            this.epollInstances.add(epoll);
+            this.logKernel('DEBUG', `epoll: instance ${epoll.id} created`);
+            return epoll;
+        }
+        
+        epollClose(epoll) {
+            epoll.close();
+            this.epollInstances.delete(epoll);
+            this.logKernel('DEBUG', `epoll: instance ${epoll.id} closed`);
+        }
+        
+        devicePread(fd, count, offset, options = {}) {
+            return this.deviceRead(fd, count, { ...options, offset });
+        }
+        
+        devicePwrite(fd, data, offset, options = {}) {
+            return this.deviceWrite(fd, data, { ...options, offset });
+        }
+        
+        setOverflowPolicy(path, policy) {
+            const device = this.registry.lookup(path);
+            if (device.fops) {
+                throw new KernelError('EINVAL', `${device.name} has no ring buffer`);
+            }
+            device.ringBuffer.setPolicy(policy);
+            this.logKernel('INFO', `${device.name}: buffer overflow policy set to ${policy === 'overwrite' ? 'overwrite-oldest' : 'reject-when-full'}`);
+        }
+        
+        /**
+         * Convert any failure into a KernelError, bump its per-errno counter and
+         * log it. Expected conditions (EAGAIN, EINTR) are logged below ERROR.
+         */
+        recordError(operation, error, task = KERNEL_TASK) {
+            const kernelError = KernelError.from(error);
+            this.stats.errors[kernelError.code]++;
+            
+            const level = kernelError.code === 'EAGAIN' ? 'DEBUG' :
+                kernelError.code === 'EINTR' ? 'WARNING' : 'ERROR';
+            this.logKernel(level, `${operation} operation failed: ${kernelError.toLogString()}`, task);
+            
+            return kernelError;
+        }
+        
+        getErrorCount() {
+            return Object.values(this.stats.errors).reduce((a, b) => a + b, 0);
+        }
+        
+        waitOptions(options, file = null) {
+            // Sleeps on behalf of a file show up as its process's wait channel,
+            // and killing that process interrupts them
+            const task = file ? this.processes.tasks.get(file.pid) || null : null;
+            let signal = options.signal;
+            if (task) {
+                signal = signal ? AbortSignal.any([signal, task.signal]) : task.signal;
+            }
+            return {
+                signal,
+                deadline: options.timeout != null ? this.clock.now() + options.timeout : null,
+                task
+            };
+        }
+        
+        interruptWaiters(error = new KernelError('EINTR')) {
+            const count = [...this.devices, ...this.driverDevices()]
+                .reduce((sum, device) => sum + device.interruptWaiters(error), 0);
+            if (count > 0) {
+                this.logKernel('INFO', `Interrupted ${count} sleeping task(s): ${error.message}`);
+            }
+            return count;
+        }
+        
+        getSleeperCount() {
+            return [...this.devices, ...this.driverDevices()]
+                .reduce((sum, device) => sum + device.getSleeperCount(), 0);
+        }
+        
+        copyDuration(bytes) {
+            // Time spent inside the critical section copying to/from user space
+            return 5 + bytes / 100;
+        }
+        
+        /**
+         * mutex_lock_interruptible() on behalf of a traced call: the wait and
+         * any handoff from the previous holder show up on its span
+         */
+        async lockDevice(device, wait, span) {
+            span.mark('lock-wait');
+            this.tracer.wakeup(await device.acquireMutex(span, wait), span, device.mutexQueue.name);
+            span.mark('lock-held');
+        }
+        
+        delay(ms) {
+            return new Promise(resolve => this.clock.setTimeout(resolve, ms));
+        }
+        
+        // Pluggable drivers
+        
+        /**
+         * Register a driver written as a file_operations object (see
+         * kernel-fops.js): reserve its numbers, then give each minor a cdev and
+         * a /dev node whose system calls dispatch to `fops`. Options:
+         *   minors    - how many (default 1); nodes are NAME, or NAME0, NAME1, ...
+         *   major     - a fixed major, with baseMinor, instead of a dynamic one
+         *   baseMinor - first minor (default 0)
+         *   region    - name in /proc/devices (default NAME)
+         *   builtin   - part of the kernel: no module to pin, never unregistered
+         *   proc      - { entry: seq_operations or show function } to create as
+         *               /proc/NAME/entry, with the driver as m.private
+         * Returns the new device paths.
+         */
+        registerDriver(name, fops, options = {}) {
+            if (!/^[a-z][a-z0-9_]*$/.test(name || '')) {
+                throw new KernelError('EINVAL', `invalid driver name ${name}`);
+            }
+            if (this.drivers.has(name) || name === this.moduleName) {
+                throw new KernelError('EEXIST', `${name} is already registered`);
+            }
+            checkFops(name, fops);
+            const procEntries = Object.entries(options.proc || {});
+            procEntries.forEach(([entry, ops]) => {
+                if (typeof ops !== 'function') checkSeqOps(`/proc/${name}/${entry}`, ops);
+            });
+            
+            const minors = options.minors != null ? options.minors : 1;
+            const baseMinor = options.baseMinor || 0;
+            if (!Number.isInteger(minors) || minors < 1 || minors > 16) {
+                throw new KernelError('EINVAL', `${name}: minors must be 1-16, got ${minors}`);
+            }
+            const nodeName = minor => minors === 1 ? name : `${name}${minor}`;
+            for (let minor = baseMinor; minor < baseMinor + minors; minor++) {
+                if (this.registry.nodes.has(`/dev/${nodeName(minor)}`)) {
+                    throw new KernelError('EEXIST', `/dev/${nodeName(minor)} already exists`);
+                }
+            }
+            
+            const region = options.major != null ?
+                this.registry.registerChrdevRegion(options.major, baseMinor, minors, options.region || name) :
+                this.registry.allocChrdevRegion(baseMinor, minors, options.region || name);
+            const driver = {
                 name,
-                size,
-                percentage: (size / total) * 100
-            })),
-            total
-        };
-    }
-    
-    simulateMemoryLeak() {
-        const leakSize = Math.floor(Math.random() * 50000) + 10000; // 10-60KB leak
-        this.memoryMap.heap += leakSize;
-        this.memoryMap.free = Math.max(0, this.memoryMap.free - leakSize);
-        
-        this.systemLoad.memory = Math.min(95, (this.memoryMap.heap / (this.memoryMap.heap + this.memoryMap.free)) * 100);
-        
-        this.logKernel('WARNING', `Memory leak detected: ${leakSize} bytes not freed`);
-        this.logKernel('INFO', `Available memory: ${this.formatBytes(this.memoryMap.free)}`);
-        
-        return {
-            success: true,
-            leakSize,
-            availableMemory: this.memoryMap.free,
-            memoryUsage: this.systemLoad.memory
-        };
-    }
-    
-    formatBytes(bytes) {
-        const sizes = ['B', 'KB', 'MB', 'GB'];
-        if (bytes === 0) return '0 B';
-        const i = Math.floor(Math.log(bytes) / Math.log(1024));
-        return Math.round(bytes / Math.pow(1024, i) * 100) / 100 + ' ' + sizes[i];
-    }
-    
-    exportToCSV() {
-        const stats = this.getStats();
-        const memMap = this.getMemoryMap();
-        
-        const csvData = [
-            ['Timestamp', 'Bytes Read', 'Bytes Written', 'Open Count', 'CPU Usage', 'Memory Usage', 'IO Load', 'Interrupts', 'DMA Transfers'],
-            [
-                new Date().toISOString(),
-                stats.bytesRead,
-                stats.bytesWritten,
-                stats.openCount,
-                this.systemLoad.cpu.toFixed(2),
-                this.systemLoad.memory.toFixed(2),
-                this.systemLoad.io.toFixed(2),
-                this.interrupts.count,
-                this.dma.totalTransferred
-            ]
-        ];
-        
-        return csvData.map(row => row.join(',')).join('\n');
-    }
-    
-    getAdvancedMetrics() {
-        return {
-            interrupts: this.interrupts,
-            dma: this.dma,
-            network: this.networkSim,
-            systemLoad: this.systemLoad,
-            processes: Array.from(this.processes.entries()).map(([pid, proc]) => ({
-                pid,
-                ...proc
-            })),
-            memoryMap: this.getMemoryMap()
-        };
+                fops,
+                region,
+                owner: options.builtin ? null : new KernelModule(name, {}, this.clock),
+                devices: []
+            };
+            for (let minor = baseMinor; minor < baseMinor + minors; minor++) {
+                const device = new FopsDevice(nodeName(minor), region.major, minor, driver, this.clock);
+                this.registry.cdevAdd(device);
+                this.registry.deviceCreate(device);
+                driver.devices.push(device);
+                this.sysfsAddDriverDevice(device, region.name);
+            }
+            if (driver.owner) {
+                driver.owner.state = MODULE_STATES.LIVE;
+                this.sysfsAddModule(driver.owner);
+            }
+            procEntries.forEach(([entry, ops]) => this.procfs.create(`/proc/${name}/${entry}`, ops, driver));
+            this.drivers.set(name, driver);
+            
+            this.logKernel('INFO', `${name}: registered ${driver.devices.map(device => `${device.path} (${device.devt})`).join(', ')}`);
+            return driver.devices.map(device => device.path);
+        }
+        
+        /**
+         * Remove a registered driver's nodes and numbers. Like rmmod, fails
+         * with EBUSY while files are open on it unless `force`.
+         */
+        unregisterDriver(name, force = false) {
+            const driver = this.drivers.get(name);
+            if (!driver) {
+                throw new KernelError('ENOENT', `${name} is not registered`);
+            }
+            if (!driver.owner) {
+                throw new KernelError('EPERM', `${name} is built into the kernel`);
+            }
+            
+            const users = driver.owner.users;
+            if (users > 0 && !force) {
+                throw new KernelError('EBUSY', `${name} is in use by ${users} open file(s)`);
+            }
+            if (users > 0) {
+                this.tainted = true;
+                this.logKernel('WARNING', `${name}: forced unload with ${users} open file(s), kernel tainted`);
+            }
+            
+            driver.owner.state = MODULE_STATES.GOING;
+            driver.devices.forEach(device => {
+                device.interruptWaiters(new KernelError('ENODEV', `${device.path} removed`));
+                this.registry.deviceDestroy(device);
+                this.registry.cdevDel(device);
+                this.sysfs.removeDir(`/sys/class/${driver.region.name}/${device.name}`);
+            });
+            this.sysfs.removeDir(`/sys/module/${name}`);
+            this.procfs.remove(`/proc/${name}`);
+            this.registry.unregisterChrdevRegion(driver.region);
+            this.drivers.delete(name);
+            this.logKernel('INFO', `${name}: unregistered, released ${driver.region.major}:${driver.region.baseMinor}`);
+        }
+        
+        listDrivers() {
+            return Array.from(this.drivers.values()).map(driver => ({
+                name: driver.name,
+                builtin: !driver.owner,
+                state: driver.owner ? driver.owner.state : MODULE_STATES.LIVE,
+                refcount: driver.owner ? driver.owner.users : 0,
+                major: driver.region.major,
+                operations: FOPS_CALLBACKS.filter(name => driver.fops[name]),
+                devices: driver.devices.map(device => device.path)
+            }));
+        }
+        
+        driverDevices() {
+            return Array.from(this.drivers.values()).flatMap(driver => driver.devices);
+        }
+        
+        listDriverDevices() {
+            return this.driverDevices().map(device => ({
+                path: device.path,
+                name: device.name,
+                major: device.major,
+                minor: device.minor,
+                devt: device.devt,
+                driver: device.driver.name
+            }));
+        }
+        
+        /**
+         * Run one of a driver's file operations, or the VFS default if it has
+         * none. Returns whatever the callback does (a promise for async ones).
+         */
+        callFop(file, name, args, kernel) {
+            const fop = file.device.fops[name];
+            if (!fop) {
+                return FOPS_DEFAULTS[name](file, ...args);
+            }
+            const result = fop.call(file.device.fops, file, ...args, kernel);
+            if (!FOPS_ASYNC.includes(name)) {
+                return syncFopResult(name, result);
+            }
+            return result instanceof Promise ? result.then(fopResult) : fopResult(result);
+        }
+        
+        /**
+         * The kernel services a fops driver calls back into, bound to one call:
+         * printk, sleeping and waking on its device's wait queue, SIGIO, the
+         * entropy pool and the kernel timers
+         */
+        driverApi(file, span = null, wait = {}) {
+            const device = file.device;
+            return {
+                device,
+                printk: (level, message) => this.logKernel(level, `${device.driver.name}: ${message}`, file),
+                getRandomBytes: count => Uint8Array.from({ length: count }, () => Math.floor(this.random() * 256)),
+                // wait_event_interruptible() on the device's queue
+                waitEvent: async condition => {
+                    if (span) span.mark('sleep');
+                    const waker = await device.waitQueue.waitEvent(condition, wait);
+                    if (span) {
+                        span.mark(null);
+                        this.tracer.wakeup(waker, span, device.waitQueue.name);
+                    }
+                },
+                wakeUp: () => {
+                    device.waitQueue.wakeUp(span);
+                    device.pollQueue.wakeUp(span);
+                },
+                killFasync: band => this.killFasync(device, band),
+                timers: this.timers
+            };
+        }
+        
+        /**
+         * read() through a driver's fops. The driver advances ppos; pread()
+         * passes its own offset and leaves f_pos alone.
+         */
+        async fopsRead(file, count, options, span) {
+            const device = file.device;
+            try {
+                await this.delay(this.operationLatency(this.random() * 20 + 10, file));
+                const ppos = { pos: options.offset != null ? options.offset : file.fPos };
+                const result = await this.callFop(file, 'read', [count, ppos],
+                    this.driverApi(file, span, this.waitOptions(options, file)));
+                
+                const bytes = typeof result === 'string' ? new TextEncoder().encode(result) : result;
+                if (!(bytes instanceof Uint8Array) || bytes.length > count) {
+                    throw new KernelError('EIO', `${device.driver.name}: read() returned ${bytes instanceof Uint8Array ? bytes.length + ' bytes' : typeof result}, asked for ${count}`);
+                }
+                if (this.injectFault('fail_usercopy', 'copy_to_user', file)) {
+                    throw new KernelError('EFAULT', 'copy_to_user: injected fault');
+                }
+                if (options.offset == null) {
+                    file.fPos = ppos.pos;
+                }
+                device.stats.bytesRead += bytes.length;
+                
+                if (bytes.length === 0) {
+                    this.logKernel('DEBUG', `Read hit end of ${device.path} (fd ${file.fd})`, file);
+                    return {
+                        success: true,
+                        data: '',
+                        bytesRead: 0,
+                        eof: true,
+                        message: 'End of file'
+                    };
+                }
+                
+                this.logKernel('DEBUG', `Read ${bytes.length} bytes from ${device.path} (fd ${file.fd})`, file);
+                return {
+                    success: true,
+                    data: new TextDecoder().decode(bytes),
+                    bytes,
+                    bytesRead: bytes.length,
+                    message: `Successfully read ${bytes.length} bytes`
+                };
+            } catch (error) {
+                throw this.recordError('Read', error, file);
+            } finally {
+                this.putFile(file);
+            }
+        }
+        
+        async fopsWrite(file, data, options, span) {
+            const device = file.device;
+            try {
+                await this.delay(this.operationLatency(this.random() * 20 + 10, file));
+                if (this.injectFault('fail_usercopy', 'copy_from_user', file)) {
+                    throw new KernelError('EFAULT', 'copy_from_user: injected fault');
+                }
+                
+                const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+                const ppos = { pos: options.offset != null ? options.offset : file.fPos };
+                const written = await this.callFop(file, 'write', [bytes, ppos],
+                    this.driverApi(file, span, this.waitOptions(options, file)));
+                if (!Number.isInteger(written) || written > bytes.length) {
+                    throw new KernelError('EIO', `${device.driver.name}: write() returned ${written} for ${bytes.length} bytes`);
+                }
+                if (options.offset == null) {
+                    file.fPos = ppos.pos;
+                }
+                device.stats.bytesWritten += written;
+                
+                this.logKernel('DEBUG', `Wrote ${written} bytes to ${device.path} (fd ${file.fd})`, file);
+                return {
+                    success: true,
+                    bytesWritten: written,
+                    message: `Successfully wrote ${written} bytes`
+                };
+            } catch (error) {
+                throw this.recordError('Write', error, file);
+            } finally {
+                this.putFile(file);
+            }
+        }
+        
+        async fopsIoctl(file, cmd, arg, span) {
+            const device = file.device;
+            try {
+                await this.delay(this.operationLatency(10, file));
+                device.stats.ioctlCount++;
+                const result = await this.callFop(file, 'unlocked_ioctl', [cmd, arg], this.driverApi(file, span));
+                const value = result !== undefined ? result : 0;
+                
+                this.logKernel('DEBUG', `ioctl(${file.fd}, ${describeIoctl(cmd)}) = 0`, file);
+                return {
+                    success: true,
+                    command: describeIoctl(cmd),
+                    value,
+                    message: `${device.driver.name}: ${describeIoctl(cmd)} returned ${JSON.stringify(value)}`
+                };
+            } catch (error) {
+                throw this.recordError('IOCTL', error, file);
+            } finally {
+                this.putFile(file);
+            }
+        }
+        
+        // sysfs
+        
+        /**
+         * /sys/class/<module>/<minor>: the number, the buffer settings, the
+         * driver-wide log level (the same in every minor), statistics and power
+         */
+        sysfsAddDevice(device) {
+            const dir = `/sys/class/${this.moduleName}/${device.name}`;
+            const { RW, RO, WO } = SYSFS_MODES;
+            // Stores take the mutex in their own lockdep context
+            const owner = task => ({ pid: task.pid, comm: task.comm });
+            
+            this.sysfs.createFile(`${dir}/dev`, RO, () => device.devt);
+            this.sysfs.createFile(`${dir}/buffer_size`, RW, () => device.bufferSize,
+                (text, task) => this.resizeBuffer('buffer_size', device, parseSysfsUint(text), owner(task), task));
+            this.sysfs.createFile(`${dir}/mode`, RW, () => device.storageMode, (text, task) => {
+                const mode = parseSysfsChoice(text, STORAGE_MODES);
+                const context = owner(task);
+                device.tryLockMutex('mode', context);
+                try {
+                    this.setStorageMode(device, mode);
+                } finally {
+                    device.releaseMutex(context);
+                }
+            });
+            this.sysfs.createFile(`${dir}/log_level`, RW, () => this.config.consoleLoglevel,
+                (text, task) => this.setConsoleLoglevel(parseSysfsUint(text, CONSOLE_LOGLEVEL_MIN, CONSOLE_LOGLEVEL_MAX), task));
+            
+            Object.keys(device.stats).forEach(key => {
+                const name = key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+                this.sysfs.createFile(`${dir}/stats/${name}`, RO, () => device.stats[key]);
+            });
+            this.sysfs.createFile(`${dir}/stats/reset`, WO, null, (text, task) => {
+                parseSysfsChoice(text, ['1']);
+                Object.keys(device.stats).forEach(key => {
+                    device.stats[key] = 0;
+                });
+                this.logKernel('INFO', `${device.name}: statistics reset`, task);
+            });
+            
+            this.sysfsAddPower(dir, device);
+        }
+        
+        // Fops devices show only their number and runtime PM
+        sysfsAddDriverDevice(device, className) {
+            const dir = `/sys/class/${className}/${device.name}`;
+            this.sysfs.createFile(`${dir}/dev`, SYSFS_MODES.RO, () => device.devt);
+            this.sysfsAddPower(dir, device);
+        }
+        
+        /**
+         * power/: runtime PM. With control "auto" a minor is suspended while
+         * nothing holds it open; "on" keeps it active.
+         */
+        sysfsAddPower(dir, device) {
+            const users = () => this.fileTable.list().filter(file => file.device === device).length;
+            
+            this.sysfs.createFile(`${dir}/power/control`, SYSFS_MODES.RW, () => device.powerControl, (text, task) => {
+                device.powerControl = parseSysfsChoice(text, ['auto', 'on']);
+                this.logKernel('DEBUG', `${device.name}: runtime PM control set to ${device.powerControl}`, task);
+            });
+            this.sysfs.createFile(`${dir}/power/runtime_status`, SYSFS_MODES.RO, () =>
+                device.powerControl === 'on' || users() > 0 ? 'active' : 'suspended');
+            this.sysfs.createFile(`${dir}/power/runtime_usage`, SYSFS_MODES.RO, users);
+        }
+        
+        /**
+         * /sys/module/<name>: reference count, state and the module_param()s,
+         * with the permissions each parameter was declared with
+         */
+        sysfsAddModule(mod) {
+            const dir = `/sys/module/${mod.name}`;
+            this.sysfs.createFile(`${dir}/refcnt`, SYSFS_MODES.RO, () => mod.users);
+            this.sysfs.createFile(`${dir}/initstate`, SYSFS_MODES.RO, () =>
+                Object.keys(MODULE_STATES).find(key => MODULE_STATES[key] === mod.state).toLowerCase());
+            
+            Object.keys(mod.params).forEach(name => {
+                const perm = MODULE_PARAMS[name].perm;
+                this.sysfs.createFile(`${dir}/parameters/${name}`, perm, () => formatModuleParam(name, mod.params[name]),
+                    perm & 0o222 ? (text, task) => this.applyModuleParam(mod, name, text, task) : null);
+            });
+        }
+        
+        // A store to a writable parameter takes effect at once
+        applyModuleParam(mod, name, text, task) {
+            const value = mod.setParam(name, text);
+            if (name === 'log_level') {
+                this.setConsoleLoglevel(value, task);
+            } else if (name === 'debug') {
+                this.config.loggingEnabled = value;
+                this.logKernel('WARNING', `${this.moduleName}: logging ${value ? 'enabled' : 'disabled'}`, task);
+            } else if (name === 'watchdog_ms') {
+                this.armWatchdog(value);
+            }
+        }
+        
+        /**
+         * Read a sysfs attribute as `task` (root by default); fails with
+         * EACCES, ENOENT or EISDIR
+         */
+        sysfsRead(path, task = KERNEL_TASK) {
+            return this.sysfs.read(path, task);
+        }
+        
+        /**
+         * Store `text` into an attribute as `task`. Besides the access errors,
+         * a value the attribute does not accept fails with EINVAL.
+         */
+        sysfsWrite(path, text, task = KERNEL_TASK) {
+            return this.sysfs.write(path, text, task);
+        }
+        
+        sysfsList(dir = SYSFS_ROOT) {
+            return this.sysfs.list(dir);
+        }
+        
+        // procfs
+        
+        // The entries the kernel itself provides, present from boot
+        procfsInit() {
+            this.procfs.create('/proc/devices', listSeqOps(() => this.registry.chrdevMajors(),
+                ([major, name]) => `${String(major).padStart(3)} ${name}\n`, 'Character devices:\n'));
+            this.procfs.create('/proc/modules', listSeqOps(() => this.listModules(),
+                mod => `${mod.name} 16384 ${mod.users} - ${mod.state} 0x0000000000000000\n`));
+            this.procfs.create('/proc/interrupts', this.procInterruptsOps());
+            this.procfs.create('/proc/softirqs', this.procSoftirqsOps());
+            this.procfs.create('/proc/timer_list', this.procTimerListOps());
+            this.procfs.create('/proc/meminfo', () => this.procMeminfo());
+            this.procfs.create('/proc/lockdep', () => this.lockdep.describe() + '\n');
+            // console, default message, minimum and boot-time default loglevels
+            this.procfs.create('/proc/sys/kernel/printk', () =>
+                `${this.config.consoleLoglevel}\t4\t${CONSOLE_LOGLEVEL_MIN}\t7\n`);
+            this.procfs.create('/proc/sys/kernel/tainted', () => `${this.tainted ? 2 : 0}\n`);
+        }
+        
+        /**
+         * /proc/<module>/stats: the driver-wide counters, then one record per
+         * minor. With every minor in use it runs past a page, so a reader gets
+         * it over several read() calls.
+         */
+        procfsAddModule() {
+            this.procfs.create(`/proc/${this.moduleName}/stats`, listSeqOps(() => this.devices, device => {
+                const stats = this.getStats(device.path);
+                return `
+device: ${stats.device}
+devt: ${stats.devt}
+bytes_read: ${stats.bytesRead}
+bytes_written: ${stats.bytesWritten}
+open_count: ${stats.openCount}
+ioctl_count: ${stats.ioctlCount}
+buffer_size: ${stats.bufferSize}
+buffer_used: ${stats.bufferUsed}
+buffer_free: ${stats.bufferFree}
+read_pos: ${stats.readPosition}
+write_pos: ${stats.writePosition}
+storage_mode: ${stats.storageMode}
+overflow_policy: ${stats.overflowPolicy}
+bytes_overwritten: ${stats.bytesOverwritten}
+mappings: ${stats.mappings}
+page_faults: ${stats.pageFaults}
+active_readers: ${stats.activeReaders}
+active_writers: ${stats.activeWriters}
+readers_sleeping: ${stats.sleepingReaders}
+writers_sleeping: ${stats.sleepingWriters}
+mutex_waiters: ${stats.mutexWaiters}
+poll_waiters: ${stats.pollWaiters}
+read_rate_bps: ${stats.readRate.toFixed(2)}
+write_rate_bps: ${stats.writeRate.toFixed(2)}
+`;
+            }, () => {
+                const stats = this.getStats();
+                return `Device Statistics:
+module_loaded: ${this.moduleLoaded ? 'yes' : 'no'}
+module_refcount: ${this.module ? this.module.users : 0}
+uptime_seconds: ${Math.floor(stats.uptime)}
+devices: ${stats.deviceCount}
+open_files: ${stats.openFiles}
+wait_queue_length: ${stats.queueLength}
+error_count: ${stats.errorCount}
+${Object.entries(stats.errors).map(([name, count]) => `errors_${name}: ${count}\n`).join('')}\
+logging_enabled: ${this.config.loggingEnabled ? 'yes' : 'no'}
+console_loglevel: ${this.config.consoleLoglevel}
+log_buf_len: ${this.logBuffer.capacity}
+log_records: ${this.logBuffer.length}
+log_dropped: ${this.logBuffer.dropped}
+`;
+            }));
+        }
+        
+        // /proc/interrupts: per-CPU counts for each line in use, then the lost ones
+        procInterruptsOps() {
+            const cpus = Array.from({ length: this.config.nrCpus }, (_, cpu) => `CPU${cpu}`.padStart(11));
+            const counts = values => values.map(value => String(value).padStart(11)).join('');
+            return listSeqOps(() => [...this.irq.activeLines(), 'ERR'], desc => desc === 'ERR' ?
+                `ERR:${String(this.interrupts.lost).padStart(11)}\n` :
+                `${String(desc.irq).padStart(3)}:${counts(desc.counts)}  SIM-PIC  ${String(desc.irq).padStart(2)}-edge      ` +
+                    `${desc.actions.map(action => action.name).join(', ')}\n`,
+            `    ${cpus.join('')}\n`);
+        }
+        
+        // /proc/softirqs: how often each vector ran on each CPU
+        procSoftirqsOps() {
+            const cpus = Array.from({ length: this.config.nrCpus }, (_, cpu) => `CPU${cpu}`.padStart(11));
+            return listSeqOps(() => SOFTIRQ_NAMES.map((name, nr) => nr), nr =>
+                `${(SOFTIRQ_NAMES[nr] + ':').padStart(12)}${this.irq.softirqCounts[nr].map(count => String(count).padStart(11)).join('')}\n`,
+            `${' '.repeat(12)}${cpus.join('')}\n`);
+        }
+        
+        // /proc/timer_list: the clock, then every pending timer, soonest first
+        procTimerListOps() {
+            return listSeqOps(() => this.listTimers(), timer =>
+                ` ${timer.name}, ${timer.type}, S:CPU${timer.cpu}\n` +
+                ` # expires at ${timer.expires} ${timer.type === 'hrtimer' ? 'nsecs' : 'jiffies'} [in ${timer.remainingMs.toFixed(3)} ms]\n`,
+            () => `Timer List Version: sim-0.1\nHZ: ${this.timers.hz}\nnow at ${this.timers.ktimeGet()} nsecs\n` +
+                `jiffies: ${this.timers.jiffies}\n\nactive timers:\n`);
+        }
+        
+        // /proc/meminfo from the simulated memory map, in kB
+        procMeminfo() {
+            const kb = bytes => Math.floor(bytes / 1024);
+            const total = this.getMemoryMap().total;
+            const buffers = this.devices.reduce((sum, device) => sum + device.bufferSize, 0);
+            return [
+                ['MemTotal', kb(total)],
+                ['MemFree', kb(this.memoryMap.free)],
+                ['MemAvailable', kb(this.memoryMap.free + buffers)],
+                ['Buffers', kb(buffers)],
+                ['Slab', kb(this.memoryMap.kernel)],
+                ['KernelStack', kb(this.memoryMap.stack)],
+                ['VmallocUsed', kb(this.memoryMap.heap)]
+            ].map(([key, value]) => `${(key + ':').padEnd(15)} ${String(value).padStart(8)} kB\n`).join('');
+        }
+        
+        /**
+         * Open a /proc entry as a seq_file; read() it a chunk at a time.
+         * Fails with ENOENT or EISDIR.
+         */
+        procOpen(path) {
+            return this.procfs.open(path);
+        }
+        
+        procRead(path) {
+            return this.procfs.read(path);
+        }
+        
+        /**
+         * proc_create_seq(): add an entry generated by `ops` (see
+         * kernel-procfs.js), or by a show function returning all its text
+         */
+        procCreate(path, ops, data = null) {
+            this.procfs.create(path, ops, data);
+        }
+        
+        procRemove(path) {
+            this.procfs.remove(path);
+        }
+        
+        // The driver module, if loaded, then every registered fops driver module
+        listModules() {
+            const drivers = this.listDrivers().filter(driver => !driver.builtin)
+                .map(driver => ({ name: driver.name, users: driver.refcount, state: driver.state }));
+            return this.moduleLoaded ?
+                [{ name: this.moduleName, users: this.module.users, state: this.module.state }, ...drivers] : drivers;
+        }
+        
+        // Module management
+        
+        /**
+         * insmod: parse `args` against MODULE_PARAMS, run the init hook and go
+         * live. Fails with EEXIST if loaded, ENOENT/EINVAL for bad parameters,
+         * or with whatever module_init() returned.
+         */
+        loadModule(args = []) {
+            if (this.moduleLoaded) {
+                throw new KernelError('EEXIST', `${this.moduleName} is already loaded`);
+            }
+            
+            let params;
+            try {
+                params = parseModuleParams(args);
+            } catch (error) {
+                this.logKernel('WARNING', `${this.moduleName}: ${error.detail}`);
+                throw error;
+            }
+            
+            const mod = new KernelModule(this.moduleName, params, this.clock);
+            try {
+                this.moduleInit(mod);
+            } catch (error) {
+                this.logKernel('ERROR', `${this.moduleName}: module_init failed: ${KernelError.from(error).toLogString()}`);
+                throw error;
+            }
+            
+            mod.state = MODULE_STATES.LIVE;
+            this.module = mod;
+            this.moduleLoaded = true;
+            this.sysfsAddModule(mod);
+            this.procfsAddModule();
+            this.stats = { ...this.stats, startTime: this.clock.now() };
+            this.logKernel('INFO', `${this.moduleName}: module loaded successfully`);
+        }
+        
+        /**
+         * module_init(): apply the parameters, then register the region and
+         * allocate each minor's buffer. A failure part-way unwinds it all,
+         * the configuration included.
+         */
+        moduleInit(mod) {
+            const saved = { ...this.config };
+            this.config.defaultBufferSize = mod.params.buffer_size;
+            this.config.minorCount = mod.params.nr_devs;
+            this.config.consoleLoglevel = mod.params.log_level;
+            this.config.loggingEnabled = mod.params.debug;
+            this.config.irqLine = mod.params.irq;
+            
+            try {
+                this.registerDevices();
+                this.requestThreadedIrq(mod.params.irq, (irq, devId) => this.deviceIrq(),
+                    (irq, devId, task) => this.deviceIrqThread(task), IRQF_SHARED, this.moduleName, mod);
+            } catch (error) {
+                this.unregisterDevices();
+                Object.assign(this.config, saved);
+                throw error;
+            }
+            // Deferrable: the watchdog re-arms forever, so it must not keep a fast clock busy
+            this.watchdog = new TimerList(`${this.moduleName}_watchdog`,
+                (timer, context) => this.deviceWatchdog(mod, context), TIMER_DEFERRABLE);
+            this.armWatchdog(mod.params.watchdog_ms);
+        }
+        
+        // module_exit(): stop the watchdog, free the interrupt, then the buffers and devices
+        moduleExit() {
+            this.timers.delTimerSync(this.watchdog);
+            this.freeIrq(this.config.irqLine, this.module);
+            this.unregisterDevices();
+        }
+        
+        /**
+         * rmmod: fails with EBUSY while open files hold references to the
+         * module, unless `force` (rmmod -f), which unloads anyway and taints
+         * the kernel. Sleepers then wake with ENODEV; the descriptors stay
+         * open but every further operation on them fails the same way.
+         */
+        unloadModule(force = false) {
+            if (!this.moduleLoaded) {
+                throw new KernelError('ENOENT', `${this.moduleName} is not loaded`);
+            }
+            
+            const users = this.module.users;
+            if (users > 0 && !force) {
+                throw new KernelError('EBUSY', `${this.moduleName} is in use by ${users} open file(s)`);
+            }
+            if (users > 0) {
+                this.tainted = true;
+                this.logKernel('WARNING', `${this.moduleName}: forced unload with ${users} open file(s), kernel tainted`);
+            }
+            
+            this.module.state = MODULE_STATES.GOING;
+            this.moduleLoaded = false;
+            this.moduleExit();
+            this.sysfs.removeDir(`/sys/module/${this.moduleName}`);
+            this.procfs.remove(`/proc/${this.moduleName}`);
+            this.module = null;
+            this.logKernel('INFO', `${this.moduleName}: module unloaded successfully`);
+        }
+        
+        getModuleInfo() {
+            return this.module ? this.module.describe() : null;
+        }
+        
+        // Statistics and monitoring
+        
+        /**
+         * Driver-wide counters plus those of the minor at `path` (the first
+         * minor if none is given). A path that is no minor fails with ENODEV.
+         */
+        getStats(path = null) {
+            const uptime = (this.clock.now() - this.stats.startTime) / 1000;
+            const device = path === null ? this.devices[0] : this.findDevice(path);
+            if (path !== null && !device) {
+                throw new KernelError('ENODEV', `${path} is not a ${this.moduleName} device`);
+            }
+            const deviceStats = device ? {
+                ...device.stats,
+                device: device.path,
+                devt: device.devt,
+                bufferSize: device.bufferSize,
+                bufferUsed: device.bufferUsed,
+                bufferFree: device.bufferSize - device.bufferUsed,
+                storageMode: device.storageMode,
+                readPosition: device.ringBuffer.head,
+                writePosition: device.ringBuffer.tail,
+                overflowPolicy: device.ringBuffer.policy,
+                activeReaders: device.activeReaders,
+                activeWriters: device.activeWriters,
+                sleepingReaders: device.readQueue.length,
+                sleepingWriters: device.writeQueue.length,
+                mutexWaiters: device.mutexQueue.length,
+                pollWaiters: device.pollQueue.length,
+                mappings: device.mapCount,
+                pageFaults: device.pageFaults
+            } : {
+                // No minors registered while the module is unloaded
+                bytesRead: 0, bytesWritten: 0, openCount: 0, ioctlCount: 0, bytesOverwritten: 0,
+                device: null, devt: null,
+                bufferSize: 0, bufferUsed: 0, bufferFree: 0,
+                storageMode: 'fifo', readPosition: 0, writePosition: 0, overflowPolicy: 'reject',
+                activeReaders: 0, activeWriters: 0,
+                sleepingReaders: 0, sleepingWriters: 0, mutexWaiters: 0, pollWaiters: 0,
+                mappings: 0, pageFaults: 0
+            };
+            
+            return {
+                ...deviceStats,
+                startTime: this.stats.startTime,
+                errors: { ...this.stats.errors },
+                errorCount: this.getErrorCount(),
+                uptime,
+                deviceCount: this.devices.length,
+                openFiles: this.fileTable.size,
+                queueLength: this.getSleeperCount(),
+                readRate: uptime > 0 ? deviceStats.bytesRead / uptime : 0,
+                writeRate: uptime > 0 ? deviceStats.bytesWritten / uptime : 0
+            };
+        }
+        
+        getOpenFiles() {
+            return this.fileTable.list().map(file => ({
+                fd: file.fd,
+                pid: file.pid,
+                comm: file.comm,
+                path: file.path,
+                devt: file.device.devt,
+                flags: file.describeFlags(),
+                fPos: file.fPos,
+                privateData: { ...file.privateData }
+            }));
+        }
+        
+        startPeriodicUpdates(interval = 1000) {
+            this.stopPeriodicUpdates();
+            this.statsInterval = this.clock.setInterval(() => {
+                this.emit('stats', this.getStats());
+            }, interval);
+            
+            // Stats ticks alone never keep a fast virtual clock spinning
+            this.clock.unref(this.statsInterval);
+        }
+        
+        stopPeriodicUpdates() {
+            if (this.statsInterval) {
+                this.clock.clearInterval(this.statsInterval);
+                this.statsInterval = null;
+            }
+        }
+        
+        // Stress testing support
+        startStressTest(duration = 30000, period = 200, burst = 3) {
+            this.stopStressTest();
+            this.logKernel('INFO', 'stress: test initiated');
+            
+            // Driven by the simulator clock so a seeded run replays exactly
+            this.stressInterval = this.clock.setInterval(() => {
+                for (let i = 0; i < burst; i++) {
+                    this.simulateStressTest();
+                }
+            }, period);
+            this.stressTimeout = this.clock.setTimeout(() => this.stopStressTest(), duration);
+        }
+        
+        stopStressTest() {
+            if (!this.stressInterval) return false;
+            
+            this.clock.clearInterval(this.stressInterval);
+            this.clock.clearTimeout(this.stressTimeout);
+            this.stressInterval = null;
+            this.stressTimeout = null;
+            this.endStressTest();
+            this.logKernel('INFO', 'stress: test completed');
+            this.emit('stress-stopped');
+            return true;
+        }
+        
+        simulateStressTest() {
+            const operations = ['read', 'write'];
+            const operation = operations[Math.floor(this.random() * operations.length)];
+            
+            // Update system load
+            this.systemLoad.cpu = Math.min(95, this.systemLoad.cpu + this.random() * 10);
+            this.systemLoad.io = Math.min(90, this.systemLoad.io + this.random() * 15);
+            
+            // Stress workers keep their descriptors open for the whole run,
+            // spread across the registered minors
+            if (this.stressFiles.length === 0) {
+                if (this.devices.length === 0) {
+                    this.recordError('Stress', new KernelError('ENODEV', `no ${this.moduleName} minors to open`));
+                    return;
+                }
+                try {
+                    for (let i = 0; i < 3; i++) {
+                        const device = this.devices[i % this.devices.length];
+                        this.stressFiles.push(this.deviceOpen(device.path, OPEN_FLAGS.O_RDWR, { comm: `stress-${i}` }).fd);
+                    }
+                } catch (error) {
+                    return; // open() already logged the failure
+                }
+            }
+            const fd = this.stressFiles[Math.floor(this.random() * this.stressFiles.length)];
+            
+            if (operation === 'read') {
+                this.deviceRead(fd, Math.floor(this.random() * 512) + 1, { timeout: 2000 }).catch(() => {});
+            } else {
+                const data = 'stress_test_' + this.random().toString(36).substring(7);
+                this.deviceWrite(fd, data, { timeout: 2000 }).catch(() => {});
+            }
+            
+        }
+        
+        endStressTest() {
+            this.stressFiles.forEach(fd => {
+                try {
+                    this.deviceClose(fd);
+                } catch (error) {
+                    // Already closed
+                }
+            });
+            this.stressFiles = [];
+        }
+        
+        // Interrupts
+        
+        /**
+         * request_irq(): `handler(irq, devId, context)` runs in hardirq context
+         * ({ cpu, task }) and returns IRQ_NONE or IRQ_HANDLED. Fails with EBUSY
+         * if the line is taken and not shared by both, EINVAL for a bad line.
+         */
+        requestIrq(irq, handler, flags, name, devId = null) {
+            this.requestThreadedIrq(irq, handler, null, flags, name, devId);
+        }
+        
+        /**
+         * request_threaded_irq(): the handler returns IRQ_WAKE_THREAD to have
+         * `threadFn(irq, devId, task)` run next in process context, where it may
+         * sleep. See IrqController.request().
+         */
+        requestThreadedIrq(irq, handler, threadFn, flags, name, devId = null) {
+            this.irq.request(irq, handler, threadFn, flags, name, devId);
+            this.logKernel('INFO', `irq: ${name} registered on IRQ ${irq}${flags & IRQF_SHARED ? ' (shared)' : ''}${threadFn ? ', threaded' : ''}`);
+        }
+        
+        freeIrq(irq, devId = null) {
+            const name = this.irq.free(irq, devId);
+            this.logKernel('INFO', `irq: ${name} freed IRQ ${irq}`);
+        }
+        
+        /**
+         * The interrupt controller delivers `irq` to `cpu` (any CPU by default)
+         * and every handler on the line runs. Returns IRQ_HANDLED, IRQ_NONE, or
+         * null if the line is masked and the interrupt was latched.
+         */
+        raiseIrq(irq, cpu = Math.floor(this.random() * this.config.nrCpus)) {
+            if (!Number.isInteger(cpu) || cpu < 0 || cpu >= this.config.nrCpus) {
+                throw new KernelError('EINVAL', `no CPU${cpu}, there are ${this.config.nrCpus}`);
+            }
+            this.interrupts.count++;
+            this.interrupts.lastTime = this.clock.now();
+            
+            const result = this.irq.raise(irq, cpu);
+            this.emit('interrupt', { irq, cpu, count: this.interrupts.count, time: this.interrupts.lastTime, result });
+            this.logKernel('DEBUG', `irq: IRQ ${irq} on CPU${cpu} ${result === null ? 'latched while masked' :
+                result === IRQ_HANDLED ? 'handled' : 'not handled'}`);
+            return result;
+        }
+        
+        // The watchdog checks every `ms` from now on; 0 stops it
+        armWatchdog(ms) {
+            if (ms > 0) {
+                this.timers.modTimer(this.watchdog, this.timers.jiffies + this.timers.msecsToJiffies(ms));
+            } else {
+                this.timers.delTimer(this.watchdog);
+            }
+        }
+        
+        /**
+         * Watchdog timer, in softirq context: samples still in the device's
+         * FIFO mean their interrupt was lost, so the line is raised again
+         */
+        deviceWatchdog(mod, context) {
+            const waiting = this.interrupts.hwFifo.length;
+            if (waiting > 0) {
+                this.logKernel('WARNING', `${this.moduleName}: watchdog: ${waiting} sample(s) with no interrupt, ` +
+                    `retriggering IRQ ${this.config.irqLine}`, context.task);
+                this.raiseIrq(this.config.irqLine, context.cpu);
+            }
+            this.armWatchdog(mod.params.watchdog_ms);
+        }
+        
+        // Hard handler: claim the interrupt only if our device latched samples
+        deviceIrq() {
+            if (this.interrupts.hwFifo.length === 0) return IRQ_NONE;
+            this.interrupts.staged.push(...this.interrupts.hwFifo.splice(0));
+            return IRQ_WAKE_THREAD;
+        }
+        
+        /**
+         * IRQ thread: store the samples in the first minor's buffer under its
+         * mutex, which a hard handler could not sleep on, then wake readers
+         */
+        async deviceIrqThread(task) {
+            const device = this.devices[0];
+            const samples = this.interrupts.staged.splice(0);
+            if (!device || samples.length === 0) return;
+            
+            await device.acquireMutex(task);
+            try {
+                const bytes = new TextEncoder().encode(samples.join(''));
+                let stored;
+                let dropped = 0;
+                if (device.isRandomAccess()) {
+                    stored = device.memoryRegion.write(device.memoryRegion.dataSize, bytes);
+                } else {
+                    ({ written: stored, dropped } = device.ringBuffer.write(bytes));
+                }
+                if (dropped > 0) {
+                    device.stats.bytesOverwritten += dropped;
+                    this.logKernel('WARNING', `${device.name}: buffer overrun, ${dropped} oldest bytes overwritten`, task);
+                }
+                if (stored < bytes.length) {
+                    this.logKernel('WARNING', `${device.name}: rx overrun, ${bytes.length - stored} bytes from the device dropped`, task);
+                }
+                this.logKernel('DEBUG', `${device.name}: stored ${stored} bytes from ${samples.length} interrupt sample(s)`, task);
+                
+                device.wakeReaders();
+                this.killFasync(device, 'POLL_IN');
+            } finally {
+                device.releaseMutex(task);
+            }
+        }
+        
+        /**
+         * The device latches a sample in its FIFO and raises its line; the
+         * driver's handler moves it into /dev/<module>0
+         */
+        simulateInterrupt() {
+            return new Promise((resolve) => {
+                if (!this.config.interruptEnabled) {
+                    resolve({ success: false, message: 'Interrupts disabled' });
+                    return;
+                }
+                
+                const irqNumber = this.config.irqLine;
+                const sample = Math.floor(this.random() * 0x10000).toString(16).padStart(4, '0');
+                this.interrupts.hwFifo.push(`sample ${++this.interrupts.samples} 0x${sample}\n`);
+                if (this.interrupts.hwFifo.length > 16) {
+                    // The device's FIFO overflows while nobody reads it
+                    this.interrupts.hwFifo.shift();
+                }
+                
+                if (this.injectFault('fail_irq', `IRQ ${irqNumber}`)) {
+                    this.interrupts.lost++;
+                    this.logKernel('WARNING', `irq: IRQ ${irqNumber} lost, handler never ran`);
+                    resolve({ success: false, message: `IRQ ${irqNumber} lost`, irq: irqNumber });
+                    return;
+                }
+                this.logKernel('INFO', `irq: hardware interrupt IRQ ${irqNumber} triggered`);
+                const result = this.raiseIrq(irqNumber);
+                
+                // Give the IRQ thread time to store the sample
+                this.clock.setTimeout(() => {
+                    resolve(result === IRQ_NONE ?
+                        { success: false, message: `IRQ ${irqNumber}: nobody cared`, irq: irqNumber } :
+                        { success: true, message: `IRQ ${irqNumber} processed successfully`, irq: irqNumber });
+                }, 100);
+            });
+        }
+        
+        // Timers
+        
+        get jiffies() {
+            return this.timers.jiffies;
+        }
+        
+        /**
+         * Change HZ (one of HZ_VALUES); jiffies carries on from where it is.
+         * Fails with EBUSY while timer_lists are pending, EINVAL for another HZ.
+         */
+        setHz(hz) {
+            const old = this.timers.hz;
+            this.timers.setHz(hz);
+            this.logKernel('INFO', `timer: HZ changed from ${old} to ${hz}`);
+        }
+        
+        // Pending timers and hrtimers, soonest first (see TimerBase.list())
+        listTimers() {
+            return this.timers.list();
+        }
+        
+        // Advanced Features Implementation
+        simulateDMA() {
+            return new Promise((resolve) => {
+                if (!this.config.dmaEnabled || this.dma.activeTransfers >= this.dma.channels) {
+                    resolve({ success: false, message: 'DMA channels busy or disabled' });
+                    return;
+                }
+                
+                this.dma.activeTransfers++;
+                const transferId = ++this.dma.lastTransferId;
+                const transferSize = Math.floor(this.random() * 4096) + 1024; // 1-5KB
+                const transferTime = transferSize / 100; // Simulate transfer rate
+                
+                this.logKernel('INFO', `dma: transfer started, ${transferSize} bytes`);
+                
+                // An injected bus error strikes somewhere along the way
+                const failAt = this.injectFault('fail_dma', `DMA transfer ${transferId}`) ?
+                    (Math.floor(this.random() * 9) + 1) * 10 : null;
+                
+                // The engine raises its interrupt when it stops; the handler's
+                // tasklet does the bookkeeping
+                const complete = finish => {
+                    this.dma.completed.push(finish);
+                    this.raiseIrq(this.dma.irq);
+                };
+                
+                // Report progress in 10% steps over the transfer
+                let percent = 0;
+                this.emit('dma-progress', { id: transferId, size: transferSize, percent });
+                const progressTimer = this.clock.setInterval(() => {
+                    percent += 10;
+                    if (percent === failAt) {
+                        this.clock.clearInterval(progressTimer);
+                        const abortedAt = percent;
+                        complete(() => {
+                            this.dma.activeTransfers--;
+                            this.dma.errors++;
+                            this.emit('dma-progress', { id: transferId, size: transferSize, percent: abortedAt, error: 'bus error' });
+                            this.logKernel('ERROR', `dma: transfer ${transferId} aborted at ${abortedAt}%: bus error`);
+                            resolve({
+                                success: false,
+                                message: `DMA transfer aborted at ${abortedAt}%: bus error`,
+                                size: transferSize
+                            });
+                        });
+                        return;
+                    }
+                    this.emit('dma-progress', { id: transferId, size: transferSize, percent });
+                    if (percent < 100) return;
+                    
+                    this.clock.clearInterval(progressTimer);
+                    complete(() => {
+                        this.dma.activeTransfers--;
+                        this.dma.totalTransferred += transferSize;
+                        
+                        this.logKernel('DEBUG', `dma: transfer completed, ${transferSize} bytes in ${transferTime.toFixed(2)}ms`);
+                        
+                        resolve({
+                            success: true,
+                            message: `DMA transfer completed: ${transferSize} bytes`,
+                            size: transferSize,
+                            time: transferTime
+                        });
+                    });
+                }, transferTime);
+            });
+        }
+        
+        /**
+         * Set up one fault point (see FAULT_TYPES); options as for
+         * FaultAttr.configure(). A probability of 0 turns it off.
+         */
+        configureFault(type, options) {
+            const attr = this.faults.get(type);
+            attr.configure(options);
+            this.logKernel('INFO', attr.enabled ?
+                `fault: ${type} enabled, probability ${attr.probability}%, interval ${attr.interval}, times ${attr.times}` +
+                    (attr.pid !== null ? `, pid ${attr.pid}` : '') :
+                `fault: ${type} disabled`);
+            return attr.describe();
+        }
+        
+        listFaults() {
+            return this.faults.list();
+        }
+        
+        /**
+         * should_fail() at one fault point; `task` is whoever made the call
+         */
+        injectFault(type, site, task = KERNEL_TASK) {
+            if (!this.faults.shouldFail(type, task.pid)) return false;
+            if (this.faults.get(type).verbose) {
+                this.logKernel('WARNING', `fault: FAULT_INJECTION: forcing a failure in ${site} (${type})`, task);
+            }
+            return true;
+        }
+        
+        // Scheduling latency before a call runs, plus any injected spike
+        operationLatency(base, file) {
+            return base + (this.injectFault('fail_latency', 'latency spike', file) ? this.faults.get('fail_latency').delay : 0);
+        }
+        
+        startNetworkSimulation() {
+            if (this.networkSim.active) return;
+            
+            this.networkSim.active = true;
+            this.config.networkSimEnabled = true;
+            this.logKernel('INFO', 'net: simulation started');
+            
+            const networkInterval = this.clock.setInterval(() => {
+                if (!this.networkSim.active) {
+                    this.clock.clearInterval(networkInterval);
+                    return;
+                }
+                
+                // Simulate network packets
+                this.networkSim.packetsRx += Math.floor(this.random() * 10);
+                this.networkSim.packetsTx += Math.floor(this.random() * 8);
+                
+                if (this.random() < 0.02) { // 2% error rate
+                    this.networkSim.errors++;
+                    this.logKernel('WARNING', 'net: packet dropped');
+                }
+                
+                this.systemLoad.io = Math.min(80, this.systemLoad.io + this.random() * 5);
+            }, 1000);
+            this.clock.unref(networkInterval);
+        }
+        
+        stopNetworkSimulation() {
+            this.networkSim.active = false;
+            this.config.networkSimEnabled = false;
+            this.logKernel('INFO', 'net: simulation stopped');
+        }
+        
+        getMemoryMap() {
+            const total = Object.values(this.memoryMap).reduce((a, b) => a + b, 0);
+            return {
+                segments: Object.entries(this.memoryMap).map(([name, size]) => ({
+                    name,
+                    size,
+                    percentage: (size / total) * 100
+                })),
+                total
+            };
+        }
+        
+        simulateMemoryLeak() {
+            const leakSize = Math.floor(this.random() * 50000) + 10000; // 10-60KB leak
+            this.memoryMap.heap += leakSize;
+            this.memoryMap.free = Math.max(0, this.memoryMap.free - leakSize);
+            
+            this.systemLoad.memory = Math.min(95, (this.memoryMap.heap / (this.memoryMap.heap + this.memoryMap.free)) * 100);
+            
+            this.logKernel('WARNING', `mm: leak detected, ${leakSize} bytes not freed`);
+            this.logKernel('INFO', `mm: available memory ${this.formatBytes(this.memoryMap.free)}`);
+            
+            return {
+                success: true,
+                leakSize,
+                availableMemory: this.memoryMap.free,
+                memoryUsage: this.systemLoad.memory
+            };
+        }
+        
+        formatBytes(bytes) {
+            const sizes = ['B', 'KB', 'MB', 'GB'];
+            if (bytes === 0) return '0 B';
+            const i = Math.floor(Math.log(bytes) / Math.log(1024));
+            return Math.round(bytes / Math.pow(1024, i) * 100) / 100 + ' ' + sizes[i];
+        }
+        
+        exportToCSV() {
+            const stats = this.getStats();
+            const memMap = this.getMemoryMap();
+            
+            const csvData = [
+                ['Timestamp', 'Bytes Read', 'Bytes Written', 'Open Count', 'CPU Usage', 'Memory Usage', 'IO Load', 'Interrupts', 'DMA Transfers'],
+                [
+                    new Date(this.clock.now()).toISOString(),
+                    stats.bytesRead,
+                    stats.bytesWritten,
+                    stats.openCount,
+                    this.systemLoad.cpu.toFixed(2),
+                    this.systemLoad.memory.toFixed(2),
+                    this.systemLoad.io.toFixed(2),
+                    this.interrupts.count,
+                    this.dma.totalTransferred
+                ]
+            ];
+            
+            return csvData.map(row => row.join(',')).join('\n');
+        }
+        
+        getAdvancedMetrics() {
+            return {
+                interrupts: this.interrupts,
+                dma: this.dma,
+                network: this.networkSim,
+                systemLoad: this.systemLoad,
+                processes: this.listProcesses(),
+                faults: this.listFaults(),
+                memoryMap: this.getMemoryMap()
+            };
+        }
     }
-}
 
-// Global kernel simulator instance
-let kernelSimulator;
+    // Initialize kernel simulator when DOM is loaded
+    if (typeof document !== 'undefined') {
+        document.addEventListener('DOMContentLoaded', function() {
+            const kernelSimulator = new KernelSimulator();
+            kernelSimulator.startPeriodicUpdates();
+            
+            // Export to global scope for use in other files
+            window.kernelSimulator = kernelSimulator;
+        });
+    }
 
-// Initialize kernel simulator when DOM is loaded
-document.addEventListener('DOMContentLoaded', function() {
-    kernelSimulator = new KernelSimulator();
-    
-    // Export to global scope for use in other files
-    window.kernelSimulator = kernelSimulator;
-});
+    return { KernelSimulator, LOG_LEVELS };
+}));
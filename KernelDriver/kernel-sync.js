@@ -0,0 +1,589 @@
+/**
+ * Synchronization Primitives and Lockdep
+ * spinlock_t (with the irqsave variant), mutex, semaphore, rw_semaphore,
+ * completion and atomic_t. Misuse (sleeping in atomic context, unlocking
+ * what is not held, taking locks in an order that can deadlock) is caught
+ * by a lockdep-style validator and reported like the kernel's splats.
+ */
+
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
+    }
+}(function (require) {
+    const { KernelError } = require('./kernel-errno.js');
+    const { REAL_CLOCK } = require('./sim-clock.js');
+    const { WaitQueue } = require('./wait-queue.js');
+
+    /**
+     * Deliberate misuse the simulator can run to show what lockdep reports
+     */
+    const LOCK_SCENARIOS = {
+        'abba': 'two threads take the same pair of mutexes in opposite orders',
+        'sleep-in-atomic': 'mutex_lock() while holding a spinlock',
+        'double-unlock': 'mutex_unlock() on a mutex that is already unlocked',
+        'spin-recursion': 'spin_lock() on a spinlock the thread already holds',
+        'irq-unsafe': 'a spinlock shared with an interrupt handler taken without spin_lock_irqsave()',
+        'wait-in-irq': 'wait_for_completion() from an interrupt handler',
+        'rwsem-upgrade': 'down_write() while holding the same rw_semaphore for reading'
+    };
+
+    // Interrupt handlers run in their own context, never in a process
+    function irqContext(irq) {
+        return { pid: 0, comm: `irq/${irq}`, irq: true };
+    }
+
+    class LockDep {
+        constructor(report = null) {
+            this.report = report;           // (level, message, task) for each report line
+            this.classes = new Map();       // lock name -> usage counters
+            this.dependencies = new Map();  // lock name -> Set of locks taken while holding it
+            this.held = new Map();          // task -> locks it holds, in acquisition order
+            this.irqsOff = new Map();       // task -> true while local interrupts are disabled
+            this.reported = new Set();      // each problem is reported once, like lockdep
+            this.warnings = 0;
+        }
+
+        lockClass(lock) {
+            if (!this.classes.has(lock.name)) {
+                this.classes.set(lock.name, {
+                    name: lock.name,
+                    type: lock.type,
+                    acquisitions: 0,
+                    contentions: 0,
+                    usedInIrq: false,       // taken in hardirq context
+                    usedIrqsOn: false       // taken in process context with interrupts enabled
+                });
+            }
+            return this.classes.get(lock.name);
+        }
+
+        heldLocks(task) {
+            return this.held.get(task) || [];
+        }
+
+        // Holding a spinlock, running with interrupts off or in a bottom half forbids sleeping
+        inAtomic(task) {
+            return Boolean(task.irq || task.softirq) || this.irqsOff.get(task) === true ||
+                this.heldLocks(task).some(lock => lock.type === 'spinlock');
+        }
+
+        /**
+         * lock_acquire(): called before the caller may block, so an ordering
+         * problem is reported even when this particular run does not deadlock
+         */
+        acquire(lock, task, options = {}) {
+            const lockClass = this.lockClass(lock);
+            const held = this.heldLocks(task);
+            lockClass.acquisitions++;
+
+            if (held.includes(lock) && !options.trylock) {
+                this.warn(`recursive:${lock.name}`, 'ERROR', task, [
+                    'WARNING: possible recursive locking detected',
+                    `${this.who(task)} is trying to acquire ${lock.name} but already holds it`
+                ]);
+            }
+            if (!options.trylock) {
+                held.forEach(holding => this.addDependency(holding, lock, task));
+            }
+            this.checkIrqUsage(lock, lockClass, task);
+
+            this.held.set(task, [...held, lock]);
+        }
+
+        /**
+         * lock_release(): false if the task did not hold the lock
+         */
+        release(lock, task) {
+            const held = this.heldLocks(task);
+            const index = held.lastIndexOf(lock);
+            if (index === -1) {
+                this.warn(`unbalanced:${lock.name}:${this.who(task)}`, 'ERROR', task, [
+                    'WARNING: bad unlock balance detected!',
+                    `${this.who(task)} is trying to release ${lock.name} but there are no more locks to release`
+                ]);
+                return false;
+            }
+
+            const remaining = held.filter((holding, i) => i !== index);
+            if (remaining.length > 0) {
+                this.held.set(task, remaining);
+            } else {
+                this.held.delete(task);
+            }
+            return true;
+        }
+
+        // Forget a lock the task never got, e.g. an interrupted mutex_lock()
+        abandon(lock, task) {
+            const held = this.heldLocks(task);
+            const index = held.lastIndexOf(lock);
+            if (index !== -1) {
+                this.held.set(task, held.filter((holding, i) => i !== index));
+            }
+        }
+
+        contended(lock) {
+            this.lockClass(lock).contentions++;
+        }
+
+        /**
+         * might_sleep(): every primitive that can block calls this first
+         */
+        mightSleep(task, operation) {
+            if (!this.inAtomic(task)) return;
+
+            const spinlocks = this.heldLocks(task).filter(lock => lock.type === 'spinlock').map(lock => lock.name);
+            this.warn(`sleep:${operation}:${this.who(task)}`, 'ERROR', task, [
+                `BUG: sleeping function called from invalid context: ${operation}`,
+                `in_atomic(): 1, irqs_disabled(): ${this.irqsOff.get(task) || task.irq ? 1 : 0}, pid: ${task.pid}, name: ${task.comm}` +
+                    (spinlocks.length > 0 ? `, holding ${spinlocks.join(', ')}` : '')
+            ]);
+        }
+
+        // local_irq_save(): returns the previous state for local_irq_restore()
+        irqSave(task) {
+            const flags = this.irqsOff.get(task) === true;
+            this.irqsOff.set(task, true);
+            return flags;
+        }
+
+        irqRestore(task, flags) {
+            if (flags) {
+                this.irqsOff.set(task, true);
+            } else {
+                this.irqsOff.delete(task);
+            }
+        }
+
+        /**
+         * Record "`from` held while taking `to`" and report the first time the
+         * graph closes a cycle: some other path already takes them the other way
+         */
+        addDependency(from, to, task) {
+            if (from === to) return;
+
+            const chain = this.findPath(to.name, from.name);
+            if (chain) {
+                this.warn(`circular:${[from.name, to.name].sort().join(':')}`, 'ERROR', task, [
+                    'WARNING: possible circular locking dependency detected',
+                    `${this.who(task)} is trying to acquire ${to.name} while holding ${from.name}`,
+                    `but the existing dependency chain is: ${chain.join(' -> ')}`,
+                    'possible deadlock: each side can end up waiting for the lock the other holds'
+                ]);
+            }
+
+            if (!this.dependencies.has(from.name)) {
+                this.dependencies.set(from.name, new Set());
+            }
+            this.dependencies.get(from.name).add(to.name);
+        }
+
+        // Depth-first search over the dependency graph
+        findPath(from, to, seen = new Set()) {
+            if (from === to) return [to];
+            if (seen.has(from)) return null;
+            seen.add(from);
+
+            for (const next of this.dependencies.get(from) || []) {
+                const rest = this.findPath(next, to, seen);
+                if (rest) return [from, ...rest];
+            }
+            return null;
+        }
+
+        /**
+         * A spinlock taken in an interrupt handler must always be taken with
+         * interrupts disabled elsewhere, or the handler can spin on its own CPU
+         */
+        checkIrqUsage(lock, lockClass, task) {
+            if (lock.type !== 'spinlock') return;
+
+            if (task.irq) {
+                lockClass.usedInIrq = true;
+            } else if (this.irqsOff.get(task) !== true) {
+                lockClass.usedIrqsOn = true;
+            }
+            if (lockClass.usedInIrq && lockClass.usedIrqsOn) {
+                this.warn(`irq:${lock.name}`, 'ERROR', task, [
+                    'WARNING: inconsistent lock state',
+                    `inconsistent {IN-HARDIRQ-W} -> {HARDIRQ-ON-W} usage of ${lock.name}`,
+                    'an interrupt taking it on a CPU that already holds it would spin forever; use spin_lock_irqsave()'
+                ]);
+            }
+        }
+
+        warn(key, level, task, lines) {
+            if (this.reported.has(key)) return;
+            this.reported.add(key);
+            this.warnings++;
+            if (this.report) {
+                lines.forEach(line => this.report(level, line, task));
+            }
+        }
+
+        who(task) {
+            return `${task.comm}/${task.pid}`;
+        }
+
+        // /proc/lockdep: every class and what was taken while holding it
+        describe() {
+            return Array.from(this.classes.values()).map(lockClass => {
+                const after = Array.from(this.dependencies.get(lockClass.name) || []);
+                return `${lockClass.name} (${lockClass.type}): ${lockClass.acquisitions} acquisitions, ` +
+                    `${lockClass.contentions} contended${lockClass.usedInIrq ? ', used in hardirq' : ''}` +
+                    after.map(name => `\n -> ${name}`).join('');
+            }).join('\n');
+        }
+    }
+
+    class SpinLock {
+        constructor(name, lockdep = new LockDep()) {
+            this.name = name;
+            this.type = 'spinlock';
+            this.lockdep = lockdep;
+            this.owner = null;
+        }
+
+        /**
+         * spin_lock(). With one simulated CPU a held spinlock can never be
+         * released while we spin, so contention is reported and fails EDEADLK.
+         */
+        lock(task) {
+            if (this.owner === task) {
+                this.lockdep.warn(`spin-recursion:${this.name}`, 'ERROR', task, [
+                    `BUG: spinlock recursion on CPU#0, ${this.lockdep.who(task)}`,
+                    `lock: ${this.name}, already held by the same context`
+                ]);
+                throw new KernelError('EDEADLK', `spinlock recursion on ${this.name}`);
+            }
+            if (this.owner) {
+                this.lockdep.contended(this);
+                this.lockdep.warn(`spin-lockup:${this.name}`, 'ERROR', task, [
+                    `BUG: spinlock lockup suspected on CPU#0, ${this.lockdep.who(task)}`,
+                    `lock: ${this.name}, owner: ${this.lockdep.who(this.owner)}, which cannot run to release it`
+                ]);
+                throw new KernelError('EDEADLK', `${this.name} held by ${this.lockdep.who(this.owner)}`);
+            }
+
+            this.lockdep.acquire(this, task);
+            this.owner = task;
+        }
+
+        trylock(task) {
+            if (this.owner) return false;
+            this.lockdep.acquire(this, task, { trylock: true });
+            this.owner = task;
+            return true;
+        }
+
+        unlock(task) {
+            if (!this.lockdep.release(this, task)) return;
+            this.owner = null;
+        }
+
+        // spin_lock_irqsave(): returns the saved interrupt state
+        lockIrqsave(task) {
+            const flags = this.lockdep.irqSave(task);
+            try {
+                this.lock(task);
+            } catch (error) {
+                this.lockdep.irqRestore(task, flags);
+                throw error;
+            }
+            return flags;
+        }
+
+        unlockIrqrestore(task, flags) {
+            this.unlock(task);
+            this.lockdep.irqRestore(task, flags);
+        }
+    }
+
+    class KMutex {
+        constructor(name, clock = REAL_CLOCK, lockdep = new LockDep()) {
+            this.name = name;
+            this.type = 'mutex';
+            this.lockdep = lockdep;
+            this.queue = new WaitQueue(name, clock);
+            this.locked = false;
+            this.owner = null;          // null while a handoff to a waiter is pending
+        }
+
+        /**
+         * mutex_lock_interruptible(): contenders sleep in FIFO order. `task` is
+         * the lockdep context; `wait` holds the WaitQueue sleep options. Resolves
+         * with whoever handed the lock over, or null if it was free.
+         */
+        async lock(task, wait = {}) {
+            this.lockdep.mightSleep(task, 'mutex_lock');
+            this.lockdep.acquire(this, task);
+
+            if (!this.locked) {
+                this.locked = true;
+                this.owner = task;
+                return null;
+            }
+            if (this.owner === task) {
+                // Sleeping on a lock we hold would never end
+                this.lockdep.abandon(this, task);
+                throw new KernelError('EDEADLK', `${this.name} already held by ${this.lockdep.who(task)}`);
+            }
+
+            this.lockdep.contended(this);
+            try {
+                const waker = await this.queue.sleep(wait);
+                this.owner = task;
+                return waker;
+            } catch (error) {
+                this.lockdep.abandon(this, task);
+                throw error;
+            }
+        }
+
+        trylock(task) {
+            if (this.locked) return false;
+            this.lockdep.acquire(this, task, { trylock: true });
+            this.locked = true;
+            this.owner = task;
+            return true;
+        }
+
+        /**
+         * mutex_unlock(): hand the lock straight to the oldest waiter, if any
+         */
+        unlock(task, waker = null) {
+            if (!this.locked) {
+                this.lockdep.release(this, task);
+                return;
+            }
+            if (this.owner && this.owner !== task) {
+                this.lockdep.warn(`owner:${this.name}:${this.lockdep.who(task)}`, 'WARNING', task, [
+                    `DEBUG_LOCKS_WARN_ON(owner != current): ${this.name} owned by ${this.lockdep.who(this.owner)}, ` +
+                        `unlocked by ${this.lockdep.who(task)}`
+                ]);
+            }
+            this.lockdep.release(this, this.owner || task);
+
+            this.owner = null;
+            if (!this.queue.wakeUpOne(waker)) {
+                this.locked = false;
+            }
+        }
+    }
+
+    class Semaphore {
+        constructor(name, count = 1, clock = REAL_CLOCK, lockdep = new LockDep()) {
+            this.name = name;
+            this.type = 'semaphore';
+            this.lockdep = lockdep;
+            this.count = count;
+            this.queue = new WaitQueue(name, clock);
+        }
+
+        // down_interruptible()
+        async down(task, wait = {}) {
+            this.lockdep.mightSleep(task, 'down');
+            if (this.count > 0) {
+                this.count--;
+                return null;
+            }
+            this.lockdep.contended(this);
+            return this.queue.sleep(wait);
+        }
+
+        downTrylock() {
+            if (this.count === 0) return false;
+            this.count--;
+            return true;
+        }
+
+        // up(): the count passes straight to a sleeper if there is one
+        up(waker = null) {
+            if (!this.queue.wakeUpOne(waker)) {
+                this.count++;
+            }
+        }
+    }
+
+    class RwSemaphore {
+        constructor(name, clock = REAL_CLOCK, lockdep = new LockDep()) {
+            this.name = name;
+            this.type = 'rw_semaphore';
+            this.lockdep = lockdep;
+            this.readers = 0;
+            this.writer = null;
+            this.readQueue = new WaitQueue(`${name}.read`, clock);
+            this.writeQueue = new WaitQueue(`${name}.write`, clock);
+        }
+
+        /**
+         * down_read(): shared with other readers, but a waiting writer goes
+         * first so readers cannot starve it
+         */
+        async downRead(task, wait = {}) {
+            this.lockdep.mightSleep(task, 'down_read');
+            this.lockdep.acquire(this, task, { read: true });
+
+            if (!this.writer && this.writeQueue.length === 0) {
+                this.readers++;
+                return null;
+            }
+            return this.waitFor(this.readQueue, task, wait);
+        }
+
+        async downWrite(task, wait = {}) {
+            this.lockdep.mightSleep(task, 'down_write');
+            this.lockdep.acquire(this, task);
+
+            if (!this.writer && this.readers === 0) {
+                this.writer = task;
+                return null;
+            }
+            const waker = await this.waitFor(this.writeQueue, task, wait);
+            this.writer = task;
+            return waker;
+        }
+
+        async waitFor(queue, task, wait) {
+            this.lockdep.contended(this);
+            try {
+                return await queue.sleep(wait);
+            } catch (error) {
+                this.lockdep.abandon(this, task);
+                throw error;
+            }
+        }
+
+        upRead(task, waker = null) {
+            if (!this.lockdep.release(this, task) || this.readers === 0) return;
+            this.readers--;
+            if (this.readers === 0 && this.writeQueue.length > 0) {
+                this.writer = true;     // reserved until the woken writer runs
+                this.writeQueue.wakeUpOne(waker);
+            }
+        }
+
+        upWrite(task, waker = null) {
+            if (!this.lockdep.release(this, task) || this.writer !== task) return;
+            this.writer = null;
+            if (this.readQueue.length > 0) {
+                this.readers += this.readQueue.length;
+                this.readQueue.wakeUp(waker);
+            } else if (this.writeQueue.length > 0) {
+                this.writer = true;
+                this.writeQueue.wakeUpOne(waker);
+            }
+        }
+    }
+
+    class Completion {
+        constructor(name, clock = REAL_CLOCK, lockdep = new LockDep()) {
+            this.name = name;
+            this.lockdep = lockdep;
+            this.done = 0;
+            this.queue = new WaitQueue(name, clock);
+        }
+
+        // wait_for_completion_interruptible()
+        async wait(task, wait = {}) {
+            this.lockdep.mightSleep(task, 'wait_for_completion');
+            if (this.done > 0) {
+                if (this.done !== Infinity) this.done--;
+                return null;
+            }
+            return this.queue.sleep(wait);
+        }
+
+        tryWait() {
+            if (this.done === 0) return false;
+            if (this.done !== Infinity) this.done--;
+            return true;
+        }
+
+        // complete(): release one waiter, or let the next wait() through
+        complete(waker = null) {
+            if (!this.queue.wakeUpOne(waker) && this.done !== Infinity) {
+                this.done++;
+            }
+        }
+
+        completeAll(waker = null) {
+            this.done = Infinity;
+            this.queue.wakeUp(waker);
+        }
+
+        reinit() {
+            this.done = 0;
+        }
+    }
+
+    // atomic_t: a 32-bit signed counter; arithmetic wraps like the C type
+    class AtomicT {
+        constructor(value = 0) {
+            this.counter = value | 0;
+        }
+
+        read() {
+            return this.counter;
+        }
+
+        set(value) {
+            this.counter = value | 0;
+        }
+
+        addReturn(delta) {
+            this.counter = (this.counter + delta) | 0;
+            return this.counter;
+        }
+
+        add(delta) {
+            this.addReturn(delta);
+        }
+
+        sub(delta) {
+            this.addReturn(-delta);
+        }
+
+        inc() {
+            this.addReturn(1);
+        }
+
+        dec() {
+            this.addReturn(-1);
+        }
+
+        incReturn() {
+            return this.addReturn(1);
+        }
+
+        decReturn() {
+            return this.addReturn(-1);
+        }
+
+        decAndTest() {
+            return this.addReturn(-1) === 0;
+        }
+
+        // Returns the old value; the swap only happens if it equalled `expected`
+        cmpxchg(expected, value) {
+            const old = this.counter;
+            if (old === (expected | 0)) {
+                this.counter = value | 0;
+            }
+            return old;
+        }
+
+        xchg(value) {
+            const old = this.counter;
+            this.counter = value | 0;
+            return old;
+        }
+    }
+
+    return {
+        LOCK_SCENARIOS, irqContext, LockDep, SpinLock, KMutex, Semaphore, RwSemaphore, Completion, AtomicT
+    };
+}));
@@ -0,0 +1,152 @@
+/**
+ * sysfs Attribute Tree
+ * /sys as a set of show/store attributes, one value per file in text form.
+ * Permission bits are checked on every access and a store that cannot
+ * parse its value fails with EINVAL, leaving the setting unchanged.
+ */
+
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
+    }
+}(function (require) {
+    const { KernelError } = require('./kernel-errno.js');
+    const { KERNEL_TASK } = require('./kernel-printk.js');
+
+    // DEVICE_ATTR_RW(), DEVICE_ATTR_RO() and DEVICE_ATTR_WO()
+    const SYSFS_MODES = {
+        RW: 0o644,
+        RO: 0o444,
+        WO: 0o200
+    };
+
+    const SYSFS_ROOT = '/sys';
+
+    // kstrtouint(): decimal or 0x hex, a trailing newline already trimmed
+    function parseSysfsUint(text, min = 0, max = 0xFFFFFFFF) {
+        if (!/^(0x[0-9a-f]+|\d+)$/i.test(text)) {
+            throw new KernelError('EINVAL', `\`${text}' is not an unsigned integer`);
+        }
+        const value = Number(text);
+        if (value < min || value > max) {
+            throw new KernelError('EINVAL', `${value} is outside ${min}-${max}`);
+        }
+        return value;
+    }
+
+    // sysfs_match_string(): one of a fixed set of words
+    function parseSysfsChoice(text, choices) {
+        if (!choices.includes(text)) {
+            throw new KernelError('EINVAL', `\`${text}' is not one of ${choices.join(', ')}`);
+        }
+        return text;
+    }
+
+    function describeMode(mode) {
+        return '-' + [6, 3, 0].map(shift =>
+            ((mode >> shift) & 4 ? 'r' : '-') + ((mode >> shift) & 2 ? 'w' : '-') + '-').join('');
+    }
+
+    class SysfsTree {
+        constructor() {
+            this.attributes = new Map();    // path -> { mode, show, store }
+        }
+
+        /**
+         * sysfs_create_file(): `show` returns the value as text, `store`
+         * receives the written text and throws a KernelError to reject it
+         */
+        createFile(path, mode, show, store = null) {
+            if (this.attributes.has(path)) {
+                throw new KernelError('EEXIST', `${path} already exists`);
+            }
+            this.attributes.set(path, { mode, show, store });
+        }
+
+        // kobject_del(): a directory and everything below it
+        removeDir(dir) {
+            Array.from(this.attributes.keys())
+                .filter(path => path.startsWith(dir + '/'))
+                .forEach(path => this.attributes.delete(path));
+        }
+
+        isDirectory(path) {
+            return path === SYSFS_ROOT || Array.from(this.attributes.keys()).some(key => key.startsWith(path + '/'));
+        }
+
+        paths() {
+            return Array.from(this.attributes.keys()).sort();
+        }
+
+        /**
+         * Entries directly below `dir`, directories first:
+         * { name, path, directory, mode }
+         */
+        list(dir) {
+            const base = dir.replace(/\/+$/, '') || SYSFS_ROOT;
+            if (this.attributes.has(base)) {
+                throw new KernelError('ENOTDIR', `${base} is an attribute`);
+            }
+            if (!this.isDirectory(base)) {
+                throw new KernelError('ENOENT', `${base} does not exist`);
+            }
+
+            const entries = new Map();
+            this.attributes.forEach((attr, path) => {
+                if (!path.startsWith(base + '/')) return;
+                const [name, ...rest] = path.slice(base.length + 1).split('/');
+                if (!entries.has(name)) {
+                    entries.set(name, rest.length > 0 ?
+                        { name, path: `${base}/${name}`, directory: true, mode: 0o755 } :
+                        { name, path, directory: false, mode: attr.mode });
+                }
+            });
+            return Array.from(entries.values())
+                .sort((a, b) => (b.directory - a.directory) || a.name.localeCompare(b.name));
+        }
+
+        lookup(path) {
+            const attr = this.attributes.get(path);
+            if (!attr) {
+                throw this.isDirectory(path) ?
+                    new KernelError('EISDIR', `${path} is a directory`) :
+                    new KernelError('ENOENT', `${path} does not exist`);
+            }
+            return attr;
+        }
+
+        /**
+         * Every attribute belongs to root, so root gets the owner bits and
+         * everyone else the "other" bits. Root is not exempt: an attribute
+         * without a store method cannot be written by anyone.
+         */
+        checkAccess(path, attr, uid, bit) {
+            const allowed = uid === 0 ? (attr.mode >> 6) & bit : attr.mode & bit;
+            if (!allowed) {
+                throw new KernelError('EACCES', `${path} is ${describeMode(attr.mode)}`);
+            }
+        }
+
+        // `task` is the caller; without a uid it counts as root
+        read(path, task = KERNEL_TASK) {
+            const attr = this.lookup(path);
+            this.checkAccess(path, attr, task.uid || 0, 4);
+            return `${attr.show()}\n`;
+        }
+
+        /**
+         * Hand `text` to the store method on behalf of `task`. kstrto*() accept
+         * the newline echo appends, so surrounding whitespace is dropped first.
+         */
+        write(path, text, task = KERNEL_TASK) {
+            const attr = this.lookup(path);
+            this.checkAccess(path, attr, task.uid || 0, 2);
+            attr.store(String(text).trim(), task);
+            return String(text).length;
+        }
+    }
+
+    return { SYSFS_MODES, SYSFS_ROOT, parseSysfsUint, parseSysfsChoice, describeMode, SysfsTree };
+}));
@@ -0,0 +1,313 @@
+/**
+ * Kernel Timers
+ * jiffies at a configurable HZ, timer_list timers (mod_timer/del_timer)
+ * and hrtimers with nanosecond expiry. A one-shot clock event fires the
+ * timer interrupt (IRQ 0) at the next expiry; its handler raises the
+ * TIMER and HRTIMER softirqs, so every callback runs in softirq context
+ * and must not sleep.
+ */
+
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
+    }
+}(function (require) {
+    const { KernelError } = require('./kernel-errno.js');
+    const { REAL_CLOCK } = require('./sim-clock.js');
+    const { IRQ_HANDLED, SOFTIRQ, softirqContext } = require('./kernel-irq.js');
+
+    const HZ_VALUES = [100, 250, 300, 1000];
+    const TIMER_IRQ = 0;
+
+    const NSEC_PER_MSEC = 1000000;
+
+    // timer_setup() flag: due timers fire, but do not keep an idle clock going
+    const TIMER_DEFERRABLE = 0x00080000;
+
+    // What an hrtimer callback returns
+    const HRTIMER_NORESTART = 0;
+    const HRTIMER_RESTART = 1;
+
+    // timer_setup(): `func(timer, context)` runs once `expires` (jiffies) is reached
+    class TimerList {
+        constructor(name, func, flags = 0) {
+            this.name = name;
+            this.func = func;
+            this.flags = flags;
+            this.expires = 0;
+            this.pending = false;
+            this.running = false;
+            this.cpu = 0;
+        }
+    }
+
+    /**
+     * hrtimer_init(): `func(timer, context)` runs at `expires` (ns of
+     * CLOCK_MONOTONIC) and returns HRTIMER_RESTART after moving the expiry
+     * on, e.g. with forwardNow(), to fire again
+     */
+    class HrTimer {
+        constructor(name, func) {
+            this.name = name;
+            this.func = func;
+            this.expires = 0;
+            this.pending = false;
+            this.running = false;
+            this.cpu = 0;
+        }
+
+        /**
+         * hrtimer_forward(): push the expiry past `now` in steps of `interval`
+         * ns; returns how many steps that took (the overruns)
+         */
+        forward(now, interval) {
+            if (this.expires > now) return 0;
+            const overruns = Math.floor((now - this.expires) / interval) + 1;
+            this.expires += overruns * interval;
+            return overruns;
+        }
+    }
+
+    class TimerBase {
+        /**
+         * The timer interrupt is requested on `irq`, an IrqController; `log`
+         * as for the controller
+         */
+        constructor(irq, clock = REAL_CLOCK, hz = 250, log = () => {}) {
+            this.checkHz(hz);
+            this.irq = irq;
+            this.clock = clock;
+            this.log = log;
+            this.hz = hz;
+            this.bootTime = clock.now();
+            this.jiffiesBase = 0;           // jiffies when HZ last changed
+            this.hzEpoch = this.bootTime;   // and the time it did
+            this.timers = new Set();        // pending timer_lists
+            this.hrtimers = new Set();      // pending hrtimers
+            this.clockEvent = null;
+
+            irq.request(TIMER_IRQ, (line, devId, context) => this.timerInterrupt(context.cpu), null, 0, 'timer', this);
+            irq.openSoftirq(SOFTIRQ.TIMER, cpu => this.runTimers(cpu));
+            irq.openSoftirq(SOFTIRQ.HRTIMER, cpu => this.runHrtimers(cpu));
+        }
+
+        checkHz(hz) {
+            if (!HZ_VALUES.includes(hz)) {
+                throw new KernelError('EINVAL', `HZ must be one of ${HZ_VALUES.join(', ')}, got ${hz}`);
+            }
+        }
+
+        get jiffies() {
+            return this.jiffiesBase + Math.floor((this.clock.now() - this.hzEpoch) * this.hz / 1000);
+        }
+
+        // ktime_get(): nanoseconds since boot
+        ktimeGet() {
+            return Math.round((this.clock.now() - this.bootTime) * NSEC_PER_MSEC);
+        }
+
+        msecsToJiffies(ms) {
+            return Math.ceil(ms * this.hz / 1000);
+        }
+
+        jiffiesToMsecs(jiffies) {
+            return jiffies * 1000 / this.hz;
+        }
+
+        /**
+         * A different HZ from now on; jiffies carries on from its current
+         * value. Pending timer_lists would change meaning, so they fail it
+         * with EBUSY.
+         */
+        setHz(hz) {
+            this.checkHz(hz);
+            if (this.timers.size > 0) {
+                throw new KernelError('EBUSY', `${this.timers.size} timer(s) pending in jiffies at HZ=${this.hz}`);
+            }
+            this.jiffiesBase = this.jiffies;
+            this.hzEpoch = this.clock.now();
+            this.hz = hz;
+        }
+
+        // When jiffies reaches `jiffies`, in clock time
+        jiffiesTime(jiffies) {
+            return this.hzEpoch + (jiffies - this.jiffiesBase) * 1000 / this.hz;
+        }
+
+        // When a timer of either kind is due, in clock time
+        expiryTime(timer) {
+            return timer instanceof HrTimer ?
+                this.bootTime + timer.expires / NSEC_PER_MSEC :
+                this.jiffiesTime(timer.expires);
+        }
+
+        /**
+         * mod_timer(): (re)arm to fire at `expires` jiffies on `cpu`. Returns 1
+         * if it was pending, 0 if not.
+         */
+        modTimer(timer, expires, cpu = timer.cpu) {
+            const wasPending = timer.pending ? 1 : 0;
+            timer.expires = expires;
+            timer.cpu = cpu;
+            timer.pending = true;
+            this.timers.add(timer);
+            this.program();
+            return wasPending;
+        }
+
+        // del_timer(): returns 1 if it was pending
+        delTimer(timer) {
+            if (!timer.pending) return 0;
+            timer.pending = false;
+            this.timers.delete(timer);
+            this.program();
+            return 1;
+        }
+
+        /**
+         * del_timer_sync(): also makes sure the callback is not running. From
+         * inside the callback that would wait forever, so it fails with EDEADLK.
+         */
+        delTimerSync(timer) {
+            if (timer.running) {
+                this.log('WARNING', `timer: del_timer_sync() on ${timer.name} from its own callback would deadlock`);
+                throw new KernelError('EDEADLK', `${timer.name} is running`);
+            }
+            return this.delTimer(timer);
+        }
+
+        /**
+         * hrtimer_start(): `time` ns from now (mode 'rel') or since boot
+         * (mode 'abs')
+         */
+        hrtimerStart(timer, time, mode = 'rel', cpu = timer.cpu) {
+            if (mode !== 'rel' && mode !== 'abs') {
+                throw new KernelError('EINVAL', `hrtimer mode must be rel or abs, got ${mode}`);
+            }
+            timer.expires = mode === 'rel' ? this.ktimeGet() + time : time;
+            timer.cpu = cpu;
+            timer.pending = true;
+            this.hrtimers.add(timer);
+            this.program();
+        }
+
+        // hrtimer_cancel(): returns 1 if it was pending
+        hrtimerCancel(timer) {
+            if (!timer.pending) return 0;
+            timer.pending = false;
+            this.hrtimers.delete(timer);
+            this.program();
+            return 1;
+        }
+
+        /**
+         * Program the clock event for the earliest expiry; the CPU that timer
+         * was armed on takes the interrupt. While only TIMER_DEFERRABLE timers
+         * are pending, it does not keep a fast virtual clock running by itself.
+         */
+        program() {
+            if (this.clockEvent !== null) {
+                this.clock.clearTimeout(this.clockEvent);
+                this.clockEvent = null;
+            }
+            const next = [...this.timers, ...this.hrtimers]
+                .reduce((soonest, timer) => !soonest || this.expiryTime(timer) < this.expiryTime(soonest) ? timer : soonest, null);
+            if (!next) return;
+
+            this.clockEvent = this.clock.setTimeout(() => {
+                this.clockEvent = null;
+                this.irq.raise(TIMER_IRQ, next.cpu);
+            }, Math.max(0, this.expiryTime(next) - this.clock.now()));
+            if (this.hrtimers.size === 0 && [...this.timers].every(timer => timer.flags & TIMER_DEFERRABLE)) {
+                this.clock.unref(this.clockEvent);
+            }
+        }
+
+        expired(timers, cpu) {
+            const now = this.clock.now();
+            return Array.from(timers)
+                .filter(timer => timer.cpu === cpu && this.expiryTime(timer) <= now)
+                .sort((a, b) => a.expires - b.expires);
+        }
+
+        expiredTimers(cpu) {
+            return this.expired(this.timers, cpu);
+        }
+
+        expiredHrtimers(cpu) {
+            return this.expired(this.hrtimers, cpu);
+        }
+
+        timerInterrupt(cpu) {
+            // Everything due on any CPU: this simulation has one clock event
+            for (let other = 0; other < this.irq.nrCpus; other++) {
+                if (this.expiredTimers(other).length > 0) this.irq.raiseSoftirq(SOFTIRQ.TIMER, other);
+                if (this.expiredHrtimers(other).length > 0) this.irq.raiseSoftirq(SOFTIRQ.HRTIMER, other);
+            }
+            this.program();
+            return IRQ_HANDLED;
+        }
+
+        // run_timer_softirq(): a callback may re-arm its own timer
+        runTimers(cpu) {
+            const context = { cpu, task: softirqContext(cpu) };
+            this.expiredTimers(cpu).forEach(timer => {
+                timer.pending = false;
+                this.timers.delete(timer);
+                this.runCallback(timer, context);
+            });
+            this.program();
+        }
+
+        // hrtimer_run_softirq(): HRTIMER_RESTART keeps the timer queued
+        runHrtimers(cpu) {
+            const context = { cpu, task: softirqContext(cpu) };
+            this.expiredHrtimers(cpu).forEach(timer => {
+                timer.pending = false;
+                this.hrtimers.delete(timer);
+                if (this.runCallback(timer, context) === HRTIMER_RESTART) {
+                    timer.pending = true;
+                    this.hrtimers.add(timer);
+                }
+            });
+            this.program();
+        }
+
+        runCallback(timer, context) {
+            timer.running = true;
+            try {
+                return timer.func(timer, context);
+            } catch (error) {
+                this.log('ERROR', `timer: ${timer.name} failed: ${KernelError.from(error).toLogString()}`, context.task);
+                return HRTIMER_NORESTART;
+            } finally {
+                timer.running = false;
+            }
+        }
+
+        /**
+         * Every pending timer, soonest first: { type, name, cpu, expires,
+         * remainingMs } with expires in jiffies or ns to match the type
+         */
+        list() {
+            const now = this.clock.now();
+            return [
+                ...Array.from(this.timers, timer => ({ type: 'timer_list', timer })),
+                ...Array.from(this.hrtimers, timer => ({ type: 'hrtimer', timer }))
+            ].map(({ type, timer }) => ({
+                type,
+                name: timer.name,
+                cpu: timer.cpu,
+                expires: timer.expires,
+                remainingMs: Math.max(0, this.expiryTime(timer) - now)
+            })).sort((a, b) => a.remainingMs - b.remainingMs);
+        }
+    }
+
+    return {
+        HZ_VALUES, TIMER_IRQ, NSEC_PER_MSEC, TIMER_DEFERRABLE, HRTIMER_NORESTART, HRTIMER_RESTART,
+        TimerList, HrTimer, TimerBase
+    };
+}));
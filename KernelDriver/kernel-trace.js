@@ -0,0 +1,136 @@
+/**
+ * Operation Tracing
+ * Records each system call on the device as a span from entry to return,
+ * split into phases (waiting for the mutex, holding it, sleeping on a
+ * wait queue), plus the wakeups that pass control from one span to another
+ */
+
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
+    }
+}(function (require) {
+    const { KernelError } = require('./kernel-errno.js');
+    const { REAL_CLOCK } = require('./sim-clock.js');
+
+    const TRACE_OPS = ['open', 'read', 'write', 'ioctl', 'release'];
+    const TRACE_PHASES = ['lock-wait', 'lock-held', 'sleep'];
+
+    class TraceSpan {
+        constructor(id, op, file, clock) {
+            this.id = id;
+            this.op = op;
+            this.pid = file.pid;
+            this.comm = file.comm;
+            this.fd = file.fd;
+            this.device = file.device ? file.device.name : null;
+            this.clock = clock;
+            this.start = clock.now();
+            this.end = null;            // null while the call is in progress
+            this.phases = [];           // { kind, start, end }
+            this.error = null;          // errno name if the call failed
+        }
+
+        get open() {
+            return this.end === null;
+        }
+
+        /**
+         * Close the current phase and, unless `kind` is null, start another
+         */
+        mark(kind) {
+            const now = this.clock.now();
+            const current = this.phases[this.phases.length - 1];
+            if (current && current.end === null) {
+                current.end = now;
+            }
+            if (kind) {
+                this.phases.push({ kind, start: now, end: null });
+            }
+        }
+
+        describe() {
+            return {
+                id: this.id, op: this.op, pid: this.pid, comm: this.comm, fd: this.fd,
+                device: this.device, start: this.start, end: this.end,
+                phases: this.phases.map(phase => ({ ...phase })), error: this.error
+            };
+        }
+    }
+
+    class OpTracer {
+        constructor(clock = REAL_CLOCK, capacity = 2000, onChange = null) {
+            this.clock = clock;
+            this.capacity = capacity;
+            this.onChange = onChange;
+            this.spans = [];
+            this.wakeups = [];          // { time, from, to, queue } between spans
+            this.nextId = 1;
+        }
+
+        begin(op, file) {
+            const span = new TraceSpan(this.nextId++, op, file, this.clock);
+            this.spans.push(span);
+            this.trim();
+            this.changed(span);
+            return span;
+        }
+
+        end(span, error = null) {
+            if (!span.open) return;
+            span.mark(null);
+            span.end = this.clock.now();
+            span.error = error ? KernelError.from(error).code : null;
+            this.changed(span);
+        }
+
+        // open() and release() have no duration worth drawing
+        instant(op, file) {
+            const span = this.begin(op, file);
+            this.end(span);
+            return span;
+        }
+
+        /**
+         * Wrap a promise callback so the span ends when the call returns
+         */
+        settle(span, callback) {
+            return value => {
+                this.end(span, value instanceof Error ? value : null);
+                callback(value);
+            };
+        }
+
+        /**
+         * `waker` (the span whose wake_up() or mutex_unlock() ran) let `span`
+         * continue; nothing is recorded if it never slept
+         */
+        wakeup(waker, span, queue) {
+            if (!waker || !span) return;
+            this.wakeups.push({ time: this.clock.now(), from: waker, to: span, queue });
+            if (this.wakeups.length > this.capacity) {
+                this.wakeups.shift();
+            }
+            this.changed(span);
+        }
+
+        trim() {
+            while (this.spans.length > this.capacity) {
+                this.spans.shift();
+            }
+        }
+
+        clear() {
+            this.spans = [];
+            this.wakeups = [];
+        }
+
+        changed(span) {
+            if (this.onChange) this.onChange(span);
+        }
+    }
+
+    return { TRACE_OPS, TRACE_PHASES, TraceSpan, OpTracer };
+}));
@@ -0,0 +1,258 @@
+/**
+ * Kernel Log Viewer
+ * Scrollback of every printk record since the simulator started, with level,
+ * subsystem and text/regex filters, pause/follow and dmesg or JSON Lines
+ * export. Only the rows in view are in the DOM, so the history is unbounded.
+ */
+
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
+    }
+}(function (require) {
+    const { LOG_LEVELS, formatLogTime, formatLogLine } = require('./kernel-printk.js');
+
+    // Which records the viewer shows; DOM-free
+    class LogFilter {
+        constructor() {
+            this.maxPriority = LOG_LEVELS.DEBUG;
+            this.subsystem = '';        // '' for every subsystem
+            this.consoleOnly = true;    // hide records above the console loglevel
+            this.pattern = null;        // search as a case-insensitive RegExp
+        }
+
+        /**
+         * Plain text is matched literally. Returns false, leaving the search
+         * off, when `regex` is set and the text does not compile.
+         */
+        setSearch(text, regex = false) {
+            this.pattern = null;
+            if (!text) return true;
+
+            try {
+                this.pattern = new RegExp(regex ? text : text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+            } catch (error) {
+                return false;
+            }
+            return true;
+        }
+
+        matches(record) {
+            return record.priority <= this.maxPriority &&
+                (!this.subsystem || record.subsystem === this.subsystem) &&
+                (!this.consoleOnly || record.console) &&
+                (!this.pattern || this.pattern.test(record.message));
+        }
+
+        /**
+         * Split a message into { text, match } parts for highlighting
+         */
+        highlight(message) {
+            if (!this.pattern) return [{ text: message, match: false }];
+
+            const parts = [];
+            const global = new RegExp(this.pattern.source, 'gi');
+            let last = 0;
+            let found;
+            while ((found = global.exec(message)) !== null) {
+                if (found[0].length === 0) {
+                    global.lastIndex++;
+                    continue;
+                }
+                if (found.index > last) parts.push({ text: message.slice(last, found.index), match: false });
+                parts.push({ text: found[0], match: true });
+                last = found.index + found[0].length;
+            }
+            if (last < message.length) parts.push({ text: message.slice(last), match: false });
+            return parts;
+        }
+    }
+
+    class KernelLogViewer {
+        constructor() {
+            this.container = document.getElementById('kernel-logs');
+            this.levelSelect = document.getElementById('log-filter-level');
+            this.subsystemSelect = document.getElementById('log-filter-subsystem');
+            this.searchInput = document.getElementById('log-search');
+            this.regexToggle = document.getElementById('log-search-regex');
+            this.consoleToggle = document.getElementById('log-console-only');
+            this.followButton = document.getElementById('log-follow');
+            this.status = document.getElementById('log-status');
+
+            this.filter = new LogFilter();
+            this.records = [];          // everything seen, beyond the log buffer's capacity
+            this.visible = [];          // records passing the filter
+            this.subsystems = new Set();
+            this.following = true;
+            this.unseen = 0;            // matching records appended while paused
+            this.rowHeight = 18;        // must match .kernel-log-row
+            this.overscan = 10;
+            this.renderPending = false;
+
+            if (!this.container) return;
+
+            this.spacer = document.createElement('div');
+            this.spacer.className = 'kernel-logs-spacer';
+            this.rows = document.createElement('div');
+            this.rows.className = 'kernel-logs-rows';
+            this.spacer.appendChild(this.rows);
+            this.container.appendChild(this.spacer);
+
+            this.container.addEventListener('scroll', () => this.handleScroll());
+            [this.levelSelect, this.subsystemSelect, this.regexToggle, this.consoleToggle].forEach(element => {
+                if (element) element.addEventListener('change', () => this.applyFilter());
+            });
+            if (this.searchInput) this.searchInput.addEventListener('input', () => this.applyFilter());
+            if (this.followButton) this.followButton.addEventListener('click', () => this.setFollowing(!this.following));
+        }
+
+        /**
+         * Start over from the records a (new) simulator still holds
+         */
+        reset(records) {
+            this.records = records.slice();
+            this.subsystems = new Set(this.records.map(record => record.subsystem));
+            this.updateSubsystemOptions();
+            this.applyFilter();
+        }
+
+        append(record) {
+            this.records.push(record);
+            if (!this.subsystems.has(record.subsystem)) {
+                this.subsystems.add(record.subsystem);
+                this.updateSubsystemOptions();
+            }
+            if (!this.filter.matches(record)) return;
+
+            this.visible.push(record);
+            if (!this.following) this.unseen++;
+            this.scheduleRender();
+        }
+
+        applyFilter() {
+            if (this.levelSelect) this.filter.maxPriority = Number(this.levelSelect.value);
+            if (this.subsystemSelect) this.filter.subsystem = this.subsystemSelect.value;
+            if (this.consoleToggle) this.filter.consoleOnly = this.consoleToggle.checked;
+            if (this.searchInput) {
+                const valid = this.filter.setSearch(this.searchInput.value, this.regexToggle && this.regexToggle.checked);
+                this.searchInput.classList.toggle('is-invalid', !valid);
+            }
+
+            this.visible = this.records.filter(record => this.filter.matches(record));
+            this.unseen = 0;
+            this.scheduleRender();
+        }
+
+        updateSubsystemOptions() {
+            if (!this.subsystemSelect) return;
+
+            const selected = this.subsystemSelect.value;
+            this.subsystemSelect.innerHTML = '<option value="">All subsystems</option>';
+            [...this.subsystems].sort().forEach(name => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                this.subsystemSelect.appendChild(option);
+            });
+            this.subsystemSelect.value = this.subsystems.has(selected) ? selected : '';
+        }
+
+        setFollowing(following) {
+            this.following = following;
+            if (following) this.unseen = 0;
+            this.scheduleRender();
+        }
+
+        // Scrolling up pauses; scrolling back to the bottom follows again
+        handleScroll() {
+            const { scrollTop, scrollHeight, clientHeight } = this.container;
+            const atBottom = scrollTop + clientHeight >= scrollHeight - this.rowHeight;
+            if (atBottom !== this.following) {
+                this.setFollowing(atBottom);
+            } else {
+                this.scheduleRender();
+            }
+        }
+
+        // A stress test logs far faster than the screen refreshes
+        scheduleRender() {
+            if (this.renderPending || !this.container) return;
+            this.renderPending = true;
+            requestAnimationFrame(() => {
+                this.renderPending = false;
+                this.render();
+            });
+        }
+
+        render() {
+            this.spacer.style.height = `${this.visible.length * this.rowHeight}px`;
+            if (this.following) {
+                this.container.scrollTop = this.container.scrollHeight;
+            }
+
+            const first = Math.max(0, Math.floor(this.container.scrollTop / this.rowHeight) - this.overscan);
+            const count = Math.ceil(this.container.clientHeight / this.rowHeight) + 2 * this.overscan;
+            const fragment = document.createDocumentFragment();
+            this.visible.slice(first, first + count).forEach(record => fragment.appendChild(this.renderRow(record)));
+
+            this.rows.style.transform = `translateY(${first * this.rowHeight}px)`;
+            this.rows.replaceChildren(fragment);
+            this.updateStatus();
+        }
+
+        renderRow(record) {
+            const row = document.createElement('div');
+            row.className = 'kernel-log-row';
+            if (record.priority <= LOG_LEVELS.ERROR) {
+                row.classList.add('log-row-error');
+            } else if (record.priority === LOG_LEVELS.WARNING) {
+                row.classList.add('log-row-warning');
+            }
+            row.title = formatLogLine(record);
+
+            const span = (className, text) => {
+                const element = document.createElement('span');
+                element.className = className;
+                element.textContent = text;
+                row.appendChild(element);
+            };
+            span('log-timestamp', `${formatLogTime(record.time)} `);
+            span(`log-level-${record.level.toLowerCase()}`, `[${record.level}] `);
+            span('log-task', `[${record.comm}:${record.pid}] `);
+
+            this.filter.highlight(record.message).forEach(part => {
+                if (part.match) {
+                    const mark = document.createElement('mark');
+                    mark.textContent = part.text;
+                    row.appendChild(mark);
+                } else {
+                    row.appendChild(document.createTextNode(part.text));
+                }
+            });
+            return row;
+        }
+
+        updateStatus() {
+            if (this.status) {
+                this.status.textContent = `${this.visible.length} of ${this.records.length} records`;
+            }
+            if (this.followButton) {
+                this.followButton.innerHTML = this.following ?
+                    '<i class="bi bi-pause-fill"></i> Pause' :
+                    `<i class="bi bi-arrow-down"></i> Follow${this.unseen > 0 ? ` (${this.unseen} new)` : ''}`;
+            }
+        }
+
+        /**
+         * The filtered records as dmesg text or JSON Lines
+         */
+        export(format) {
+            const line = format === 'jsonl' ? record => JSON.stringify(record) : record => formatLogLine(record);
+            return this.visible.map(record => line(record) + '\n').join('');
+        }
+    }
+
+    return { LogFilter, KernelLogViewer };
+}));
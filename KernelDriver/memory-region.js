@@ -0,0 +1,73 @@
+/**
+ * Seekable Memory Region for Random-Access Storage Mode
+ * A scull-style flat memory area: reads and writes happen at an offset,
+ * and the highest byte ever written marks the end of data (like i_size)
+ */
+
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
+    }
+}(function () {
+    class MemoryRegion {
+        constructor(size) {
+            this.storage = new ArrayBuffer(size);
+            this.view = new Uint8Array(this.storage);
+            this.size = size;
+            this.dataSize = 0;
+        }
+
+        /**
+         * Copy up to `count` bytes from `offset`. Reading at or past the end of
+         * data returns an empty array (EOF).
+         */
+        read(offset, count) {
+            if (offset >= this.dataSize) {
+                return new Uint8Array(0);
+            }
+            const end = Math.min(offset + count, this.dataSize);
+            return this.view.slice(offset, end);
+        }
+
+        /**
+         * Store bytes at `offset`, truncated at the region capacity. Writing past
+         * the end of data leaves a zero-filled hole, as on a sparse file.
+         */
+        write(offset, bytes) {
+            const written = Math.max(0, Math.min(bytes.length, this.size - offset));
+            this.view.set(bytes.subarray(0, written), offset);
+            if (written > 0) {
+                this.dataSize = Math.max(this.dataSize, offset + written);
+            }
+            return written;
+        }
+
+        contents() {
+            return this.view.slice(0, this.dataSize);
+        }
+
+        load(bytes) {
+            this.clear();
+            this.write(0, bytes);
+        }
+
+        clear() {
+            this.view.fill(0);
+            this.dataSize = 0;
+        }
+
+        resize(newSize) {
+            const kept = this.view.slice(0, Math.min(this.dataSize, newSize));
+
+            this.storage = new ArrayBuffer(newSize);
+            this.view = new Uint8Array(this.storage);
+            this.view.set(kept);
+            this.size = newSize;
+            this.dataSize = kept.length;
+        }
+    }
+
+    return { MemoryRegion };
+}));
@@ -12,9 +12,18 @@ class MonitoringDashboard {
             maxPoints: 30
         };
         
-        this.updateInterval = null;
-        this.stressTestInterval = null;
-        this.asyncReadInterval = null;
+        this.subscriptions = [];  // unsubscribe functions for simulator events
+        this.asyncReadController = null;  // aborts the reader's epoll_wait()
+        this.asyncReadFds = [];
+        this.asyncReadPid = null;
+        this.asyncEpoll = null;
+        this.sigioPid = null;  // simulated process that owns the O_ASYNC descriptors
+        this.sigioFds = [];
+        this.sigioCount = 0;
+        this.logViewer = new KernelLogViewer();
+        this.timeline = new TimelineView();
+        this.sysfsDir = '/sys/class';  // directory shown in the sysfs browser
+        this.sysfsListing = null;
         
         this.initializeChart();
         this.startRealTimeMonitoring();
@@ -109,7 +118,7 @@ class MonitoringDashboard {
         this.updateElement('open-count', stats.openCount);
         
         // Update buffer usage
-        const bufferUsagePercent = (stats.bufferUsed / stats.bufferSize) * 100;
+        const bufferUsagePercent = stats.bufferSize > 0 ? (stats.bufferUsed / stats.bufferSize) * 100 : 0;
         const bufferBar = document.getElementById('buffer-usage');
         if (bufferBar) {
             bufferBar.style.width = bufferUsagePercent + '%';
@@ -117,14 +126,24 @@ class MonitoringDashboard {
         }
         
         this.updateElement('buffer-size', this.formatBytes(stats.bufferSize));
+        this.updateElement('buffer-head', stats.readPosition);
+        this.updateElement('buffer-tail', stats.writePosition);
         
         // Update concurrent access indicators
         this.updateElement('active-readers', stats.activeReaders);
         this.updateElement('active-writers', stats.activeWriters);
         this.updateElement('queue-length', stats.queueLength);
         
-        // Update /proc/mychardev_stats
-        this.updateElement('proc-stats', window.kernelSimulator.getProcStats());
+        // Update open file table
+        this.updateOpenFiles(window.kernelSimulator.getOpenFiles());
+        
+        // Update the selected /proc file
+        this.updateProcView();
+        
+        // Update /proc/devices and the /dev listing
+        this.updateDeviceRegistry();
+        this.updateSysfsValues();
+        this.updateTimers();
         
         // Update advanced features
         if (window.kernelSimulator) {
@@ -144,9 +163,10 @@ class MonitoringDashboard {
         
         // Update process monitor
         this.updateProcessMonitor(metrics.processes);
+        this.updateFaultStatus(metrics.faults);
         
         // Gradually decrease system load when not under stress
-        if (Math.random() > 0.7) {
+        if (window.kernelSimulator.random() > 0.7) {
             window.kernelSimulator.systemLoad.cpu = Math.max(0, window.kernelSimulator.systemLoad.cpu - 2);
             window.kernelSimulator.systemLoad.io = Math.max(0, window.kernelSimulator.systemLoad.io - 1);
         }
@@ -161,20 +181,283 @@ class MonitoringDashboard {
             return;
         }
         
-        const processHTML = processes.slice(0, 5).map(proc => `
+        const processHTML = processes.map(proc => `
             <div class="process-entry">
                 <span class="process-pid">${proc.pid}</span>
-                <span class="process-name">${proc.name}</span>
-                <span class="process-status">${proc.status}</span>
+                <span class="process-name">${proc.comm} (uid ${proc.uid})</span>
+                <span class="process-status process-state-${proc.state}">${proc.stateCode} ${proc.state === 'zombie' ? `exit ${proc.exitCode}` : proc.blockedOn || 'running'}</span>
+                <span>fd ${proc.fds.join(',') || '-'}</span>
+                ${proc.state === 'zombie' ? '<span></span>' : `
+                <a href="#" class="text-danger" title="kill(${proc.pid}, SIGTERM)" onclick="killProcess(${proc.pid}); return false;">
+                    <i class="bi bi-x-circle"></i>
+                </a>`}
             </div>
         `).join('');
         
         monitor.innerHTML = processHTML;
     }
     
+    /**
+     * Start a scripted user process on the selected device
+     */
+    spawnProcess() {
+        const select = document.getElementById('processScript');
+        const script = select ? select.value : 'producer';
+        
+        try {
+            const task = window.kernelSimulator.runProcess(script, this.getSelectedDevice());
+            this.showToast(`${script} started as PID ${task.pid}`, 'info');
+        } catch (error) {
+            this.showToast('Spawn failed: ' + error.toString(), 'error');
+        }
+        this.updateProcessMonitor(window.kernelSimulator.listProcesses());
+    }
+    
+    killProcess(pid, signal = 'SIGTERM') {
+        try {
+            window.kernelSimulator.killProcess(pid, signal);
+        } catch (error) {
+            this.showToast('kill failed: ' + error.toString(), 'error');
+        }
+        this.updateProcessMonitor(window.kernelSimulator.listProcesses());
+    }
+    
+    /**
+     * Arm the selected fault point from the form, or turn it off
+     */
+    applyFault(enable = true) {
+        const field = id => {
+            const element = document.getElementById(id);
+            return element ? element.value.trim() : '';
+        };
+        const type = field('faultType') || 'fail_usercopy';
+        const options = enable ? {
+            probability: Number(field('faultProbability')),
+            interval: Number(field('faultInterval')),
+            times: Number(field('faultTimes')),
+            delay: Number(field('faultDelay')),
+            pid: field('faultPid') === '' ? null : Number(field('faultPid'))
+        } : { probability: 0 };
+        
+        try {
+            const fault = window.kernelSimulator.configureFault(type, options);
+            this.showToast(fault.enabled ? `${type} armed at ${fault.probability}%` : `${type} disabled`, 'info');
+        } catch (error) {
+            this.showToast('Fault injection: ' + error.toString(), 'error');
+        }
+        this.updateFaultStatus(window.kernelSimulator.listFaults());
+    }
+    
+    updateFaultStatus(faults) {
+        const shown = faults.filter(fault => fault.enabled || fault.injected > 0);
+        this.updateElement('fault-status', shown.length === 0 ? 'No faults armed' : shown.map(fault =>
+            `${fault.name}: ${fault.enabled ? `${fault.probability}%` : 'off'}, ${fault.injected} injected`).join(' · '));
+    }
+    
+    async runLockScenario() {
+        const select = document.getElementById('lockScenario');
+        const scenario = select ? select.value : 'abba';
+        
+        try {
+            const reports = await window.kernelSimulator.runLockScenario(scenario);
+            this.showToast(reports > 0 ? `lockdep: ${reports} new report(s) in the kernel log` :
+                'lockdep: already reported, each problem is only reported once', reports > 0 ? 'warning' : 'info');
+        } catch (error) {
+            this.showToast('Lock scenario failed: ' + error.toString(), 'error');
+        }
+    }
+    
+    updateDeviceRegistry() {
+        const simulator = window.kernelSimulator;
+        const nodes = simulator.listDevices().map(device =>
+            `crw-rw-rw- 1 root root ${device.major}, ${device.minor} ${device.path}`);
+        
+        // Parameters as /sys/module/<name>/parameters shows them
+        const info = simulator.getModuleInfo();
+        const header = info ?
+            `${info.name}: ${info.state}, refcount ${info.refcount}${simulator.tainted ? ', kernel tainted' : ''}\n` +
+                Object.entries(info.params).map(([name, value]) => `  ${name} = ${formatModuleParam(name, value)}`).join('\n') :
+            `${simulator.moduleName}: not loaded`;
+        
+        // Drivers registered as file_operations tables, built in or not
+        const drivers = simulator.listDrivers().map(driver =>
+            `  ${driver.name.padEnd(8)} ${driver.builtin ? 'built-in' : `${driver.state}, refcount ${driver.refcount}`}: ${driver.operations.join(' ') || 'no operations'}`);
+        
+        this.updateElement('device-registry', header + '\n\n' + simulator.getProcDevices() +
+            '\n\n$ ls -l /dev/' + simulator.moduleName + '*\n' +
+            (nodes.length > 0 ? nodes.join('\n') : `ls: cannot access '/dev/${simulator.moduleName}*': No such file or directory`) +
+            '\n\nfops drivers:\n' + (drivers.length > 0 ? drivers.join('\n') : '  none'));
+    }
+    
+    /**
+     * Read the /proc file picked in the selector the way cat does, a
+     * seq_file page at a time, and note how many read() calls it took
+     */
+    updateProcView() {
+        const select = document.getElementById('proc-file');
+        if (!select) return;
+        
+        // Entries come and go with modules and drivers
+        const paths = window.kernelSimulator.procfs.paths();
+        if (Array.from(select.options).map(option => option.value).join() !== paths.join()) {
+            const current = select.value || `/proc/${window.kernelSimulator.moduleName}/stats`;
+            select.innerHTML = paths.map(path => `<option value="${path}">${path}</option>`).join('');
+            select.value = paths.includes(current) ? current : paths[0];
+        }
+        
+        try {
+            const seq = window.kernelSimulator.procOpen(select.value);
+            let text = '';
+            for (let chunk = seq.read(SEQ_PAGE_SIZE); chunk; chunk = seq.read(SEQ_PAGE_SIZE)) {
+                text += chunk;
+            }
+            this.updateElement('proc-stats', text);
+            this.updateElement('proc-reads', `${text.length} bytes in ${seq.reads} read() call(s) of ${SEQ_PAGE_SIZE}`);
+        } catch (error) {
+            this.updateElement('proc-stats', `cat: ${select.value}: ${KernelError.from(error).message}`);
+            this.updateElement('proc-reads', '');
+        }
+    }
+    
+    /**
+     * sysfs browser: a breadcrumb, then the directory's entries. Attributes
+     * show their value as root reads it; writable ones get a store field.
+     */
+    browseSysfs(dir = this.sysfsDir) {
+        const panel = document.getElementById('sysfs-entries');
+        if (!panel) return;
+        
+        let entries;
+        try {
+            entries = window.kernelSimulator.sysfsList(dir);
+        } catch (error) {
+            // The directory went away, e.g. with its module
+            if (dir !== SYSFS_ROOT) {
+                this.browseSysfs(dir.slice(0, dir.lastIndexOf('/')) || SYSFS_ROOT);
+            }
+            return;
+        }
+        this.sysfsDir = dir;
+        this.sysfsListing = entries.map(entry => entry.path).join();
+        
+        const parts = dir.split('/').filter(Boolean);
+        document.getElementById('sysfs-path').innerHTML = parts.map((part, i) =>
+            `<a href="#" onclick="browseSysfs('/${parts.slice(0, i + 1).join('/')}'); return false;">${part}</a>`).join(' / ');
+        
+        panel.innerHTML = entries.length === 0 ? '<small class="text-muted">Empty directory</small>' : entries.map((entry, i) => entry.directory ? `
+            <div class="sysfs-entry">
+                <a href="#" onclick="browseSysfs('${entry.path}'); return false;"><i class="bi bi-folder"></i> ${entry.name}/</a>
+            </div>` : `
+            <div class="sysfs-entry">
+                <span class="sysfs-mode">${describeMode(entry.mode)}</span>
+                <span class="sysfs-name">${entry.name}</span>
+                <span class="sysfs-value" data-sysfs-path="${entry.path}"></span>
+                ${entry.mode & 0o200 ? `
+                <input type="text" class="form-control form-control-sm sysfs-input" id="sysfs-input-${i}" placeholder="value">
+                <button class="btn btn-sm btn-outline-primary" onclick="storeSysfs('${entry.path}', 'sysfs-input-${i}')">Store</button>` : ''}
+            </div>`).join('');
+        this.updateSysfsValues();
+    }
+    
+    updateSysfsValues() {
+        // Entries come and go with modules and drivers; redraw when they do
+        let listing = null;
+        try {
+            listing = window.kernelSimulator.sysfsList(this.sysfsDir).map(entry => entry.path).join();
+        } catch (error) {
+            // Handled by browseSysfs()
+        }
+        if (listing !== this.sysfsListing) {
+            this.browseSysfs();
+            return;
+        }
+        
+        document.querySelectorAll('[data-sysfs-path]').forEach(element => {
+            try {
+                element.textContent = window.kernelSimulator.sysfsRead(element.dataset.sysfsPath).trim();
+            } catch (error) {
+                element.textContent = `(${KernelError.from(error).message.toLowerCase()})`;
+            }
+        });
+    }
+    
+    storeSysfs(path, inputId) {
+        const input = document.getElementById(inputId);
+        try {
+            window.kernelSimulator.sysfsWrite(path, input ? input.value : '');
+            this.showToast(`${path.split('/').pop()} = ${input.value.trim()}`, 'success');
+            input.value = '';
+        } catch (error) {
+            this.showToast(`echo > ${path}: ${KernelError.from(error).toString()}`, 'error');
+        }
+        // A store can add or remove entries, e.g. a mode change or a resize
+        this.browseSysfs();
+    }
+    
+    // Timer inspector: the clock, then each pending timer and when it fires
+    updateTimers() {
+        const select = document.getElementById('timer-hz');
+        if (!select) return;
+        
+        const timers = window.kernelSimulator.timers;
+        if (select.options.length === 0) {
+            select.innerHTML = HZ_VALUES.map(hz => `<option value="${hz}">HZ=${hz}</option>`).join('');
+        }
+        select.value = timers.hz;
+        
+        this.updateElement('timer-clock', `jiffies ${timers.jiffies}, ktime ${(timers.ktimeGet() / 1e9).toFixed(3)} s`);
+        const pending = window.kernelSimulator.listTimers();
+        this.updateElement('timer-list', pending.length === 0 ? 'No timers pending' : pending.map(timer =>
+            `${timer.name.padEnd(20)} ${timer.type.padEnd(10)} CPU${timer.cpu}  ` +
+            `expires ${timer.expires} ${timer.type === 'hrtimer' ? 'ns' : 'jiffies'}, in ${timer.remainingMs.toFixed(1)} ms`).join('\n'));
+    }
+    
+    setTimerHz(value) {
+        try {
+            window.kernelSimulator.setHz(Number(value));
+            this.showToast(`HZ = ${value}`, 'success');
+        } catch (error) {
+            this.showToast('Changing HZ failed: ' + KernelError.from(error).toString(), 'error');
+        }
+        this.updateTimers();
+    }
+    
+    getSelectedDevice() {
+        return window.deviceDriverApp ? window.deviceDriverApp.selectedDevice : undefined;
+    }
+    
+    // The stats panels follow the selected minor; other drivers' nodes have no buffer to show
+    getStatsDevice() {
+        const path = this.getSelectedDevice();
+        return window.kernelSimulator.findDevice(path) ? path : null;
+    }
+    
+    updateOpenFiles(files) {
+        const panel = document.getElementById('open-files');
+        if (!panel) return;
+        
+        if (files.length === 0) {
+            panel.innerHTML = '<small class="text-muted">No open files</small>';
+            return;
+        }
+        
+        panel.innerHTML = files.map(file => `
+            <div class="process-entry">
+                <span class="process-pid">fd ${file.fd}</span>
+                <span class="process-name">${file.comm} (PID ${file.pid}) ${file.path}</span>
+                <span class="process-status">${file.flags}</span>
+                <span>pos ${file.fPos}</span>
+                <a href="#" class="text-danger" title="close(${file.fd})" onclick="closeDeviceFile(${file.fd}); return false;">
+                    <i class="bi bi-x-circle"></i>
+                </a>
+            </div>
+        `).join('');
+    }
+    
     updateConcurrentIndicators(stats) {
         const readersElement = document.getElementById('active-readers');
         const writersElement = document.getElementById('active-writers');
+        const queueElement = document.getElementById('queue-length');
         
         if (readersElement) {
             readersElement.className = stats.activeReaders > 0 ? 
@@ -185,6 +468,14 @@ class MonitoringDashboard {
             writersElement.className = stats.activeWriters > 0 ? 
                 'badge bg-warning operation-active' : 'badge bg-warning';
         }
+        
+        if (queueElement) {
+            queueElement.className = stats.queueLength > 0 ?
+                'badge bg-secondary operation-active' : 'badge bg-secondary';
+            queueElement.title = `Sleeping readers: ${stats.sleepingReaders}, ` +
+                `sleeping writers: ${stats.sleepingWriters}, mutex waiters: ${stats.mutexWaiters}, ` +
+                `poll waiters: ${stats.pollWaiters}`;
+        }
     }
     
     updateElement(id, value) {
@@ -203,86 +494,246 @@ class MonitoringDashboard {
     }
     
     startRealTimeMonitoring() {
-        this.updateInterval = setInterval(() => {
-            if (window.kernelSimulator) {
-                const stats = window.kernelSimulator.getStats();
+        const simulator = window.kernelSimulator;
+        if (!simulator) return;
+        
+        this.stopRealTimeMonitoring();
+        this.subscriptions = [
+            simulator.on('stats', () => {
+                // The tick carries default-device stats; show the selected minor
+                const stats = simulator.getStats(this.getStatsDevice());
                 this.updateStatistics(stats);
                 this.updateChart(stats);
-            }
-        }, 1000);
+                this.timeline.scheduleDraw();
+            }),
+            simulator.on('log', record => this.logViewer.append(record)),
+            simulator.on('trace', () => this.timeline.scheduleDraw()),
+            simulator.on('interrupt', () => this.flashInterrupt()),
+            simulator.on('stress-stopped', () => this.showToast('Stress test stopped', 'info')),
+            simulator.on('dma-progress', progress => this.showDMAProgress(progress)),
+            simulator.on('signal', event => this.updateSignalCount(event))
+        ];
+        this.logViewer.reset(simulator.kernelLogs);
+        this.timeline.attach(simulator);
     }
     
     stopRealTimeMonitoring() {
-        if (this.updateInterval) {
-            clearInterval(this.updateInterval);
-            this.updateInterval = null;
-        }
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
+        this.subscriptions = [];
     }
     
-    startStressTest() {
-        if (this.stressTestInterval) {
-            this.stopStressTest();
-        }
+    flashInterrupt() {
+        document.body.classList.add('interrupt-flash');
+        setTimeout(() => document.body.classList.remove('interrupt-flash'), 500);
+    }
+    
+    showDMAProgress({ id, percent, error }) {
+        const barId = `dma-progress-${id}`;
         
-        this.showToast('Stress test started', 'success');
-        window.kernelSimulator.logKernel('INFO', 'Stress test initiated');
+        // Shown below the kernel logs until the transfer completes
+        if (percent === 0) {
+            const transfers = document.getElementById('dma-transfers');
+            if (!transfers) return;
+            
+            const tempDiv = document.createElement('div');
+            tempDiv.innerHTML = `
+                <div class="dma-transfer">
+                    <div class="dma-progress" id="${barId}"></div>
+                </div>
+            `;
+            transfers.appendChild(tempDiv);
+            return;
+        }
         
-        this.stressTestInterval = setInterval(() => {
-            if (window.kernelSimulator) {
-                // Generate multiple concurrent operations
-                for (let i = 0; i < 3; i++) {
-                    window.kernelSimulator.simulateStressTest();
-                }
-            }
-        }, 200);
+        const progressBar = document.getElementById(barId);
+        if (!progressBar) return;
         
-        // Auto-stop after 30 seconds
-        setTimeout(() => {
-            this.stopStressTest();
-        }, 30000);
+        progressBar.style.width = percent + '%';
+        if (error) {
+            progressBar.classList.add('dma-failed');
+        }
+        if (percent >= 100 || error) {
+            setTimeout(() => progressBar.parentElement.parentElement.remove(), 1000);
+        }
+    }
+    
+    startStressTest() {
+        // Three concurrent operations every 200ms, auto-stopping after 30 seconds
+        window.kernelSimulator.startStressTest(30000, 200, 3);
+        this.showToast('Stress test started', 'success');
     }
     
     stopStressTest() {
-        if (this.stressTestInterval) {
-            clearInterval(this.stressTestInterval);
-            this.stressTestInterval = null;
-            this.showToast('Stress test stopped', 'info');
-            window.kernelSimulator.logKernel('INFO', 'Stress test completed');
-        }
+        window.kernelSimulator.stopStressTest();
     }
     
+    /**
+     * Event-driven reader: one non-blocking descriptor per minor, all in a
+     * single epoll set. It sleeps until the driver signals POLLIN.
+     */
     startAsyncRead() {
-        if (this.asyncReadInterval) {
+        if (this.asyncReadController) {
             this.stopAsyncRead();
         }
         
+        const simulator = window.kernelSimulator;
+        const epoll = simulator.epollCreate();
+        const pid = simulator.spawnProcess('async_reader').pid;
+        this.asyncReadPid = pid;
+        try {
+            simulator.listDevices().forEach(device => {
+                const { fd } = simulator.deviceOpen(device.path,
+                    OPEN_FLAGS.O_RDONLY | OPEN_FLAGS.O_NONBLOCK, { pid });
+                this.asyncReadFds.push(fd);
+                epoll.ctl(EPOLL_CTL.ADD, fd, POLL_EVENTS.POLLIN, device.path);
+            });
+        } catch (error) {
+            this.asyncEpoll = epoll;
+            this.closeAsyncReader();
+            this.showToast('Asynchronous read failed: ' + error.toString(), 'error');
+            return;
+        }
+        
+        this.asyncEpoll = epoll;
+        this.asyncReadController = new AbortController();
         this.showToast('Asynchronous read started', 'info');
-        window.kernelSimulator.logKernel('INFO', 'Async I/O monitoring started');
+        simulator.logKernel('INFO', `aio: monitoring started on ${this.asyncReadFds.length} device(s) via epoll`);
         
-        this.asyncReadInterval = setInterval(() => {
-            if (window.kernelSimulator) {
-                window.kernelSimulator.deviceRead(64)
-                    .then(result => {
+        this.runAsyncReader(simulator, epoll, this.asyncReadController.signal);
+    }
+    
+    async runAsyncReader(simulator, epoll, signal) {
+        try {
+            while (!signal.aborted) {
+                const events = await epoll.wait(8, -1, { signal });
+                
+                for (const event of events) {
+                    if (event.events & (POLL_EVENTS.POLLERR | POLL_EVENTS.POLLHUP)) {
+                        this.showToast(`Async reader: ${event.data} hung up`, 'warning');
+                        this.stopAsyncRead();
+                        return;
+                    }
+                    
+                    // O_NONBLOCK: another reader may have drained it first
+                    try {
+                        const result = await simulator.deviceRead(event.fd, 64);
                         if (result.bytesRead > 0) {
-                            console.log('Async read:', result.data);
+                            simulator.logKernel('DEBUG', `aio: epoll reader got ${result.bytesRead} bytes from ${event.data}`);
                         }
-                    })
-                    .catch(error => {
-                        console.log('Async read blocked:', error.message);
-                    });
+                    } catch (error) {
+                        simulator.logKernel('DEBUG', `aio: epoll read of ${event.data} raced: ${KernelError.from(error).toLogString()}`);
+                    }
+                }
             }
-        }, 1500);
+        } catch (error) {
+            // EINTR from stopAsyncRead() ends the loop
+            if (!signal.aborted) {
+                simulator.logKernel('WARNING', `aio: epoll reader stopped: ${KernelError.from(error).toLogString()}`);
+            }
+        }
     }
     
     stopAsyncRead() {
-        if (this.asyncReadInterval) {
-            clearInterval(this.asyncReadInterval);
-            this.asyncReadInterval = null;
+        if (this.asyncReadController) {
+            this.asyncReadController.abort();
+            this.asyncReadController = null;
+            this.closeAsyncReader();
             this.showToast('Asynchronous read stopped', 'info');
-            window.kernelSimulator.logKernel('INFO', 'Async I/O monitoring stopped');
+            window.kernelSimulator.logKernel('INFO', 'aio: monitoring stopped');
         }
     }
     
+    closeAsyncReader() {
+        // Exiting closes every descriptor the reader still holds
+        try {
+            window.kernelSimulator.exitProcess(this.asyncReadPid, 0);
+        } catch (error) {
+            // Already killed from the process monitor
+        }
+        this.asyncReadFds = [];
+        this.asyncReadPid = null;
+        
+        if (this.asyncEpoll) {
+            window.kernelSimulator.epollClose(this.asyncEpoll);
+            this.asyncEpoll = null;
+        }
+    }
+    
+    /**
+     * Signal-driven reader: fcntl(F_SETOWN) + O_ASYNC on every minor, and a
+     * SIGIO handler that drains whichever descriptor the signal names
+     */
+    startSigioRead() {
+        if (this.sigioPid !== null) {
+            this.stopSigioRead();
+        }
+        
+        const simulator = window.kernelSimulator;
+        const pid = simulator.spawnProcess('sigio_reader').pid;
+        this.sigioPid = pid;
+        this.sigioCount = 0;
+        
+        try {
+            simulator.sigaction(pid, 'SIGIO', info => this.handleSigio(simulator, info));
+            simulator.listDevices().forEach(device => {
+                const { fd } = simulator.deviceOpen(device.path,
+                    OPEN_FLAGS.O_RDONLY | OPEN_FLAGS.O_NONBLOCK, { pid, comm: 'sigio_reader' });
+                this.sigioFds.push(fd);
+                simulator.deviceFcntl(fd, FCNTL_COMMANDS.F_SETOWN, pid);
+                simulator.deviceFcntl(fd, FCNTL_COMMANDS.F_SETFL,
+                    simulator.deviceFcntl(fd, FCNTL_COMMANDS.F_GETFL) | OPEN_FLAGS.O_ASYNC);
+            });
+        } catch (error) {
+            this.closeSigioReader();
+            this.showToast('SIGIO setup failed: ' + error.toString(), 'error');
+            return;
+        }
+        
+        this.showToast(`SIGIO reader started as PID ${pid}`, 'info');
+        simulator.logKernel('INFO', `aio: PID ${pid} registered for SIGIO on ${this.sigioFds.length} device(s)`);
+        this.updateElement('sigio-count', '0');
+    }
+    
+    async handleSigio(simulator, info) {
+        // O_NONBLOCK: the signal only says data arrived, not that it is still there
+        try {
+            const result = await simulator.deviceRead(info.fd, 64);
+            if (result.bytesRead > 0) {
+                simulator.logKernel('DEBUG', `aio: SIGIO handler got ${result.bytesRead} bytes from ${info.path}`);
+            }
+        } catch (error) {
+            simulator.logKernel('DEBUG', `aio: SIGIO read of ${info.path} raced: ${KernelError.from(error).toLogString()}`);
+        }
+    }
+    
+    updateSignalCount(event) {
+        if (event.pid === this.sigioPid && event.delivered) {
+            this.sigioCount++;
+            this.updateElement('sigio-count', this.sigioCount.toString());
+        }
+    }
+    
+    stopSigioRead() {
+        if (this.sigioPid !== null) {
+            const pid = this.sigioPid;
+            this.closeSigioReader();
+            this.showToast('SIGIO reader stopped', 'info');
+            window.kernelSimulator.logKernel('INFO', `aio: PID ${pid} no longer receives SIGIO`);
+        }
+    }
+    
+    closeSigioReader() {
+        // close() runs the driver's fasync(-1), dropping the async queue entry
+        // Exiting closes the descriptors and drops the SIGIO handler
+        try {
+            window.kernelSimulator.exitProcess(this.sigioPid, 0);
+        } catch (error) {
+            // Already killed from the process monitor
+        }
+        this.sigioFds = [];
+        this.sigioPid = null;
+    }
+    
     showToast(message, type = 'info') {
         const toast = document.getElementById('toast');
         const toastBody = document.getElementById('toast-body');
@@ -299,9 +750,9 @@ class MonitoringDashboard {
     exportStats() {
         if (!window.kernelSimulator) return;
         
-        const stats = window.kernelSimulator.getStats();
+        const stats = window.kernelSimulator.getStats(this.getStatsDevice());
         const csv = this.generateCSV(stats);
-        this.downloadCSV(csv, 'device_stats.csv');
+        this.downloadFile(csv, 'device_stats.csv', 'text/csv');
     }
     
     generateCSV(stats) {
@@ -329,8 +780,14 @@ class MonitoringDashboard {
         return headers.join(',') + '\n' + row.join(',');
     }
     
-    downloadCSV(csv, filename) {
-        const blob = new Blob([csv], { type: 'text/csv' });
+    exportKernelLogs(format) {
+        const content = this.logViewer.export(format);
+        const extension = format === 'jsonl' ? 'jsonl' : 'txt';
+        this.downloadFile(content, `dmesg.${extension}`, format === 'jsonl' ? 'application/jsonl' : 'text/plain');
+    }
+    
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
         const url = window.URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
@@ -350,7 +807,7 @@ document.addEventListener('DOMContentLoaded', function() {
     // Export function for kernel simulator
     window.updateMonitoringDashboard = function() {
         if (monitoringDashboard && window.kernelSimulator) {
-            const stats = window.kernelSimulator.getStats();
+            const stats = window.kernelSimulator.getStats(monitoringDashboard.getStatsDevice());
             monitoringDashboard.updateStatistics(stats);
         }
     };
@@ -381,8 +838,80 @@ window.stopAsyncRead = function() {
     }
 };
 
+window.startSigioRead = function() {
+    if (monitoringDashboard) {
+        monitoringDashboard.startSigioRead();
+    }
+};
+
+window.stopSigioRead = function() {
+    if (monitoringDashboard) {
+        monitoringDashboard.stopSigioRead();
+    }
+};
+
+window.spawnProcess = function() {
+    if (monitoringDashboard) {
+        monitoringDashboard.spawnProcess();
+    }
+};
+
+window.killProcess = function(pid) {
+    if (monitoringDashboard) {
+        monitoringDashboard.killProcess(pid);
+    }
+};
+
+window.applyFault = function(enable) {
+    if (monitoringDashboard) {
+        monitoringDashboard.applyFault(enable);
+    }
+};
+
+window.runLockScenario = function() {
+    if (monitoringDashboard) {
+        monitoringDashboard.runLockScenario();
+    }
+};
+
+window.zoomTimeline = function(factor) {
+    if (monitoringDashboard) {
+        monitoringDashboard.timeline.zoom(factor);
+    }
+};
+
+window.updateProcView = function() {
+    if (monitoringDashboard) {
+        monitoringDashboard.updateProcView();
+    }
+};
+
+window.browseSysfs = function(dir) {
+    if (monitoringDashboard) {
+        monitoringDashboard.browseSysfs(dir);
+    }
+};
+
+window.storeSysfs = function(path, inputId) {
+    if (monitoringDashboard) {
+        monitoringDashboard.storeSysfs(path, inputId);
+    }
+};
+
+window.setTimerHz = function(value) {
+    if (monitoringDashboard) {
+        monitoringDashboard.setTimerHz(value);
+    }
+};
+
 window.exportStats = function() {
     if (monitoringDashboard) {
         monitoringDashboard.exportStats();
     }
 };
+
+window.exportKernelLogs = function(format) {
+    if (monitoringDashboard) {
+        monitoringDashboard.exportKernelLogs(format);
+    }
+};
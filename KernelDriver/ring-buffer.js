@@ -0,0 +1,142 @@
+/**
+ * Circular Buffer for the Simulated Device Storage
+ * Keeps separate read (head) and write (tail) pointers with wraparound,
+ * mirroring the kfifo-style ring buffer used by the character driver
+ */
+
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
+    }
+}(function (require) {
+    const { KernelError } = require('./kernel-errno.js');
+
+    class RingBuffer {
+        constructor(size, policy = 'reject') {
+            this.storage = new ArrayBuffer(size);
+            this.view = new Uint8Array(this.storage);
+            this.size = size;
+            this.head = 0;      // next byte to be read
+            this.tail = 0;      // next byte to be written
+            this.used = 0;
+            this.policy = policy;
+            this.overwritten = 0;
+        }
+
+        get free() {
+            return this.size - this.used;
+        }
+
+        isEmpty() {
+            return this.used === 0;
+        }
+
+        isFull() {
+            return this.used === this.size;
+        }
+
+        setPolicy(policy) {
+            if (policy !== 'reject' && policy !== 'overwrite') {
+                throw new KernelError('EINVAL', `unknown overflow policy: ${policy}`);
+            }
+            this.policy = policy;
+        }
+
+        /**
+         * Append bytes at the tail. With the 'reject' policy only the free space
+         * is filled; with 'overwrite' the oldest bytes are dropped to make room.
+         */
+        write(bytes) {
+            let input = bytes;
+            let dropped = 0;
+
+            if (this.policy === 'overwrite') {
+                // Only the newest `size` bytes can ever survive a single write
+                if (input.length > this.size) {
+                    input = input.subarray(input.length - this.size);
+                }
+                const overflow = Math.max(0, input.length - this.free);
+                if (overflow > 0) {
+                    this.head = (this.head + overflow) % this.size;
+                    this.used -= overflow;
+                    this.overwritten += overflow;
+                    dropped = overflow;
+                }
+            } else {
+                input = input.subarray(0, Math.min(input.length, this.free));
+            }
+
+            for (let i = 0; i < input.length; i++) {
+                this.view[(this.tail + i) % this.size] = input[i];
+            }
+
+            this.tail = (this.tail + input.length) % this.size;
+            this.used += input.length;
+
+            return { written: input.length, dropped };
+        }
+
+        /**
+         * Copy up to `count` bytes starting at the head without consuming them
+         */
+        peek(count = this.used) {
+            const length = Math.min(count, this.used);
+            const out = new Uint8Array(length);
+
+            for (let i = 0; i < length; i++) {
+                out[i] = this.view[(this.head + i) % this.size];
+            }
+
+            return out;
+        }
+
+        /**
+         * Consume up to `count` bytes from the head
+         */
+        read(count) {
+            const out = this.peek(count);
+
+            this.head = (this.head + out.length) % this.size;
+            this.used -= out.length;
+
+            // Rewind an empty ring so the next write starts at offset 0
+            if (this.used === 0) {
+                this.head = 0;
+                this.tail = 0;
+            }
+
+            return out;
+        }
+
+        clear() {
+            this.view.fill(0);
+            this.head = 0;
+            this.tail = 0;
+            this.used = 0;
+        }
+
+        /**
+         * Reallocate the ring, linearising the pending data so it stays in
+         * order. Never discards: shrinking below the pending data fails with
+         * ENOSPC.
+         */
+        resize(newSize) {
+            if (newSize < this.used) {
+                throw new KernelError('ENOSPC', `${this.used} bytes pending, cannot shrink to ${newSize}`);
+            }
+            const pending = this.peek();
+
+            this.storage = new ArrayBuffer(newSize);
+            this.view = new Uint8Array(this.storage);
+            this.view.set(pending);
+            this.size = newSize;
+            this.head = 0;
+            this.tail = pending.length % newSize;
+            this.used = pending.length;
+        }
+    }
+
+    return { RingBuffer };
+}));
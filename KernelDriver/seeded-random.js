@@ -0,0 +1,49 @@
+/**
+ * Seeded Pseudo-Random Generator
+ * mulberry32: small, fast and identical on every JS engine, so a seed
+ * reproduces the same latencies, PIDs and IRQ numbers on any machine
+ */
+
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
+    }
+}(function () {
+    class SeededRandom {
+        constructor(seed) {
+            this.seed = SeededRandom.normalizeSeed(seed);
+            this.state = this.seed;
+        }
+
+        /**
+         * Accept numbers or strings ("bug-1234") and fold them into 32 bits
+         */
+        static normalizeSeed(seed) {
+            if (typeof seed === 'number' && Number.isFinite(seed)) {
+                return seed >>> 0;
+            }
+            let hash = 2166136261;
+            for (const char of String(seed)) {
+                hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+            }
+            return hash >>> 0;
+        }
+
+        // Uniform float in [0, 1), a drop-in for Math.random()
+        next() {
+            this.state = (this.state + 0x6D2B79F5) >>> 0;
+            let t = this.state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+
+        reset() {
+            this.state = this.seed;
+        }
+    }
+
+    return { SeededRandom };
+}));
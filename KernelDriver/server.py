@@ -53,14 +53,15 @@ class DeviceDriverHandler(http.server.SimpleHTTPRequestHandler):
             self.send_error(500, f"Internal server error: {str(e)}")
     
     def send_stats(self):
-        """Send simulated device statistics"""
+        """
+        Send static sample statistics. The simulator runs in the browser and
+        allocates its major and minors there, so none of this reflects it.
+        """
         stats = {
             'timestamp': datetime.now().isoformat(),
             'uptime': 3600,  # 1 hour uptime
             'module_loaded': True,
-            'device_name': '/dev/mychardev',
-            'major_number': 250,
-            'minor_number': 0,
+            'device_name': '/dev/mychardev0',
             'buffer_size': 1024,
             'buffer_used': 0,
             'operations': {
@@ -79,7 +80,7 @@ class DeviceDriverHandler(http.server.SimpleHTTPRequestHandler):
         self.send_json_response(stats)
     
     def send_logs(self):
-        """Send simulated kernel logs"""
+        """Send static sample kernel logs, like send_stats"""
         logs = [
             {
                 'timestamp': datetime.now().isoformat(),
@@ -89,7 +90,7 @@ class DeviceDriverHandler(http.server.SimpleHTTPRequestHandler):
             {
                 'timestamp': datetime.now().isoformat(),
                 'level': 'DEBUG',
-                'message': 'Device /dev/mychardev registered with major number 250'
+                'message': 'mychardev: registered a dynamic major for its minors'
             }
         ]
         
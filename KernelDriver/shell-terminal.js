@@ -0,0 +1,133 @@
+/**
+ * Shell Terminal Panel
+ * Renders a SimShell in the page: prompt, history (Up/Down), tab completion
+ * and Ctrl+C for commands sleeping in the driver
+ */
+
+class ShellTerminal {
+    constructor() {
+        this.output = document.getElementById('shell-output');
+        this.input = document.getElementById('shell-input');
+        this.shell = null;
+        this.running = null;        // AbortController of the command in progress
+        this.historyIndex = null;
+        this.maxOutput = 20000;     // characters kept in the scrollback
+
+        if (!this.output || !this.input) return;
+
+        this.input.addEventListener('keydown', event => this.handleKey(event));
+        this.output.addEventListener('click', () => this.input.focus());
+        this.print('Type "help" for the available commands.\n');
+    }
+
+    get prompt() {
+        return 'root@sim:~# ';
+    }
+
+    /**
+     * Restarting the simulator replaces it; keep the history across
+     */
+    getShell() {
+        if (!this.shell || this.shell.simulator !== window.kernelSimulator) {
+            this.shell = new SimShell(window.kernelSimulator, this.shell ? this.shell.history : []);
+        }
+        return this.shell;
+    }
+
+    handleKey(event) {
+        // Keep the app's global Ctrl shortcuts out of the terminal
+        if (event.ctrlKey) {
+            event.stopPropagation();
+        }
+
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            this.runInput();
+        } else if (event.key === 'Tab') {
+            event.preventDefault();
+            this.complete();
+        } else if (event.key === 'ArrowUp' || event.key === 'ArrowDown') {
+            event.preventDefault();
+            this.browseHistory(event.key === 'ArrowUp' ? -1 : 1);
+        } else if (event.ctrlKey && event.key === 'c') {
+            event.preventDefault();
+            this.interrupt();
+        } else if (event.ctrlKey && event.key === 'l') {
+            event.preventDefault();
+            this.clear();
+        }
+    }
+
+    async runInput() {
+        if (!window.kernelSimulator || this.running) return;
+
+        const line = this.input.value;
+        this.input.value = '';
+        this.historyIndex = null;
+        this.print(this.prompt + line + '\n');
+
+        this.running = new AbortController();
+        try {
+            await this.getShell().execute(line, {
+                write: text => this.print(text),
+                clear: () => this.clear(),
+                signal: this.running.signal
+            });
+        } finally {
+            this.running = null;
+        }
+
+        // insmod/rmmod change what the rest of the page shows
+        if (window.deviceDriverApp) {
+            window.deviceDriverApp.updateModuleStatus();
+            window.deviceDriverApp.refreshDeviceSelector();
+        }
+    }
+
+    interrupt() {
+        if (this.running) {
+            // SIGINT: only this command's sleeping read/write wakes with EINTR
+            this.running.abort();
+        } else {
+            this.print(this.prompt + this.input.value + '^C\n');
+            this.input.value = '';
+        }
+    }
+
+    complete() {
+        if (!window.kernelSimulator) return;
+
+        const { line, matches } = this.getShell().complete(this.input.value);
+        if (matches.length > 1 && line === this.input.value) {
+            this.print(this.prompt + this.input.value + '\n' + matches.join('  ') + '\n');
+        }
+        this.input.value = line;
+    }
+
+    browseHistory(direction) {
+        const history = this.getShell().history;
+        if (history.length === 0) return;
+
+        const index = this.historyIndex === null ? history.length : this.historyIndex;
+        const next = Math.max(0, Math.min(history.length, index + direction));
+        this.historyIndex = next;
+        this.input.value = next === history.length ? '' : history[next];
+    }
+
+    print(text) {
+        const content = this.output.textContent + text;
+        this.output.textContent = content.length > this.maxOutput ?
+            content.slice(content.length - this.maxOutput) : content;
+        this.output.scrollTop = this.output.scrollHeight;
+    }
+
+    clear() {
+        this.output.textContent = '';
+    }
+}
+
+let shellTerminal;
+
+document.addEventListener('DOMContentLoaded', function() {
+    shellTerminal = new ShellTerminal();
+});
@@ -0,0 +1,208 @@
+/**
+ * Simulation Clocks
+ * RealClock wraps the host timers; VirtualClock keeps its own timeline that
+ * only moves when stepped, so a seeded run replays exactly
+ */
+
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
+    }
+}(function () {
+    class RealClock {
+        constructor() {
+            this.virtual = false;
+        }
+
+        now() {
+            return Date.now();
+        }
+
+        setTimeout(callback, ms = 0) {
+            return setTimeout(callback, ms);
+        }
+
+        clearTimeout(id) {
+            clearTimeout(id);
+        }
+
+        setInterval(callback, ms) {
+            return setInterval(callback, ms);
+        }
+
+        clearInterval(id) {
+            clearInterval(id);
+        }
+
+        // Host timers need no keep-alive bookkeeping
+        unref(id) {
+            return id;
+        }
+    }
+
+    // Shared by everything created without an explicit clock
+    const REAL_CLOCK = new RealClock();
+
+    /**
+     * Let pending promise callbacks settle before the next timer fires, so that
+     * async code resumes at the same virtual instant it would have in real time
+     */
+    function yieldToEventLoop() {
+        return new Promise(resolve => {
+            if (typeof setImmediate === 'function') {
+                setImmediate(resolve);
+            } else {
+                setTimeout(resolve, 0);
+            }
+        });
+    }
+
+    class VirtualClock {
+        /**
+         * Modes:
+         *   step - time only moves through step() / runFor()
+         *   fast - timers fire back to back as soon as they are scheduled
+         */
+        constructor(startTime = 0, mode = 'step') {
+            this.virtual = true;
+            this.time = startTime;
+            this.mode = mode;
+            this.timers = [];       // kept sorted by (when, seq)
+            this.nextId = 1;
+            this.seq = 0;
+            this.running = false;
+            this.steps = 0;
+        }
+
+        now() {
+            return this.time;
+        }
+
+        get pending() {
+            return this.timers.length;
+        }
+
+        setTimeout(callback, ms = 0) {
+            return this.schedule(callback, ms, 0);
+        }
+
+        setInterval(callback, ms) {
+            // A zero period would never let time move on
+            return this.schedule(callback, ms, Math.max(1, ms));
+        }
+
+        clearTimeout(id) {
+            this.timers = this.timers.filter(timer => timer.id !== id);
+        }
+
+        clearInterval(id) {
+            this.clearTimeout(id);
+        }
+
+        /**
+         * Background timers (periodic stats, network traffic) still fire as time
+         * passes, but do not keep fast mode running on their own
+         */
+        unref(id) {
+            const timer = this.timers.find(t => t.id === id);
+            if (timer) {
+                timer.ref = false;
+            }
+            return id;
+        }
+
+        schedule(callback, ms, period) {
+            const timer = {
+                id: this.nextId++,
+                when: this.time + Math.max(0, ms || 0),
+                seq: this.seq++,
+                period,
+                ref: true,
+                callback
+            };
+            this.insert(timer);
+
+            if (this.mode === 'fast') {
+                this.runUntilIdle();
+            }
+            return timer.id;
+        }
+
+        insert(timer) {
+            let index = this.timers.length;
+            while (index > 0) {
+                const prev = this.timers[index - 1];
+                if (prev.when < timer.when || (prev.when === timer.when && prev.seq < timer.seq)) break;
+                index--;
+            }
+            this.timers.splice(index, 0, timer);
+        }
+
+        /**
+         * Advance to the next timer and fire it; returns false when none are left
+         */
+        step() {
+            const timer = this.timers.shift();
+            if (!timer) return false;
+
+            this.time = Math.max(this.time, timer.when);
+            this.steps++;
+
+            if (timer.period > 0) {
+                timer.when = this.time + timer.period;
+                timer.seq = this.seq++;
+                this.insert(timer);
+            }
+
+            timer.callback();
+            return true;
+        }
+
+        /**
+         * Run every timer due within the next `ms` of virtual time, as fast as
+         * the host allows, then leave the clock exactly `ms` later
+         */
+        async runFor(ms) {
+            const target = this.time + ms;
+            while (this.timers.length > 0 && this.timers[0].when <= target) {
+                this.step();
+                await yieldToEventLoop();
+            }
+            this.time = Math.max(this.time, target);
+            await yieldToEventLoop();
+        }
+
+        /**
+         * Fire timers back to back until only background timers remain
+         */
+        async runUntilIdle(maxSteps = 100000) {
+            if (this.running) return;
+            this.running = true;
+
+            try {
+                // Let the caller that scheduled us finish its synchronous work
+                await yieldToEventLoop();
+
+                let count = 0;
+                while (this.timers.some(timer => timer.ref) && count < maxSteps) {
+                    this.step();
+                    count++;
+                    await yieldToEventLoop();
+                }
+            } finally {
+                this.running = false;
+            }
+        }
+
+        setMode(mode) {
+            this.mode = mode;
+            if (mode === 'fast') {
+                this.runUntilIdle();
+            }
+        }
+    }
+
+    return { RealClock, REAL_CLOCK, VirtualClock, yieldToEventLoop };
+}));
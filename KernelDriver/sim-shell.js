@@ -0,0 +1,1006 @@
+/**
+ * Simulated Shell
+ * A small sh-like interpreter over the simulator's system calls, so the usual
+ * driver workflow (insmod, echo > /dev/..., cat, dd, dmesg) can be practised
+ * in the page. DOM-free; ShellTerminal renders it.
+ */
+
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
+    }
+}(function (require) {
+    const { KernelError } = require('./kernel-errno.js');
+    const { DMESG_LEVEL_NAMES, formatLogLine } = require('./kernel-printk.js');
+    const { LOCK_SCENARIOS } = require('./kernel-sync.js');
+    const { OPEN_FLAGS } = require('./file-table.js');
+    const { STORAGE_MODES, IOCTL_COMMANDS, describeIoctl } = require('./kernel-ioctl.js');
+    const { SIGNALS } = require('./kernel-signal.js');
+    const { TASK_STATES, PROCESS_SCRIPTS } = require('./kernel-process.js');
+    const { FAULT_TYPES } = require('./kernel-fault.js');
+    const { MODULE_PARAMS } = require('./kernel-module.js');
+    const { SYSFS_ROOT, describeMode } = require('./kernel-sysfs.js');
+    const { PROC_ROOT } = require('./kernel-procfs.js');
+    const { IRQ_NONE, IRQ_HANDLED } = require('./kernel-irq.js');
+
+    class ShellError extends Error {}
+
+    // Shell-level word splitting: quotes, backslash escapes, | > and >>
+    function tokenizeCommand(line) {
+        const tokens = [];
+        let word = null;
+        let quote = null;
+
+        const endWord = () => {
+            if (word !== null) {
+                tokens.push({ word });
+                word = null;
+            }
+        };
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+
+            if (quote) {
+                if (char === quote) {
+                    quote = null;
+                } else if (char === '\\' && quote === '"' && i + 1 < line.length) {
+                    word += line[++i];
+                } else {
+                    word += char;
+                }
+            } else if (char === '\'' || char === '"') {
+                quote = char;
+                word = word || '';
+            } else if (char === '\\' && i + 1 < line.length) {
+                word = (word || '') + line[++i];
+            } else if (/\s/.test(char)) {
+                endWord();
+            } else if (char === '|' || char === '>') {
+                endWord();
+                if (char === '>' && line[i + 1] === '>') {
+                    tokens.push({ op: '>>' });
+                    i++;
+                } else {
+                    tokens.push({ op: char });
+                }
+            } else {
+                word = (word || '') + char;
+            }
+        }
+
+        if (quote) {
+            throw new ShellError('syntax error: unterminated quote');
+        }
+        endWord();
+        return tokens;
+    }
+
+    /**
+     * Group tokens into pipeline stages of { argv, redirect }
+     */
+    function parsePipeline(tokens) {
+        const stages = [{ argv: [], redirect: null }];
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            const stage = stages[stages.length - 1];
+
+            if (token.word !== undefined) {
+                stage.argv.push(token.word);
+            } else if (token.op === '|') {
+                if (stage.argv.length === 0) {
+                    throw new ShellError('syntax error near unexpected token `|\'');
+                }
+                stages.push({ argv: [], redirect: null });
+            } else {
+                const target = tokens[i + 1];
+                if (!target || target.word === undefined) {
+                    throw new ShellError('syntax error near unexpected token `newline\'');
+                }
+                stage.redirect = { path: target.word, append: token.op === '>>' };
+                i++;
+            }
+        }
+
+        if (stages[stages.length - 1].argv.length === 0) {
+            throw new ShellError('syntax error: empty command');
+        }
+        return stages;
+    }
+
+    // dd sizes: 512, 4k, 1M
+    function parseSize(text) {
+        const match = /^(\d+)([kKM]?)$/.exec(text || '');
+        if (!match) return null;
+        const multiplier = { '': 1, k: 1024, K: 1024, M: 1024 * 1024 }[match[2]];
+        return Number(match[1]) * multiplier;
+    }
+
+    class SimShell {
+        constructor(simulator, history = []) {
+            this.simulator = simulator;
+            this.history = history;
+            this.lastStatus = 0;
+
+            this.commands = {
+                cat: (args, ctx) => this.cat(args, ctx),
+                clear: (args, ctx) => ctx.clear(),
+                dd: (args, ctx) => this.dd(args, ctx),
+                dmesg: (args, ctx) => this.dmesg(args, ctx),
+                echo: (args, ctx) => this.echo(args, ctx),
+                fault: (args, ctx) => this.fault(args, ctx),
+                grep: (args, ctx) => this.grep(args, ctx),
+                head: (args, ctx) => this.headTail(args, ctx, 'head'),
+                help: (args, ctx) => this.help(args, ctx),
+                history: (args, ctx) => this.printHistory(args, ctx),
+                insmod: (args, ctx) => this.insmod(args, ctx),
+                ioctl: (args, ctx) => this.ioctl(args, ctx),
+                irq: (args, ctx) => this.irq(args, ctx),
+                kill: (args, ctx) => this.kill(args, ctx),
+                lockdemo: (args, ctx) => this.lockdemo(args, ctx),
+                ls: (args, ctx) => this.ls(args, ctx),
+                lsmod: (args, ctx) => this.lsmod(args, ctx),
+                modinfo: (args, ctx) => this.modinfo(args, ctx),
+                ps: (args, ctx) => this.ps(args, ctx),
+                rmmod: (args, ctx) => this.rmmod(args, ctx),
+                spawn: (args, ctx) => this.spawn(args, ctx),
+                tail: (args, ctx) => this.headTail(args, ctx, 'tail')
+            };
+        }
+
+        get moduleFile() {
+            return `${this.simulator.moduleName}.ko`;
+        }
+
+        /**
+         * Run one command line. io.write receives stdout and stderr, io.signal
+         * aborts a command sleeping in the driver (Ctrl+C). Resolves with the
+         * exit status.
+         */
+        async execute(line, io = {}) {
+            const trimmed = line.trim();
+            if (trimmed === '') return this.lastStatus;
+            this.history.push(trimmed);
+
+            const write = io.write || (() => {});
+            let stages;
+            try {
+                stages = parsePipeline(tokenizeCommand(trimmed));
+            } catch (error) {
+                write(`sh: ${error.message}\n`);
+                this.lastStatus = 2;
+                return 2;
+            }
+
+            let stdin = '';
+            let status = 0;
+            for (let i = 0; i < stages.length; i++) {
+                const stage = stages[i];
+                const last = i === stages.length - 1;
+                let captured = '';
+
+                const ctx = {
+                    stdin,
+                    stdout: last && !stage.redirect ? write : text => { captured += text; },
+                    stderr: write,
+                    clear: io.clear || (() => {}),
+                    signal: io.signal
+                };
+                status = await this.run(stage.argv, ctx);
+
+                if (stage.redirect) {
+                    status = (await this.redirect(stage.redirect, captured, ctx)) || status;
+                    captured = '';
+                }
+                stdin = captured;
+            }
+
+            this.lastStatus = status;
+            return status;
+        }
+
+        async run(argv, ctx) {
+            const [name, ...args] = argv;
+            const command = this.commands[name];
+            if (!command) {
+                ctx.stderr(`sh: ${name}: command not found\n`);
+                return 127;
+            }
+
+            try {
+                return (await command(args, ctx)) || 0;
+            } catch (error) {
+                if (ctx.signal && ctx.signal.aborted) {
+                    ctx.stderr('^C\n');
+                    return 130;
+                }
+                ctx.stderr(`${name}: ${error.message}\n`);
+                return 1;
+            }
+        }
+
+        // Failures read like perror(3): "cat: /dev/foo: No such file or directory"
+        fail(path, error) {
+            return new ShellError(`${path}: ${KernelError.from(error).message}`);
+        }
+
+        open(path, flags, comm) {
+            try {
+                return this.simulator.deviceOpen(this.resolve(path), flags, { comm }).fd;
+            } catch (error) {
+                throw this.fail(path, error);
+            }
+        }
+
+        openProc(path) {
+            try {
+                return this.simulator.procOpen(path);
+            } catch (error) {
+                throw this.fail(path, error);
+            }
+        }
+
+        close(fd) {
+            try {
+                this.simulator.deviceClose(fd);
+            } catch (error) {
+                // Already closed, e.g. from the open files panel
+            }
+        }
+
+        async writeAll(fd, bytes, ctx) {
+            let offset = 0;
+            while (offset < bytes.length) {
+                const result = await this.simulator.deviceWrite(fd, bytes.subarray(offset), { signal: ctx.signal });
+                if (result.bytesWritten === 0) {
+                    throw new KernelError('ENOSPC', 'device is full');
+                }
+                offset += result.bytesWritten;
+            }
+            return offset;
+        }
+
+        async redirect(target, output, ctx) {
+            const flags = OPEN_FLAGS.O_WRONLY | (target.append ? OPEN_FLAGS.O_APPEND : 0);
+            let fd;
+            try {
+                if (this.isSysfsPath(target.path)) {
+                    // One write() to the attribute's store method
+                    this.simulator.sysfsWrite(target.path, output);
+                    return 0;
+                }
+                fd = this.open(target.path, flags, 'sh');
+                await this.writeAll(fd, new TextEncoder().encode(output), ctx);
+                return 0;
+            } catch (error) {
+                if (ctx.signal && ctx.signal.aborted) {
+                    ctx.stderr('^C\n');
+                    return 130;
+                }
+                ctx.stderr(`sh: ${error instanceof ShellError ? error.message : this.fail(target.path, error).message}\n`);
+                return 1;
+            } finally {
+                if (fd !== undefined) this.close(fd);
+            }
+        }
+
+        isSysfsPath(path) {
+            return path === SYSFS_ROOT || path.startsWith(SYSFS_ROOT + '/');
+        }
+
+        isProcPath(path) {
+            return path === PROC_ROOT || path.startsWith(PROC_ROOT + '/');
+        }
+
+        // Files the simulator generates on read: /proc entries and sysfs attributes
+        pseudoFiles() {
+            const sim = this.simulator;
+            const files = {};
+            sim.procfs.paths().forEach(path => {
+                files[path] = () => sim.procRead(path);
+            });
+            sim.sysfs.paths().forEach(path => {
+                files[path] = () => sim.sysfsRead(path);
+            });
+            return files;
+        }
+
+        /**
+         * Symlinks udev would add: /dev/<module> names the first minor, so a
+         * single-device driver's usual path works too
+         */
+        devLinks() {
+            const sim = this.simulator;
+            const first = sim.listDevices()[0];
+            return first ? { [`/dev/${sim.moduleName}`]: first.path } : {};
+        }
+
+        resolve(path) {
+            return this.devLinks()[path] || path;
+        }
+
+        // Every /dev node: the driver's minors and the fops drivers' devices
+        devNodes() {
+            const sim = this.simulator;
+            return [...sim.listDevices(), ...sim.listDriverDevices()].sort((a, b) => a.name.localeCompare(b.name));
+        }
+
+        async cat(args, ctx) {
+            if (args.length === 0) {
+                ctx.stdout(ctx.stdin);
+                return 0;
+            }
+
+            let status = 0;
+            for (const path of args) {
+                try {
+                    await this.catFile(path, ctx);
+                } catch (error) {
+                    if (ctx.signal && ctx.signal.aborted) throw error;
+                    ctx.stderr(`cat: ${error instanceof ShellError ? error.message : this.fail(path, error).message}\n`);
+                    status = 1;
+                }
+            }
+            return status;
+        }
+
+        /**
+         * Reads until EOF. A drained FIFO never reports EOF, so like the real
+         * thing cat then sleeps until more data arrives or Ctrl+C.
+         */
+        async catFile(path, ctx) {
+            if (this.isSysfsPath(path)) {
+                ctx.stdout(this.simulator.sysfsRead(path));
+                return;
+            }
+            if (this.isProcPath(path)) {
+                // A page per read(), as seq_read() hands it out
+                const seq = this.openProc(path);
+                for (let chunk = seq.read(4096); chunk; chunk = seq.read(4096)) {
+                    ctx.stdout(chunk);
+                }
+                return;
+            }
+
+            const fd = this.open(path, OPEN_FLAGS.O_RDONLY, 'cat');
+            try {
+                for (;;) {
+                    const result = await this.simulator.deviceRead(fd, 4096, { signal: ctx.signal });
+                    if (result.bytesRead === 0) break;
+                    ctx.stdout(result.data);
+                }
+            } finally {
+                this.close(fd);
+            }
+        }
+
+        echo(args, ctx) {
+            const noNewline = args[0] === '-n';
+            ctx.stdout((noNewline ? args.slice(1) : args).join(' ') + (noNewline ? '' : '\n'));
+        }
+
+        /**
+         * dd if= of= bs= count= skip= seek=; stdin/stdout when if/of are omitted
+         */
+        async dd(args, ctx) {
+            const operands = {};
+            for (const arg of args) {
+                const eq = arg.indexOf('=');
+                if (eq <= 0) throw new ShellError(`unrecognized operand '${arg}'`);
+                operands[arg.slice(0, eq)] = arg.slice(eq + 1);
+            }
+
+            const bs = operands.bs !== undefined ? parseSize(operands.bs) : 512;
+            const count = operands.count !== undefined ? parseSize(operands.count) : Infinity;
+            const skip = operands.skip !== undefined ? parseSize(operands.skip) : 0;
+            const seek = operands.seek !== undefined ? parseSize(operands.seek) : 0;
+            if (!bs || count === null || skip === null || seek === null) {
+                throw new ShellError('invalid number');
+            }
+
+            const sim = this.simulator;
+            const start = sim.clock.now();
+            const records = { fullIn: 0, partialIn: 0, fullOut: 0, partialOut: 0 };
+            let total = 0;
+            let inFd;
+            let outFd;
+            // /proc files are read through their seq_file, bs at a time
+            const seq = operands.if && this.isProcPath(operands.if) ? this.openProc(operands.if) : null;
+            const proc = seq ? null : this.pseudoFiles()[operands.if];
+            let stdinBytes = new TextEncoder().encode(proc ? proc() : ctx.stdin);
+
+            try {
+                if (seq) {
+                    for (let i = 0; i < skip; i++) seq.read(bs);
+                } else if (operands.if && !proc) {
+                    inFd = this.open(operands.if, OPEN_FLAGS.O_RDONLY, 'dd');
+                    if (skip > 0) {
+                        await this.seekOrDiscard(inFd, skip * bs, operands.if);
+                    }
+                } else {
+                    stdinBytes = stdinBytes.subarray(Math.min(skip * bs, stdinBytes.length));
+                }
+                if (operands.of) {
+                    outFd = this.open(operands.of, OPEN_FLAGS.O_WRONLY, 'dd');
+                    if (seek > 0) {
+                        try {
+                            sim.deviceLlseek(outFd, seek * bs);
+                        } catch (error) {
+                            throw new ShellError(`${operands.of}: cannot seek: ${KernelError.from(error).message}`);
+                        }
+                    }
+                }
+
+                while (records.fullIn + records.partialIn < count) {
+                    let block;
+                    if (inFd !== undefined) {
+                        const result = await sim.deviceRead(inFd, bs, { signal: ctx.signal });
+                        block = result.bytesRead > 0 ? result.bytes : new Uint8Array(0);
+                    } else if (seq) {
+                        block = new TextEncoder().encode(seq.read(bs));
+                    } else {
+                        block = stdinBytes.subarray(0, bs);
+                        stdinBytes = stdinBytes.subarray(block.length);
+                    }
+                    if (block.length === 0) break;
+
+                    block.length === bs ? records.fullIn++ : records.partialIn++;
+                    if (outFd !== undefined) {
+                        await this.writeAll(outFd, block, ctx);
+                    } else {
+                        ctx.stdout(new TextDecoder().decode(block));
+                    }
+                    block.length === bs ? records.fullOut++ : records.partialOut++;
+                    total += block.length;
+                }
+            } finally {
+                if (inFd !== undefined) this.close(inFd);
+                if (outFd !== undefined) this.close(outFd);
+            }
+
+            const seconds = (sim.clock.now() - start) / 1000;
+            const rate = seconds > 0 ? `, ${sim.formatBytes(total / seconds)}/s` : '';
+            ctx.stderr(`${records.fullIn}+${records.partialIn} records in\n` +
+                `${records.fullOut}+${records.partialOut} records out\n` +
+                `${total} bytes copied, ${seconds.toFixed(4)} s${rate}\n`);
+            return 0;
+        }
+
+        // skip= on a FIFO cannot seek, so dd reads and throws the data away
+        async seekOrDiscard(fd, bytes, path) {
+            try {
+                this.simulator.deviceLlseek(fd, bytes);
+            } catch (error) {
+                if (KernelError.from(error).code !== 'ESPIPE') {
+                    throw this.fail(path, error);
+                }
+                await this.simulator.deviceRead(fd, bytes);
+            }
+        }
+
+        /**
+         * dmesg [-c|-C] [-l LEVELS] [-n LEVEL] [-x]
+         */
+        dmesg(args, ctx) {
+            const sim = this.simulator;
+            const option = flag => {
+                const index = args.indexOf(flag);
+                return index !== -1 ? args[index + 1] : undefined;
+            };
+
+            if (args.includes('-C')) {
+                sim.logBuffer.clear();
+                return 0;
+            }
+
+            const loglevel = option('-n');
+            if (loglevel !== undefined) {
+                const level = DMESG_LEVEL_NAMES.includes(loglevel) ?
+                    DMESG_LEVEL_NAMES.indexOf(loglevel) + 1 : Number(loglevel);
+                try {
+                    sim.setConsoleLoglevel(level);
+                } catch (error) {
+                    throw new ShellError(`invalid level '${loglevel}'`);
+                }
+                return 0;
+            }
+
+            let levels = null;
+            const levelList = option('-l');
+            if (levelList !== undefined) {
+                levels = levelList.split(',').map(name => DMESG_LEVEL_NAMES.indexOf(name));
+                if (levels.includes(-1)) {
+                    throw new ShellError(`unknown level '${levelList}'`);
+                }
+            }
+
+            const decode = args.includes('-x');
+            ctx.stdout(sim.logBuffer.list()
+                .filter(record => levels === null || levels.includes(record.priority))
+                .map(record => formatLogLine(record, decode) + '\n')
+                .join(''));
+
+            if (args.includes('-c')) {
+                sim.logBuffer.clear();
+            }
+            return 0;
+        }
+
+        grep(args, ctx) {
+            const invert = args[0] === '-v';
+            const pattern = invert ? args[1] : args[0];
+            if (pattern === undefined) {
+                throw new ShellError('usage: grep [-v] PATTERN');
+            }
+
+            let regex;
+            try {
+                regex = new RegExp(pattern);
+            } catch (error) {
+                throw new ShellError(`invalid pattern '${pattern}'`);
+            }
+            const lines = ctx.stdin.split('\n').filter(line => line !== '' && regex.test(line) !== invert);
+            ctx.stdout(lines.map(line => line + '\n').join(''));
+            return lines.length > 0 ? 0 : 1;
+        }
+
+        /**
+         * head/tail [-n LINES | -c BYTES] [FILE...]: stdin without a FILE, and
+         * a ==> FILE <== header before each of several
+         */
+        async headTail(args, ctx, which) {
+            let unit = 'lines';
+            let count = 10;
+            const files = [];
+            for (let i = 0; i < args.length; i++) {
+                // -NUM is the old spelling of -n NUM
+                const match = /^-([nc])(.*)$/.exec(args[i]) || /^-()(\d+)$/.exec(args[i]);
+                if (!match) {
+                    if (args[i].startsWith('-')) {
+                        throw new ShellError(`invalid option '${args[i]}'\nusage: ${which} [-n LINES | -c BYTES] [FILE...]`);
+                    }
+                    files.push(args[i]);
+                    continue;
+                }
+                unit = match[1] === 'c' ? 'bytes' : 'lines';
+                const text = match[2] !== '' ? match[2] : args[++i];
+                count = /^\d+$/.test(text || '') ? Number(text) : NaN;
+                if (isNaN(count)) {
+                    throw new ShellError(`invalid number of ${unit}: '${text === undefined ? '' : text}'`);
+                }
+            }
+
+            const select = bytes => {
+                if (unit === 'bytes') {
+                    return which === 'head' ? bytes.subarray(0, count) : bytes.subarray(Math.max(0, bytes.length - count));
+                }
+                const lines = new TextDecoder().decode(bytes).split('\n');
+                if (lines[lines.length - 1] === '') lines.pop();
+                const selected = which === 'head' ? lines.slice(0, count) : lines.slice(Math.max(0, lines.length - count));
+                return new TextEncoder().encode(selected.map(line => line + '\n').join(''));
+            };
+
+            if (files.length === 0) {
+                ctx.stdout(new TextDecoder().decode(select(new TextEncoder().encode(ctx.stdin))));
+                return 0;
+            }
+            let status = 0;
+            for (const [i, path] of files.entries()) {
+                try {
+                    // head stops reading once it has enough: /dev/urandom never ends
+                    const bytes = await this.readFile(path, ctx, which, which === 'head' ? { [unit]: count } : {});
+                    if (files.length > 1) {
+                        ctx.stdout(`${i > 0 ? '\n' : ''}==> ${path} <==\n`);
+                    }
+                    ctx.stdout(new TextDecoder().decode(select(bytes)));
+                } catch (error) {
+                    if (ctx.signal && ctx.signal.aborted) throw error;
+                    ctx.stderr(`${which}: ${error instanceof ShellError ? error.message : this.fail(path, error).message}\n`);
+                    status = 1;
+                }
+            }
+            return status;
+        }
+
+        /**
+         * A file's contents as bytes: pseudo files whole, devices read until
+         * EOF or until `limit` ({ bytes } or { lines }) is reached
+         */
+        async readFile(path, ctx, comm, limit = {}) {
+            const pseudo = this.pseudoFiles()[path];
+            if (pseudo) {
+                try {
+                    return new TextEncoder().encode(pseudo());
+                } catch (error) {
+                    throw this.fail(path, error);
+                }
+            }
+
+            let data = new Uint8Array(0);
+            const enough = () => limit.bytes !== undefined ? data.length >= limit.bytes :
+                limit.lines !== undefined && data.filter(byte => byte === 0x0a).length >= limit.lines;
+            const fd = this.open(path, OPEN_FLAGS.O_RDONLY, comm);
+            try {
+                while (!enough()) {
+                    const want = limit.bytes !== undefined ? Math.min(4096, limit.bytes - data.length) : 4096;
+                    const result = await this.simulator.deviceRead(fd, want, { signal: ctx.signal });
+                    if (result.bytesRead === 0) break;
+                    const joined = new Uint8Array(data.length + result.bytes.length);
+                    joined.set(data);
+                    joined.set(result.bytes, data.length);
+                    data = joined;
+                }
+            } finally {
+                this.close(fd);
+            }
+            return data;
+        }
+
+        help(args, ctx) {
+            ctx.stdout([
+                'Commands:',
+                '  echo [-n] TEXT > /dev/DEV    write to a device (>> opens with O_APPEND)',
+                '  cat FILE...                  read a device or a /proc file until EOF',
+                '  dd if= of= bs= count= skip= seek=',
+                '  ioctl /dev/DEV [CMD [ARG]]   send an ioctl; no CMD lists them',
+                '  insmod ' + this.moduleFile + ' [PARAM=VALUE...]  load the driver (see modinfo)',
+                '  rmmod [-f] MODULE            unload it or a registered driver; -f even while in use',
+                '  dmesg [-c|-C] [-l err,warn] [-n LEVEL] [-x]',
+                '  spawn SCRIPT /dev/DEV        start a scripted process (' + Object.keys(PROCESS_SCRIPTS).join(', ') + ')',
+                '  ps, kill [-SIGNAL] PID',
+                '  lockdemo [SCENARIO]          misuse a lock on purpose; no SCENARIO lists them',
+                '  irq [LINE [CPU]]             the device raises its IRQ with a sample, or raise LINE bare',
+                '  fault [TYPE off|KEY=VALUE...] fault injection: probability= interval= times= pid= delay=',
+                '  lsmod, modinfo MODULE, ls [-l] [DIR]',
+                '  echo VALUE > /sys/...ATTR    store a sysfs attribute; cat reads it, ls /sys browses',
+                '  head/tail [-n LINES|-c BYTES] [FILE...], grep [-v] RE, history, clear',
+                'Pipes (|) and redirection (>, >>) work as in sh.',
+                `/dev/${this.simulator.moduleName} is a link to the first minor, /dev/${this.simulator.moduleName}0.`,
+                '/dev/null, /dev/zero, /dev/urandom and /dev/echo are built-in fops drivers;',
+                'cat never ends on /dev/zero or /dev/urandom, so use dd count= or head -c there.',
+                'A drained FIFO makes cat and dd sleep: press Ctrl+C to interrupt.',
+                ''
+            ].join('\n'));
+        }
+
+        printHistory(args, ctx) {
+            ctx.stdout(this.history.map((line, i) => `${String(i + 1).padStart(5)}  ${line}\n`).join(''));
+        }
+
+        insmod(args, ctx) {
+            const sim = this.simulator;
+            const file = args[0];
+            if (!file) {
+                throw new ShellError('ERROR: missing filename.');
+            }
+            if (file.split('/').pop() !== this.moduleFile) {
+                throw new ShellError(`ERROR: could not load module ${file}: No such file or directory`);
+            }
+            if (sim.moduleLoaded) {
+                throw new ShellError(`ERROR: could not insert module ${file}: File exists`);
+            }
+
+            try {
+                sim.loadModule(args.slice(1));
+            } catch (error) {
+                // What kmod prints for the errors init_module() can return
+                const kernelError = KernelError.from(error);
+                const reason = kernelError.code === 'ENOENT' ? 'Unknown symbol in module, or unknown parameter (see dmesg)' :
+                    kernelError.code === 'EINVAL' ? 'Invalid parameters' : kernelError.message;
+                throw new ShellError(`ERROR: could not insert module ${file}: ${reason}`);
+            }
+        }
+
+        rmmod(args, ctx) {
+            const sim = this.simulator;
+            const force = args.includes('-f') || args.includes('--force');
+            const name = (args.find(arg => !arg.startsWith('-')) || '').split('/').pop().replace(/\.ko$/, '');
+            if (!name) {
+                throw new ShellError('ERROR: missing module name.');
+            }
+            if (!this.simulator.listModules().some(mod => mod.name === name)) {
+                throw new ShellError(`ERROR: Module ${name} is not currently loaded`);
+            }
+
+            try {
+                if (name === sim.moduleName) {
+                    sim.unloadModule(force);
+                } else {
+                    sim.unregisterDriver(name, force);
+                }
+            } catch (error) {
+                if (KernelError.from(error).code === 'EBUSY') {
+                    throw new ShellError(`ERROR: Module ${name} is in use`);
+                }
+                throw error;
+            }
+        }
+
+        modinfo(args, ctx) {
+            const sim = this.simulator;
+            const name = (args[0] || '').split('/').pop().replace(/\.ko$/, '');
+            if (name !== sim.moduleName) {
+                throw new ShellError(`ERROR: Module ${args[0] || ''} not found.`);
+            }
+            ctx.stdout([
+                `filename:       /lib/modules/${this.moduleFile}`,
+                'description:    Simulated character device driver',
+                'license:        GPL',
+                ...Object.entries(MODULE_PARAMS).map(([param, info]) =>
+                    `parm:           ${param}:${info.description} (${info.type})`),
+                ''
+            ].join('\n'));
+        }
+
+        lsmod(args, ctx) {
+            const sim = this.simulator;
+            const lines = ['Module                  Size  Used by'];
+            this.simulator.listModules().forEach(mod => {
+                lines.push(`${mod.name.padEnd(22)} 16384  ${mod.users}`);
+            });
+            ctx.stdout(lines.join('\n') + '\n');
+        }
+
+        ps(args, ctx) {
+            const lines = ['  PID   UID STAT WCHAN              FDS      COMMAND'];
+            this.simulator.listProcesses().forEach(task => {
+                lines.push(`${String(task.pid).padStart(5)} ${String(task.uid).padStart(5)} ${task.stateCode.padEnd(4)} ` +
+                    `${(task.wchan || '-').padEnd(18)} ${(task.fds.join(',') || '-').padEnd(8)} ` +
+                    (task.state === TASK_STATES.ZOMBIE ? `[${task.comm}] <defunct>` : task.comm));
+            });
+            ctx.stdout(lines.join('\n') + '\n');
+        }
+
+        kill(args, ctx) {
+            let signal = 'SIGTERM';
+            let pids = args;
+            if (args[0] && args[0].startsWith('-')) {
+                const name = args[0].slice(1).toUpperCase();
+                signal = /^\d+$/.test(name) ?
+                    Object.keys(SIGNALS).find(key => SIGNALS[key] === Number(name)) :
+                    name.startsWith('SIG') ? name : `SIG${name}`;
+                if (!SIGNALS[signal]) {
+                    throw new ShellError(`${args[0].slice(1)}: invalid signal specification`);
+                }
+                pids = args.slice(1);
+            }
+            if (pids.length === 0) {
+                throw new ShellError('usage: kill [-SIGNAL] PID...');
+            }
+
+            let status = 0;
+            pids.forEach(text => {
+                try {
+                    this.simulator.killProcess(Number(text), signal);
+                } catch (error) {
+                    ctx.stderr(`kill: (${text}) - ${KernelError.from(error).message}\n`);
+                    status = 1;
+                }
+            });
+            return status;
+        }
+
+        spawn(args, ctx) {
+            const [script, path] = args;
+            if (!script || !path) {
+                throw new ShellError(`usage: spawn SCRIPT /dev/DEV (${Object.keys(PROCESS_SCRIPTS).join(', ')})`);
+            }
+            if (!PROCESS_SCRIPTS[script]) {
+                throw new ShellError(`unknown script '${script}'`);
+            }
+            const task = this.simulator.runProcess(script, this.resolve(path));
+            ctx.stdout(`[${task.pid}] ${script} ${path}\n`);
+        }
+
+        async lockdemo(args, ctx) {
+            const [name] = args;
+            if (!name) {
+                ctx.stdout(Object.entries(LOCK_SCENARIOS).map(([key, description]) =>
+                    `${key.padEnd(16)} ${description}\n`).join(''));
+                return 0;
+            }
+            if (!LOCK_SCENARIOS[name]) {
+                throw new ShellError(`unknown scenario '${name}'`);
+            }
+
+            const reports = await this.simulator.runLockScenario(name);
+            ctx.stdout(reports > 0 ?
+                `${reports} new lockdep report(s), see dmesg\n` :
+                'nothing new: lockdep reports each problem only once\n');
+            return 0;
+        }
+
+        /**
+         * irq            the device latches a sample and raises its line
+         * irq LINE [CPU] raise a line with nothing latched: shared handlers
+         *                should all return IRQ_NONE
+         */
+        async irq(args, ctx) {
+            const sim = this.simulator;
+            if (args.length === 0) {
+                const result = await sim.simulateInterrupt();
+                ctx.stdout(`${result.message}\n`);
+                return result.success ? 0 : 1;
+            }
+
+            const [line, cpu] = args.map(arg => parseSize(arg));
+            if (line === null || cpu === null) {
+                throw new ShellError('usage: irq [LINE [CPU]]');
+            }
+            let result;
+            try {
+                result = sim.raiseIrq(line, cpu);
+            } catch (error) {
+                throw new ShellError(KernelError.from(error).message);
+            }
+            ctx.stdout(`IRQ ${line}: ${result === null ? 'latched, line masked' : result === IRQ_HANDLED ? 'handled' : 'nobody cared'}\n`);
+            return result === IRQ_NONE ? 1 : 0;
+        }
+
+        /**
+         * fault                    list the fault points
+         * fault TYPE KEY=VALUE...  set probability, interval, times, pid (or "any"), delay, verbose
+         * fault TYPE off           stop injecting
+         */
+        fault(args, ctx) {
+            const sim = this.simulator;
+            const [type, ...settings] = args;
+            if (!type) {
+                ctx.stdout('TYPE            PROB  INTERVAL  TIMES  PID  INJECTED\n' + sim.listFaults().map(fault =>
+                    `${fault.name.padEnd(15)} ${String(fault.probability).padStart(3)}% ${String(fault.interval).padStart(9)} ` +
+                    `${String(fault.times).padStart(6)} ${String(fault.pid === null ? 'any' : fault.pid).padStart(4)} ` +
+                    `${String(fault.injected).padStart(9)}\n`).join(''));
+                return 0;
+            }
+            if (!FAULT_TYPES[type]) {
+                throw new ShellError(`unknown fault type '${type}' (${Object.keys(FAULT_TYPES).join(', ')})`);
+            }
+            if (settings.length === 0) {
+                throw new ShellError(`usage: fault ${type} off | KEY=VALUE...`);
+            }
+
+            const options = {};
+            if (settings[0] === 'off') {
+                options.probability = 0;
+            } else {
+                settings.forEach(setting => {
+                    const [key, value] = setting.split('=');
+                    if (value === undefined) throw new ShellError(`expected KEY=VALUE, got '${setting}'`);
+                    options[key] = key === 'pid' && value === 'any' ? null :
+                        key === 'verbose' ? value !== '0' : Number(value);
+                });
+            }
+            try {
+                sim.configureFault(type, options);
+            } catch (error) {
+                throw new ShellError(KernelError.from(error).detail || error.message);
+            }
+            return 0;
+        }
+
+        async ioctl(args, ctx) {
+            const sim = this.simulator;
+            const [path, name, argText] = args;
+            if (!path) {
+                throw new ShellError('usage: ioctl /dev/DEV [CMD [ARG]]');
+            }
+
+            if (!name) {
+                ctx.stdout(Object.entries(IOCTL_COMMANDS).map(([key, command]) =>
+                    `${key.padEnd(16)} 0x${command.cmd.toString(16).padStart(8, '0')}  ${describeIoctl(command.cmd)}\n`).join(''));
+                return 0;
+            }
+
+            const cmd = IOCTL_COMMANDS[name] ? IOCTL_COMMANDS[name].cmd : Number(name);
+            let arg = null;
+            if (argText !== undefined) {
+                arg = STORAGE_MODES.includes(argText) ? STORAGE_MODES.indexOf(argText) : Number(argText);
+            }
+
+            const fd = this.open(path, OPEN_FLAGS.O_RDONLY, 'ioctl');
+            try {
+                const result = await sim.deviceIoctl(fd, cmd, arg);
+                if (result.value === undefined) {
+                    ctx.stdout(result.message + '\n');
+                } else if (typeof result.value === 'object') {
+                    ctx.stdout(Object.entries(result.value).map(([key, value]) => `${key}: ${value}\n`).join(''));
+                } else {
+                    ctx.stdout(`${result.value}\n`);
+                }
+            } catch (error) {
+                throw this.fail(path, error);
+            } finally {
+                this.close(fd);
+            }
+        }
+
+        ls(args, ctx) {
+            const long = args.includes('-l');
+            const dir = (args.find(arg => !arg.startsWith('-')) || '/dev').replace(/\/+$/, '');
+
+            if (dir === '/dev') {
+                const links = Object.entries(this.devLinks()).map(([link, target]) =>
+                    ({ name: link.slice('/dev/'.length), target: target.slice('/dev/'.length) }));
+                ctx.stdout([...this.devNodes(), ...links].sort((a, b) => a.name.localeCompare(b.name)).map(entry => !long ?
+                    `${entry.name}\n` : entry.target ?
+                    `lrwxrwxrwx 1 root root ${entry.name} -> ${entry.target}\n` :
+                    `crw-rw-rw- 1 root root ${entry.major}, ${entry.minor} ${entry.name}\n`).join(''));
+            } else if (this.isSysfsPath(dir)) {
+                let entries;
+                try {
+                    entries = this.simulator.sysfsList(dir);
+                } catch (error) {
+                    throw new ShellError(`cannot access '${dir}': ${KernelError.from(error).message}`);
+                }
+                ctx.stdout(entries.map(entry => long ?
+                    `${entry.directory ? 'drwxr-xr-x' : describeMode(entry.mode)} 1 root root ${entry.name}\n` :
+                    `${entry.name}\n`).join(''));
+            } else {
+                // Directories exist as far as some pseudo file lies below them
+                const entries = new Set(Object.keys(this.pseudoFiles())
+                    .filter(path => path.startsWith(dir + '/'))
+                    .map(path => path.slice(dir.length + 1).split('/')[0]));
+                if (entries.size === 0) {
+                    throw new ShellError(`cannot access '${dir}': No such file or directory`);
+                }
+                ctx.stdout([...entries].map(entry => `${entry}\n`).join(''));
+            }
+        }
+
+        /**
+         * Tab completion: complete the last word against commands, paths,
+         * ioctl names, scripts or the module, depending on its position
+         */
+        complete(line) {
+            const words = line.split(/\s+/);
+            const current = words[words.length - 1];
+            const command = words.length > 1 ? words[0] : null;
+            const sim = this.simulator;
+
+            let candidates;
+            if (command === null) {
+                candidates = Object.keys(this.commands);
+            } else if (command === 'ioctl' && words.length === 3) {
+                candidates = Object.keys(IOCTL_COMMANDS);
+            } else if (command === 'insmod') {
+                candidates = [this.moduleFile];
+            } else if (command === 'rmmod') {
+                candidates = this.simulator.listModules().map(mod => mod.name);
+            } else if (command === 'modinfo') {
+                candidates = [sim.moduleName];
+            } else if (command === 'spawn' && words.length === 2) {
+                candidates = Object.keys(PROCESS_SCRIPTS);
+            } else if (command === 'fault' && words.length === 2) {
+                candidates = Object.keys(FAULT_TYPES);
+            } else if (command === 'lockdemo') {
+                candidates = Object.keys(LOCK_SCENARIOS);
+            } else {
+                const paths = [...this.devNodes().map(device => device.path), ...Object.keys(this.devLinks()),
+                    ...Object.keys(this.pseudoFiles())];
+                const prefix = current.replace(/^(if|of)=/, '');
+                const operand = current.slice(0, current.length - prefix.length);
+                candidates = paths.filter(path => path.startsWith(prefix)).map(path => operand + path);
+            }
+
+            const matches = candidates.filter(candidate => candidate.startsWith(current)).sort();
+            if (matches.length === 0) {
+                return { line, matches };
+            }
+
+            // Extend to the longest common prefix, and past a unique match
+            let common = matches[0];
+            matches.forEach(match => {
+                while (!match.startsWith(common)) {
+                    common = common.slice(0, -1);
+                }
+            });
+            const completed = matches.length === 1 ? common + ' ' : common;
+            return { line: line.slice(0, line.length - current.length) + completed, matches };
+        }
+    }
+
+    return { ShellError, tokenizeCommand, parsePipeline, SimShell };
+}));
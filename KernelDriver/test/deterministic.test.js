@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { KernelSimulator } = require('../kernel-simulator.js');
+
+// The kernel log of a 3 s stress test on a seeded simulator
+async function stressLog(seed) {
+    const sim = new KernelSimulator({ seed });
+    sim.startStressTest(3000);
+    await sim.clock.runFor(6000);
+    assert.equal(sim.stressInterval, null);
+    return sim.logBuffer.list();
+}
+
+test('the same seed replays a stress test exactly', async () => {
+    const first = await stressLog(42);
+    const second = await stressLog(42);
+    assert.ok(first.length > 10);
+    assert.deepEqual(second, first);
+});
+
+test('a different seed takes a different run', async () => {
+    assert.notDeepEqual(await stressLog(43), await stressLog(42));
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { STATIC_CHRDEV_MAJORS, CharDevice, DeviceRegistry } = require('../device-registry.js');
+
+test('dynamic majors come from the top of the range and skip static ones', () => {
+    const registry = new DeviceRegistry();
+    const first = registry.allocChrdevRegion(0, 4, 'first');
+    const second = registry.allocChrdevRegion(0, 1, 'second');
+    assert.ok(!STATIC_CHRDEV_MAJORS.some(([major]) => major === first.major));
+    assert.equal(second.major, first.major - 1);
+
+    registry.unregisterChrdevRegion(first);
+    assert.equal(registry.allocChrdevRegion(0, 1, 'third').major, first.major);
+});
+
+test('cdev_add only accepts minors inside an allocated region, once', () => {
+    const registry = new DeviceRegistry();
+    const { major } = registry.allocChrdevRegion(0, 2, 'drv');
+    assert.throws(() => registry.cdevAdd(new CharDevice('drv2', major, 2, 64)), { code: 'EINVAL' });
+    const device = new CharDevice('drv0', major, 0, 64);
+    registry.cdevAdd(device);
+    assert.throws(() => registry.cdevAdd(device), { code: 'EBUSY' });
+});
+
+test('lookup needs both the /dev node and a live cdev', () => {
+    const registry = new DeviceRegistry();
+    const { major } = registry.allocChrdevRegion(0, 1, 'drv');
+    const device = new CharDevice('drv0', major, 0, 64);
+    assert.throws(() => registry.lookup('/dev/drv0'), { code: 'ENOENT' });
+    registry.cdevAdd(device);
+    registry.deviceCreate(device);
+    assert.equal(registry.lookup('/dev/drv0'), device);
+
+    registry.cdevDel(device);
+    assert.equal(device.removed, true);
+    assert.throws(() => registry.lookup('/dev/drv0'), { code: 'ENODEV' });
+});
+
+test('/proc/devices lists every major in order', () => {
+    const registry = new DeviceRegistry();
+    const { major } = registry.allocChrdevRegion(0, 1, 'drv');
+    const lines = registry.getProcDevices().split('\n');
+    assert.equal(lines[0], 'Character devices:');
+    assert.ok(lines.includes(`${String(major).padStart(3)} drv`));
+    const majors = lines.slice(1).map(line => parseInt(line, 10));
+    assert.deepEqual(majors, [...majors].sort((a, b) => a - b));
+});
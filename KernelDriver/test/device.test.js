@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OPEN_FLAGS } = require('../file-table.js');
+const { KernelSimulator } = require('../kernel-simulator.js');
+
+test('findDevice returns only the driver\'s own minors', () => {
+    const sim = new KernelSimulator({ seed: 12, clockMode: 'fast' });
+    assert.equal(sim.findDevice('/dev/mychardev2'), sim.devices[2]);
+    assert.equal(sim.findDevice('/dev/mychardev7'), undefined);
+    assert.equal(sim.findDevice('/dev/null'), undefined);
+});
+
+test('getStats defaults to the first minor and refuses other paths with ENODEV', async () => {
+    const sim = new KernelSimulator({ seed: 12, clockMode: 'fast' });
+    const { fd } = sim.deviceOpen('/dev/mychardev1');
+    await sim.deviceWrite(fd, 'abc');
+    assert.equal(sim.getStats().device, '/dev/mychardev0');
+    assert.equal(sim.getStats('/dev/mychardev1').bytesWritten, 3);
+    assert.throws(() => sim.getStats('/dev/mychardev9'), { code: 'ENODEV' });
+    assert.throws(() => sim.getStats('/dev/zero'), { code: 'ENODEV' });
+});
+
+test('a full FIFO blocks writers until a reader drains it; O_NONBLOCK gets EAGAIN', async () => {
+    const sim = new KernelSimulator({ seed: 12, clockMode: 'fast' });
+    const size = sim.devices[0].bufferSize;
+    const writer = sim.deviceOpen('/dev/mychardev0').fd;
+    const reader = sim.deviceOpen('/dev/mychardev0', OPEN_FLAGS.O_RDONLY | OPEN_FLAGS.O_NONBLOCK).fd;
+    await assert.rejects(sim.deviceRead(reader, 4), { code: 'EAGAIN' });
+
+    assert.equal((await sim.deviceWrite(writer, 'a'.repeat(size))).bytesWritten, size);
+    const blocked = sim.deviceWrite(writer, 'ef');
+    await sim.delay(500);
+    assert.equal(sim.getStats('/dev/mychardev0').sleepingWriters, 1);
+    assert.equal((await sim.deviceRead(reader, size)).bytesRead, size);
+    assert.equal((await blocked).bytesWritten, 2);
+    assert.equal((await sim.deviceRead(reader, 4)).data, 'ef');
+});
+
+test('a stress test with no minors logs ENODEV instead of opening', () => {
+    const sim = new KernelSimulator({ seed: 12, clockMode: 'fast' });
+    sim.unloadModule();
+    sim.simulateStressTest();
+    assert.equal(sim.stressFiles.length, 0);
+    assert.equal(sim.stats.errors.ENODEV, 1);
+    assert.match(sim.kernelLogs.at(-1).message, /no mychardev minors to open/);
+});
+
+test('opening a node that does not exist fails with ENOENT', () => {
+    const sim = new KernelSimulator({ seed: 12, clockMode: 'fast' });
+    assert.throws(() => sim.deviceOpen('/dev/mychardev9'), { code: 'ENOENT' });
+    assert.equal(sim.stats.errors.ENOENT, 1);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FaultInjector } = require('../kernel-fault.js');
+const { IOCTL_COMMANDS } = require('../kernel-ioctl.js');
+const { KernelSimulator } = require('../kernel-simulator.js');
+
+test('out-of-range attributes are refused and change nothing', () => {
+    const faults = new FaultInjector(() => 0);
+    const attr = faults.get('failslab');
+    assert.throws(() => attr.configure({ probability: 50, interval: 0 }), { code: 'EINVAL' });
+    assert.throws(() => attr.configure({ probability: 101 }), { code: 'EINVAL' });
+    assert.throws(() => attr.configure({ color: 'red' }), { code: 'EINVAL' });
+    assert.equal(attr.probability, 0);
+    assert.equal(attr.enabled, false);
+    assert.throws(() => faults.get('fail_everything'), { code: 'EINVAL' });
+});
+
+test('interval, times and pid filter which calls fail', () => {
+    const faults = new FaultInjector(() => 0);
+    faults.get('fail_usercopy').configure({ probability: 100, interval: 2, times: 2, pid: 7 });
+    const outcomes = [7, 8, 7, 7, 7, 7, 7].map(pid => faults.shouldFail('fail_usercopy', pid));
+    assert.deepEqual(outcomes, [false, false, true, false, true, false, false]);
+    assert.equal(faults.get('fail_usercopy').injected, 2);
+    assert.equal(faults.get('fail_usercopy').enabled, false);
+});
+
+test('probability is a percentage of the eligible calls', () => {
+    let roll = 0;
+    const rolls = [0.1, 0.3, 0.29, 0.9];
+    const faults = new FaultInjector(() => rolls[roll++]);
+    faults.get('fail_irq').configure({ probability: 30 });
+    assert.deepEqual(rolls.map(() => faults.shouldFail('fail_irq')), [true, false, true, false]);
+});
+
+test('fail_usercopy fails a write with EFAULT and leaves the buffer alone', async () => {
+    const sim = new KernelSimulator({ seed: 6, clockMode: 'fast' });
+    const { fd } = sim.deviceOpen('/dev/mychardev0');
+    sim.configureFault('fail_usercopy', { probability: 100, times: 1 });
+    await assert.rejects(sim.deviceWrite(fd, 'lost'), { code: 'EFAULT' });
+    assert.equal(sim.findDevice('/dev/mychardev0').bufferUsed, 0);
+
+    await sim.deviceWrite(fd, 'kept');
+    assert.equal((await sim.deviceRead(fd, 4)).data, 'kept');
+    assert.equal(sim.stats.errors.EFAULT, 1);
+});
+
+test('failslab fails a buffer resize with ENOMEM', async () => {
+    const sim = new KernelSimulator({ seed: 6, clockMode: 'fast' });
+    const { fd } = sim.deviceOpen('/dev/mychardev0');
+    sim.configureFault('failslab', { probability: 100 });
+    await assert.rejects(sim.deviceIoctl(fd, IOCTL_COMMANDS.SET_BUFFER_SIZE.cmd, 4096), { code: 'ENOMEM' });
+    assert.equal(sim.findDevice('/dev/mychardev0').bufferSize, 1024);
+    assert.match(sim.kernelLogs.map(record => record.message).join('\n'), /FAULT_INJECTION: forcing a failure in kmalloc\(4096\)/);
+});
+
+test('failslab during insmod unwinds the partial load', () => {
+    const sim = new KernelSimulator({ seed: 6, clockMode: 'fast' });
+    sim.unloadModule();
+    sim.configureFault('failslab', { probability: 100, interval: 3, times: 1 });
+    assert.throws(() => sim.loadModule(), { code: 'ENOMEM' });
+    assert.equal(sim.moduleLoaded, false);
+    assert.deepEqual(sim.devices, []);
+    assert.doesNotMatch(sim.registry.getProcDevices(), /mychardev/);
+});
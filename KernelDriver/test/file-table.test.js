@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { VirtualClock } = require('../sim-clock.js');
+const { OPEN_FLAGS, FileTable } = require('../file-table.js');
+const { KernelSimulator } = require('../kernel-simulator.js');
+
+const { O_RDONLY, O_WRONLY, O_RDWR, O_APPEND, O_NONBLOCK } = OPEN_FLAGS;
+
+test('descriptors start after stdio and reuse the lowest free number', () => {
+    const table = new FileTable(3, new VirtualClock());
+    const owner = { pid: 1 };
+    assert.equal(table.install(O_RDWR, owner, '/dev/a').fd, 3);
+    assert.equal(table.install(O_RDWR, owner, '/dev/b').fd, 4);
+    assert.equal(table.install(O_RDWR, owner, '/dev/c').fd, 5);
+    table.remove(4);
+    assert.equal(table.install(O_RDWR, owner, '/dev/d').fd, 4);
+    assert.equal(table.size, 3);
+});
+
+test('unknown descriptors fail with EBADF', () => {
+    const table = new FileTable();
+    assert.throws(() => table.get(3), { code: 'EBADF' });
+    assert.throws(() => table.remove(7), { code: 'EBADF' });
+});
+
+test('the access mode decides what a file may do', () => {
+    const table = new FileTable(3, new VirtualClock());
+    const reader = table.install(O_RDONLY, {}, '/dev/a');
+    const writer = table.install(O_WRONLY | O_APPEND | O_NONBLOCK, {}, '/dev/a');
+    assert.equal(reader.canRead(), true);
+    assert.equal(reader.canWrite(), false);
+    assert.equal(writer.canRead(), false);
+    assert.equal(writer.canWrite(), true);
+    assert.equal(writer.isAppend(), true);
+    assert.equal(writer.isNonBlocking(), true);
+    assert.equal(reader.describeFlags(), 'O_RDONLY');
+    assert.equal(writer.describeFlags(), 'O_WRONLY|O_APPEND|O_NONBLOCK');
+});
+
+test('read and write check the descriptor and its access mode', async () => {
+    const sim = new KernelSimulator({ seed: 1, clockMode: 'fast' });
+    const { fd } = sim.deviceOpen('/dev/mychardev0', O_RDONLY);
+    await assert.rejects(sim.deviceWrite(fd, 'x'), { code: 'EBADF' });
+    await assert.rejects(sim.deviceRead(99, 1), { code: 'EBADF' });
+    sim.deviceClose(fd);
+    await assert.rejects(sim.deviceRead(fd, 1), { code: 'EBADF' });
+});
+
+test('each open file keeps its own position', async () => {
+    const sim = new KernelSimulator({ seed: 1, clockMode: 'fast' });
+    const a = sim.deviceOpen('/dev/mychardev0').fd;
+    const b = sim.deviceOpen('/dev/mychardev0').fd;
+    await sim.deviceWrite(a, 'hello');
+    assert.equal(sim.fileTable.get(a).fPos, 5);
+    assert.equal(sim.fileTable.get(b).fPos, 0);
+    assert.equal(sim.getStats('/dev/mychardev0').openCount, 2);
+});
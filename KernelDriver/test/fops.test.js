@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SEEK_WHENCE } = require('../file-table.js');
+const { checkFops } = require('../kernel-fops.js');
+const { KernelSimulator } = require('../kernel-simulator.js');
+
+// A read-only device holding `text`, seekable like a small file
+function textDriver(text) {
+    const bytes = new TextEncoder().encode(text);
+    return {
+        read(file, count, ppos) {
+            const chunk = bytes.slice(ppos.pos, ppos.pos + count);
+            ppos.pos += chunk.length;
+            return chunk;
+        },
+        write() {
+            return -1;      // -EPERM
+        },
+        llseek(file, offset, whence) {
+            const base = whence === SEEK_WHENCE.SEEK_END ? bytes.length : whence === SEEK_WHENCE.SEEK_CUR ? file.fPos : 0;
+            file.fPos = base + offset;
+            return file.fPos;
+        }
+    };
+}
+
+test('system calls on a registered node dispatch to its file operations', async () => {
+    const sim = new KernelSimulator({ seed: 11, clockMode: 'fast' });
+    assert.deepEqual(sim.registerDriver('motd', textDriver('hello, world')), ['/dev/motd']);
+    const { fd } = sim.deviceOpen('/dev/motd');
+
+    assert.equal((await sim.deviceRead(fd, 5)).data, 'hello');
+    assert.equal(sim.deviceLlseek(fd, -5, SEEK_WHENCE.SEEK_END).offset, 7);
+    assert.equal((await sim.deviceRead(fd, 100)).data, 'world');
+    assert.equal((await sim.devicePread(fd, 4, 0)).data, 'hell');
+    await assert.rejects(sim.deviceWrite(fd, 'x'), { code: 'EPERM' });
+    await assert.rejects(sim.deviceIoctl(fd, 0), { code: 'ENOTTY' });
+});
+
+test('malformed file_operations are refused at registration', () => {
+    const sim = new KernelSimulator({ seed: 11, clockMode: 'fast' });
+    assert.throws(() => sim.registerDriver('bad', { flush() {} }), { code: 'EINVAL' });
+    assert.throws(() => sim.registerDriver('bad', { read: 'text' }), { code: 'EINVAL' });
+    assert.throws(() => sim.registerDriver('Bad Name', {}), { code: 'EINVAL' });
+    assert.throws(() => sim.registerDriver('mychardev', {}), { code: 'EEXIST' });
+    assert.throws(() => sim.registerDriver('echo', {}), { code: 'EEXIST' });
+});
+
+test('only read, write and unlocked_ioctl may be async', () => {
+    assert.doesNotThrow(() => checkFops('ok', { async read() {}, async write() {}, async unlocked_ioctl() {} }));
+    for (const name of ['open', 'llseek', 'poll', 'mmap', 'release']) {
+        assert.throws(() => checkFops('bad', { [name]: async () => 0 }), { code: 'EINVAL', detail: `bad: ${name} may not be async` });
+    }
+});
+
+test('a sync-only callback returning a promise fails with EINVAL, without an unhandled rejection', async () => {
+    const sim = new KernelSimulator({ seed: 11, clockMode: 'fast' });
+    const unhandled = [];
+    const onUnhandled = reason => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    try {
+        sim.registerDriver('sneaky', { open: () => Promise.reject(new Error('late')) });
+        assert.throws(() => sim.deviceOpen('/dev/sneaky'), { code: 'EINVAL' });
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepEqual(unhandled, []);
+        assert.equal(sim.fileTable.size, 0);
+    } finally {
+        process.off('unhandledRejection', onUnhandled);
+    }
+});
+
+test('open files pin a driver module; built-in drivers cannot be removed', () => {
+    const sim = new KernelSimulator({ seed: 11, clockMode: 'fast' });
+    sim.registerDriver('motd', textDriver('hi'));
+    const { fd } = sim.deviceOpen('/dev/motd');
+    assert.throws(() => sim.unregisterDriver('motd'), { code: 'EBUSY' });
+    sim.deviceClose(fd);
+    sim.unregisterDriver('motd');
+    assert.throws(() => sim.deviceOpen('/dev/motd'), { code: 'ENOENT' });
+    assert.throws(() => sim.unregisterDriver('motd'), { code: 'ENOENT' });
+    assert.throws(() => sim.unregisterDriver('null'), { code: 'EPERM' });
+});
+
+test('the built-in /dev/zero and /dev/null behave as on Linux', async () => {
+    const sim = new KernelSimulator({ seed: 11, clockMode: 'fast' });
+    const zero = sim.deviceOpen('/dev/zero').fd;
+    assert.deepEqual((await sim.deviceRead(zero, 4)).bytes, new Uint8Array(4));
+    const nul = sim.deviceOpen('/dev/null').fd;
+    assert.equal((await sim.deviceWrite(nul, 'discarded')).bytesWritten, 9);
+    assert.equal((await sim.deviceRead(nul, 4)).bytesRead, 0);
+});
+
+test('opening a non-string path after rmmod fails with ENOENT', () => {
+    const sim = new KernelSimulator({ seed: 11, clockMode: 'fast' });
+    sim.unloadModule();
+    assert.throws(() => sim.deviceOpen(42), { code: 'ENOENT' });
+    assert.throws(() => sim.deviceOpen('/dev/mychardev0'), { code: 'ENODEV' });
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    IOC_NONE, IOC_WRITE, IOC_READ, _IO, _IOR, _IOW, _IOWR, _IOC_DIR, _IOC_TYPE, _IOC_NR, _IOC_SIZE,
+    MYCHARDEV_IOC_MAGIC, IOCTL_COMMANDS, ioctlLookup, describeIoctl
+} = require('../kernel-ioctl.js');
+const { KernelSimulator } = require('../kernel-simulator.js');
+
+const K = MYCHARDEV_IOC_MAGIC;
+
+test('command numbers match the kernel\'s _IOC layout', () => {
+    assert.equal(_IO(K, 0), 0x00006b00);
+    assert.equal(_IOW(K, 1, 'uint'), 0x40046b01);
+    assert.equal(_IOR(K, 2, 'uint'), 0x80046b02);
+    assert.equal(_IOWR(K, 3, 'int'), 0xc0046b03);
+    assert.equal(_IOR(K, 5, 'mychardev_stats'), 0x80286b05);
+    assert.throws(() => _IOW(K, 1, 'long'), TypeError);
+});
+
+test('the decode macros take a command apart again', () => {
+    const cmd = IOCTL_COMMANDS.GET_STATUS.cmd;
+    assert.equal(_IOC_DIR(cmd), IOC_READ);
+    assert.equal(_IOC_TYPE(cmd), K);
+    assert.equal(_IOC_NR(cmd), 8);
+    assert.equal(_IOC_SIZE(cmd), 32);
+    assert.equal(_IOC_DIR(IOCTL_COMMANDS.CLEAR_BUFFER.cmd), IOC_NONE);
+    assert.equal(_IOC_DIR(IOCTL_COMMANDS.SET_MODE.cmd), IOC_WRITE);
+});
+
+test('ioctlLookup finds only this driver\'s commands', () => {
+    assert.equal(ioctlLookup(0x40046b01).name, 'SET_BUFFER_SIZE');
+    assert.equal(ioctlLookup(_IO(K, 11)), null);           // past MAXNR
+    assert.equal(ioctlLookup(_IOW(K, 0, 'int')), null);    // right number, wrong direction
+    assert.equal(ioctlLookup(_IO('T'.charCodeAt(0), 1)), null);
+    assert.equal(ioctlLookup('CLEAR_BUFFER'), null);
+});
+
+test('describeIoctl renders commands the way strace does', () => {
+    assert.equal(describeIoctl(0x40046b01), "_IOW('k', 1, 4)");
+    assert.equal(describeIoctl(IOCTL_COMMANDS.CLEAR_BUFFER.cmd), "_IO('k', 0)");
+    assert.equal(describeIoctl(IOCTL_COMMANDS.GET_STATS.cmd), "_IOR('k', 5, 40)");
+});
+
+test('the driver carries out its commands', async () => {
+    const sim = new KernelSimulator({ seed: 2, clockMode: 'fast' });
+    const { fd } = sim.deviceOpen('/dev/mychardev1');
+    const { SET_BUFFER_SIZE, GET_BUFFER_SIZE, SET_MODE, GET_STATUS, CLEAR_BUFFER } = IOCTL_COMMANDS;
+
+    await sim.deviceIoctl(fd, SET_BUFFER_SIZE.cmd, 2048);
+    assert.equal((await sim.deviceIoctl(fd, GET_BUFFER_SIZE.cmd)).value, 2048);
+
+    await sim.deviceWrite(fd, 'pending');
+    assert.equal((await sim.deviceIoctl(fd, GET_STATUS.cmd)).value.used, 7);
+    await sim.deviceIoctl(fd, CLEAR_BUFFER.cmd);
+    assert.equal((await sim.deviceIoctl(fd, GET_STATUS.cmd)).value.used, 0);
+
+    await sim.deviceIoctl(fd, SET_MODE.cmd, 1);
+    assert.equal(sim.findDevice('/dev/mychardev1').storageMode, 'random');
+});
+
+test('bad commands and arguments fail the way the kernel would', async () => {
+    const sim = new KernelSimulator({ seed: 2, clockMode: 'fast' });
+    const { fd } = sim.deviceOpen('/dev/mychardev0');
+    const { SET_BUFFER_SIZE, SET_MODE } = IOCTL_COMMANDS;
+
+    await assert.rejects(sim.deviceIoctl(fd, _IO(K, 11)), { code: 'ENOTTY' });
+    await assert.rejects(sim.deviceIoctl(fd, SET_BUFFER_SIZE.cmd), { code: 'EFAULT' });
+    await assert.rejects(sim.deviceIoctl(fd, SET_BUFFER_SIZE.cmd, -1), { code: 'EINVAL' });
+    await assert.rejects(sim.deviceIoctl(fd, SET_BUFFER_SIZE.cmd, 0), { code: 'EINVAL' });
+    await assert.rejects(sim.deviceIoctl(fd, SET_MODE.cmd, 2), { code: 'EINVAL' });
+    assert.equal(sim.findDevice('/dev/mychardev0').bufferSize, 1024);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { VirtualClock, yieldToEventLoop } = require('../sim-clock.js');
+const {
+    IRQ_NONE, IRQ_HANDLED, IRQ_WAKE_THREAD, IRQF_SHARED, IRQF_ONESHOT, SOFTIRQ, Tasklet, IrqController
+} = require('../kernel-irq.js');
+const { KernelSimulator } = require('../kernel-simulator.js');
+
+function controller() {
+    const clock = new VirtualClock();
+    const logs = [];
+    const irq = new IrqController(2, clock, (level, message) => logs.push(`${level} ${message}`));
+    return { clock, irq, logs };
+}
+
+test('every handler on a shared line runs; any claim makes it handled', () => {
+    const { irq } = controller();
+    const seen = [];
+    irq.request(5, (line, dev) => (seen.push(dev.name), IRQ_NONE), null, IRQF_SHARED, 'a', { name: 'a' });
+    irq.request(5, (line, dev) => (seen.push(dev.name), IRQ_HANDLED), null, IRQF_SHARED, 'b', { name: 'b' });
+    assert.equal(irq.raise(5, 1), IRQ_HANDLED);
+    assert.deepEqual(seen, ['a', 'b']);
+    assert.deepEqual(irq.desc(5).counts, [0, 1]);
+});
+
+test('request_irq refuses conflicting or malformed requests', () => {
+    const { irq } = controller();
+    const handler = () => IRQ_HANDLED;
+    irq.request(3, handler, null, 0, 'exclusive');
+    assert.throws(() => irq.request(3, handler, null, IRQF_SHARED, 'other', {}), { code: 'EBUSY' });
+    assert.throws(() => irq.request(4, handler, null, IRQF_SHARED, 'nodev'), { code: 'EINVAL' });
+    assert.throws(() => irq.request(4, null, () => {}, 0, 'thread'), { code: 'EINVAL' });
+    assert.throws(() => irq.request(16, handler, null, 0, 'bad'), { code: 'EINVAL' });
+
+    irq.request(6, handler, null, IRQF_SHARED, 'a', 1);
+    assert.throws(() => irq.request(6, handler, null, IRQF_SHARED | IRQF_ONESHOT, 'b', 2), { code: 'EBUSY' });
+    assert.equal(irq.free(6, 1), 'a');
+    assert.throws(() => irq.free(6, 1), { code: 'EINVAL' });
+});
+
+test('an unclaimed interrupt is reported once as "nobody cared"', () => {
+    const { irq, logs } = controller();
+    irq.request(7, () => IRQ_NONE, null, 0, 'shy');
+    assert.equal(irq.raise(7), IRQ_NONE);
+    assert.equal(irq.raise(7), IRQ_NONE);
+    assert.equal(logs.filter(line => line.includes('nobody cared')).length, 1);
+});
+
+test('a oneshot thread keeps the line masked and replays what arrived meanwhile', async () => {
+    const { clock, irq } = controller();
+    let release;
+    const runs = [];
+    irq.request(9, null, async () => {
+        runs.push(clock.now());
+        await new Promise(resolve => { release = resolve; });
+    }, IRQF_ONESHOT, 'slow');
+
+    assert.equal(irq.raise(9), IRQ_HANDLED);
+    await clock.runFor(1);
+    assert.equal(runs.length, 1);
+    assert.equal(irq.desc(9).masked, true);
+    assert.equal(irq.raise(9), null);           // latched while masked
+
+    release();
+    await yieldToEventLoop();
+    await clock.runFor(1);
+    assert.equal(runs.length, 2);               // the latched interrupt, delivered on unmask
+    release();
+    await yieldToEventLoop();
+    assert.equal(irq.desc(9).masked, false);
+});
+
+test('handlers returning IRQ_WAKE_THREAD without a thread are not counted as handled', () => {
+    const { irq, logs } = controller();
+    irq.request(10, () => IRQ_WAKE_THREAD, null, 0, 'confused');
+    assert.equal(irq.raise(10), IRQ_NONE);
+    assert.ok(logs.some(line => line.includes('woke a thread it does not have')));
+});
+
+test('a tasklet scheduled twice runs once, in softirq context', async () => {
+    const { clock, irq } = controller();
+    const contexts = [];
+    const tasklet = new Tasklet('demo', (data, context) => contexts.push([data, context.cpu]), 'payload');
+    assert.equal(irq.taskletSchedule(tasklet, 1), true);
+    assert.equal(irq.taskletSchedule(tasklet, 1), false);
+    await clock.runFor(0);
+    assert.deepEqual(contexts, [['payload', 1]]);
+    assert.equal(tasklet.runs, 1);
+    assert.equal(irq.softirqCounts[SOFTIRQ.TASKLET][1], 1);
+});
+
+test('the driver\'s interrupts show up in /proc/interrupts', async () => {
+    const sim = new KernelSimulator({ seed: 8, clockMode: 'fast' });
+    const line = sim.config.irqLine;
+    sim.raiseIrq(line, 0);
+    sim.raiseIrq(line, 1);
+    sim.raiseIrq(line, 1);
+    await sim.delay(1);
+    const row = sim.procRead('/proc/interrupts').split('\n').find(text => text.trimStart().startsWith(`${line}:`));
+    assert.match(row, new RegExp(`^\\s*${line}:\\s+1\\s+2\\b.*mychardev`));
+    assert.throws(() => sim.raiseIrq(line, 2), { code: 'EINVAL' });
+});
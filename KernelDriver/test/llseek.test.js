@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SEEK_WHENCE } = require('../file-table.js');
+const { KernelSimulator } = require('../kernel-simulator.js');
+
+const { SEEK_SET, SEEK_CUR, SEEK_END } = SEEK_WHENCE;
+
+// A minor switched to random access, with `content` written from offset 0
+async function randomAccessFile(content) {
+    const sim = new KernelSimulator({ seed: 3, clockMode: 'fast' });
+    sim.setStorageMode(sim.devices[0], 'random');
+    const { fd } = sim.deviceOpen('/dev/mychardev0');
+    await sim.deviceWrite(fd, content);
+    return { sim, fd };
+}
+
+test('a FIFO cannot seek: ESPIPE', () => {
+    const sim = new KernelSimulator({ seed: 3, clockMode: 'fast' });
+    const { fd } = sim.deviceOpen('/dev/mychardev0');
+    assert.throws(() => sim.deviceLlseek(fd, 0), { code: 'ESPIPE' });
+});
+
+test('SEEK_SET, SEEK_CUR and SEEK_END move f_pos', async () => {
+    const { sim, fd } = await randomAccessFile('0123456789');
+    assert.equal(sim.deviceLlseek(fd, 2, SEEK_SET).offset, 2);
+    assert.equal(sim.deviceLlseek(fd, 3, SEEK_CUR).offset, 5);
+    assert.equal(sim.deviceLlseek(fd, -4, SEEK_END).offset, 6);
+    assert.equal((await sim.deviceRead(fd, 2)).data, '67');
+    assert.equal(sim.fileTable.get(fd).fPos, 8);
+});
+
+test('seeking past the end of data reads EOF', async () => {
+    const { sim, fd } = await randomAccessFile('abc');
+    sim.deviceLlseek(fd, 10);
+    const result = await sim.deviceRead(fd, 4);
+    assert.equal(result.eof, true);
+    assert.equal(result.bytesRead, 0);
+});
+
+test('a negative result or an unknown whence fails with EINVAL', async () => {
+    const { sim, fd } = await randomAccessFile('abc');
+    assert.throws(() => sim.deviceLlseek(fd, -1, SEEK_SET), { code: 'EINVAL' });
+    assert.throws(() => sim.deviceLlseek(fd, -4, SEEK_END), { code: 'EINVAL' });
+    assert.throws(() => sim.deviceLlseek(fd, 0, 7), { code: 'EINVAL' });
+    assert.equal(sim.fileTable.get(fd).fPos, 3);
+});
+
+test('pread and pwrite leave f_pos alone', async () => {
+    const { sim, fd } = await randomAccessFile('hello world');
+    sim.deviceLlseek(fd, 1);
+    await sim.devicePwrite(fd, 'W', 6);
+    assert.equal((await sim.devicePread(fd, 5, 6)).data, 'World');
+    assert.equal(sim.fileTable.get(fd).fPos, 1);
+});
+
+test('switching modes rewinds every open file', async () => {
+    const { sim, fd } = await randomAccessFile('abc');
+    sim.setStorageMode(sim.devices[0], 'fifo');
+    assert.equal(sim.fileTable.get(fd).fPos, 0);
+    assert.equal((await sim.deviceRead(fd, 3)).data, 'abc');
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LOCK_SCENARIOS, LockDep, KMutex } = require('../kernel-sync.js');
+const { VirtualClock } = require('../sim-clock.js');
+const { KernelSimulator } = require('../kernel-simulator.js');
+
+// The headline of the report each scenario should produce
+const REPORTS = {
+    'abba': 'WARNING: possible circular locking dependency detected',
+    'sleep-in-atomic': 'BUG: sleeping function called from invalid context: mutex_lock',
+    'double-unlock': 'WARNING: bad unlock balance detected!',
+    'spin-recursion': 'BUG: spinlock recursion on CPU#0',
+    'irq-unsafe': 'WARNING: inconsistent lock state',
+    'wait-in-irq': 'BUG: sleeping function called from invalid context: wait_for_completion',
+    'rwsem-upgrade': 'WARNING: possible recursive locking detected'
+};
+
+test('every scenario is covered here', () => {
+    assert.deepEqual(Object.keys(REPORTS).sort(), Object.keys(LOCK_SCENARIOS).sort());
+});
+
+for (const [name, headline] of Object.entries(REPORTS)) {
+    test(`${name} is reported once in the kernel log`, async () => {
+        const sim = new KernelSimulator({ seed: 18, clockMode: 'fast' });
+        const before = sim.logBuffer.length;
+        assert.equal(await sim.runLockScenario(name), 1);
+
+        const reports = sim.logBuffer.list().slice(before)
+            .filter(record => record.level === 'ERROR' && record.message.startsWith('lockdep: '));
+        assert.ok(reports.length >= 2);
+        assert.ok(reports[0].message.startsWith(`lockdep: ${headline}`), reports[0].message);
+    });
+}
+
+test('an ordering problem is only reported the first time', async () => {
+    const sim = new KernelSimulator({ seed: 18, clockMode: 'fast' });
+    assert.equal(await sim.runLockScenario('abba'), 1);
+    assert.equal(await sim.runLockScenario('abba'), 0);
+    assert.match(sim.lockdep.describe(), /demo_abba_a \(mutex\): .*\n -> demo_abba_b/);
+    await assert.rejects(sim.runLockScenario('livelock'), { code: 'EINVAL' });
+});
+
+test('lockdep hands each report line to its callback with the task', async () => {
+    const lines = [];
+    const clock = new VirtualClock();
+    const lockdep = new LockDep((level, message, task) => lines.push({ level, message, pid: task.pid }));
+    const mutex = new KMutex('m', clock, lockdep);
+    const task = { pid: 42, comm: 't' };
+    await mutex.lock(task);
+    mutex.unlock(task);
+    mutex.unlock(task);
+    assert.equal(lockdep.warnings, 1);
+    assert.deepEqual(lines.map(line => line.level), ['ERROR', 'ERROR']);
+    assert.ok(lines.every(line => line.pid === 42));
+});
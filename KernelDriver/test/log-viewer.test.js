@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LOG_LEVELS, formatLogLine } = require('../kernel-printk.js');
+const { LogFilter, KernelLogViewer } = require('../log-viewer.js');
+const { KernelSimulator } = require('../kernel-simulator.js');
+
+// No page: the viewer finds none of its elements and keeps no DOM rows
+globalThis.document = { getElementById: () => null };
+
+const record = (level, message, extra = {}) => ({
+    priority: LOG_LEVELS[level], level, message, subsystem: 'kernel', console: true, time: 0, ...extra
+});
+
+test('the filter combines level, subsystem, console and search', () => {
+    const filter = new LogFilter();
+    assert.equal(filter.matches(record('DEBUG', 'anything')), true);
+    assert.equal(filter.matches(record('DEBUG', 'quiet', { console: false })), false);
+
+    filter.maxPriority = LOG_LEVELS.WARNING;
+    filter.subsystem = 'mychardev0';
+    assert.equal(filter.matches(record('ERROR', 'bad', { subsystem: 'mychardev0' })), true);
+    assert.equal(filter.matches(record('ERROR', 'bad', { subsystem: 'kernel' })), false);
+    assert.equal(filter.matches(record('INFO', 'fine', { subsystem: 'mychardev0' })), false);
+});
+
+test('plain search is literal and case-insensitive; a bad regex leaves it off', () => {
+    const filter = new LogFilter();
+    assert.equal(filter.setSearch('a.b'), true);
+    assert.equal(filter.matches(record('INFO', 'A.B here')), true);
+    assert.equal(filter.matches(record('INFO', 'axb here')), false);
+
+    assert.equal(filter.setSearch('fd [0-9]+', true), true);
+    assert.equal(filter.matches(record('INFO', 'opened as fd 3')), true);
+    assert.equal(filter.setSearch('(', true), false);
+    assert.equal(filter.pattern, null);
+});
+
+test('highlight splits a message around every match', () => {
+    const filter = new LogFilter();
+    filter.setSearch('ab');
+    assert.deepEqual(filter.highlight('xAByab'), [
+        { text: 'x', match: false },
+        { text: 'AB', match: true },
+        { text: 'y', match: false },
+        { text: 'ab', match: true }
+    ]);
+});
+
+test('export writes the filtered records as dmesg text or JSON Lines', () => {
+    const sim = new KernelSimulator({ seed: 15, clockMode: 'fast' });
+    sim.logKernel('ERROR', 'mychardev0: first failure');
+    sim.logKernel('INFO', 'mychardev0: all well');
+    sim.logKernel('ERROR', 'mychardev1: second failure');
+
+    const viewer = new KernelLogViewer();
+    viewer.reset(sim.logBuffer.list());
+    viewer.filter.maxPriority = LOG_LEVELS.ERROR;
+    viewer.applyFilter();
+
+    const lines = viewer.export('jsonl').trimEnd().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(line => line.message), ['mychardev0: first failure', 'mychardev1: second failure']);
+    assert.deepEqual(lines[0], JSON.parse(JSON.stringify(viewer.visible[0])));
+    assert.deepEqual(lines.map(line => line.subsystem), ['mychardev0', 'mychardev1']);
+
+    assert.equal(viewer.export('dmesg'), viewer.visible.map(entry => formatLogLine(entry) + '\n').join(''));
+});
+
+test('the viewer keeps history past the log buffer\'s capacity', () => {
+    const sim = new KernelSimulator({ seed: 15, clockMode: 'fast', logBufferSize: 4 });
+    const viewer = new KernelLogViewer();
+    viewer.reset(sim.logBuffer.list());
+    sim.on('log', entry => viewer.append(entry));
+    for (let i = 0; i < 10; i++) {
+        sim.logKernel('INFO', `line ${i}`);
+    }
+    assert.equal(sim.logBuffer.length, 4);
+    assert.ok(viewer.records.length >= 10);
+    assert.equal(viewer.visible.at(-1).message, 'line 9');
+});
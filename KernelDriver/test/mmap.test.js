@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PAGE_SIZE, PROT } = require('../kernel-mmap.js');
+const { KernelSimulator } = require('../kernel-simulator.js');
+
+test('a FIFO cannot be mapped: EINVAL, telling the user to switch modes', () => {
+    const sim = new KernelSimulator({ seed: 12, clockMode: 'fast' });
+    const { fd } = sim.deviceOpen('/dev/mychardev0');
+    assert.throws(() => sim.deviceMmap(fd, PAGE_SIZE), error =>
+        error.code === 'EINVAL' && /FIFO mode; switch it to random access/.test(error.detail));
+});
+
+test('stores through a shared mapping are what read() sees', async () => {
+    const sim = new KernelSimulator({ seed: 12, clockMode: 'fast' });
+    sim.setStorageMode(sim.devices[0], 'random');
+    const { fd } = sim.deviceOpen('/dev/mychardev0');
+    const vma = sim.deviceMmap(fd, PAGE_SIZE, 0);
+    assert.equal(vma.write(0, 'mapped'), 6);
+    assert.equal((await sim.deviceRead(fd, 6)).data, 'mapped');
+    assert.equal(sim.getStats('/dev/mychardev0').bytesWritten, 6);
+
+    assert.throws(() => vma.read(PAGE_SIZE * 4, 1), { code: 'EFAULT' });
+    const readOnly = sim.deviceMmap(fd, PAGE_SIZE, 0, PROT.PROT_READ);
+    assert.throws(() => readOnly.write(0, 'x'), { code: 'EFAULT' });
+    assert.throws(() => sim.deviceMmap(fd, PAGE_SIZE, 100), { code: 'EINVAL' });
+
+    // The mapping keeps the file alive past close()
+    sim.deviceClose(fd);
+    assert.equal(vma.write(6, '!'), 1);
+    sim.deviceMunmap(vma);
+    assert.throws(() => vma.read(0, 1), { code: 'EFAULT' });
+    assert.throws(() => sim.deviceMunmap(vma), { code: 'EINVAL' });
+});
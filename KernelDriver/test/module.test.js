@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MODULE_PARAMS, parseModuleParams, formatModuleParam } = require('../kernel-module.js');
+const { KernelSimulator } = require('../kernel-simulator.js');
+
+test('parameters default to their declared values', () => {
+    const values = parseModuleParams('');
+    Object.entries(MODULE_PARAMS).forEach(([name, param]) => assert.equal(values[name], param.value));
+});
+
+test('insmod arguments parse as a string or a list', () => {
+    assert.deepEqual(
+        parseModuleParams('buffer_size=0x1000  nr_devs=2 debug=N'),
+        { ...parseModuleParams(), buffer_size: 4096, nr_devs: 2, debug: false });
+    assert.equal(parseModuleParams(['log_level=3']).log_level, 3);
+    assert.equal(parseModuleParams(['debug']).debug, true);
+});
+
+test('unknown names fail with ENOENT, bad values with EINVAL', () => {
+    assert.throws(() => parseModuleParams('bufsize=10'), { code: 'ENOENT' });
+    assert.throws(() => parseModuleParams('buffer_size=0'), { code: 'EINVAL' });
+    assert.throws(() => parseModuleParams('buffer_size=8193'), { code: 'EINVAL' });
+    assert.throws(() => parseModuleParams('nr_devs=two'), { code: 'EINVAL' });
+    assert.throws(() => parseModuleParams('nr_devs'), { code: 'EINVAL' });
+    assert.throws(() => parseModuleParams('debug=maybe'), { code: 'EINVAL' });
+    assert.throws(() => parseModuleParams('irq=-1'), { code: 'EINVAL' });
+});
+
+test('booleans read back as Y or N', () => {
+    assert.equal(formatModuleParam('debug', true), 'Y');
+    assert.equal(formatModuleParam('debug', false), 'N');
+    assert.equal(formatModuleParam('buffer_size', 512), '512');
+});
+
+test('insmod applies the parameters to the devices it creates', () => {
+    const sim = new KernelSimulator({ seed: 5, clockMode: 'fast', moduleParams: 'buffer_size=4096 nr_devs=2' });
+    assert.deepEqual(sim.devices.map(device => device.path), ['/dev/mychardev0', '/dev/mychardev1']);
+    assert.ok(sim.devices.every(device => device.bufferSize === 4096));
+    assert.equal(sim.sysfsRead('/sys/module/mychardev/parameters/buffer_size'), '4096\n');
+});
+
+test('open files pin the module: rmmod fails with EBUSY unless forced', async () => {
+    const sim = new KernelSimulator({ seed: 5, clockMode: 'fast' });
+    const { fd } = sim.deviceOpen('/dev/mychardev0');
+    assert.equal(sim.module.users, 1);
+    assert.throws(() => sim.unloadModule(), { code: 'EBUSY' });
+    assert.equal(sim.moduleLoaded, true);
+
+    sim.unloadModule(true);
+    assert.equal(sim.tainted, true);
+    await assert.rejects(sim.deviceRead(fd, 1), { code: 'ENODEV' });
+    assert.throws(() => sim.deviceOpen('/dev/mychardev0'), { code: 'ENODEV' });
+    assert.throws(() => sim.unloadModule(), { code: 'ENOENT' });
+});
+
+test('closing the last file lets rmmod through', () => {
+    const sim = new KernelSimulator({ seed: 5, clockMode: 'fast' });
+    const { fd } = sim.deviceOpen('/dev/mychardev0');
+    sim.deviceClose(fd);
+    assert.equal(sim.module.users, 0);
+    sim.unloadModule();
+    assert.equal(sim.tainted, false);
+    assert.throws(() => sim.loadModule('nr_devs=9'), { code: 'EINVAL' });
+    sim.loadModule('nr_devs=1');
+    assert.throws(() => sim.loadModule(), { code: 'EEXIST' });
+    assert.equal(sim.devices.length, 1);
+});
+
+test('a failed insmod leaves the configuration as it was', () => {
+    const sim = new KernelSimulator({ seed: 5, clockMode: 'fast' });
+    sim.unloadModule();
+    const before = { ...sim.config };
+    sim.configureFault('failslab', { probability: 100 });
+    assert.throws(() => sim.loadModule('buffer_size=2048 nr_devs=3 log_level=2 debug=0'), { code: 'ENOMEM' });
+    assert.deepEqual(sim.config, before);
+});
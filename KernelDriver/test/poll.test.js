@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OPEN_FLAGS } = require('../file-table.js');
+const { POLL_EVENTS, EPOLL_CTL } = require('../kernel-poll.js');
+const { KernelSimulator } = require('../kernel-simulator.js');
+
+const { POLLIN, POLLOUT, POLLERR, POLLHUP, POLLNVAL } = POLL_EVENTS;
+
+test('an empty FIFO is writable but not readable', async () => {
+    const sim = new KernelSimulator({ seed: 4, clockMode: 'fast' });
+    const { fd } = sim.deviceOpen('/dev/mychardev0');
+    const [result] = await sim.devicePoll([{ fd, events: POLLIN | POLLOUT }], 0);
+    assert.equal(result.revents, POLLOUT);
+
+    await sim.deviceWrite(fd, 'data');
+    const [after] = await sim.devicePoll([{ fd, events: POLLIN | POLLOUT }], 0);
+    assert.equal(after.revents, POLLIN | POLLOUT);
+});
+
+test('only the requested events and the always-reported ones come back', async () => {
+    const sim = new KernelSimulator({ seed: 4, clockMode: 'fast' });
+    const reader = sim.deviceOpen('/dev/mychardev0', OPEN_FLAGS.O_RDONLY).fd;
+    const [result] = await sim.devicePoll([{ fd: reader, events: POLLOUT }, { fd: 42, events: POLLIN }], 0);
+    assert.equal(result.revents, 0);
+    assert.equal((await sim.devicePoll([{ fd: 42, events: POLLIN }], 0))[0].revents, POLLNVAL);
+});
+
+test('poll sleeps until a writer makes the device readable', async () => {
+    const sim = new KernelSimulator({ seed: 4, clockMode: 'fast' });
+    const reader = sim.deviceOpen('/dev/mychardev0').fd;
+    const writer = sim.deviceOpen('/dev/mychardev0').fd;
+    const poll = sim.devicePoll([{ fd: reader, events: POLLIN }], -1);
+    await sim.deviceWrite(writer, 'x');
+    const [result] = await poll;
+    assert.equal(result.revents, POLLIN);
+});
+
+test('poll gives up after its timeout with nothing ready', async () => {
+    const sim = new KernelSimulator({ seed: 4, clockMode: 'fast' });
+    const { fd } = sim.deviceOpen('/dev/mychardev0');
+    const start = sim.clock.now();
+    const [result] = await sim.devicePoll([{ fd, events: POLLIN }], 250);
+    assert.equal(result.revents, 0);
+    assert.equal(sim.clock.now() - start, 250);
+});
+
+test('a forced rmmod reports POLLERR|POLLHUP', async () => {
+    const sim = new KernelSimulator({ seed: 4, clockMode: 'fast' });
+    const { fd } = sim.deviceOpen('/dev/mychardev0');
+    const poll = sim.devicePoll([{ fd, events: POLLIN }], -1);
+    sim.unloadModule(true);
+    const [result] = await poll;
+    assert.equal(result.revents, POLLERR | POLLHUP);
+});
+
+test('epoll_ctl keeps the interest list and rejects bad requests', () => {
+    const sim = new KernelSimulator({ seed: 4, clockMode: 'fast' });
+    const { fd } = sim.deviceOpen('/dev/mychardev0');
+    const epoll = sim.epollCreate();
+
+    epoll.ctl(EPOLL_CTL.ADD, fd, POLLIN);
+    assert.throws(() => epoll.ctl(EPOLL_CTL.ADD, fd, POLLIN), { code: 'EEXIST' });
+    assert.throws(() => epoll.ctl(EPOLL_CTL.ADD, 99, POLLIN), { code: 'EBADF' });
+    assert.throws(() => epoll.ctl(EPOLL_CTL.MOD, 99, POLLIN), { code: 'ENOENT' });
+    epoll.ctl(EPOLL_CTL.MOD, fd, POLLOUT, 'cookie');
+    assert.deepEqual(epoll.interest.get(fd), { events: POLLOUT, data: 'cookie' });
+    epoll.ctl(EPOLL_CTL.DEL, fd);
+    assert.throws(() => epoll.ctl(EPOLL_CTL.DEL, fd), { code: 'ENOENT' });
+
+    sim.epollClose(epoll);
+    assert.throws(() => epoll.ctl(EPOLL_CTL.ADD, fd, POLLIN), { code: 'EBADF' });
+});
+
+test('epoll_wait returns the ready descriptors with their data', async () => {
+    const sim = new KernelSimulator({ seed: 4, clockMode: 'fast' });
+    const a = sim.deviceOpen('/dev/mychardev0').fd;
+    const b = sim.deviceOpen('/dev/mychardev1').fd;
+    const epoll = sim.epollCreate();
+    epoll.ctl(EPOLL_CTL.ADD, a, POLLIN, 'first');
+    epoll.ctl(EPOLL_CTL.ADD, b, POLLIN, 'second');
+
+    assert.deepEqual(await epoll.wait(4, 0), []);
+    const wait = epoll.wait(4, -1);
+    await sim.deviceWrite(b, 'ping');
+    assert.deepEqual(await wait, [{ fd: b, events: POLLIN, data: 'second' }]);
+
+    // Closing a descriptor drops it from the set
+    sim.deviceClose(b);
+    assert.deepEqual(await epoll.wait(4, 0), []);
+    assert.equal(epoll.interest.has(b), false);
+    await assert.rejects(epoll.wait(0, 0), { code: 'EINVAL' });
+});
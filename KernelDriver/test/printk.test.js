@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LOG_LEVELS, KERNEL_TASK, logLevelPriority, formatLogTime, LogBuffer } = require('../kernel-printk.js');
+const { IOCTL_COMMANDS } = require('../kernel-ioctl.js');
+const { KernelSimulator } = require('../kernel-simulator.js');
+
+test('levels resolve by name or number, lower being more severe', () => {
+    assert.equal(logLevelPriority('ERROR'), LOG_LEVELS.ERROR);
+    assert.equal(logLevelPriority(7), LOG_LEVELS.DEBUG);
+    assert.ok(LOG_LEVELS.EMERG < LOG_LEVELS.WARNING);
+    assert.throws(() => logLevelPriority('LOUD'), TypeError);
+    assert.throws(() => logLevelPriority(8), TypeError);
+    assert.equal(formatLogTime(1234.5678), '[    1.234568]');
+});
+
+test('the log buffer keeps the newest records and counts the rest as dropped', () => {
+    const buffer = new LogBuffer(3);
+    ['a', 'b', 'c', 'd', 'e'].forEach(message => buffer.append({ message }));
+    assert.deepEqual(buffer.list().map(record => record.message), ['c', 'd', 'e']);
+    assert.equal(buffer.firstSeq, 2);
+    assert.equal(buffer.dropped, 2);
+
+    buffer.clear();
+    assert.equal(buffer.length, 0);
+    assert.equal(buffer.append({ message: 'f' }).seq, 5);
+    assert.throws(() => buffer.resize(0), { code: 'EINVAL' });
+});
+
+test('records carry their level, sequence number and the calling task', () => {
+    const sim = new KernelSimulator({ seed: 14, clockMode: 'fast' });
+    const before = sim.logBuffer.length;
+    const record = sim.logKernel('NOTICE', 'hello', { pid: 4321, comm: 'probe' });
+    assert.equal(record.level, 'NOTICE');
+    assert.equal(record.priority, LOG_LEVELS.NOTICE);
+    assert.equal(record.pid, 4321);
+    assert.equal(record.comm, 'probe');
+    assert.equal(record.seq, before);
+    assert.equal(sim.logKernel('INFO', 'from a timer').pid, KERNEL_TASK.pid);
+});
+
+test('only records below the console loglevel reach the console', () => {
+    const sim = new KernelSimulator({ seed: 14, clockMode: 'fast' });
+    sim.setConsoleLoglevel(5);
+    assert.equal(sim.logKernel('WARNING', 'shown').console, true);
+    assert.equal(sim.logKernel('NOTICE', 'hidden').console, false);
+    const consoleMessages = sim.getConsoleLogs().map(record => record.message);
+    assert.ok(consoleMessages.includes('shown'));
+    assert.ok(!consoleMessages.includes('hidden'));
+    assert.ok(sim.logBuffer.list().some(record => record.message === 'hidden'));
+    assert.throws(() => sim.setConsoleLoglevel(0), { code: 'EINVAL' });
+    assert.throws(() => sim.setConsoleLoglevel(9), { code: 'EINVAL' });
+});
+
+test('with logging disabled only warnings and worse are recorded', async () => {
+    const sim = new KernelSimulator({ seed: 14, clockMode: 'fast' });
+    const { fd } = sim.deviceOpen('/dev/mychardev0');
+    await sim.deviceIoctl(fd, IOCTL_COMMANDS.DISABLE_LOGGING.cmd);
+    assert.equal(sim.config.loggingEnabled, false);
+    assert.equal(sim.logKernel('INFO', 'dropped'), null);
+    assert.equal(sim.logKernel('DEBUG', 'dropped'), null);
+    assert.equal(sim.logKernel('WARNING', 'kept').level, 'WARNING');
+    assert.ok(!sim.logBuffer.list().some(record => record.message === 'dropped'));
+
+    await sim.deviceIoctl(fd, IOCTL_COMMANDS.ENABLE_LOGGING.cmd);
+    assert.equal(sim.logKernel('INFO', 'back').level, 'INFO');
+});
+
+test('a failed open is logged with the caller\'s PID', () => {
+    const sim = new KernelSimulator({ seed: 14, clockMode: 'fast' });
+    const task = sim.spawnProcess('cat');
+    assert.throws(() => sim.deviceOpen('/dev/mychardev9', undefined, { pid: task.pid }), { code: 'ENOENT' });
+    const record = sim.logBuffer.list().find(entry => entry.level === 'ERROR');
+    assert.equal(record.pid, task.pid);
+    assert.equal(record.comm, 'cat');
+});
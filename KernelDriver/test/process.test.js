@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TASK_STATES, ZOMBIE_REAP_DELAY } = require('../kernel-process.js');
+const { KernelSimulator } = require('../kernel-simulator.js');
+
+test('a consumer on an empty FIFO sleeps on the read queue', async () => {
+    const sim = new KernelSimulator({ seed: 16 });
+    const task = sim.runProcess('consumer', '/dev/mychardev0');
+    await sim.clock.runFor(500);
+
+    assert.equal(task.state, TASK_STATES.SLEEPING);
+    assert.equal(task.wchan, 'mychardev0.inq');
+    assert.equal(task.describe().blockedOn, 'read: waiting for data on /dev/mychardev0');
+    assert.equal(sim.devices[0].readQueue.length, 1);
+    assert.equal(task.files.size, 1);
+});
+
+test('SIGKILL leaves a zombie with the signal\'s status until init reaps it', async () => {
+    const sim = new KernelSimulator({ seed: 16 });
+    const task = sim.runProcess('consumer', '/dev/mychardev0');
+    await sim.clock.runFor(500);
+
+    sim.killProcess(task.pid, 'SIGKILL');
+    await sim.clock.runFor(0);
+    assert.equal(task.state, TASK_STATES.ZOMBIE);
+    assert.equal(task.stateCode, 'Z');
+    assert.equal(task.exitCode, 128 + 9);
+    assert.equal(task.files.size, 0);
+    assert.equal(sim.devices[0].readQueue.length, 0);
+    assert.equal(sim.fileTable.size, 0);
+    assert.throws(() => sim.killProcess(task.pid, 'SIGTERM'), { code: 'ESRCH' });
+
+    await sim.clock.runFor(ZOMBIE_REAP_DELAY);
+    assert.throws(() => sim.processes.get(task.pid), { code: 'ESRCH' });
+});
+
+test('a producer wakes the sleeping consumer', async () => {
+    const sim = new KernelSimulator({ seed: 16 });
+    const consumer = sim.runProcess('consumer', '/dev/mychardev0');
+    await sim.clock.runFor(500);
+    sim.runProcess('producer', '/dev/mychardev0');
+    await sim.clock.runFor(200);
+    assert.ok(sim.getStats('/dev/mychardev0').bytesRead > 0);
+    assert.equal(consumer.alive, true);
+});
+
+test('open() without an owner runs in a short-lived process', () => {
+    const sim = new KernelSimulator({ seed: 16 });
+    const { fd, pid } = sim.deviceOpen('/dev/mychardev0');
+    const task = sim.processes.get(pid);
+    assert.equal(task.transient, true);
+    sim.deviceClose(fd);
+    assert.equal(task.state, TASK_STATES.ZOMBIE);
+
+    // A failed open still runs, and fails, as a process of its own
+    assert.throws(() => sim.deviceOpen('/dev/mychardev9'), { code: 'ENOENT' });
+    const failed = sim.processes.list().at(-1);
+    assert.equal(failed.exitCode, 1);
+    assert.ok(sim.logBuffer.list().some(record => record.level === 'ERROR' && record.pid === failed.pid));
+});
+
+test('a dead owner cannot open: ESRCH', () => {
+    const sim = new KernelSimulator({ seed: 16 });
+    const task = sim.spawnProcess('user');
+    sim.killProcess(task.pid, 'SIGKILL');
+    assert.throws(() => sim.deviceOpen('/dev/mychardev0', undefined, { pid: task.pid }), { code: 'ESRCH' });
+    assert.throws(() => sim.deviceOpen('/dev/mychardev0', undefined, { pid: 99999 }), { code: 'ESRCH' });
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { listSeqOps, Procfs, SEQ_PAGE_SIZE } = require('../kernel-procfs.js');
+const { KernelSimulator } = require('../kernel-simulator.js');
+
+test('missing /proc paths fail with ENOENT and directories with EISDIR', () => {
+    const sim = new KernelSimulator({ seed: 7, clockMode: 'fast' });
+    assert.throws(() => sim.procRead('/proc/nope'), { code: 'ENOENT' });
+    assert.throws(() => sim.procRead('/proc/mychardev'), { code: 'EISDIR' });
+});
+
+test('/proc/devices and /proc/modules follow insmod and rmmod', () => {
+    const sim = new KernelSimulator({ seed: 7, clockMode: 'fast' });
+    const major = sim.devices[0].major;
+    assert.match(sim.procRead('/proc/devices'), new RegExp(`^\\s*${major} mychardev$`, 'm'));
+    assert.match(sim.procRead('/proc/modules'), /^mychardev 16384 0 - Live /m);
+
+    sim.unloadModule();
+    assert.doesNotMatch(sim.procRead('/proc/devices'), /mychardev/);
+    assert.doesNotMatch(sim.procRead('/proc/modules'), /mychardev/);
+    assert.throws(() => sim.procRead('/proc/mychardev/stats'), { code: 'ENOENT' });
+});
+
+test('/proc/mychardev/stats reports live counters', async () => {
+    const sim = new KernelSimulator({ seed: 7, clockMode: 'fast' });
+    const { fd } = sim.deviceOpen('/dev/mychardev2');
+    await sim.deviceWrite(fd, 'twelve bytes');
+    const stats = sim.procRead('/proc/mychardev/stats');
+    assert.match(stats, /^open_files: 1$/m);
+    assert.match(stats, /device: \/dev\/mychardev2\n[^]*?bytes_written: 12\n[^]*?buffer_used: 12\n/);
+});
+
+test('seq_file output longer than a page is read a page at a time', () => {
+    const procfs = new Procfs();
+    const lines = Array.from({ length: 200 }, (_, i) => `line ${String(i).padStart(3, '0')} ${'x'.repeat(40)}\n`);
+    procfs.create('/proc/long', listSeqOps(() => lines, line => line));
+
+    const seq = procfs.open('/proc/long');
+    const chunks = [];
+    for (let chunk = seq.read(); chunk; chunk = seq.read()) {
+        chunks.push(chunk);
+    }
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(chunk => chunk.length <= SEQ_PAGE_SIZE));
+    assert.equal(chunks.join(''), lines.join(''));
+    assert.equal(procfs.read('/proc/long'), lines.join(''));
+});
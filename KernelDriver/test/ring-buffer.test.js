@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RingBuffer } = require('../ring-buffer.js');
+
+const bytes = text => new TextEncoder().encode(text);
+const text = data => new TextDecoder().decode(data);
+
+test('reads back what was written, across the wrap point', () => {
+    const ring = new RingBuffer(8);
+    ring.write(bytes('abcdef'));
+    assert.equal(text(ring.read(4)), 'abcd');
+    ring.write(bytes('ghijk'));
+    assert.equal(ring.used, 7);
+    assert.equal(text(ring.peek()), 'efghijk');
+    assert.equal(text(ring.read(100)), 'efghijk');
+    assert.ok(ring.isEmpty());
+});
+
+test('reject policy fills only the free space', () => {
+    const ring = new RingBuffer(4);
+    assert.deepEqual(ring.write(bytes('abcdef')), { written: 4, dropped: 0 });
+    assert.ok(ring.isFull());
+    assert.deepEqual(ring.write(bytes('g')), { written: 0, dropped: 0 });
+    assert.equal(text(ring.read(4)), 'abcd');
+});
+
+test('overwrite policy drops the oldest bytes and counts them', () => {
+    const ring = new RingBuffer(4, 'overwrite');
+    ring.write(bytes('abc'));
+    assert.deepEqual(ring.write(bytes('def')), { written: 3, dropped: 2 });
+    assert.equal(ring.overwritten, 2);
+    assert.equal(text(ring.peek()), 'cdef');
+
+    // Only the newest `size` bytes of a single oversized write survive
+    ring.write(bytes('0123456789'));
+    assert.equal(text(ring.peek()), '6789');
+});
+
+test('setPolicy rejects unknown policies with EINVAL', () => {
+    const ring = new RingBuffer(4);
+    assert.throws(() => ring.setPolicy('drop'), { code: 'EINVAL' });
+    assert.equal(ring.policy, 'reject');
+});
+
+test('resize keeps pending data in order', () => {
+    const ring = new RingBuffer(6);
+    ring.write(bytes('abcd'));
+    ring.read(3);
+    ring.write(bytes('efgh'));     // wraps: pending "defgh"
+    ring.resize(16);
+    assert.equal(ring.size, 16);
+    assert.equal(text(ring.peek()), 'defgh');
+    ring.write(bytes('ij'));
+    assert.equal(text(ring.read(16)), 'defghij');
+
+    ring.write(bytes('xyz'));
+    ring.resize(3);
+    assert.ok(ring.isFull());
+    assert.equal(text(ring.read(3)), 'xyz');
+});
+
+test('resize never discards: shrinking below the pending data fails with ENOSPC', () => {
+    const ring = new RingBuffer(8);
+    ring.write(bytes('abcde'));
+    assert.throws(() => ring.resize(4), { code: 'ENOSPC' });
+    assert.equal(ring.size, 8);
+    assert.equal(text(ring.peek()), 'abcde');
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OPEN_FLAGS, FCNTL_COMMANDS } = require('../file-table.js');
+const { SIGNALS } = require('../kernel-signal.js');
+const { KernelSimulator } = require('../kernel-simulator.js');
+
+const { F_GETFL, F_SETFL, F_GETOWN, F_SETOWN } = FCNTL_COMMANDS;
+
+// A reader that owns its file and collects the SIGIOs it receives
+function asyncReader(sim, flags = OPEN_FLAGS.O_RDWR) {
+    const { fd, pid } = sim.deviceOpen('/dev/mychardev0', flags);
+    const received = [];
+    sim.sigaction(pid, 'SIGIO', info => received.push(info));
+    sim.deviceFcntl(fd, F_SETOWN, pid);
+    return { fd, pid, received };
+}
+
+test('a write raises SIGIO for the owner of an O_ASYNC file', async () => {
+    const sim = new KernelSimulator({ seed: 5, clockMode: 'fast' });
+    const { fd, pid, received } = asyncReader(sim);
+    assert.equal(sim.deviceFcntl(fd, F_GETOWN), pid);
+    sim.deviceFcntl(fd, F_SETFL, sim.deviceFcntl(fd, F_GETFL) | OPEN_FLAGS.O_ASYNC);
+    assert.ok(sim.deviceFcntl(fd, F_GETFL) & OPEN_FLAGS.O_ASYNC);
+
+    await sim.deviceWrite(fd, 'ping');
+    await sim.delay(1);
+    assert.equal(received.length, 1);
+    assert.equal(received[0].signo, SIGNALS.SIGIO);
+    assert.equal(received[0].pid, pid);
+    assert.equal(received[0].fd, fd);
+    assert.equal(received[0].band, 'POLL_IN');
+});
+
+test('no SIGIO without O_ASYNC, or once it is cleared again', async () => {
+    const sim = new KernelSimulator({ seed: 5, clockMode: 'fast' });
+    const { fd, received } = asyncReader(sim);
+    await sim.deviceWrite(fd, 'a');
+    await sim.delay(1);
+    assert.equal(received.length, 0);
+
+    sim.deviceFcntl(fd, F_SETFL, OPEN_FLAGS.O_ASYNC);
+    sim.deviceFcntl(fd, F_SETFL, 0);
+    assert.equal(sim.devices[0].asyncQueue.length, 0);
+    await sim.deviceWrite(fd, 'b');
+    await sim.delay(1);
+    assert.equal(received.length, 0);
+});
+
+test('SIGIO to an owner without a handler is discarded', async () => {
+    const sim = new KernelSimulator({ seed: 5, clockMode: 'fast' });
+    const { fd } = sim.deviceOpen('/dev/mychardev0');
+    const signals = [];
+    sim.on('signal', event => signals.push(event));
+    sim.deviceFcntl(fd, F_SETOWN, 4242);
+    sim.deviceFcntl(fd, F_SETFL, OPEN_FLAGS.O_ASYNC);
+    await sim.deviceWrite(fd, 'x');
+    await sim.delay(1);
+    assert.equal(signals.length, 1);
+    assert.equal(signals[0].delivered, false);
+});
+
+test('a handler that throws is reported in the kernel log', async () => {
+    const sim = new KernelSimulator({ seed: 5, clockMode: 'fast' });
+    const { fd, pid } = sim.deviceOpen('/dev/mychardev0');
+    sim.sigaction(pid, 'SIGIO', () => {
+        throw new Error('handler bug');
+    });
+    sim.deviceFcntl(fd, F_SETOWN, pid);
+    sim.deviceFcntl(fd, F_SETFL, OPEN_FLAGS.O_ASYNC);
+    await sim.deviceWrite(fd, 'x');
+    await sim.delay(1);
+    assert.ok(sim.kernelLogs.some(entry => entry.level === 'ERROR' &&
+        entry.message === `SIGIO handler for PID ${pid} failed: handler bug`));
+});
+
+test('bad fcntl commands and arguments fail with EINVAL', () => {
+    const sim = new KernelSimulator({ seed: 5, clockMode: 'fast' });
+    const { fd } = sim.deviceOpen('/dev/mychardev0');
+    assert.throws(() => sim.deviceFcntl(fd, F_SETOWN, -1), { code: 'EINVAL' });
+    assert.throws(() => sim.deviceFcntl(fd, F_SETFL, 'async'), { code: 'EINVAL' });
+    assert.throws(() => sim.deviceFcntl(fd, 99), { code: 'EINVAL' });
+    assert.throws(() => sim.deviceFcntl(99, F_GETFL), { code: 'EBADF' });
+    assert.throws(() => sim.sigaction(1, 'SIGFOO', () => {}), { code: 'EINVAL' });
+});
@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ShellError, tokenizeCommand, parsePipeline, SimShell } = require('../sim-shell.js');
+const { KernelSimulator } = require('../kernel-simulator.js');
+
+function shell() {
+    const sim = new KernelSimulator({ seed: 10, clockMode: 'fast' });
+    const sh = new SimShell(sim);
+    // Exit status and everything written, for one command line
+    const run = async line => {
+        let output = '';
+        const status = await sh.execute(line, { write: text => { output += text; } });
+        return { status, output };
+    };
+    return { sim, run };
+}
+
+test('words, quotes, escapes and operators tokenize like sh', () => {
+    assert.deepEqual(tokenizeCommand('echo "a b" c\\ d | head >> /x'), [
+        { word: 'echo' }, { word: 'a b' }, { word: 'c d' }, { op: '|' }, { word: 'head' }, { op: '>>' }, { word: '/x' }
+    ]);
+    assert.throws(() => tokenizeCommand('echo "abc'), ShellError);
+});
+
+test('a pipeline splits into commands with their redirections', () => {
+    assert.deepEqual(parsePipeline(tokenizeCommand('echo hi | head -1 > /x')), [
+        { argv: ['echo', 'hi'], redirect: null },
+        { argv: ['head', '-1'], redirect: { path: '/x', append: false } }
+    ]);
+    assert.throws(() => parsePipeline(tokenizeCommand('echo |')), ShellError);
+});
+
+test('/dev/mychardev is an alias for the first minor', async () => {
+    const { sim, run } = shell();
+    assert.deepEqual(await run('echo hello > /dev/mychardev'), { status: 0, output: '' });
+    assert.equal(sim.findDevice('/dev/mychardev0').bufferUsed, 6);
+    assert.deepEqual(await run('head -c 6 /dev/mychardev0'), { status: 0, output: 'hello\n' });
+    assert.match((await run('ls -l /dev')).output, /^lrwxrwxrwx 1 root root mychardev -> mychardev0$/m);
+
+    await run('rmmod mychardev');
+    assert.deepEqual(await run('echo x > /dev/mychardev'), { status: 1, output: 'sh: /dev/mychardev: No such device\n' });
+});
+
+test('head and tail take -n, -c and -NUM, on files or a pipe', async () => {
+    const { run } = shell();
+    await run('echo -n abcdef > /dev/mychardev1');
+    assert.equal((await run('head -c 3 /dev/mychardev1')).output, 'abc');
+    assert.equal((await run('head -c3 /dev/mychardev1')).output, 'def');
+    assert.equal((await run('cat /proc/devices | head -3')).output, 'Character devices:\n  1 mem\n  4 tty\n');
+    assert.equal((await run('head -n 2 /proc/devices')).output, 'Character devices:\n  1 mem\n');
+    assert.equal((await run('tail -c 5 /proc/devices')).output, 'chip\n');
+    assert.equal((await run('head -1 /proc/devices /proc/modules')).output,
+        '==> /proc/devices <==\nCharacter devices:\n\n==> /proc/modules <==\nmychardev 16384 0 - Live 0x0000000000000000\n');
+});
+
+test('head rejects unknown options and bad counts', async () => {
+    const { run } = shell();
+    assert.deepEqual(await run('head -x /proc/devices'), {
+        status: 1,
+        output: 'head: invalid option \'-x\'\nusage: head [-n LINES | -c BYTES] [FILE...]\n'
+    });
+    assert.deepEqual(await run('head -n abc'), { status: 1, output: 'head: invalid number of lines: \'abc\'\n' });
+    assert.equal((await run('tail -c -1 /proc/devices')).status, 1);
+});
+
+test('sysfs files read and write through the shell, with errno messages', async () => {
+    const { sim, run } = shell();
+    assert.deepEqual(await run('cat /sys/class/mychardev/mychardev0/buffer_size'), { status: 0, output: '1024\n' });
+    assert.equal((await run('echo 2048 > /sys/class/mychardev/mychardev0/buffer_size')).status, 0);
+    assert.equal(sim.devices[0].bufferSize, 2048);
+    assert.deepEqual(await run('echo 1 > /sys/module/mychardev/parameters/nr_devs'), {
+        status: 1,
+        output: 'sh: /sys/module/mychardev/parameters/nr_devs: Permission denied\n'
+    });
+});
+
+test('unknown commands and nodes fail with the shell\'s statuses', async () => {
+    const { run } = shell();
+    assert.deepEqual(await run('nosuch'), { status: 127, output: 'sh: nosuch: command not found\n' });
+    assert.deepEqual(await run('echo x > /dev/mychardev9'), {
+        status: 1,
+        output: 'sh: /dev/mychardev9: No such file or directory\n'
+    });
+});
+
+test('insmod and rmmod change what /dev holds', async () => {
+    const { run } = shell();
+    assert.equal((await run('rmmod mychardev')).status, 0);
+    assert.doesNotMatch((await run('ls /dev')).output, /mychardev/);
+    assert.equal((await run('insmod mychardev.ko')).status, 0);
+    assert.deepEqual((await run('ls /dev')).output.split('\n').filter(name => name.startsWith('mychardev')),
+        ['mychardev', 'mychardev0', 'mychardev1', 'mychardev2', 'mychardev3']);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { KernelSimulator } = require('../kernel-simulator.js');
+
+const DEV = '/sys/class/mychardev/mychardev0';
+const USER = { pid: 1234, comm: 'user', uid: 1000 };
+
+test('device attributes read back with a trailing newline', () => {
+    const sim = new KernelSimulator({ seed: 7, clockMode: 'fast' });
+    assert.equal(sim.sysfsRead(`${DEV}/buffer_size`), '1024\n');
+    assert.equal(sim.sysfsRead(`${DEV}/mode`), 'fifo\n');
+    assert.equal(sim.sysfsRead(`${DEV}/dev`), `${sim.devices[0].devt}\n`);
+    assert.equal(sim.sysfsRead(`${DEV}/power/runtime_status`), 'suspended\n');
+});
+
+test('stores take effect and reject bad values with EINVAL', () => {
+    const sim = new KernelSimulator({ seed: 7, clockMode: 'fast' });
+    assert.equal(sim.sysfsWrite(`${DEV}/buffer_size`, '2048\n'), 5);
+    assert.equal(sim.devices[0].bufferSize, 2048);
+    assert.throws(() => sim.sysfsWrite(`${DEV}/buffer_size`, 'big'), { code: 'EINVAL' });
+    assert.throws(() => sim.sysfsWrite(`${DEV}/buffer_size`, '99999'), { code: 'EINVAL' });
+    assert.throws(() => sim.sysfsWrite(`${DEV}/mode`, 'ring'), { code: 'EINVAL' });
+    assert.equal(sim.devices[0].bufferSize, 2048);
+});
+
+test('permissions: read-only files refuse everyone, 0644 files refuse other users\' writes', () => {
+    const sim = new KernelSimulator({ seed: 7, clockMode: 'fast' });
+    assert.throws(() => sim.sysfsWrite('/sys/module/mychardev/parameters/nr_devs', '2'), { code: 'EACCES' });
+    assert.throws(() => sim.sysfsWrite(`${DEV}/buffer_size`, '512', USER), { code: 'EACCES' });
+    assert.throws(() => sim.sysfsRead(`${DEV}/stats/reset`), { code: 'EACCES' });
+    assert.equal(sim.sysfsRead(`${DEV}/buffer_size`, USER), '1024\n');
+
+    sim.sysfsWrite('/sys/module/mychardev/parameters/log_level', '4');
+    assert.equal(sim.config.consoleLoglevel, 4);
+});
+
+test('missing sysfs paths fail with ENOENT and directories with EISDIR', () => {
+    const sim = new KernelSimulator({ seed: 7, clockMode: 'fast' });
+    assert.throws(() => sim.sysfsRead(`${DEV}/colour`), { code: 'ENOENT' });
+    assert.throws(() => sim.sysfsRead(`${DEV}/stats`), { code: 'EISDIR' });
+    assert.ok(sim.sysfsList(DEV).some(entry => entry.name === 'stats' && entry.directory));
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { VirtualClock, yieldToEventLoop } = require('../sim-clock.js');
+const { IrqController } = require('../kernel-irq.js');
+const {
+    TIMER_DEFERRABLE, HRTIMER_NORESTART, HRTIMER_RESTART, TimerList, HrTimer, TimerBase
+} = require('../kernel-timer.js');
+const { KernelSimulator } = require('../kernel-simulator.js');
+
+function timerBase(hz = 250, mode = 'step') {
+    const clock = new VirtualClock(0, mode);
+    const logs = [];
+    const log = (level, message) => logs.push(`${level} ${message}`);
+    return { clock, logs, timers: new TimerBase(new IrqController(2, clock, log), clock, hz, log) };
+}
+
+// Until a fast clock has fired everything that keeps it running
+async function idle(clock) {
+    do {
+        await yieldToEventLoop();
+    } while (clock.running);
+}
+
+test('jiffies count at HZ and carry on across a change of HZ', async () => {
+    const { clock, timers } = timerBase(100);
+    assert.equal(timers.msecsToJiffies(25), 3);
+    await clock.runFor(1000);
+    assert.equal(timers.jiffies, 100);
+    timers.setHz(1000);
+    await clock.runFor(10);
+    assert.equal(timers.jiffies, 110);
+    assert.throws(() => timers.setHz(123), { code: 'EINVAL' });
+});
+
+test('a timer_list fires once its jiffy comes, on the CPU it was armed on', async () => {
+    const { clock, timers } = timerBase(250);
+    const fired = [];
+    const timer = new TimerList('t', (t, context) => fired.push([clock.now(), context.cpu]));
+    assert.equal(timers.modTimer(timer, timers.jiffies + 25, 1), 0);
+    await clock.runFor(99);
+    assert.deepEqual(fired, []);
+    await clock.runFor(1);
+    assert.deepEqual(fired, [[100, 1]]);
+    assert.equal(timer.pending, false);
+});
+
+test('mod_timer re-arms a pending timer; del_timer cancels it', async () => {
+    const { clock, timers } = timerBase(1000);
+    let runs = 0;
+    const timer = new TimerList('t', () => runs++);
+    timers.modTimer(timer, 50);
+    assert.equal(timers.modTimer(timer, 80), 1);
+    await clock.runFor(60);
+    assert.equal(runs, 0);
+    assert.equal(timers.delTimer(timer), 1);
+    assert.equal(timers.delTimer(timer), 0);
+    await clock.runFor(100);
+    assert.equal(runs, 0);
+});
+
+test('pending timers block a change of HZ', () => {
+    const { timers } = timerBase();
+    timers.modTimer(new TimerList('t', () => {}), 1000);
+    assert.throws(() => timers.setHz(1000), { code: 'EBUSY' });
+});
+
+test('del_timer_sync from the timer\'s own callback fails with EDEADLK', async () => {
+    const { clock, timers, logs } = timerBase(1000);
+    const timer = new TimerList('self', t => timers.delTimerSync(t));
+    timers.modTimer(timer, 5);
+    await clock.runFor(5);
+    assert.ok(logs.some(line => line.includes('self failed') && line.includes('EDEADLK')));
+});
+
+test('an hrtimer restarting itself fires every period', async () => {
+    const { clock, timers } = timerBase();
+    const at = [];
+    const timer = new HrTimer('tick', t => {
+        at.push(clock.now());
+        if (at.length === 3) return HRTIMER_NORESTART;
+        t.forward(timers.ktimeGet(), 2500000);
+        return HRTIMER_RESTART;
+    });
+    timers.hrtimerStart(timer, 2500000);
+    await clock.runFor(20);
+    assert.deepEqual(at, [2.5, 5, 7.5]);
+    assert.equal(timers.hrtimerCancel(timer), 0);
+    assert.throws(() => timers.hrtimerStart(timer, 1, 'later'), { code: 'EINVAL' });
+});
+
+test('a fast clock runs pending timers without being driven', async () => {
+    const { clock, timers } = timerBase(250, 'fast');
+    const fired = [];
+    timers.modTimer(new TimerList('once', () => fired.push('timer')), timers.jiffies + 250);
+    timers.hrtimerStart(new HrTimer('hr', () => fired.push('hrtimer')), 5e9);
+    await idle(clock);
+    assert.deepEqual(fired, ['timer', 'hrtimer']);
+    assert.equal(clock.now(), 5000);
+});
+
+test('only deferrable timers pending: a fast clock goes idle', async () => {
+    const { clock, timers } = timerBase(250, 'fast');
+    let runs = 0;
+    timers.modTimer(new TimerList('lazy', () => runs++, TIMER_DEFERRABLE), timers.jiffies + 250);
+    await idle(clock);
+    assert.equal(runs, 0);
+    assert.equal(clock.now(), 0);
+
+    // A non-deferrable timer takes the deferrable one along
+    timers.modTimer(new TimerList('eager', () => {}), timers.jiffies + 500);
+    await idle(clock);
+    assert.equal(runs, 1);
+    assert.equal(clock.now(), 2000);
+});
+
+test('the module watchdog runs when time passes but never keeps the clock busy', async () => {
+    const sim = new KernelSimulator({ seed: 9, clockMode: 'fast', moduleParams: 'watchdog_ms=100' });
+    await idle(sim.clock);
+    const idleAt = sim.clock.now();
+    const expires = sim.watchdog.expires;
+    assert.equal(sim.watchdog.pending, true);
+
+    // Re-armed each time it runs, 100 ms (25 jiffies) apart
+    await sim.delay(1050);
+    assert.equal(sim.clock.now(), idleAt + 1050);
+    assert.equal(sim.watchdog.expires, expires + 250);
+    assert.equal(sim.watchdog.pending, true);
+    assert.match(sim.procRead('/proc/timer_list'), /mychardev_watchdog, timer_list/);
+});
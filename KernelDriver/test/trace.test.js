@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { VirtualClock } = require('../sim-clock.js');
+const { KernelError } = require('../kernel-errno.js');
+const { OpTracer } = require('../kernel-trace.js');
+const { OPEN_FLAGS } = require('../file-table.js');
+const { KernelSimulator } = require('../kernel-simulator.js');
+
+const file = { pid: 1000, comm: 'user', fd: 3, device: { name: 'mychardev0' } };
+
+test('a span records its phases between entry and return', async () => {
+    const clock = new VirtualClock();
+    const tracer = new OpTracer(clock);
+    const span = tracer.begin('write', file);
+    span.mark('lock-wait');
+    await clock.runFor(10);
+    span.mark('lock-held');
+    await clock.runFor(5);
+    tracer.end(span);
+
+    assert.equal(span.open, false);
+    assert.deepEqual(span.describe().phases, [
+        { kind: 'lock-wait', start: 0, end: 10 },
+        { kind: 'lock-held', start: 10, end: 15 }
+    ]);
+    assert.equal(span.end, 15);
+    assert.equal(span.device, 'mychardev0');
+});
+
+test('settle ends the span with the errno of a failed call', () => {
+    const tracer = new OpTracer(new VirtualClock());
+    const results = [];
+    const span = tracer.begin('read', file);
+    tracer.settle(span, value => results.push(value))(new KernelError('EAGAIN'));
+    assert.equal(span.error, 'EAGAIN');
+    assert.equal(results.length, 1);
+
+    const instant = tracer.instant('open', file);
+    assert.equal(instant.start, instant.end);
+    assert.equal(instant.error, null);
+});
+
+test('old spans and wakeups fall off past the capacity', () => {
+    const changes = [];
+    const tracer = new OpTracer(new VirtualClock(), 2, span => changes.push(span.id));
+    const spans = [1, 2, 3].map(() => tracer.instant('open', file));
+    assert.deepEqual(tracer.spans.map(span => span.id), [2, 3]);
+    tracer.wakeup(null, spans[2], 'q');
+    assert.equal(tracer.wakeups.length, 0);
+    tracer.wakeup(spans[1], spans[2], 'q');
+    assert.equal(tracer.wakeups.length, 1);
+    assert.ok(changes.length > 0);
+});
+
+test('a read sleeping on an empty FIFO is woken by the write that fills it', async () => {
+    const sim = new KernelSimulator({ seed: 17, clockMode: 'fast' });
+    const reader = sim.deviceOpen('/dev/mychardev0', OPEN_FLAGS.O_RDONLY).fd;
+    const writer = sim.deviceOpen('/dev/mychardev0', OPEN_FLAGS.O_WRONLY).fd;
+    const read = sim.deviceRead(reader, 4);
+    await sim.delay(500);
+    await sim.deviceWrite(writer, 'data');
+    assert.equal((await read).data, 'data');
+
+    const readSpan = sim.tracer.spans.find(span => span.op === 'read');
+    const writeSpan = sim.tracer.spans.find(span => span.op === 'write');
+    assert.ok(readSpan.phases.some(phase => phase.kind === 'sleep' && phase.end > phase.start));
+    assert.equal(readSpan.open, false);
+    assert.ok(sim.tracer.wakeups.some(wakeup =>
+        wakeup.from === writeSpan && wakeup.to === readSpan && wakeup.queue === 'mychardev0.inq'));
+});
+
+test('a writer that waited for the mutex is woken by the one releasing it', async () => {
+    const sim = new KernelSimulator({ seed: 17, clockMode: 'fast' });
+    const fds = [0, 1, 2, 3, 4, 5, 6, 7].map(() => sim.deviceOpen('/dev/mychardev0').fd);
+    await Promise.all(fds.map(fd => sim.deviceWrite(fd, 'x'.repeat(100))));
+
+    const writes = sim.tracer.spans.filter(span => span.op === 'write');
+    assert.ok(writes.every(span => span.phases.some(phase => phase.kind === 'lock-held')));
+    const handoffs = sim.tracer.wakeups.filter(wakeup => wakeup.queue === 'mychardev0.mutex');
+    assert.ok(handoffs.length > 0);
+    handoffs.forEach(({ from, to }) => {
+        assert.ok(writes.includes(from) && writes.includes(to));
+        assert.ok(to.phases.some(phase => phase.kind === 'lock-wait' && phase.end > phase.start));
+    });
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { VirtualClock } = require('../sim-clock.js');
+const { WaitQueue } = require('../wait-queue.js');
+
+test('wakeUp resolves every sleeper, oldest first', async () => {
+    const queue = new WaitQueue('wq', new VirtualClock());
+    const woken = [];
+    const sleeps = [
+        queue.sleep().then(() => woken.push('first')),
+        queue.sleep().then(() => woken.push('second'))
+    ];
+    assert.equal(queue.length, 2);
+    assert.equal(queue.wakeUp(), 2);
+    await Promise.all(sleeps);
+    assert.deepEqual(woken, ['first', 'second']);
+    assert.equal(queue.length, 0);
+    assert.equal(queue.wakeups, 2);
+});
+
+test('wakeUpOne wakes only the oldest sleeper', async () => {
+    const queue = new WaitQueue('wq', new VirtualClock());
+    const woken = [];
+    queue.sleep().then(() => woken.push('first'));
+    queue.sleep().then(() => woken.push('second'));
+    assert.equal(queue.wakeUpOne(), true);
+    await Promise.resolve();
+    assert.deepEqual(woken, ['first']);
+    assert.equal(queue.length, 1);
+    queue.wakeUpOne();
+    assert.equal(queue.wakeUpOne(), false);
+});
+
+test('a deadline times the sleep out with EAGAIN', async () => {
+    const clock = new VirtualClock();
+    const queue = new WaitQueue('wq', clock);
+    const timedOut = assert.rejects(queue.sleep({ deadline: 100 }), { code: 'EAGAIN' });
+    await clock.runFor(99);
+    assert.equal(queue.length, 1);
+    await clock.runFor(1);
+    await timedOut;
+    assert.equal(queue.length, 0);
+});
+
+test('a deadline already passed fails at once', async () => {
+    const clock = new VirtualClock(500);
+    const queue = new WaitQueue('wq', clock);
+    await assert.rejects(queue.sleep({ deadline: 500 }), { code: 'EAGAIN' });
+    assert.equal(queue.length, 0);
+});
+
+test('aborting the signal interrupts the sleep with EINTR', async () => {
+    const queue = new WaitQueue('wq', new VirtualClock());
+    const controller = new AbortController();
+    const interrupted = assert.rejects(queue.sleep({ signal: controller.signal }), { code: 'EINTR' });
+    controller.abort();
+    await interrupted;
+    assert.equal(queue.length, 0);
+
+    await assert.rejects(queue.sleep({ signal: controller.signal }), { code: 'EINTR' });
+});
+
+test('interruptAll fails every sleeper with the given error', async () => {
+    const queue = new WaitQueue('wq', new VirtualClock());
+    const interrupted = [queue.sleep(), queue.sleep()].map(sleep => assert.rejects(sleep, { code: 'EINTR' }));
+    assert.equal(queue.interruptAll(), 2);
+    await Promise.all(interrupted);
+});
+
+test('waitEvent re-checks its condition after every wakeup', async () => {
+    const queue = new WaitQueue('wq', new VirtualClock());
+    let ready = false;
+    let done = false;
+    const wait = queue.waitEvent(() => ready).then(() => {
+        done = true;
+    });
+
+    queue.wakeUp();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(done, false);
+    assert.equal(queue.length, 1);
+
+    ready = true;
+    queue.wakeUp();
+    await wait;
+    assert.equal(done, true);
+});
@@ -0,0 +1,285 @@
+/**
+ * Operation Timeline
+ * Gantt view of the tracer's spans: one row per process or descriptor,
+ * each call split into waiting for the mutex, holding it and sleeping,
+ * with arrows for wakeups and lock handoffs. Drag to pan, wheel to zoom.
+ */
+
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
+    }
+}(function () {
+    const TIMELINE_OP_COLORS = {
+        open: '#28a745',
+        read: '#17a2b8',
+        write: '#fd7e14',
+        ioctl: '#6f42c1',
+        release: '#6c757d'
+    };
+
+    const TIMELINE_PHASE_COLORS = {
+        'lock-wait': '#dc3545',
+        'lock-held': '#0d6efd',
+        sleep: '#ffc107'
+    };
+
+    class TimelineView {
+        constructor() {
+            this.canvas = document.getElementById('timeline-canvas');
+            this.groupSelect = document.getElementById('timeline-group');
+            this.liveButton = document.getElementById('timeline-live');
+            this.info = document.getElementById('timeline-info');
+
+            this.simulator = null;
+            this.live = true;           // keep the right edge at the current time
+            this.viewEnd = 0;           // time (ms) at the right edge
+            this.msPerPixel = 2;
+            this.rowHeight = 22;
+            this.gutter = 130;          // row labels
+            this.axisHeight = 20;
+            this.drag = null;
+            this.layout = null;         // rows and geometry of the last draw, for hit testing
+            this.drawPending = false;
+
+            if (!this.canvas) return;
+
+            this.canvas.addEventListener('wheel', event => this.handleWheel(event), { passive: false });
+            this.canvas.addEventListener('mousedown', event => this.startDrag(event));
+            window.addEventListener('mousemove', event => this.handleMouseMove(event));
+            window.addEventListener('mouseup', () => { this.drag = null; });
+            if (this.groupSelect) this.groupSelect.addEventListener('change', () => this.scheduleDraw());
+            if (this.liveButton) this.liveButton.addEventListener('click', () => this.setLive(!this.live));
+        }
+
+        attach(simulator) {
+            this.simulator = simulator;
+            this.setLive(true);
+        }
+
+        setLive(live) {
+            this.live = live;
+            if (this.liveButton) {
+                this.liveButton.classList.toggle('active', live);
+            }
+            this.scheduleDraw();
+        }
+
+        /**
+         * Zoom by `factor` (> 1 zooms out) keeping the time under `x` in place
+         */
+        zoom(factor, x = null) {
+            const plotWidth = this.plotWidth();
+            const anchor = x === null ? plotWidth : Math.max(0, x - this.gutter);
+            const anchorTime = this.viewEnd - (plotWidth - anchor) * this.msPerPixel;
+
+            this.msPerPixel = Math.min(1000, Math.max(0.05, this.msPerPixel * factor));
+            this.viewEnd = anchorTime + (plotWidth - anchor) * this.msPerPixel;
+            if (x !== null && anchor < plotWidth) {
+                this.setLive(false);
+            }
+            this.scheduleDraw();
+        }
+
+        handleWheel(event) {
+            event.preventDefault();
+            const rect = this.canvas.getBoundingClientRect();
+            this.zoom(event.deltaY > 0 ? 1.25 : 0.8, event.clientX - rect.left);
+        }
+
+        startDrag(event) {
+            this.drag = { x: event.clientX, viewEnd: this.viewEnd };
+        }
+
+        handleMouseMove(event) {
+            if (this.drag) {
+                this.viewEnd = this.drag.viewEnd - (event.clientX - this.drag.x) * this.msPerPixel;
+                if (this.live) this.setLive(false);
+                this.scheduleDraw();
+                return;
+            }
+            if (event.target === this.canvas) {
+                const rect = this.canvas.getBoundingClientRect();
+                const span = this.hitTest(event.clientX - rect.left, event.clientY - rect.top);
+                this.canvas.title = span ? this.describeSpan(span) : '';
+            }
+        }
+
+        plotWidth() {
+            return Math.max(1, this.canvas.clientWidth - this.gutter);
+        }
+
+        scheduleDraw() {
+            if (this.drawPending || !this.canvas) return;
+            this.drawPending = true;
+            requestAnimationFrame(() => {
+                this.drawPending = false;
+                this.draw();
+            });
+        }
+
+        rowKey(span) {
+            return this.groupSelect && this.groupSelect.value === 'fd' ?
+                `fd ${span.fd} ${span.device}` : `${span.comm}[${span.pid}]`;
+        }
+
+        draw() {
+            if (!this.simulator) return;
+
+            const tracer = this.simulator.tracer;
+            const now = this.simulator.clock.now();
+            if (this.live) this.viewEnd = now;
+
+            const plotWidth = this.plotWidth();
+            const viewStart = this.viewEnd - plotWidth * this.msPerPixel;
+            const spans = tracer.spans.filter(span => (span.open ? now : span.end) >= viewStart && span.start <= this.viewEnd);
+
+            // Rows in order of first appearance within the window
+            const rows = new Map();
+            spans.forEach(span => {
+                const key = this.rowKey(span);
+                if (!rows.has(key)) rows.set(key, rows.size);
+            });
+
+            const height = this.axisHeight + Math.max(1, rows.size) * this.rowHeight;
+            const ratio = window.devicePixelRatio || 1;
+            this.canvas.style.height = `${height}px`;
+            this.canvas.width = this.canvas.clientWidth * ratio;
+            this.canvas.height = height * ratio;
+
+            const ctx = this.canvas.getContext('2d');
+            ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+            ctx.clearRect(0, 0, this.canvas.clientWidth, height);
+            ctx.font = '11px monospace';
+
+            const x = time => this.gutter + (time - viewStart) / this.msPerPixel;
+            const rowY = key => this.axisHeight + rows.get(key) * this.rowHeight;
+            this.layout = { rows, viewStart, spans, x, rowY };
+
+            this.drawAxis(ctx, viewStart, x, height);
+
+            rows.forEach((index, key) => {
+                ctx.fillStyle = '#adb5bd';
+                ctx.fillText(key.length > 18 ? key.slice(0, 17) + '…' : key, 4, rowY(key) + 15);
+            });
+
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(this.gutter, 0, plotWidth, height);
+            ctx.clip();
+            spans.forEach(span => this.drawSpan(ctx, span, x(span.start), x(span.open ? now : span.end), rowY(this.rowKey(span))));
+            tracer.wakeups
+                .filter(wakeup => wakeup.time >= viewStart && wakeup.time <= this.viewEnd &&
+                    rows.has(this.rowKey(wakeup.from)) && rows.has(this.rowKey(wakeup.to)))
+                .forEach(wakeup => this.drawWakeup(ctx, x(wakeup.time),
+                    rowY(this.rowKey(wakeup.from)), rowY(this.rowKey(wakeup.to)), wakeup.queue));
+            ctx.restore();
+
+            if (this.info) {
+                this.info.textContent = `${spans.length} calls in view, ${(plotWidth * this.msPerPixel / 1000).toFixed(2)} s wide` +
+                    (this.live ? '' : ' (paused)');
+            }
+        }
+
+        drawAxis(ctx, viewStart, x, height) {
+            // Aim for a tick roughly every 100 px on a 1-2-5 scale
+            const rough = 100 * this.msPerPixel;
+            const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+            const step = [1, 2, 5, 10].map(m => m * magnitude).find(candidate => candidate >= rough);
+
+            // Labelled like dmesg timestamps, in seconds since module load
+            const epoch = this.simulator.logEpoch;
+            ctx.strokeStyle = '#343a40';
+            ctx.fillStyle = '#6c757d';
+            for (let tick = epoch + Math.ceil((viewStart - epoch) / step) * step; tick <= this.viewEnd; tick += step) {
+                const tx = x(tick);
+                ctx.beginPath();
+                ctx.moveTo(tx, this.axisHeight - 4);
+                ctx.lineTo(tx, height);
+                ctx.stroke();
+                ctx.fillText(`${((tick - epoch) / 1000).toFixed(step < 10 ? 3 : 2)}s`, tx + 2, 12);
+            }
+        }
+
+        drawSpan(ctx, span, x0, x1, y) {
+            const color = TIMELINE_OP_COLORS[span.op];
+
+            // open() and release() are instants
+            if (span.op === 'open' || span.op === 'release') {
+                ctx.fillStyle = color;
+                ctx.beginPath();
+                ctx.moveTo(x0, y + 4);
+                ctx.lineTo(x0 + 4, y + 11);
+                ctx.lineTo(x0, y + 18);
+                ctx.lineTo(x0 - 4, y + 11);
+                ctx.fill();
+                return;
+            }
+
+            const width = Math.max(2, x1 - x0);
+            ctx.globalAlpha = 0.35;
+            ctx.fillStyle = color;
+            ctx.fillRect(x0, y + 3, width, this.rowHeight - 6);
+            ctx.globalAlpha = 1;
+
+            span.phases.forEach(phase => {
+                const p0 = x0 + (phase.start - span.start) / this.msPerPixel;
+                const p1 = phase.end === null ? x1 : x0 + (phase.end - span.start) / this.msPerPixel;
+                ctx.fillStyle = TIMELINE_PHASE_COLORS[phase.kind];
+                ctx.fillRect(p0, y + 8, Math.max(1, p1 - p0), this.rowHeight - 16);
+            });
+
+            ctx.strokeStyle = span.error ? '#dc3545' : color;
+            ctx.lineWidth = span.error ? 2 : 1;
+            ctx.strokeRect(x0, y + 3, width, this.rowHeight - 6);
+            ctx.lineWidth = 1;
+        }
+
+        drawWakeup(ctx, wx, fromY, toY, queue) {
+            const y0 = fromY + this.rowHeight / 2;
+            const y1 = toY + this.rowHeight / 2;
+            const direction = y1 >= y0 ? 1 : -1;
+
+            ctx.strokeStyle = ctx.fillStyle = queue.endsWith('.mutex') ? '#adb5bd' : '#e83e8c';
+            ctx.beginPath();
+            ctx.moveTo(wx, y0);
+            ctx.lineTo(wx, y1 - direction * 3);
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.moveTo(wx, y1);
+            ctx.lineTo(wx - 3, y1 - direction * 6);
+            ctx.lineTo(wx + 3, y1 - direction * 6);
+            ctx.fill();
+        }
+
+        hitTest(px, py) {
+            if (!this.layout || px < this.gutter) return null;
+
+            const { spans, x, rowY } = this.layout;
+            const now = this.simulator.clock.now();
+            return spans.slice().reverse().find(span => {
+                const y = rowY(this.rowKey(span));
+                const x0 = x(span.start);
+                const x1 = Math.max(x0 + 4, x(span.open ? now : span.end));
+                return py >= y && py < y + this.rowHeight && px >= x0 - 4 && px <= x1;
+            }) || null;
+        }
+
+        describeSpan(span) {
+            const end = span.open ? this.simulator.clock.now() : span.end;
+            const spent = kind => span.phases
+                .filter(phase => phase.kind === kind)
+                .reduce((sum, phase) => sum + ((phase.end === null ? end : phase.end) - phase.start), 0);
+
+            return `${span.comm}[${span.pid}] ${span.op}(fd ${span.fd}) on /dev/${span.device}: ` +
+                `${(end - span.start).toFixed(1)} ms${span.open ? ', in progress' : ''}` +
+                (span.phases.length > 0 ? `\nlock wait ${spent('lock-wait').toFixed(1)} ms, ` +
+                    `held ${spent('lock-held').toFixed(1)} ms, sleeping ${spent('sleep').toFixed(1)} ms` : '') +
+                (span.error ? `\nfailed: ${span.error}` : '');
+        }
+    }
+
+    return { TIMELINE_OP_COLORS, TIMELINE_PHASE_COLORS, TimelineView };
+}));
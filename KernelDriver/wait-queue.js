@@ -0,0 +1,149 @@
+/**
+ * Wait Queue Simulation
+ * Models wait_queue_head_t: callers sleep until woken in FIFO order,
+ * with support for signal interruption and timeouts
+ */
+
+(function (factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory(require);
+    } else {
+        Object.assign(globalThis, factory(() => globalThis));
+    }
+}(function (require) {
+    const { KernelError } = require('./kernel-errno.js');
+    const { REAL_CLOCK } = require('./sim-clock.js');
+
+    class WaitQueue {
+        constructor(name, clock = REAL_CLOCK) {
+            this.name = name;
+            this.clock = clock;
+            this.waiters = [];
+            this.wakeups = 0;
+        }
+
+        get length() {
+            return this.waiters.length;
+        }
+
+        /**
+         * Put the caller to sleep until woken; resolves with whatever the waker
+         * passed to wakeUp(). Options:
+         *   deadline - absolute time (ms) after which the sleep times out
+         *   signal   - AbortSignal; aborting it interrupts the sleep
+         *   task     - process put to sleep, shown as blocked on this queue
+         */
+        sleep(options = {}) {
+            return new Promise((resolve, reject) => {
+                const waiter = {
+                    resolve,
+                    reject,
+                    since: this.clock.now(),
+                    timer: null,
+                    signal: options.signal || null,
+                    task: options.task || null,
+                    onAbort: null
+                };
+
+                if (waiter.signal && waiter.signal.aborted) {
+                    reject(new KernelError('EINTR'));
+                    return;
+                }
+
+                if (options.deadline != null) {
+                    const remaining = options.deadline - this.clock.now();
+                    if (remaining <= 0) {
+                        reject(new KernelError('EAGAIN', 'wait timed out'));
+                        return;
+                    }
+                    waiter.timer = this.clock.setTimeout(() => {
+                        this.dequeue(waiter);
+                        reject(new KernelError('EAGAIN', 'wait timed out'));
+                    }, remaining);
+                }
+
+                if (waiter.signal) {
+                    waiter.onAbort = () => {
+                        this.dequeue(waiter);
+                        reject(new KernelError('EINTR'));
+                    };
+                    waiter.signal.addEventListener('abort', waiter.onAbort);
+                }
+
+                if (waiter.task) {
+                    waiter.task.block(this.name);
+                }
+                this.waiters.push(waiter);
+            });
+        }
+
+        /**
+         * Sleep until condition() holds, re-checking after every wakeup
+         * (wait_event_interruptible / wait_event_interruptible_timeout).
+         * Resolves with the last waker, or null if it never had to sleep.
+         */
+        async waitEvent(condition, options = {}) {
+            let waker = null;
+            while (!condition()) {
+                waker = await this.sleep(options);
+            }
+            return waker;
+        }
+
+        /**
+         * Wake every sleeper, oldest first (wake_up_interruptible)
+         */
+        wakeUp(waker = null) {
+            const woken = this.waiters.splice(0);
+            woken.forEach(waiter => this.release(waiter).resolve(waker));
+            this.wakeups += woken.length;
+            return woken.length;
+        }
+
+        /**
+         * Wake only the oldest sleeper (exclusive wakeup)
+         */
+        wakeUpOne(waker = null) {
+            const waiter = this.waiters.shift();
+            if (!waiter) return false;
+            this.release(waiter).resolve(waker);
+            this.wakeups++;
+            return true;
+        }
+
+        /**
+         * Fail every sleeper with the given error, e.g. on signal or module removal
+         */
+        interruptAll(error = new KernelError('EINTR')) {
+            const interrupted = this.waiters.splice(0);
+            interrupted.forEach(waiter => this.release(waiter).reject(error));
+            return interrupted.length;
+        }
+
+        dequeue(waiter) {
+            const index = this.waiters.indexOf(waiter);
+            if (index !== -1) {
+                this.waiters.splice(index, 1);
+            }
+            this.release(waiter);
+        }
+
+        release(waiter) {
+            if (waiter.timer) {
+                this.clock.clearTimeout(waiter.timer);
+                waiter.timer = null;
+            }
+            if (waiter.signal && waiter.onAbort) {
+                waiter.signal.removeEventListener('abort', waiter.onAbort);
+                waiter.onAbort = null;
+            }
+            if (waiter.task) {
+                waiter.task.wake();
+                waiter.task = null;
+            }
+            return waiter;
+        }
+    }
+
+    return { WaitQueue };
+}));